@@ -0,0 +1,44 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { NextResponse } from 'next/server';
+
+import { resolveArtifactPath } from '@/lib/docLibrary.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+function buildErrorResponse(error) {
+  const status = error?.status && Number.isInteger(error.status) ? error.status : 500;
+  const payload = {
+    error: {
+      code: status >= 500 ? 'ARTIFACT_READ_FAILED' : status === 404 ? 'NOT_FOUND' : 'INVALID_REQUEST',
+      message: error?.message || 'Unknown error',
+      status,
+      details: error?.details,
+    },
+  };
+  if (process.env.NODE_ENV !== 'production' && error?.stack) {
+    payload.error.stack = error.stack;
+  }
+  return NextResponse.json(payload, { status });
+}
+
+// A catch-all segment, so nested artifacts ("windows/0/final.groups.json") resolve too.
+export async function GET(req, { params }) {
+  try {
+    const name = Array.isArray(params?.name) ? params.name.join('/') : params?.name;
+    const artifactPath = await resolveArtifactPath(params?.docId, name);
+    const contents = await fs.readFile(artifactPath);
+    return new NextResponse(contents, {
+      status: 200,
+      headers: {
+        'content-type': 'application/json',
+        'content-disposition': `attachment; filename="${path.basename(artifactPath)}"`,
+      },
+    });
+  } catch (error) {
+    console.error('Artifact download failed:', error);
+    return buildErrorResponse(error);
+  }
+}
@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+
+import { exportDocument } from '@/lib/exporters/index.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+function parseExportOptions(searchParams) {
+  const options = {};
+  if (searchParams.get('company')) options.company = searchParams.get('company');
+  if (searchParams.get('supplier')) options.supplierName = searchParams.get('supplier');
+  if (searchParams.get('language')) options.language = searchParams.get('language');
+  if (searchParams.get('priceType')) options.priceType = searchParams.get('priceType');
+  if (searchParams.has('gstRate')) {
+    const rate = Number(searchParams.get('gstRate'));
+    if (Number.isFinite(rate)) options.defaultGstRate = rate;
+  }
+  return options;
+}
+
+function buildErrorResponse(error) {
+  const status = error?.status && Number.isInteger(error.status) ? error.status : 500;
+  const payload = {
+    error: {
+      code: status >= 500 ? 'EXPORT_FAILED' : status === 404 ? 'NOT_FOUND' : 'INVALID_REQUEST',
+      message: error?.message || 'Unknown error',
+      status,
+      details: error?.details,
+    },
+  };
+  if (process.env.NODE_ENV !== 'production' && error?.stack) {
+    payload.error.stack = error.stack;
+  }
+  return NextResponse.json(payload, { status });
+}
+
+export async function GET(req, { params }) {
+  try {
+    const url = new URL(req.url);
+    const result = await exportDocument({
+      docId: params?.docId,
+      format: url.searchParams.get('format') || 'csv',
+      options: parseExportOptions(url.searchParams),
+    });
+    return new NextResponse(result.body, {
+      status: 200,
+      headers: {
+        ...result.headers,
+        'content-type': result.contentType,
+        'content-disposition': `attachment; filename="${result.filename}"`,
+      },
+    });
+  } catch (error) {
+    console.error('Document export failed:', error);
+    return buildErrorResponse(error);
+  }
+}
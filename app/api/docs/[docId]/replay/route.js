@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+
+import { replayDocument } from '@/lib/pipeline/replay.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const REPLAY_OPTION_KEYS = [
+  'useLLM',
+  'forcePriceAnchored',
+  'minimumPriceConfidence',
+  'patternOptions',
+  'postProcessOptions',
+];
+
+function buildErrorResponse(error) {
+  const status = error?.status && Number.isInteger(error.status) ? error.status : 500;
+  const payload = {
+    error: {
+      code: status >= 500 ? 'REPLAY_FAILED' : status === 404 ? 'NOT_FOUND' : 'INVALID_REQUEST',
+      message: error?.message || 'Unknown error',
+      status,
+      details: error?.details,
+    },
+  };
+  if (process.env.NODE_ENV !== 'production' && error?.stack) {
+    payload.error.stack = error.stack;
+  }
+  return NextResponse.json(payload, { status });
+}
+
+async function readBody(req) {
+  const contentType = (req.headers.get('content-type') || '').toLowerCase();
+  if (!contentType.includes('application/json')) return {};
+  try {
+    return (await req.json()) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function pickReplayOptions(input = {}) {
+  const options = {};
+  for (const key of REPLAY_OPTION_KEYS) {
+    if (input[key] !== undefined) {
+      options[key] = input[key];
+    }
+  }
+  return options;
+}
+
+export async function POST(req, { params }) {
+  try {
+    const url = new URL(req.url);
+    const body = await readBody(req);
+    const fromStage = body.fromStage || url.searchParams.get('fromStage') || 'noise';
+    const dryRun = body.dryRun === true || (url.searchParams.get('dryRun') || '').toLowerCase() === 'true';
+    const result = await replayDocument({
+      docId: params?.docId,
+      fromStage,
+      dryRun,
+      options: pickReplayOptions(body.options || {}),
+    });
+    return NextResponse.json(
+      {
+        docId: params.docId,
+        from_stage: fromStage,
+        dry_run: dryRun,
+        extraction_version: result.version,
+        status: result.status,
+        diagnostics: result.diagnostics,
+        warnings: result.warnings,
+        validation: result.validation,
+        groups: result.groups,
+        notes: result.notes,
+        artifacts: result.artifacts,
+      },
+      { status: 200 },
+    );
+  } catch (error) {
+    console.error('Document replay failed:', error);
+    return buildErrorResponse(error);
+  }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+
+import { deleteDoc, getDoc } from '@/lib/docLibrary.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+function buildErrorResponse(error, failureCode) {
+  const status = error?.status && Number.isInteger(error.status) ? error.status : 500;
+  const payload = {
+    error: {
+      code: status >= 500 ? failureCode : status === 404 ? 'NOT_FOUND' : 'INVALID_REQUEST',
+      message: error?.message || 'Unknown error',
+      status,
+      details: error?.details,
+    },
+  };
+  if (process.env.NODE_ENV !== 'production' && error?.stack) {
+    payload.error.stack = error.stack;
+  }
+  return NextResponse.json(payload, { status });
+}
+
+export async function GET(req, { params }) {
+  try {
+    const doc = await getDoc(params?.docId);
+    return NextResponse.json(doc, { status: 200 });
+  } catch (error) {
+    console.error('Document lookup failed:', error);
+    return buildErrorResponse(error, 'DOC_LOOKUP_FAILED');
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    const result = await deleteDoc(params?.docId);
+    console.log(`[docs] deleted ${result.docId}`);
+    return NextResponse.json(result, { status: 200 });
+  } catch (error) {
+    console.error('Document deletion failed:', error);
+    return buildErrorResponse(error, 'DOC_DELETE_FAILED');
+  }
+}
@@ -0,0 +1,40 @@
+import { NextResponse } from 'next/server';
+
+import { listDocs } from '@/lib/docLibrary.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+function buildErrorResponse(error) {
+  const status = error?.status && Number.isInteger(error.status) ? error.status : 500;
+  const payload = {
+    error: {
+      code: status >= 500 ? 'DOCS_LIST_FAILED' : 'INVALID_REQUEST',
+      message: error?.message || 'Unknown error',
+      status,
+      details: error?.details,
+    },
+  };
+  if (process.env.NODE_ENV !== 'production' && error?.stack) {
+    payload.error.stack = error.stack;
+  }
+  return NextResponse.json(payload, { status });
+}
+
+export async function GET(req) {
+  try {
+    const url = new URL(req.url);
+    const result = await listDocs({
+      filename: url.searchParams.get('filename'),
+      status: url.searchParams.get('status'),
+      from: url.searchParams.get('from'),
+      to: url.searchParams.get('to'),
+      page: url.searchParams.get('page'),
+      pageSize: url.searchParams.get('pageSize'),
+    });
+    return NextResponse.json(result, { status: 200 });
+  } catch (error) {
+    console.error('Document listing failed:', error);
+    return buildErrorResponse(error);
+  }
+}
@@ -0,0 +1,81 @@
+import { NextResponse } from 'next/server';
+
+import {
+  cancelJob,
+  isTerminalStatus,
+  isValidJobId,
+  loadJob,
+  loadJobResult,
+} from '@/lib/jobs/jobStore.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+class JobError extends Error {
+  constructor(message, status = 400, details = undefined) {
+    super(message);
+    this.name = 'JobError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function buildErrorResponse(error) {
+  const status = error?.status && Number.isInteger(error.status) ? error.status : 500;
+  const payload = {
+    error: {
+      code: status >= 500 ? 'JOB_LOOKUP_FAILED' : 'INVALID_REQUEST',
+      message: error?.message || 'Unknown error',
+      status,
+      details: error?.details,
+    },
+  };
+  if (process.env.NODE_ENV !== 'production' && error?.stack) {
+    payload.error.stack = error.stack;
+  }
+  return NextResponse.json(payload, { status });
+}
+
+async function resolveJob(params) {
+  const jobId = params?.jobId;
+  if (!isValidJobId(jobId)) {
+    throw new JobError('Invalid jobId.', 400);
+  }
+  const job = await loadJob(jobId);
+  if (!job) {
+    throw new JobError(`Job ${jobId} not found.`, 404);
+  }
+  return job;
+}
+
+export async function GET(req, { params }) {
+  try {
+    const job = await resolveJob(params);
+    const body = { ...job };
+    delete body.result_path;
+    if (job.status === 'completed') {
+      body.result = await loadJobResult(job);
+    }
+    return NextResponse.json(body, { status: 200 });
+  } catch (error) {
+    console.error('Job status lookup failed:', error);
+    return buildErrorResponse(error);
+  }
+}
+
+export async function DELETE(req, { params }) {
+  try {
+    const job = await resolveJob(params);
+    if (isTerminalStatus(job.status)) {
+      throw new JobError(`Job ${job.jobId} already ${job.status}.`, 409, { status: job.status });
+    }
+    const cancelled = await cancelJob(job);
+    console.log(`[ingest] cancelled job ${job.jobId} for ${job.docId}`);
+    const body = { ...cancelled };
+    delete body.result_path;
+    return NextResponse.json(body, { status: 200 });
+  } catch (error) {
+    console.error('Job cancellation failed:', error);
+    return buildErrorResponse(error);
+  }
+}
@@ -6,6 +6,15 @@ import { NextResponse } from 'next/server';
 import { extractPdfText, segmentTextPages } from '@/lib/pdfSegmenter.js';
 import { isOpenAIConfigured } from '@/lib/openaiClient.js';
 import { ensureDir, getDataDir, writeJson } from '@/lib/io.js';
+import {
+  completeJob,
+  createJob,
+  createProgressReporter,
+  failJob,
+  startJob,
+} from '@/lib/jobs/jobStore.js';
+import { createProgressPublisher, publishProgress } from '@/lib/progressEvents.js';
+import { findCachedIngest, hashUpload, recordIngest } from '@/lib/uploadIndex.js';
 import { runCatalogPipeline } from '@/lib/pipeline/catalogPipeline.js';
 import { runLLMChunkerPipeline } from '@/lib/llmChunker/pipeline.js';
 import { runWindowedPipeline } from '@/lib/windowOrchestrator.js';
@@ -54,7 +63,7 @@ function resolveBooleanPreference(queryValue, bodyValue, defaultValue) {
   return defaultValue;
 }
 
-async function loadPagesFromJson(req, { defaultEnableOcr = false } = {}) {
+async function loadPagesFromJson(req, { defaultEnableOcr = false, onPage = null } = {}) {
   const body = await req.json();
   const pages = Array.isArray(body?.pages) ? body.pages.map(page => String(page || '')) : [];
   if (!pages.length) {
@@ -64,6 +73,11 @@ async function loadPagesFromJson(req, { defaultEnableOcr = false } = {}) {
   if (!segmented.length) {
     throw new ParseError('Unable to segment provided pages.', 422);
   }
+  if (typeof onPage === 'function') {
+    for (const page of segmented) {
+      onPage({ pageNumber: page.pageNumber, totalPages: segmented.length, source: 'json', blocks: page.blocks.length });
+    }
+  }
   const options = {
     enableOcr:
       typeof body?.enableOcr === 'boolean'
@@ -88,7 +102,10 @@ async function loadPagesFromJson(req, { defaultEnableOcr = false } = {}) {
   };
 }
 
-async function loadPagesFromFormData(req, { defaultEnableOcr = false, envAllowsOcr = false } = {}) {
+async function loadPagesFromFormData(
+  req,
+  { defaultEnableOcr = false, envAllowsOcr = false, onPage = null, force = false, lookupCached = null } = {},
+) {
   const formData = await req.formData();
   const file = formData.get('file');
   if (!file || typeof file.arrayBuffer !== 'function') {
@@ -107,38 +124,59 @@ async function loadPagesFromFormData(req, { defaultEnableOcr = false, envAllowsO
   }
   const enableOcrRequested = parseBooleanFlag(formData.get('enableOcr'), defaultEnableOcr);
   const effectiveEnableOcr = envAllowsOcr && enableOcrRequested;
+  const options = {
+    enableOcr: enableOcrRequested,
+    windowSize: formData.get('windowSize') ? Number.parseInt(formData.get('windowSize'), 10) : undefined,
+    llmCritique: formData.has('llmCritique')
+      ? parseBooleanFlag(formData.get('llmCritique'), true)
+      : undefined,
+  };
+
+  // Identical bytes with identical options reuse the stored result, skipping extraction and LLM spend.
+  const uploadHash = hashUpload(Buffer.from(arrayBuffer));
+  const bypassCache = parseBooleanFlag(formData.get('force'), force);
+  if (!bypassCache && typeof lookupCached === 'function') {
+    const cached = await lookupCached(uploadHash, options);
+    if (cached) {
+      return { cached, source: { filename, sha256: uploadHash }, options, uploadHash };
+    }
+  }
+
+  // Text extraction (and OCR) can take minutes, so it runs with the pipeline rather than here.
+  return {
+    extract: () => extractUploadPages(arrayBuffer, { enableOcr: effectiveEnableOcr, onPage }),
+    source: {
+      filename,
+      sha256: uploadHash,
+    },
+    options,
+    uploadHash,
+  };
+}
+
+async function extractUploadPages(arrayBuffer, { enableOcr = false, onPage = null } = {}) {
   try {
-    const { pages } = await extractPdfText(arrayBuffer, { enableOcr: effectiveEnableOcr });
+    const { pages } = await extractPdfText(arrayBuffer, { enableOcr, onPage });
     if (!pages.length) {
       throw new ParseError('Unable to extract any pages from uploaded PDF.', 422);
     }
-    return {
-      pages,
-      source: {
-        filename,
-        pages: pages.length,
-      },
-      options: {
-        enableOcr: enableOcrRequested,
-        windowSize: formData.get('windowSize') ? Number.parseInt(formData.get('windowSize'), 10) : undefined,
-        llmCritique: formData.has('llmCritique')
-          ? parseBooleanFlag(formData.get('llmCritique'), true)
-          : undefined,
-      },
-    };
+    return pages;
   } catch (err) {
     if (err instanceof ParseError) throw err;
     throw new ParseError(`PDF parsing failed: ${err?.message || 'unknown error'}`, 500);
   }
 }
 
-async function loadPages(req, { defaultEnableOcr = false, envAllowsOcr = false } = {}) {
+async function loadPages(
+  req,
+  { defaultEnableOcr = false, envAllowsOcr = false, onPage = null, force = false, lookupCached = null } = {},
+) {
   const contentType = (req.headers.get('content-type') || '').toLowerCase();
   if (contentType.includes('application/json')) {
-    return loadPagesFromJson(req, { defaultEnableOcr });
+    return loadPagesFromJson(req, { defaultEnableOcr, onPage });
   }
   if (contentType.includes('multipart/form-data')) {
-    return loadPagesFromFormData(req, { defaultEnableOcr, envAllowsOcr });
+    return loadPagesFromFormData(req, { defaultEnableOcr, envAllowsOcr, onPage, force, lookupCached });
   }
   throw new ParseError(
     'Provide a PDF via multipart/form-data (field: file) or JSON with a non-empty pages array.',
@@ -162,24 +200,18 @@ function buildErrorResponse(error) {
   return NextResponse.json(body, { status });
 }
 
-function parsePageWindow(req, totalPages = 0) {
-  try {
-    const url = new URL(req.url);
-    const startParam = url.searchParams.get('startPage') ?? url.searchParams.get('start_page');
-    const endParam = url.searchParams.get('endPage') ?? url.searchParams.get('end_page');
-    if (!startParam && !endParam) return null;
-    const startValue = startParam ? Number.parseInt(startParam, 10) : 1;
-    const endValue = endParam ? Number.parseInt(endParam, 10) : totalPages;
-    if (!Number.isFinite(startValue) || !Number.isFinite(endValue)) {
-      throw new ParseError('Invalid page range parameters provided.', 400);
-    }
-    const start = Math.max(1, Math.min(startValue, totalPages || startValue));
-    const end = Math.max(start, Math.min(endValue, totalPages || endValue));
-    return { start, end };
-  } catch (err) {
-    if (err instanceof ParseError) throw err;
-    return null;
+function parsePageWindow(requestUrl, totalPages = 0) {
+  const startParam = requestUrl.searchParams.get('startPage') ?? requestUrl.searchParams.get('start_page');
+  const endParam = requestUrl.searchParams.get('endPage') ?? requestUrl.searchParams.get('end_page');
+  if (!startParam && !endParam) return null;
+  const startValue = startParam ? Number.parseInt(startParam, 10) : 1;
+  const endValue = endParam ? Number.parseInt(endParam, 10) : totalPages;
+  if (!Number.isFinite(startValue) || !Number.isFinite(endValue)) {
+    throw new ParseError('Invalid page range parameters provided.', 400);
   }
+  const start = Math.max(1, Math.min(startValue, totalPages || startValue));
+  const end = Math.max(start, Math.min(endValue, totalPages || endValue));
+  return { start, end };
 }
 
 function applyPageWindow(pages, pageWindow) {
@@ -187,193 +219,389 @@ function applyPageWindow(pages, pageWindow) {
   return pages.filter(page => page.pageNumber >= pageWindow.start && page.pageNumber <= pageWindow.end);
 }
 
-export async function POST(req) {
-  try {
-    const requestUrl = new URL(req.url);
-    const envAllowsOcr = process.env.ENABLE_OCR === 'true';
-    const queryEnableOcrValue = requestUrl.searchParams.get('enableOcr');
-    const defaultEnableOcr = envAllowsOcr
-      ? parseBooleanFlag(queryEnableOcrValue, false)
-      : false;
-
-    const { pages, source, options: bodyOptions = {} } = await loadPages(req, {
-      defaultEnableOcr,
-      envAllowsOcr,
-    });
+function generateDocId() {
+  if (typeof nodeRandomUUID === 'function') {
+    return nodeRandomUUID();
+  }
+  if (typeof globalThis.crypto?.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  const randomPart = Math.random().toString(36).slice(2, 10);
+  const timestampPart = Date.now().toString(36);
+  return `doc-${timestampPart}-${randomPart}`;
+}
 
-    const pageWindow = parsePageWindow(req, source.pages);
-    const filteredPages = applyPageWindow(pages, pageWindow);
-    if (!filteredPages.length) {
-      throw new ParseError('Requested page range does not contain any pages.', 400);
-    }
+function resolveRunOptions(requestUrl, bodyOptions = {}, { envAllowsOcr, defaultEnableOcr }) {
+  const llmEnvSetting = (process.env.INGEST_LLM_ENABLED || 'true').toLowerCase();
+  const useLLM = llmEnvSetting !== 'false' && isOpenAIConfigured();
 
-    let docId = requestUrl.searchParams.get('docId');
-    if (!docId) {
-      if (typeof nodeRandomUUID === 'function') {
-        docId = nodeRandomUUID();
-      } else if (typeof globalThis.crypto?.randomUUID === 'function') {
-        docId = globalThis.crypto.randomUUID();
-      } else {
-        const randomPart = Math.random().toString(36).slice(2, 10);
-        const timestampPart = Date.now().toString(36);
-        docId = `doc-${timestampPart}-${randomPart}`;
-      }
-    }
+  const forcePriceAnchored = ['1', 'true', 'yes'].includes(
+    (requestUrl.searchParams.get('forcePriceAnchored') || '').toLowerCase(),
+  );
 
-    const dataDir = getDataDir(docId);
+  const bodyWindowSize = bodyOptions?.windowSize;
+  const queryWindowSize = requestUrl.searchParams.get('windowSize');
+  const finalWindowSize = parseWindowSize(
+    bodyWindowSize != null && Number.isFinite(Number(bodyWindowSize))
+      ? bodyWindowSize
+      : queryWindowSize,
+    10,
+  );
 
-    const dryRun = (requestUrl.searchParams.get('dryRun') || '').toLowerCase() === 'true';
+  const llmCritiqueRequested = resolveBooleanPreference(
+    requestUrl.searchParams.get('llmCritique'),
+    bodyOptions?.llmCritique,
+    true,
+  );
 
-    if (!dryRun) {
-      await ensureDir(dataDir);
-    }
-    const llmEnvSetting = (process.env.INGEST_LLM_ENABLED || 'true').toLowerCase();
-    const useLLM = llmEnvSetting !== 'false' && isOpenAIConfigured();
+  const requestedEnableOcr = bodyOptions?.enableOcr ?? defaultEnableOcr;
+  const effectiveEnableOcr = envAllowsOcr && parseBooleanFlag(requestedEnableOcr, defaultEnableOcr);
 
-    const forcePriceAnchored = ['1', 'true', 'yes'].includes(
-      (requestUrl.searchParams.get('forcePriceAnchored') || '').toLowerCase(),
-    );
+  const chunkerToggle = (requestUrl.searchParams.get('useLLMChunker') || '').toLowerCase();
+  const envLLMChunker = (process.env.USE_LLM_CHUNKER || '').toLowerCase();
+  const useLLMChunker =
+    ['1', 'true', 'yes'].includes(chunkerToggle) ||
+    (!['0', 'false', 'no'].includes(chunkerToggle) && ['1', 'true', 'yes'].includes(envLLMChunker));
 
-    const bodyWindowSize = bodyOptions?.windowSize;
-    const queryWindowSize = requestUrl.searchParams.get('windowSize');
-    const finalWindowSize = parseWindowSize(
-      bodyWindowSize != null && Number.isFinite(Number(bodyWindowSize))
-        ? bodyWindowSize
-        : queryWindowSize,
-      10,
-    );
+  return {
+    llmEnvSetting,
+    useLLM,
+    forcePriceAnchored,
+    windowSize: finalWindowSize,
+    llmCritique: llmCritiqueRequested && useLLM,
+    effectiveEnableOcr,
+    useLLMChunker,
+    chunkerOptions: {
+      pagesPerChunk: Number.parseInt(requestUrl.searchParams.get('pagesPerChunk') || '', 10) || undefined,
+      concurrency: Number.parseInt(requestUrl.searchParams.get('concurrency') || '', 10) || undefined,
+      maxUsd: requestUrl.searchParams.get('maxUsd')
+        ? Number.parseFloat(requestUrl.searchParams.get('maxUsd'))
+        : undefined,
+      forcePriceAnchored,
+      useCache: !(['1', 'true'].includes((requestUrl.searchParams.get('nocache') || '').toLowerCase())),
+    },
+  };
+}
 
-    const llmCritiqueRequested = resolveBooleanPreference(
-      requestUrl.searchParams.get('llmCritique'),
-      bodyOptions?.llmCritique,
-      true,
-    );
+// The options that change what a run produces; an upload only reuses a result stored under the same set.
+function describeCacheOptions(requestUrl, runOptions) {
+  return {
+    useLLM: runOptions.useLLM,
+    useLLMChunker: runOptions.useLLMChunker,
+    forcePriceAnchored: runOptions.forcePriceAnchored,
+    windowSize: runOptions.windowSize,
+    llmCritique: runOptions.llmCritique,
+    enableOcr: runOptions.effectiveEnableOcr,
+    startPage: requestUrl.searchParams.get('startPage') ?? requestUrl.searchParams.get('start_page') ?? null,
+    endPage: requestUrl.searchParams.get('endPage') ?? requestUrl.searchParams.get('end_page') ?? null,
+    pagesPerChunk: runOptions.chunkerOptions.pagesPerChunk ?? null,
+    maxUsd: runOptions.chunkerOptions.maxUsd ?? null,
+  };
+}
+
+async function buildIngestPlan(req, docId) {
+  const requestUrl = new URL(req.url);
+  const envAllowsOcr = process.env.ENABLE_OCR === 'true';
+  const queryEnableOcrValue = requestUrl.searchParams.get('enableOcr');
+  const defaultEnableOcr = envAllowsOcr
+    ? parseBooleanFlag(queryEnableOcrValue, false)
+    : false;
+  const dryRun = (requestUrl.searchParams.get('dryRun') || '').toLowerCase() === 'true';
+  const runAsJob = parseBooleanFlag(requestUrl.searchParams.get('async'), false);
+
+  const loaded = await loadPages(req, {
+    defaultEnableOcr,
+    envAllowsOcr,
+    onPage: page => publishProgress(docId, { type: 'page_extracted', ...page }),
+    force: parseBooleanFlag(requestUrl.searchParams.get('force'), false),
+    lookupCached: (hash, bodyOptions) =>
+      findCachedIngest({
+        hash,
+        extractionVersion: EXTRACTION_VERSION,
+        options: describeCacheOptions(
+          requestUrl,
+          resolveRunOptions(requestUrl, bodyOptions, { envAllowsOcr, defaultEnableOcr }),
+        ),
+      }),
+  });
+  const { pages, extract, source, options: bodyOptions = {}, uploadHash = null, cached = null } = loaded;
+  const runOptions = resolveRunOptions(requestUrl, bodyOptions, { envAllowsOcr, defaultEnableOcr });
+
+  if (cached) {
+    return {
+      ...runOptions,
+      docId: cached.entry.docId,
+      progressDocId: docId,
+      dataDir: getDataDir(cached.entry.docId),
+      dryRun,
+      source: cached.result.source || source,
+      pages: [],
+      pageWindow: cached.result.page_window ?? null,
+      runAsJob,
+      cachedResult: cached.result,
+    };
+  }
+
+  const plan = {
+    ...runOptions,
+    docId,
+    dataDir: getDataDir(docId),
+    dryRun,
+    pages: null,
+    source,
+    pageWindow: null,
+    runAsJob,
+    uploadHash,
+    cacheOptions: uploadHash ? describeCacheOptions(requestUrl, runOptions) : null,
+  };
+  // Uploads are extracted later, by `resolvePlanPages`; inline pages are windowed now so a bad range fails fast.
+  if (extract) {
+    return { ...plan, extractPages: extract, requestUrl };
+  }
+  return applyPlanPages(plan, pages, requestUrl);
+}
 
-    const requestedEnableOcr = bodyOptions?.enableOcr ?? defaultEnableOcr;
-    const effectiveEnableOcr = envAllowsOcr && parseBooleanFlag(requestedEnableOcr, defaultEnableOcr);
+function applyPlanPages(plan, pages, requestUrl) {
+  const pageWindow = parsePageWindow(requestUrl, pages.length);
+  const filteredPages = applyPageWindow(pages, pageWindow);
+  if (!filteredPages.length) {
+    throw new ParseError('Requested page range does not contain any pages.', 400);
+  }
+  return { ...plan, pages: filteredPages, source: { ...plan.source, pages: pages.length }, pageWindow };
+}
 
-    const chunkerToggle = (requestUrl.searchParams.get('useLLMChunker') || '').toLowerCase();
-    const envLLMChunker = (process.env.USE_LLM_CHUNKER || '').toLowerCase();
-    const useLLMChunker =
-      ['1', 'true', 'yes'].includes(chunkerToggle) ||
-      (!['0', 'false', 'no'].includes(chunkerToggle) && ['1', 'true', 'yes'].includes(envLLMChunker));
+async function resolvePlanPages(plan) {
+  if (plan.pages) return plan;
+  return applyPlanPages(plan, await plan.extractPages(), plan.requestUrl);
+}
+
+function describePlanOptions(plan) {
+  return {
+    dryRun: plan.dryRun,
+    useLLM: plan.useLLM,
+    useLLMChunker: plan.useLLMChunker,
+    forcePriceAnchored: plan.forcePriceAnchored,
+    windowSize: plan.windowSize,
+    llmCritique: plan.llmCritique,
+    pageWindow: plan.pageWindow,
+  };
+}
 
-    const shouldWindow = filteredPages.length > finalWindowSize && finalWindowSize > 0;
+async function executeIngest(pendingPlan, { onProgress = null, signal = null } = {}) {
+  const emit = createProgressPublisher(pendingPlan.progressDocId || pendingPlan.docId, onProgress);
 
-    const pipelineRunner = useLLMChunker
-      ? runLLMChunkerPipeline({
-          docId,
-          pages: filteredPages,
-          dataDir: dryRun ? null : dataDir,
-          options: {
-            pagesPerChunk: Number.parseInt(requestUrl.searchParams.get('pagesPerChunk') || '', 10) || undefined,
-            concurrency: Number.parseInt(requestUrl.searchParams.get('concurrency') || '', 10) || undefined,
-            maxUsd: requestUrl.searchParams.get('maxUsd')
-              ? Number.parseFloat(requestUrl.searchParams.get('maxUsd'))
-              : undefined,
-            forcePriceAnchored,
-            useCache: !(['1', 'true'].includes((requestUrl.searchParams.get('nocache') || '').toLowerCase())),
-          },
-        })
-      : shouldWindow
-      ? runWindowedPipeline({
-          docId,
-          pagesRaw: filteredPages,
-          windowSize: finalWindowSize,
-          forcePriceAnchored,
-          llmCritique: llmCritiqueRequested && useLLM,
-          dataDir: dryRun ? null : dataDir,
-          pipelineOptions: {
-            useLLM,
-            forcePriceAnchored,
-            persistArtifacts: false,
-          },
-          source,
-        })
-      : runCatalogPipeline({
-          docId,
-          pages: filteredPages,
-          source,
-          dataDir: dryRun ? null : dataDir,
-          options: {
-            useLLM,
-            persistArtifacts: !dryRun,
-            forcePriceAnchored,
-          },
-        });
+  if (pendingPlan.cachedResult) {
+    const cachedResult = pendingPlan.cachedResult;
+    emit({ type: 'done', status: cachedResult.status, groups: cachedResult.groups?.length ?? 0, cache_hit: true });
+    return { ...cachedResult, cache_hit: true };
+  }
 
-    const pipelineResult = await pipelineRunner.catch(error => {
-      console.error('Catalog pipeline crashed:', error);
-      return {
-        version: EXTRACTION_VERSION,
-        status: 'error',
-        groups: [],
-        notes: [],
-        diagnostics: {
-          pipeline_error: {
-            message: error?.message || 'unknown pipeline failure',
-          },
+  if (!pendingPlan.pages) {
+    emit({ type: 'stage', stage: 'extracting' });
+  }
+  const plan = await resolvePlanPages(pendingPlan);
+  signal?.throwIfAborted();
+  const {
+    docId,
+    dataDir,
+    dryRun,
+    pages: filteredPages,
+    source,
+    useLLM,
+    forcePriceAnchored,
+    windowSize: finalWindowSize,
+    useLLMChunker,
+  } = plan;
+
+  if (!dryRun) {
+    await ensureDir(dataDir);
+  }
+
+  const shouldWindow = filteredPages.length > finalWindowSize && finalWindowSize > 0;
+  emit({ type: 'stage', stage: useLLMChunker ? 'chunker' : shouldWindow ? 'windowed' : 'catalog' });
+
+  const pipelineRunner = useLLMChunker
+    ? runLLMChunkerPipeline({
+        docId,
+        pages: filteredPages,
+        dataDir: dryRun ? null : dataDir,
+        options: plan.chunkerOptions,
+        onProgress: emit,
+        signal,
+      })
+    : shouldWindow
+    ? runWindowedPipeline({
+        docId,
+        pagesRaw: filteredPages,
+        windowSize: finalWindowSize,
+        forcePriceAnchored,
+        llmCritique: plan.llmCritique,
+        dataDir: dryRun ? null : dataDir,
+        pipelineOptions: {
+          useLLM,
+          forcePriceAnchored,
+          persistArtifacts: false,
         },
-        warnings: [`pipeline_failed:${error?.message || 'unknown'}`],
-        validation: { errors: [], warnings: [] },
-        artifacts: {},
-        pagesPreview: filteredPages.slice(0, 5).map(page => ({
-          pageNumber: page.pageNumber,
-          rawText: page.rawText?.slice(0, 240) || '',
-        })),
-      };
-    });
+        source,
+        onProgress: emit,
+        signal,
+      })
+    : runCatalogPipeline({
+        docId,
+        pages: filteredPages,
+        source,
+        dataDir: dryRun ? null : dataDir,
+        options: {
+          useLLM,
+          persistArtifacts: !dryRun,
+          forcePriceAnchored,
+        },
+        signal,
+      });
 
-    const filteredSource = {
-      ...source,
-      pages: filteredPages.length,
+  const pipelineResult = await pipelineRunner.catch(error => {
+    if (signal?.aborted) throw error;
+    console.error('Catalog pipeline crashed:', error);
+    return {
+      version: EXTRACTION_VERSION,
+      status: 'error',
+      groups: [],
+      notes: [],
+      diagnostics: {
+        pipeline_error: {
+          message: error?.message || 'unknown pipeline failure',
+        },
+      },
+      warnings: [`pipeline_failed:${error?.message || 'unknown'}`],
+      validation: { errors: [], warnings: [] },
+      artifacts: {},
+      pagesPreview: filteredPages.slice(0, 5).map(page => ({
+        pageNumber: page.pageNumber,
+        rawText: page.rawText?.slice(0, 240) || '',
+      })),
     };
+  });
+  signal?.throwIfAborted();
+  emit({ type: 'stage', stage: 'finalising' });
+
+  const filteredSource = {
+    ...source,
+    pages: filteredPages.length,
+  };
 
-    const responseBody = {
+  const responseBody = {
+    docId,
+    source: filteredSource,
+    extraction_version: pipelineResult.version || EXTRACTION_VERSION,
+    status: pipelineResult.status || 'partial',
+    llm: {
+      enabled: plan.llmEnvSetting !== 'false',
+      configured: isOpenAIConfigured(),
+      used: Boolean(pipelineResult?.diagnostics?.labeling?.llmUsed),
+    },
+    diagnostics: pipelineResult.diagnostics || {},
+    warnings: pipelineResult.warnings || [],
+    validation: pipelineResult.validation || { errors: [], warnings: [] },
+    groups: pipelineResult.groups || [],
+    notes: pipelineResult.notes || [],
+    category_tree: pipelineResult.categoryTree || [],
+    artifacts: pipelineResult.artifacts || {},
+    pages_preview: pipelineResult.pagesPreview || [],
+    dry_run: dryRun,
+    page_window: plan.pageWindow,
+    price_anchored_forced: forcePriceAnchored,
+    llm_audit: pipelineResult.llmAudit || null,
+    ocr_enabled: plan.effectiveEnableOcr,
+    cache_hit: false,
+  };
+
+  if (!dryRun) {
+    const manifest = {
       docId,
+      generated_at: new Date().toISOString(),
       source: filteredSource,
-      extraction_version: pipelineResult.version || EXTRACTION_VERSION,
-      status: pipelineResult.status || 'partial',
-      llm: {
-        enabled: llmEnvSetting !== 'false',
-        configured: isOpenAIConfigured(),
-        used: Boolean(pipelineResult?.diagnostics?.labeling?.llmUsed),
-      },
-      diagnostics: pipelineResult.diagnostics || {},
-      warnings: pipelineResult.warnings || [],
-      validation: pipelineResult.validation || { errors: [], warnings: [] },
-      groups: pipelineResult.groups || [],
-      notes: pipelineResult.notes || [],
-      artifacts: pipelineResult.artifacts || {},
-      pages_preview: pipelineResult.pagesPreview || [],
-      dry_run: dryRun,
-      page_window: pageWindow,
-      price_anchored_forced: forcePriceAnchored,
-      llm_audit: pipelineResult.llmAudit || null,
-      ocr_enabled: effectiveEnableOcr,
+      extraction_version: responseBody.extraction_version,
+      status: responseBody.status,
+      warnings: responseBody.warnings,
+      artifacts: responseBody.artifacts,
+      // What a replay of this document runs the catalog pipeline with.
+      options: { useLLM, forcePriceAnchored },
     };
-
-    if (!dryRun) {
-      const manifest = {
-        docId,
-        generated_at: new Date().toISOString(),
-        source: filteredSource,
-        extraction_version: responseBody.extraction_version,
-        status: responseBody.status,
-        warnings: responseBody.warnings,
-        artifacts: responseBody.artifacts,
-      };
+    try {
+      const manifestPath = path.join(dataDir, 'manifest.json');
+      await writeJson(manifestPath, manifest, { pretty: true });
+    } catch (error) {
+      console.warn('Failed to write manifest file:', error);
+    }
+    if (plan.uploadHash && responseBody.status !== 'error') {
       try {
-        const manifestPath = path.join(dataDir, 'manifest.json');
-        await writeJson(manifestPath, manifest, { pretty: true });
+        await recordIngest({
+          hash: plan.uploadHash,
+          docId,
+          extractionVersion: EXTRACTION_VERSION,
+          options: plan.cacheOptions,
+          filename: source.filename,
+          result: responseBody,
+        });
       } catch (error) {
-        console.warn('Failed to write manifest file:', error);
+        console.warn('Failed to record upload hash:', error);
       }
     }
+  }
+
+  emit({ type: 'done', status: responseBody.status, groups: responseBody.groups.length });
+  return responseBody;
+}
+
+async function runIngestJob(job, plan, signal) {
+  try {
+    await startJob(job);
+    const result = await executeIngest(plan, {
+      onProgress: createProgressReporter(job),
+      signal,
+    });
+    await completeJob(job, result);
+  } catch (error) {
+    if (signal.aborted) {
+      console.info(`[jobs] ingest job ${job.jobId} cancelled`);
+      publishProgress(job.docId, { type: 'error', message: 'job_cancelled' });
+      return;
+    }
+    console.error(`Ingest job ${job.jobId} failed:`, error);
+    publishProgress(job.docId, { type: 'error', message: error?.message || 'unknown error' });
+    await failJob(job, error).catch(() => {});
+  }
+}
+
+export async function POST(req) {
+  const docId = new URL(req.url).searchParams.get('docId') || generateDocId();
+  try {
+    const plan = await buildIngestPlan(req, docId);
+
+    if (plan.runAsJob) {
+      const { job, signal } = await createJob({
+        docId: plan.docId,
+        source: { ...plan.source, pages: plan.pages?.length ?? plan.source.pages ?? null },
+        options: describePlanOptions(plan),
+      });
+      // Intentionally not awaited: the client polls /api/ingest/jobs/:jobId instead.
+      runIngestJob(job, plan, signal);
+      return NextResponse.json(
+        {
+          jobId: job.jobId,
+          docId: job.docId,
+          status: job.status,
+          status_url: `/api/ingest/jobs/${job.jobId}`,
+        },
+        { status: 202 },
+      );
+    }
 
+    const responseBody = await executeIngest(plan);
     return NextResponse.json(responseBody, { status: 200 });
   } catch (error) {
     console.error('Ingestion parse failed:', error);
+    publishProgress(docId, { type: 'error', message: error?.message || 'unknown error' });
     return buildErrorResponse(error);
   }
 }
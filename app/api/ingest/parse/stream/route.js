@@ -0,0 +1,78 @@
+import { NextResponse } from 'next/server';
+
+import { isTerminalProgressEvent, subscribeProgress } from '@/lib/progressEvents.js';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+const HEARTBEAT_MS = 15 * 1000;
+
+function formatSseEvent(event) {
+  return `id: ${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+export async function GET(req) {
+  const url = new URL(req.url);
+  const docId = url.searchParams.get('docId');
+  if (!docId) {
+    return NextResponse.json(
+      {
+        error: {
+          code: 'INVALID_REQUEST',
+          message: 'Missing required docId query parameter.',
+          status: 400,
+        },
+      },
+      { status: 400 },
+    );
+  }
+
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+      let unsubscribe = () => {};
+      const heartbeat = setInterval(() => {
+        if (!closed) controller.enqueue(encoder.encode(': keep-alive\n\n'));
+      }, HEARTBEAT_MS);
+
+      cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        req.signal?.removeEventListener?.('abort', cleanup);
+      };
+
+      controller.enqueue(encoder.encode(': connected\n\n'));
+      unsubscribe = subscribeProgress(docId, event => {
+        if (closed) return;
+        controller.enqueue(encoder.encode(formatSseEvent(event)));
+        if (isTerminalProgressEvent(event)) {
+          // Defer so the unsubscribe does not run while the bus is still replaying.
+          queueMicrotask(() => {
+            if (closed) return;
+            cleanup();
+            controller.close();
+          });
+        }
+      });
+      req.signal?.addEventListener?.('abort', cleanup);
+    },
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache, no-transform',
+      connection: 'keep-alive',
+      'x-accel-buffering': 'no',
+    },
+  });
+}
@@ -1,6 +1,125 @@
 "use client";
 
-import { useMemo, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
+
+const EMPTY_PROGRESS = {
+  stage: "uploading",
+  pagesExtracted: 0,
+  totalPages: 0,
+  windows: [],
+  chunks: { completed: 0, total: 0 },
+  budget: null,
+  done: false,
+};
+
+const PROGRESS_EVENT_TYPES = [
+  "stage",
+  "page_extracted",
+  "window_started",
+  "validator_verdict",
+  "repair_applied",
+  "window_done",
+  "chunk_done",
+  "budget_update",
+  "done",
+  "error",
+];
+
+function updateWindow(windows, index, patch) {
+  const next = [...windows];
+  next[index] = { ...(next[index] || { index }), ...patch };
+  return next;
+}
+
+function applyProgressEvent(progress, event) {
+  switch (event.type) {
+    case "stage":
+      return { ...progress, stage: event.stage };
+    case "page_extracted":
+      return {
+        ...progress,
+        stage: "extracting",
+        pagesExtracted: Math.max(progress.pagesExtracted, event.pageNumber || 0),
+        totalPages: event.totalPages || progress.totalPages,
+      };
+    case "window_started":
+      return {
+        ...progress,
+        stage: "windowed",
+        windows: updateWindow(progress.windows, event.index, {
+          pageStart: event.pageStart,
+          pageEnd: event.pageEnd,
+          total: event.total,
+          status: "running",
+        }),
+      };
+    case "validator_verdict":
+      return {
+        ...progress,
+        windows: updateWindow(progress.windows, event.index, {
+          status: event.pass ? "validated" : "needs repair",
+          iteration: event.iteration,
+        }),
+      };
+    case "repair_applied":
+      return {
+        ...progress,
+        windows: updateWindow(progress.windows, event.index, {
+          status: "repairing",
+          iteration: event.iteration,
+        }),
+      };
+    case "window_done":
+      return {
+        ...progress,
+        windows: updateWindow(progress.windows, event.index, {
+          status: event.finalPass ? "done" : "done (unresolved)",
+          groups: event.groups,
+        }),
+      };
+    case "chunk_done":
+      return {
+        ...progress,
+        stage: "chunker",
+        chunks: { completed: event.completed, total: event.total },
+      };
+    case "budget_update":
+      return { ...progress, budget: event };
+    case "done":
+      return { ...progress, stage: "done", done: true };
+    case "error":
+      return { ...progress, stage: "error", done: true };
+    default:
+      return progress;
+  }
+}
+
+function computeProgressPercent(progress) {
+  if (progress.done) return 100;
+  const extraction = progress.totalPages
+    ? progress.pagesExtracted / progress.totalPages
+    : 0;
+  let pipeline = 0;
+  const windowTotal = progress.windows[0]?.total || 0;
+  if (windowTotal) {
+    const finished = progress.windows.filter(
+      (entry) => entry?.status && entry.status.startsWith("done")
+    ).length;
+    pipeline = finished / windowTotal;
+  } else if (progress.chunks.total) {
+    pipeline = progress.chunks.completed / progress.chunks.total;
+  } else if (progress.stage === "finalising") {
+    pipeline = 0.9;
+  }
+  return Math.round((extraction * 0.3 + pipeline * 0.7) * 100);
+}
+
+function createDocId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
 
 export default function HomePage() {
   const [file, setFile] = useState(null);
@@ -9,6 +128,33 @@ export default function HomePage() {
   const [error, setError] = useState(null);
   const [usePriceFallback, setUsePriceFallback] = useState(false);
   const [useChunker, setUseChunker] = useState(false);
+  const [forceRerun, setForceRerun] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const eventSourceRef = useRef(null);
+
+  useEffect(() => () => eventSourceRef.current?.close(), []);
+
+  function openProgressStream(docId) {
+    eventSourceRef.current?.close();
+    setProgress(EMPTY_PROGRESS);
+    const streamUrl = new URL("/api/ingest/parse/stream", window.location.origin);
+    streamUrl.searchParams.set("docId", docId);
+    const source = new EventSource(streamUrl.toString());
+    const handleEvent = (message) => {
+      let event;
+      try {
+        event = JSON.parse(message.data);
+      } catch {
+        return;
+      }
+      setProgress((prev) => applyProgressEvent(prev || EMPTY_PROGRESS, event));
+      if (event.type === "done" || event.type === "error") {
+        source.close();
+      }
+    };
+    PROGRESS_EVENT_TYPES.forEach((type) => source.addEventListener(type, handleEvent));
+    eventSourceRef.current = source;
+  }
 
   const pageList = useMemo(
     () => result?.pages_preview ?? result?.pages ?? result?.analyzed_pages ?? [],
@@ -59,13 +205,20 @@ export default function HomePage() {
       const fd = new FormData();
       fd.append("file", file);
 
+      const docId = createDocId();
+      openProgressStream(docId);
+
       const endpoint = new URL("/api/ingest/parse", window.location.origin);
+      endpoint.searchParams.set("docId", docId);
       if (usePriceFallback) {
         endpoint.searchParams.set("forcePriceAnchored", "1");
       }
       if (useChunker) {
         endpoint.searchParams.set("useLLMChunker", "1");
       }
+      if (forceRerun) {
+        endpoint.searchParams.set("force", "true");
+      }
       const res = await fetch(endpoint.toString(), {
         method: "POST",
         body: fd,
@@ -89,10 +242,15 @@ export default function HomePage() {
     } catch (err) {
       setError(err.message || "Something went wrong");
     } finally {
+      eventSourceRef.current?.close();
+      eventSourceRef.current = null;
       setLoading(false);
     }
   }
 
+  const progressPercent = progress ? computeProgressPercent(progress) : 0;
+  const windowStatuses = progress?.windows?.filter(Boolean) ?? [];
+
   return (
     <main>
       <h1 style={{ fontSize: 28, fontWeight: 700, marginBottom: 8 }}>
@@ -133,6 +291,14 @@ export default function HomePage() {
           />
           <span>Use LLM chunker (multi-pass)</span>
         </label>
+        <label style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <input
+            type="checkbox"
+            checked={forceRerun}
+            onChange={(e) => setForceRerun(e.target.checked)}
+          />
+          <span>Re-run even if this PDF was parsed before</span>
+        </label>
         <button
           type="submit"
           disabled={loading}
@@ -150,6 +316,57 @@ export default function HomePage() {
         </button>
       </form>
 
+      {loading && progress && (
+        <section style={{ marginBottom: 16 }}>
+          <div style={{ display: "flex", justifyContent: "space-between", marginBottom: 6 }}>
+            <span>
+              <strong>Stage:</strong> {progress.stage}
+              {progress.totalPages
+                ? ` · pages ${progress.pagesExtracted}/${progress.totalPages}`
+                : ""}
+              {progress.chunks.total
+                ? ` · chunks ${progress.chunks.completed}/${progress.chunks.total}`
+                : ""}
+              {progress.budget
+                ? ` · spent $${Number(progress.budget.spentUsd || 0).toFixed(4)} of $${progress.budget.maxUsd}`
+                : ""}
+            </span>
+            <span>{progressPercent}%</span>
+          </div>
+          <div
+            style={{
+              height: 10,
+              background: "#1e293b",
+              borderRadius: 6,
+              overflow: "hidden",
+            }}
+          >
+            <div
+              style={{
+                width: `${progressPercent}%`,
+                height: "100%",
+                background: "#06b6d4",
+                transition: "width 0.3s ease",
+              }}
+            />
+          </div>
+          {!!windowStatuses.length && (
+            <ul style={{ margin: "10px 0 0", paddingLeft: 20 }}>
+              {windowStatuses.map((entry) => (
+                <li key={entry.index}>
+                  Window {entry.index + 1} (pages{" "}
+                  {entry.pageStart === entry.pageEnd
+                    ? entry.pageStart
+                    : `${entry.pageStart}–${entry.pageEnd}`}
+                  ): {entry.status}
+                  {entry.iteration ? ` · repair pass ${entry.iteration}` : ""}
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
       {error && (
         <div
           style={{
@@ -197,6 +414,11 @@ export default function HomePage() {
               <div>
                 <strong>Price fallback forced:</strong> {result.price_anchored_forced ? "yes" : "no"}
               </div>
+              {result.cache_hit && (
+                <div>
+                  <strong>Cached:</strong> reused the stored result for {result.docId}
+                </div>
+              )}
             </div>
           </section>
 
@@ -0,0 +1,104 @@
+/**
+ * Category hierarchy for assembled groups.
+ * Each group gets a `category_path` (e.g. ["Chemicals", "Solvents", "HPLC Grade"])
+ * taken, in order of preference, from the table of contents entry covering
+ * its first page, from the chapter headings above it, or from the keyword
+ * category. The paths are then folded into a tree with group counts per node
+ * for storefront navigation.
+ */
+
+import { titleKey } from './tocParser.js';
+
+function humanise(category) {
+  return String(category || 'general')
+    .split(/[_\s]+/)
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+function cleanPath(path) {
+  return (Array.isArray(path) ? path : [])
+    .map(part => String(part || '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+// A category path names the shelves above a product, not the product itself.
+function dropOwnTitle(path, title) {
+  if (path.length && titleKey(path[path.length - 1]) === titleKey(title)) {
+    return path.slice(0, -1);
+  }
+  return path;
+}
+
+// The last entry (in contents order) starting on or before the page is the section the page belongs to.
+function tocPathForPage(entries, pageNumber) {
+  if (!Number.isFinite(pageNumber)) return [];
+  let match = null;
+  for (const entry of entries) {
+    if (entry.pdfPage <= pageNumber && (!match || entry.pdfPage >= match.pdfPage)) match = entry;
+  }
+  return match ? match.path : [];
+}
+
+/**
+ * Sets `category_path` and `category_path_source` ('toc' | 'headings' |
+ * 'keyword') on every group, in place. Heading paths come from the group
+ * assembler, which records the chapter headings open when a group started.
+ */
+export function assignCategoryPaths(groups = [], { toc = null } = {}) {
+  const entries = Array.isArray(toc?.entries) ? toc.entries : [];
+  const sources = { toc: 0, headings: 0, keyword: 0 };
+  for (const group of groups) {
+    if (!group || typeof group !== 'object') continue;
+    const fromToc = dropOwnTitle(cleanPath(tocPathForPage(entries, group.pageStart)), group.title);
+    const fromHeadings = dropOwnTitle(cleanPath(group.category_path), group.title);
+    let source = 'keyword';
+    let path = [humanise(group.category)];
+    if (fromToc.length) {
+      source = 'toc';
+      path = fromToc;
+    } else if (fromHeadings.length) {
+      source = 'headings';
+      path = fromHeadings;
+    }
+    group.category_path = path;
+    group.category_path_source = source;
+    sources[source] += 1;
+  }
+  return sources;
+}
+
+/**
+ * Folds group category paths into `[{ name, path, groups, total, children }]`:
+ * `groups` counts groups filed directly under a node and `total` includes its
+ * descendants. Names are matched case-insensitively; the first spelling wins.
+ */
+export function buildCategoryTree(groups = []) {
+  const root = { children: new Map() };
+  for (const group of groups) {
+    const path = cleanPath(group?.category_path);
+    const effective = path.length ? path : [humanise(group?.category)];
+    let node = root;
+    const trail = [];
+    for (const name of effective) {
+      trail.push(name);
+      const key = titleKey(name) || name.toLowerCase();
+      if (!node.children.has(key)) {
+        node.children.set(key, { name, path: [...trail], groups: 0, total: 0, children: new Map() });
+      }
+      node = node.children.get(key);
+      node.total += 1;
+    }
+    node.groups += 1;
+  }
+  const toArray = node =>
+    [...node.children.values()].map(child => ({
+      name: child.name,
+      path: child.path,
+      groups: child.groups,
+      total: child.total,
+      children: toArray(child),
+    }));
+  return toArray(root);
+}
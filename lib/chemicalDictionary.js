@@ -0,0 +1,253 @@
+/**
+ * Offline chemical reference dictionary.
+ * A local file we supply maps CAS numbers to a preferred name, synonyms,
+ * molecular formula and molecular weight, as JSON (an array of entries or an
+ * object keyed by CAS) or CSV with a header row:
+ *
+ *   cas,name,synonyms,formula,mw
+ *   7647-14-5,Sodium chloride,Common salt;Halite,NaCl,58.44
+ *
+ * Variants whose CAS passes its check digit are looked up. A name that
+ * contains the entry's name or a synonym as whole words gains
+ * `chemical_name`, `molecular_formula` and `molecular_weight`. A name that
+ * only resembles one (cut short or garbled by OCR) keeps its printed text and
+ * gains `suggested_name` with the formula and weight, audited for review.
+ * Any other name is flagged, in `_audit` and as a group
+ * `cas_name_mismatch:<cas>` warning, and left as printed: the row's CAS column
+ * is probably shifted.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { isValidCas } from './identifiers.js';
+import { parseQuantities } from './units.js';
+
+const DICTIONARY_TUNING = {
+  // Edit-distance similarity above which a name is reported as close to a synonym.
+  nearSimilarity: 0.8,
+  // A name this short cannot be told apart from the start of many others.
+  minTruncatedLength: 4,
+};
+
+// Grade and marketing words that follow a chemical name but never identify it.
+const GRADE_WORDS = new Set([
+  'ar', 'lr', 'gr', 'acs', 'hplc', 'gc', 'ep', 'ip', 'bp', 'usp', 'cp', 'extra', 'pure', 'purified', 'reagent',
+  'grade', 'for', 'analysis', 'synthesis', 'laboratory', 'analytical', 'tech', 'technical', 'min', 'assay',
+]);
+const NAME_FIELDS = ['name', 'desc', 'description', 'material'];
+const loaded = new Map();
+
+function splitList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+  return String(value ?? '')
+    .split(/[;|]/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+function toEntry(raw = {}, cas = raw.cas) {
+  const mw = Number(raw.mw ?? raw.molecular_weight);
+  return {
+    cas: String(cas ?? '').trim(),
+    name: String(raw.name ?? raw.preferred_name ?? '').trim(),
+    synonyms: splitList(raw.synonyms),
+    formula: String(raw.formula ?? raw.molecular_formula ?? '').trim() || null,
+    mw: Number.isFinite(mw) && mw > 0 ? mw : null,
+  };
+}
+
+// RFC 4180 fields: commas and newlines inside double quotes, "" for a quote.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  const [header = [], ...body] = rows.filter(cells => cells.some(cell => cell.trim()));
+  const keys = header.map(cell => cell.trim().toLowerCase().replace(/\s+/g, '_'));
+  return body.map(cells => Object.fromEntries(keys.map((key, index) => [key, cells[index] ?? ''])));
+}
+
+/**
+ * Builds a dictionary from entries `{ cas, name, synonyms, formula, mw }`.
+ * Entries whose CAS fails its check digit, or that have no name, are left out
+ * and listed in `errors`.
+ */
+export function createChemicalDictionary(entries = []) {
+  const byCas = new Map();
+  const errors = [];
+  for (const raw of entries) {
+    const entry = toEntry(raw);
+    if (!isValidCas(entry.cas)) {
+      errors.push(`dictionary_invalid_cas:${entry.cas || '?'}`);
+    } else if (!entry.name) {
+      errors.push(`dictionary_missing_name:${entry.cas}`);
+    } else {
+      byCas.set(entry.cas, entry);
+    }
+  }
+  return {
+    size: byCas.size,
+    errors,
+    lookup: cas => (cas == null ? null : byCas.get(String(cas).trim()) || null),
+  };
+}
+
+/** Reads dictionary text; `format` is 'json' or 'csv' (JSON when the text opens with `[` or `{`). */
+export function parseChemicalDictionary(text, format = null) {
+  const source = String(text ?? '').replace(/^\uFEFF/, '');
+  const kind = format || (/^\s*[[{]/.test(source) ? 'json' : 'csv');
+  if (kind === 'csv') return createChemicalDictionary(parseCsv(source));
+  const data = JSON.parse(source);
+  const entries = Array.isArray(data) ? data : Object.entries(data).map(([cas, entry]) => toEntry(entry, cas));
+  return createChemicalDictionary(entries);
+}
+
+/**
+ * Loads a dictionary file once per path. A file that cannot be read or parsed
+ * gives an empty dictionary with the reason in `errors`, and is tried again on
+ * the next call.
+ */
+export async function loadChemicalDictionary(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!loaded.has(resolved)) {
+    const pending = fs
+      .readFile(resolved, 'utf8')
+      .then(text => parseChemicalDictionary(text, path.extname(resolved).toLowerCase() === '.csv' ? 'csv' : null));
+    loaded.set(resolved, pending);
+    pending.catch(() => loaded.delete(resolved));
+  }
+  return loaded
+    .get(resolved)
+    .catch(error => ({ ...createChemicalDictionary(), errors: [`dictionary_read_failed:${error.message}`] }));
+}
+
+/**
+ * The dictionary a pipeline run should use: `options.chemicalDictionary` if
+ * given, else the file at `options.chemicalDictionaryPath` or
+ * `CHEMICAL_DICTIONARY_PATH`; null when none is configured.
+ */
+export async function resolveChemicalDictionary(options = {}) {
+  if (options.chemicalDictionary) return options.chemicalDictionary;
+  const filePath = options.chemicalDictionaryPath || process.env.CHEMICAL_DICTIONARY_PATH;
+  return filePath ? loadChemicalDictionary(filePath) : null;
+}
+
+function nameWords(text) {
+  let source = String(text ?? '').toLowerCase();
+  for (const quantity of parseQuantities(source)) source = source.replace(quantity.raw, ' ');
+  return source
+    .replace(/\d+(?:\.\d+)?\s*%/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !GRADE_WORDS.has(word));
+}
+
+function containsRun(words, run) {
+  for (let start = 0; start + run.length <= words.length; start += 1) {
+    if (run.every((word, index) => words[start + index] === word)) return true;
+  }
+  return false;
+}
+
+function similarity(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length, 1);
+}
+
+/**
+ * How an extracted name relates to a dictionary entry: 'match' when the name
+ * or a synonym appears in it as whole words ("Sodium chloride AR 500 g"),
+ * 'near' when it only resembles one (cut short, an OCR slip, or another
+ * compound: "Sodium chlorate"), 'mismatch', or null when nothing but grade
+ * words and quantities is left to compare. "Methanol" is not "Ethanol".
+ */
+export function matchChemicalName(name, entry) {
+  const words = nameWords(name);
+  if (!words.length) return null;
+  const synonyms = [entry.name, ...entry.synonyms].map(nameWords).filter(run => run.length);
+  if (synonyms.some(run => containsRun(words, run))) return 'match';
+  const key = words.join('');
+  const near = synonyms.some(run => {
+    const synonym = run.join('');
+    const truncated = key.length >= DICTIONARY_TUNING.minTruncatedLength && synonym.startsWith(key);
+    return truncated || similarity(key, synonym) >= DICTIONARY_TUNING.nearSimilarity;
+  });
+  return near ? 'near' : 'mismatch';
+}
+
+function addAudit(variant, action, notes) {
+  variant._audit = variant._audit || [];
+  variant._audit.push({ rule: 'chemical_dictionary', action, notes });
+}
+
+/** Enriches and checks every variant of `group` against `dictionary`. */
+export function enrichGroupChemicals(group, dictionary) {
+  const variants = Array.isArray(group?.variants) ? group.variants : [];
+  const mismatched = new Set();
+  for (const variant of variants) {
+    if (!isValidCas(variant.cas)) continue;
+    const entry = dictionary.lookup(variant.cas);
+    if (!entry) continue;
+    const field = NAME_FIELDS.find(key => typeof variant[key] === 'string' && variant[key].trim());
+    const verdict = field ? matchChemicalName(variant[field], entry) : null;
+    if (verdict === 'mismatch') {
+      addAudit(variant, 'mismatch', `"${variant[field]}" is not a name for ${entry.cas} (${entry.name})`);
+      mismatched.add(entry.cas);
+      continue;
+    }
+    if (verdict === 'near') {
+      // Close enough to be this compound misprinted; the name stays as printed for a reviewer to confirm.
+      addAudit(variant, 'suggest', `"${variant[field]}" is close to ${entry.cas} (${entry.name})`);
+      variant.suggested_name = entry.name;
+    } else {
+      variant.chemical_name = entry.name;
+    }
+    if (entry.formula && variant.molecular_formula == null) variant.molecular_formula = entry.formula;
+    if (entry.mw != null && variant.molecular_weight == null) variant.molecular_weight = entry.mw;
+  }
+  if (mismatched.size) {
+    group._warnings = [...(group._warnings || []), ...[...mismatched].map(cas => `cas_name_mismatch:${cas}`)];
+  }
+  return group;
+}
+
+/** Runs `enrichGroupChemicals` over a catalog; a missing or empty dictionary leaves it untouched. */
+export function applyChemicalDictionary(groups = [], dictionary = null) {
+  if (!dictionary?.size) return groups;
+  for (const group of groups) enrichGroupChemicals(group, dictionary);
+  return groups;
+}
@@ -0,0 +1,276 @@
+/**
+ * Chemistry specs.
+ * Reagent rows print more than a purity: "C2H5OH", "M.W. 46.07", "0.1 N",
+ * "1 M", "37% w/v", "ACS, ≥99.5%". `chemistrySpecs` reads them from a
+ * variant's labelled columns (formula, MW, molarity, assay …) first and its
+ * name and description text second, into flat fields:
+ *
+ *   molecular_formula   'C2H6O', 'CuSO4·5H2O' (every symbol a real element;
+ *                       from text only in brackets or on a reagent row, so
+ *                       "CO2 incubator" has none)
+ *   molecular_weight    46.07 (g/mol)
+ *   molarity            0.1 (mol/L), from "0.1 M", "100 mM", "M/10"
+ *   normality           0.1 (eq/L), from "0.1 N", "N/10"
+ *   concentration_value, concentration_basis   37, 'w/v'
+ *   assay_value, assay_comparator              99.5, '>='
+ *
+ * Fields the row already has are kept. The pipelines run this once per
+ * catalog, after every extraction path, through `applyChemistryToGroups`.
+ */
+
+import { convert, parseQuantities } from './units.js';
+
+const ELEMENTS = new Set([
+  'H', 'He', 'Li', 'Be', 'B', 'C', 'N', 'O', 'F', 'Ne', 'Na', 'Mg', 'Al', 'Si', 'P', 'S', 'Cl', 'Ar', 'K', 'Ca',
+  'Sc', 'Ti', 'V', 'Cr', 'Mn', 'Fe', 'Co', 'Ni', 'Cu', 'Zn', 'Ga', 'Ge', 'As', 'Se', 'Br', 'Kr', 'Rb', 'Sr', 'Y',
+  'Zr', 'Nb', 'Mo', 'Tc', 'Ru', 'Rh', 'Pd', 'Ag', 'Cd', 'In', 'Sn', 'Sb', 'Te', 'I', 'Xe', 'Cs', 'Ba', 'La', 'Ce',
+  'Pr', 'Nd', 'Pm', 'Sm', 'Eu', 'Gd', 'Tb', 'Dy', 'Ho', 'Er', 'Tm', 'Yb', 'Lu', 'Hf', 'Ta', 'W', 'Re', 'Os', 'Ir',
+  'Pt', 'Au', 'Hg', 'Tl', 'Pb', 'Bi', 'Po', 'At', 'Rn', 'Fr', 'Ra', 'Ac', 'Th', 'Pa', 'U', 'Np', 'Pu', 'Am', 'Cm',
+  'Bk', 'Cf', 'Es', 'Fm', 'Md', 'No', 'Lr', 'Rf', 'Db', 'Sg', 'Bh', 'Hs', 'Mt', 'Ds', 'Rg', 'Cn', 'Nh', 'Fl', 'Mc',
+  'Lv', 'Ts', 'Og',
+]);
+
+const LABELLED_FIELDS = {
+  formula: /^(?:mol(?:ecular)?_)?formula$|^mf$/,
+  weight: /^(?:mw|m_w|mol_wt|mol_weight|molecular_weight|formula_weight|fw)$/,
+  strength: /molarity|normality|strength|^conc/,
+  assay: /assay|purity/,
+};
+const TEXT_FIELDS = ['name', 'description', 'desc', 'material', 'notes', 'grade', 'specification', 'specs'];
+const FORMULA_TEXT_FIELDS = ['name', 'description', 'desc', 'specification', 'specs'];
+// Words that mark a row as a reagent, where a bare formula-like word is the product's formula.
+const REAGENT_RE = new RegExp(
+  '\\b(?:AR|LR|GR|ACS|HPLC|GC|USP|BP|IP|EP|extra\\s+pure|reagent|anhydrous|crystals?|powder|solution|acid)\\b',
+  'i',
+);
+
+const MW_RE = new RegExp(
+  '(?:\\bm\\.?\\s?w(?:t)?\\.?|\\bmol(?:ecular|\\.)?\\s*w(?:eigh)?t\\.?|\\bf\\.?\\s?w\\.?|\\bformula\\s+weight)' +
+    '\\s*[:=]?\\s*(\\d+(?:\\.\\d+)?)|(\\d+(?:\\.\\d+)?)\\s*g\\s*\\/\\s*mol\\b',
+  'i',
+);
+// Case matters: "N" is normal, and "n" is not.
+const NORMALITY_RE = /(?<![\w.])(\d+(?:\.\d+)?)\s?N(?![\w/])|(?<![\w/])N\s?\/\s?(\d+)(?![\w.])/;
+const MOLAR_RE = new RegExp(
+  '(?<![\\w.])(\\d+(?:\\.\\d+)?)\\s*(?:mol\\s*\\/\\s*l(?:itre|iter)?|molar)\\b|(?<![\\w/])M\\s?\\/\\s?(\\d+)(?![\\w.])',
+  'i',
+);
+const BASIS_RE = new RegExp(
+  '(\\d+(?:\\.\\d+)?)\\s*%\\s*\\(?\\s*(w\\s*\\/\\s*w|w\\s*\\/\\s*v|v\\s*\\/\\s*v|wt|vol)\\b' +
+    '|(\\d+(?:\\.\\d+)?)\\s*(wt|vol)\\.?\\s*%',
+  'gi',
+);
+const ASSAY_RE = new RegExp(
+  '(≥|≤|>=|<=|>|<|\\bmin(?:imum)?\\b\\.?|\\bmax(?:imum)?\\b\\.?|\\bnlt\\b|\\bnmt\\b' +
+    '|\\bnot\\s+(?:less|more)\\s+than)?' +
+    '\\s*:?\\s*(?<![\\d.])(\\d{1,3}(?:\\.\\d+)?)\\s*%(?!\\s*\\(?\\s*(?:[wv]\\s*\\/|wt\\b|vol\\b))' +
+    '(?:\\s*\\(?(min(?:imum)?|max(?:imum)?)\\b)?',
+  'gi',
+);
+const ASSAY_LABEL_RE = /\b(?:assay|purity)\b[^%]{0,24}$/i;
+
+function comparatorFor(word) {
+  const text = String(word || '').toLowerCase().replace(/\.$/, '');
+  if (!text) return null;
+  if (['≥', '>=', 'min', 'minimum', 'nlt'].includes(text) || /less\s+than/.test(text)) return '>=';
+  if (['≤', '<=', 'max', 'maximum', 'nmt'].includes(text) || /more\s+than/.test(text)) return '<=';
+  return text;
+}
+
+function readCount(text, state) {
+  const match = text.slice(state.pos).match(/^\d+/);
+  if (!match) return 1;
+  state.pos += match[0].length;
+  state.digits = true;
+  return match[0].startsWith('0') ? 0 : Number(match[0]);
+}
+
+function readGroup(text, state) {
+  const counts = {};
+  while (state.pos < text.length && text[state.pos] !== ')') {
+    let part;
+    if (text[state.pos] === '(') {
+      state.pos += 1;
+      part = readGroup(text, state);
+      if (!part || text[state.pos] !== ')') return null;
+      state.pos += 1;
+    } else {
+      const symbol = text.slice(state.pos).match(/^[A-Z][a-z]?/)?.[0];
+      if (!symbol || !ELEMENTS.has(symbol)) return null;
+      state.pos += symbol.length;
+      part = { [symbol]: 1 };
+    }
+    const count = readCount(text, state);
+    if (!count) return null;
+    for (const [symbol, n] of Object.entries(part)) counts[symbol] = (counts[symbol] || 0) + n * count;
+  }
+  return counts;
+}
+
+/**
+ * Reads one molecular formula ("C2H5OH", "Ca(OH)2", "CuSO4·5H2O") into
+ * `{ formula, elements }`, or null. Every symbol must be an element, and it
+ * must name two or more of them with a count or a lower-case letter, so
+ * "ACS", "USP" or a lone "Co" are not formulas.
+ */
+export function parseFormula(text) {
+  const formula = String(text ?? '')
+    .trim()
+    .replace(/[₀-₉]/g, digit => String(digit.charCodeAt(0) - 0x2080))
+    .replace(/\s*[.·•*]\s*/g, '·');
+  if (!/^[A-Z(]/.test(formula)) return null;
+  const elements = {};
+  const state = { pos: 0, digits: false };
+  for (const [index, part] of formula.split('·').entries()) {
+    state.pos = 0;
+    const multiplier = index ? readCount(part, state) : 1;
+    const counts = readGroup(part, state);
+    if (!counts || !multiplier || state.pos !== part.length || !Object.keys(counts).length) return null;
+    for (const [symbol, n] of Object.entries(counts)) elements[symbol] = (elements[symbol] || 0) + n * multiplier;
+  }
+  if (Object.keys(elements).length < 2 || !(state.digits || /[a-z]/.test(formula))) return null;
+  return { formula, elements };
+}
+
+/**
+ * The first word of `text` that reads as a molecular formula. With
+ * `bracketed`, only a word in brackets counts: "Hydrochloric acid (HCl)".
+ */
+export function findFormula(text, { bracketed = false } = {}) {
+  const words = String(text ?? '').split(/[\s,;:/]+/);
+  for (const word of words) {
+    let token = word.replace(/^["'[]+|["'\].]+$/g, '');
+    if (/^\(.*\)$/.test(token)) {
+      const found = parseFormula(token.slice(1, -1));
+      if (found) return found;
+    }
+    if (bracketed) continue;
+    if (token.startsWith('(') && !token.includes(')')) token = token.slice(1);
+    if (token.endsWith(')') && !token.includes('(')) token = token.slice(0, -1);
+    const found = parseFormula(token);
+    if (found) return found;
+  }
+  return null;
+}
+
+/** A labelled molecular weight ("M.W. 46.07", "Mol. Wt.: 58.44", "46.07 g/mol") in g/mol. */
+export function parseMolecularWeight(text) {
+  const match = String(text ?? '').match(MW_RE);
+  const value = match ? Number(match[1] ?? match[2]) : NaN;
+  return value > 0 ? value : null;
+}
+
+/**
+ * Solution strength: `{ molarity }` in mol/L or `{ normality }` in eq/L, or
+ * null. `labelled` says the text is a molarity or strength column; elsewhere
+ * "1 M" needs chemistry beside it (see `parseQuantities`).
+ */
+export function parseStrength(text, { labelled = false } = {}) {
+  const source = String(text ?? '');
+  const normal = source.match(NORMALITY_RE);
+  if (normal) return { normality: normal[1] != null ? Number(normal[1]) : 1 / Number(normal[2]) };
+  const molar = parseQuantities(source, { concentration: labelled }).find(
+    quantity => quantity.dimension === 'concentration',
+  );
+  if (molar) return { molarity: convert(molar.value, molar.unit, 'M') };
+  const spelled = source.match(MOLAR_RE);
+  if (spelled) return { molarity: spelled[1] != null ? Number(spelled[1]) : 1 / Number(spelled[2]) };
+  return null;
+}
+
+/** A percentage with its basis ("37% w/v", "10 % (v/v)", "30 wt%"): `{ value, basis }`. */
+export function parseConcentration(text) {
+  for (const match of String(text ?? '').matchAll(BASIS_RE)) {
+    const value = Number(match[1] ?? match[3]);
+    const basis = (match[2] ?? match[4]).toLowerCase().replace(/\s+/g, '');
+    if (value > 100) continue;
+    return { value, basis: basis === 'wt' ? 'w/w' : basis === 'vol' ? 'v/v' : basis };
+  }
+  return null;
+}
+
+/**
+ * An assay percentage with its comparator ("≥99.5%", "99% min", "Assay
+ * (GC): 98.0 %"): `{ value, comparator }`, comparator one of '>=', '<=', '>',
+ * '<' or '='. In free text a percentage counts only after "assay"/"purity"
+ * or behind a minimum: a bare "max 0.01%" is an impurity limit. `labelled`
+ * says the text is an assay or purity column, where any percentage counts.
+ */
+export function parseAssay(text, { labelled = false } = {}) {
+  const source = String(text ?? '');
+  for (const match of source.matchAll(ASSAY_RE)) {
+    const value = Number(match[2]);
+    if (value <= 0 || value > 100) continue;
+    const comparator = comparatorFor(match[1] || match[3]) || '=';
+    const named = labelled || ASSAY_LABEL_RE.test(source.slice(0, match.index));
+    if (named || comparator === '>=' || comparator === '>') return { value, comparator };
+  }
+  return null;
+}
+
+function labelledValues(variant, kind) {
+  return Object.entries(variant)
+    .filter(([key, value]) => LABELLED_FIELDS[kind].test(key) && (typeof value === 'string' || Number.isFinite(value)))
+    .map(([, value]) => String(value));
+}
+
+/** The chemistry fields `variant`'s columns and text yield (see the module comment). */
+export function chemistrySpecs(variant = {}) {
+  const text = TEXT_FIELDS.map(key => variant[key])
+    .filter(value => typeof value === 'string')
+    .join(' | ');
+  const specs = {};
+
+  const weights = labelledValues(variant, 'weight').map(value => Number(value.replace(/\s*g\s*\/\s*mol\b/i, '')));
+  const weight = weights.find(value => value > 0) ?? parseMolecularWeight(text);
+  if (weight) specs.molecular_weight = weight;
+
+  const strengthTexts = [...labelledValues(variant, 'strength'), text];
+  const strength =
+    labelledValues(variant, 'strength')
+      .map(value => parseStrength(value, { labelled: true }))
+      .find(Boolean) || parseStrength(text);
+  if (strength) Object.assign(specs, strength);
+  const concentration = strengthTexts.map(value => parseConcentration(value)).find(Boolean);
+  if (concentration) {
+    specs.concentration_value = concentration.value;
+    specs.concentration_basis = concentration.basis;
+  }
+
+  const assay =
+    labelledValues(variant, 'assay')
+      .map(value => parseAssay(value, { labelled: true }))
+      .find(Boolean) || parseAssay(text);
+  if (assay) {
+    specs.assay_value = assay.value;
+    specs.assay_comparator = assay.comparator;
+  }
+
+  // "CO2 incubator" and "H2O2 sterilizer" name equipment; a bare formula counts only on a reagent row.
+  const formulaText = FORMULA_TEXT_FIELDS.map(key => variant[key])
+    .filter(value => typeof value === 'string')
+    .join(' | ');
+  const reagent = variant.cas != null || Object.keys(specs).length > 0 || REAGENT_RE.test(text);
+  const formula =
+    labelledValues(variant, 'formula')
+      .map(value => parseFormula(value))
+      .find(Boolean) || findFormula(formulaText, { bracketed: !reagent });
+  if (formula) specs.molecular_formula = formula.formula;
+  return specs;
+}
+
+/** Adds `chemistrySpecs` fields the variant lacks; a `molecular_weight` printed as text becomes a number. */
+export function applyChemistrySpecs(variant) {
+  for (const [key, value] of Object.entries(chemistrySpecs(variant))) {
+    if (variant[key] == null || (key === 'molecular_weight' && typeof variant[key] === 'string')) variant[key] = value;
+  }
+  return variant;
+}
+
+/** Runs `applyChemistrySpecs` over every variant of a catalog. */
+export function applyChemistryToGroups(groups = []) {
+  for (const group of groups) {
+    for (const variant of Array.isArray(group?.variants) ? group.variants : []) applyChemistrySpecs(variant);
+  }
+  return groups;
+}
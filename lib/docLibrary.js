@@ -0,0 +1,236 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+
+import { getDataDir, pathExists, readJson, removeDir, stat } from './io.js';
+import { listActiveJobs } from './jobs/jobStore.js';
+import { forgetDoc } from './uploadIndex.js';
+
+const DOC_ID_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,127}$/;
+const ARTIFACT_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]*\.json$/;
+const ARTIFACT_SEGMENT_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+// Subdirectories the pipeline writes artifacts into: per-window runs (windows/<n>/),
+// the price-anchored QC report (price_fallback/) and job state (jobs/).
+const ARTIFACT_DIRS = new Set(['windows', 'price_fallback', 'jobs']);
+const MAX_ARTIFACT_DEPTH = 3;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Catalog locations in order of preference: single-pass/chunker runs, then windowed runs.
+const CATALOG_CANDIDATES = [
+  ['artifacts', 'catalog.json'],
+  ['merged.catalog.json'],
+];
+
+export class DocLibraryError extends Error {
+  constructor(message, status = 400, details = undefined) {
+    super(message);
+    this.name = 'DocLibraryError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export function isValidDocId(docId) {
+  return typeof docId === 'string' && DOC_ID_RE.test(docId) && !docId.includes('..');
+}
+
+function assertDocId(docId) {
+  if (!isValidDocId(docId)) {
+    throw new DocLibraryError('Invalid docId.', 400);
+  }
+}
+
+async function assertDocExists(docId) {
+  assertDocId(docId);
+  const dataDir = getDataDir(docId);
+  if (!(await pathExists(dataDir))) {
+    throw new DocLibraryError(`Document ${docId} not found.`, 404);
+  }
+  return dataDir;
+}
+
+/**
+ * Whether `name` names an artifact: a JSON file at the top of the document or
+ * its artifacts directory, or below one of `ARTIFACT_DIRS`
+ * ("windows/0/final.groups.json").
+ */
+export function isValidArtifactName(name) {
+  if (typeof name !== 'string' || name.includes('..')) return false;
+  const segments = name.split('/');
+  const file = segments.pop();
+  return ARTIFACT_NAME_RE.test(file) && (!segments.length || isArtifactDir(segments));
+}
+
+function isArtifactDir(segments) {
+  return (
+    segments.length < MAX_ARTIFACT_DEPTH &&
+    ARTIFACT_DIRS.has(segments[0]) &&
+    segments.every(segment => ARTIFACT_SEGMENT_RE.test(segment))
+  );
+}
+
+async function collectArtifactNames(dir, segments, names) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (!error || error.code !== 'ENOENT') throw error;
+    return;
+  }
+  for (const entry of entries) {
+    const name = [...segments, entry.name].join('/');
+    if (entry.isFile() && isValidArtifactName(name) && name !== 'manifest.json') {
+      names.add(name);
+    } else if (entry.isDirectory() && isArtifactDir([...segments, entry.name])) {
+      await collectArtifactNames(path.join(dir, entry.name), [...segments, entry.name], names);
+    }
+  }
+}
+
+async function listArtifactNames(dataDir) {
+  const names = new Set();
+  for (const dir of [path.join(dataDir, 'artifacts'), dataDir]) {
+    await collectArtifactNames(dir, [], names);
+  }
+  return [...names].sort();
+}
+
+async function loadManifest(docId, dataDir) {
+  const manifestPath = path.join(dataDir, 'manifest.json');
+  if (await pathExists(manifestPath)) {
+    try {
+      return await readJson(manifestPath);
+    } catch (error) {
+      console.warn(`[docs] unreadable manifest for ${docId}:`, error);
+    }
+  }
+  // Older runs and CLI replays only left artifacts behind; describe them from the filesystem.
+  const info = await stat(dataDir);
+  return {
+    docId,
+    generated_at: info.mtime.toISOString(),
+    source: null,
+    extraction_version: null,
+    status: 'unknown',
+    warnings: [],
+    artifacts: {},
+  };
+}
+
+function summariseManifest(manifest, artifacts) {
+  return {
+    docId: manifest.docId,
+    filename: manifest.source?.filename ?? null,
+    pages: manifest.source?.pages ?? null,
+    status: manifest.status || 'unknown',
+    extraction_version: manifest.extraction_version ?? null,
+    generated_at: manifest.generated_at ?? null,
+    warnings: Array.isArray(manifest.warnings) ? manifest.warnings.length : 0,
+    artifacts,
+  };
+}
+
+function parseDateFilter(value, label) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  if (!Number.isFinite(time)) {
+    throw new DocLibraryError(`Invalid ${label} date: ${value}`, 400);
+  }
+  return time;
+}
+
+function parsePositiveInt(value, defaultValue, max = Infinity) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 1) return defaultValue;
+  return Math.min(parsed, max);
+}
+
+export async function listDocs({ filename, status, from, to, page, pageSize } = {}) {
+  const fromTime = parseDateFilter(from, 'from');
+  const toTime = parseDateFilter(to, 'to');
+  const resolvedPage = parsePositiveInt(page, 1);
+  const resolvedPageSize = parsePositiveInt(pageSize, DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const filenameNeedle = filename ? String(filename).toLowerCase() : null;
+
+  let entries;
+  try {
+    entries = await fs.readdir(getDataDir(), { withFileTypes: true });
+  } catch (error) {
+    if (error && error.code === 'ENOENT') entries = [];
+    else throw error;
+  }
+
+  const docs = [];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !isValidDocId(entry.name)) continue;
+    const dataDir = getDataDir(entry.name);
+    const manifest = await loadManifest(entry.name, dataDir);
+    const summary = summariseManifest(manifest, await listArtifactNames(dataDir));
+    if (filenameNeedle && !String(summary.filename || '').toLowerCase().includes(filenameNeedle)) continue;
+    if (status && summary.status !== status) continue;
+    const generatedTime = Date.parse(summary.generated_at || '');
+    if (fromTime != null && !(generatedTime >= fromTime)) continue;
+    if (toTime != null && !(generatedTime <= toTime)) continue;
+    docs.push(summary);
+  }
+
+  docs.sort((a, b) => String(b.generated_at || '').localeCompare(String(a.generated_at || '')));
+  const offset = (resolvedPage - 1) * resolvedPageSize;
+  return {
+    docs: docs.slice(offset, offset + resolvedPageSize),
+    page: resolvedPage,
+    pageSize: resolvedPageSize,
+    total: docs.length,
+    totalPages: Math.ceil(docs.length / resolvedPageSize),
+  };
+}
+
+export async function loadCatalog(docId) {
+  const dataDir = await assertDocExists(docId);
+  for (const segments of CATALOG_CANDIDATES) {
+    const candidate = path.join(dataDir, ...segments);
+    if (await pathExists(candidate)) {
+      return readJson(candidate);
+    }
+  }
+  return null;
+}
+
+export async function getDoc(docId) {
+  const dataDir = await assertDocExists(docId);
+  const manifest = await loadManifest(docId, dataDir);
+  const artifacts = await listArtifactNames(dataDir);
+  const catalog = await loadCatalog(docId);
+  return { docId, manifest, artifacts, catalog };
+}
+
+export async function resolveArtifactPath(docId, name) {
+  const dataDir = await assertDocExists(docId);
+  if (!isValidArtifactName(name)) {
+    throw new DocLibraryError('Invalid artifact name.', 400);
+  }
+  for (const dir of [path.join(dataDir, 'artifacts'), dataDir]) {
+    const candidate = path.join(dir, ...name.split('/'));
+    if (await pathExists(candidate)) {
+      return candidate;
+    }
+  }
+  throw new DocLibraryError(`Artifact ${name} not found for ${docId}.`, 404);
+}
+
+/**
+ * Removes a document and its upload-index entries. Refused with 409 while one
+ * of its jobs is still queued or running, which would write into it again.
+ */
+export async function deleteDoc(docId) {
+  const dataDir = await assertDocExists(docId);
+  const activeJobs = await listActiveJobs(docId);
+  if (activeJobs.length) {
+    throw new DocLibraryError(`Document ${docId} has a job in progress; cancel it first.`, 409, {
+      jobIds: activeJobs.map(job => job.jobId),
+    });
+  }
+  await removeDir(dataDir);
+  await forgetDoc(docId);
+  return { docId, deleted: true };
+}
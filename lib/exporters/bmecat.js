@@ -0,0 +1,301 @@
+import { createHash } from 'node:crypto';
+
+import { collectSpecColumns, flattenVariant } from './catalogRows.js';
+
+const BMECAT_NAMESPACE = 'http://www.bmecat.org/bmecat/2005';
+const MAX_DESCRIPTION_SHORT = 150;
+const MAX_SUPPLIER_PID = 32;
+const MAX_SUPPLIER_ALT_PID = 50;
+const ROOT_GROUP_ID = 'root';
+
+// UN/ECE Recommendation 20 codes for the pack units lib/units.js reads.
+const CONTENT_UNITS = {
+  ug: 'MC',
+  mg: 'MGM',
+  g: 'GRM',
+  gm: 'GRM',
+  kg: 'KGM',
+  ul: '4G',
+  ml: 'MLT',
+  l: 'LTR',
+  litre: 'LTR',
+};
+const PIECE_UNIT = 'C62';
+
+// Normalised fields that become FEATURE blocks alongside the group's spec columns.
+const FEATURE_FIELDS = [
+  { key: 'grade', name: 'Grade' },
+  { key: 'purity_value', name: 'Purity', unit: '%' },
+  { key: 'assay_value', name: 'Assay', unit: '%' },
+  { key: 'molecular_formula', name: 'Molecular formula' },
+  { key: 'molecular_weight', name: 'Molecular weight', unit: 'g/mol' },
+  { key: 'molarity', name: 'Molarity', unit: 'mol/l' },
+  { key: 'normality', name: 'Normality', unit: 'eq/l' },
+  { key: 'cas', name: 'CAS number' },
+  { key: 'ec', name: 'EC number' },
+  { key: 'hsn', name: 'HS code' },
+];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function element(name, value, attrs = '') {
+  return `<${name}${attrs}>${escapeXml(value)}</${name}>`;
+}
+
+function slugify(value) {
+  return (
+    String(value || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 40) || 'group'
+  );
+}
+
+// Keeps the start of an over-long code readable and a hash of the whole code unique.
+function shortenPid(code) {
+  const hash = createHash('sha1').update(code).digest('hex').slice(0, 8);
+  return `${code.slice(0, MAX_SUPPLIER_PID - hash.length - 1)}-${hash}`;
+}
+
+function formatAmount(value) {
+  return Number(value).toFixed(2);
+}
+
+function buildGroupTree(groups) {
+  const categories = new Map();
+  const leafIds = new Map();
+  const usedIds = new Set([ROOT_GROUP_ID]);
+  const uniqueId = base => {
+    let id = base;
+    let suffix = 2;
+    while (usedIds.has(id)) id = `${base}_${suffix++}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  groups.forEach((group, index) => {
+    const category = group.category || 'general';
+    if (!categories.has(category)) {
+      categories.set(category, { id: uniqueId(`cat_${slugify(category)}`), name: category, leaves: [] });
+    }
+    const node = categories.get(category);
+    const leafId = uniqueId(`grp_${slugify(group.title || `${category} ${index + 1}`)}`);
+    node.leaves.push({ id: leafId, name: group.title || category });
+    leafIds.set(group, leafId);
+  });
+
+  return { categories: [...categories.values()], leafIds };
+}
+
+function renderStructure({ id, name, parentId, type }) {
+  return [
+    `<CATALOG_STRUCTURE type="${type}">`,
+    element('GROUP_ID', id),
+    element('GROUP_NAME', name),
+    element('PARENT_ID', parentId),
+    '</CATALOG_STRUCTURE>',
+  ].join('');
+}
+
+function collectFeatures(variant, specColumns) {
+  const features = [];
+  const seen = new Set();
+  for (const field of FEATURE_FIELDS) {
+    const value = variant[field.key];
+    if (value == null || value === '') continue;
+    seen.add(field.key);
+    features.push({ name: field.name, value, unit: field.unit });
+  }
+  for (const column of specColumns) {
+    if (seen.has(column)) continue;
+    const value = variant[column];
+    if (value == null || value === '' || typeof value === 'object') continue;
+    features.push({ name: column, value });
+  }
+  return features;
+}
+
+function renderFeature({ name, value, unit }) {
+  return ['<FEATURE>', element('FNAME', name), element('FVALUE', value), unit ? element('FUNIT', unit) : '', '</FEATURE>'].join('');
+}
+
+function renderOrderDetails(row) {
+  const contentUnit = row.pack_unit ? CONTENT_UNITS[String(row.pack_unit).toLowerCase()] : null;
+  const contentQty = (row.pack_qty || 0) * (row.pack_multiplier || 1);
+  const measured = contentUnit && contentQty > 0;
+  return [
+    '<PRODUCT_ORDER_DETAILS>',
+    element('ORDER_UNIT', PIECE_UNIT),
+    element('CONTENT_UNIT', measured ? contentUnit : PIECE_UNIT),
+    element('NO_CU_PER_OU', measured ? Number(contentQty.toFixed(6)) : 1),
+    '</PRODUCT_ORDER_DETAILS>',
+  ].join('');
+}
+
+// The features are the catalog's own, not ETIM or eCl@ss ones, so they reference no feature
+// system and name the product's catalog group as their feature group.
+function renderFeatures(features, { featureSystemName, featureGroupId }) {
+  if (!features.length) return '';
+  return [
+    '<PRODUCT_FEATURES>',
+    element('REFERENCE_FEATURE_SYSTEM_NAME', featureSystemName),
+    element('REFERENCE_FEATURE_GROUP_ID', featureGroupId),
+    ...features.map(renderFeature),
+    '</PRODUCT_FEATURES>',
+  ].join('');
+}
+
+function renderProduct({ pid, altPid, row, features, featureSystemName, featureGroupId, priceType }) {
+  const description = String(row.name || row.group_title || pid).replace(/\s+/g, ' ').trim();
+  return [
+    '<PRODUCT mode="new">',
+    element('SUPPLIER_PID', pid),
+    '<PRODUCT_DETAILS>',
+    element('DESCRIPTION_SHORT', description.slice(0, MAX_DESCRIPTION_SHORT)),
+    description.length > MAX_DESCRIPTION_SHORT ? element('DESCRIPTION_LONG', description) : '',
+    altPid ? element('SUPPLIER_ALT_PID', altPid) : '',
+    '</PRODUCT_DETAILS>',
+    renderFeatures(features, { featureSystemName, featureGroupId }),
+    renderOrderDetails(row),
+    '<PRODUCT_PRICE_DETAILS>',
+    `<PRODUCT_PRICE price_type="${escapeXml(priceType)}">`,
+    element('PRICE_AMOUNT', formatAmount(row.price_value)),
+    element('PRICE_CURRENCY', row.price_currency),
+    '</PRODUCT_PRICE>',
+    '</PRODUCT_PRICE_DETAILS>',
+    '</PRODUCT>',
+  ].join('');
+}
+
+/**
+ * Writes a BMEcat 2005 T_NEW_CATALOG document. Categories become
+ * CATALOG_STRUCTURE nodes and catalog groups their leaves; each priced
+ * variant becomes a PRODUCT mapped to its leaf. Variants without a code get
+ * a generated SUPPLIER_PID (`pidPrefix` + position) and are counted in the
+ * summary. Codes longer than the schema's 32 characters are shortened with a
+ * hash, kept in SUPPLIER_ALT_PID when they fit its 50 and listed in full in
+ * `summary.shortened_pids`; unpriced variants are returned in `rejects`.
+ */
+export function toBmecat(
+  catalog = {},
+  {
+    catalogId = 'catalog',
+    catalogName = null,
+    catalogVersion = '1.0',
+    language = 'eng',
+    supplierName = 'Unknown supplier',
+    priceType = 'net_list',
+    pidPrefix = 'AUTO-',
+    featureSystemName = 'no_cas_system',
+  } = {},
+) {
+  const groups = (Array.isArray(catalog?.groups) ? catalog.groups : []).filter(
+    group => Array.isArray(group?.variants) && group.variants.length,
+  );
+  const { categories, leafIds } = buildGroupTree(groups);
+  const products = [];
+  const mappings = [];
+  const rejects = [];
+  const currencies = new Set();
+  const usedPids = new Set();
+  const shortenedPids = [];
+  let generatedPids = 0;
+
+  groups.forEach((group, groupIndex) => {
+    const specColumns = collectSpecColumns([group]);
+    group.variants.forEach((variant, variantIndex) => {
+      if (!variant || typeof variant !== 'object') return;
+      const row = flattenVariant(variant, group);
+      if (row.price_value == null || !row.price_currency) {
+        const reason = row.price_value == null ? 'missing_price' : 'missing_currency';
+        rejects.push({ group_title: row.group_title, code: row.code, name: row.name, reason });
+        return;
+      }
+      let pid = row.code ? String(row.code) : null;
+      const longCode = pid && pid.length > MAX_SUPPLIER_PID ? pid : null;
+      if (!pid) {
+        pid = `${pidPrefix}${groupIndex + 1}-${variantIndex + 1}`;
+        generatedPids += 1;
+      } else if (longCode) {
+        pid = shortenPid(longCode);
+      }
+      if (usedPids.has(pid)) {
+        rejects.push({ group_title: row.group_title, code: row.code, name: row.name, reason: 'duplicate_supplier_pid' });
+        return;
+      }
+      usedPids.add(pid);
+      if (longCode) shortenedPids.push({ code: longCode, pid });
+      currencies.add(row.price_currency);
+      products.push(
+        renderProduct({
+          pid,
+          altPid: longCode && longCode.length <= MAX_SUPPLIER_ALT_PID ? longCode : null,
+          row,
+          features: collectFeatures(variant, specColumns),
+          featureSystemName,
+          featureGroupId: leafIds.get(group),
+          priceType,
+        }),
+      );
+      mappings.push(
+        ['<PRODUCT_TO_CATALOGGROUP_MAP>', element('PROD_ID', pid), element('CATALOG_GROUP_ID', leafIds.get(group)), '</PRODUCT_TO_CATALOGGROUP_MAP>'].join(''),
+      );
+    });
+  });
+
+  const structures = [renderStructure({ id: ROOT_GROUP_ID, name: catalogName || catalogId, parentId: '0', type: 'root' })];
+  for (const category of categories) {
+    structures.push(renderStructure({ id: category.id, name: category.name, parentId: ROOT_GROUP_ID, type: 'node' }));
+    for (const leaf of category.leaves) {
+      structures.push(renderStructure({ id: leaf.id, name: leaf.name, parentId: category.id, type: 'leaf' }));
+    }
+  }
+
+  const header = [
+    '<HEADER>',
+    element('GENERATOR_INFO', 'json-agent catalog export'),
+    '<CATALOG>',
+    element('LANGUAGE', language, ' default="true"'),
+    element('CATALOG_ID', catalogId),
+    element('CATALOG_VERSION', catalogVersion),
+    catalogName ? element('CATALOG_NAME', catalogName) : '',
+    // A catalog-wide currency only makes sense when every price shares it.
+    currencies.size === 1 ? element('CURRENCY', [...currencies][0]) : '',
+    '</CATALOG>',
+    `<SUPPLIER>${element('SUPPLIER_NAME', supplierName)}</SUPPLIER>`,
+    '</HEADER>',
+  ].join('');
+
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<BMECAT version="2005" xmlns="${BMECAT_NAMESPACE}">`,
+    header,
+    '<T_NEW_CATALOG>',
+    `<CATALOG_GROUP_SYSTEM>${element('GROUP_SYSTEM_ID', `${catalogId}-groups`)}${structures.join('\n')}</CATALOG_GROUP_SYSTEM>`,
+    ...products,
+    ...mappings,
+    '</T_NEW_CATALOG>',
+    '</BMECAT>',
+  ].join('\n');
+
+  return {
+    xml,
+    rejects,
+    summary: {
+      products: products.length,
+      catalog_groups: structures.length,
+      generated_pids: generatedPids,
+      shortened_pids: shortenedPids,
+      currencies: [...currencies],
+      rejected: rejects.length,
+    },
+  };
+}
@@ -0,0 +1,196 @@
+import { formatQuantity, parsePack } from '../units.js';
+
+export const BASE_COLUMNS = [
+  'group_title',
+  'category',
+  'code',
+  'name',
+  'cas',
+  'hsn',
+  'pack_size',
+  'pack_qty',
+  'pack_unit',
+  'pack_multiplier',
+  'price_value',
+  'price_currency',
+  'price_per_unit',
+  'confidence',
+  'page_start',
+  'page_end',
+];
+
+// specs_headers that already map onto one of the base columns.
+const SPEC_COLUMNS_COVERED = new Set([
+  'code',
+  'name',
+  'cas',
+  'hsn',
+  'pack',
+  'pack_size',
+  'price',
+  'price_inr',
+  'mrp',
+  'price_mrp',
+  'price_value',
+  'currency',
+]);
+
+function firstDefined(...values) {
+  for (const value of values) {
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+}
+
+function toFiniteNumber(value) {
+  if (value == null || value === '') return null;
+  const num = typeof value === 'number' ? value : Number(String(value).replace(/[^0-9.-]/g, ''));
+  return Number.isFinite(num) ? num : null;
+}
+
+function resolvePack(variant) {
+  if (variant.pack && typeof variant.pack === 'object') {
+    return {
+      text: variant.pack_size || formatQuantity(variant.pack),
+      qty: variant.pack.qty ?? null,
+      unit: variant.pack.unit ?? null,
+      multiplier: variant.pack.multiplier ?? 1,
+      baseTotal: variant.pack.base_total ?? variant.pack.base ?? null,
+    };
+  }
+  const text = firstDefined(variant.pack_size, typeof variant.pack === 'string' ? variant.pack : null, variant.size);
+  if (variant.pack_qty != null || variant.pack_unit) {
+    return {
+      text,
+      qty: variant.pack_qty ?? null,
+      unit: variant.pack_unit ?? null,
+      multiplier: variant.pack_multiplier ?? 1,
+      baseTotal: null,
+    };
+  }
+  const parsed = text ? parsePack(text) : null;
+  if (parsed) {
+    return {
+      text,
+      qty: parsed.qty,
+      unit: parsed.unit,
+      multiplier: parsed.multiplier,
+      baseTotal: parsed.base_total,
+    };
+  }
+  return { text, qty: null, unit: null, multiplier: null, baseTotal: null };
+}
+
+function collectProvenancePages(variant, group) {
+  const entries = Array.isArray(variant._provenance)
+    ? variant._provenance
+    : variant._provenance
+    ? [variant._provenance]
+    : [];
+  const starts = entries.map(entry => entry?.pageStart).filter(Number.isFinite);
+  const ends = entries.map(entry => entry?.pageEnd ?? entry?.pageStart).filter(Number.isFinite);
+  return {
+    pageStart: starts.length ? Math.min(...starts) : group.pageStart ?? null,
+    pageEnd: ends.length ? Math.max(...ends) : group.pageEnd ?? group.pageStart ?? null,
+  };
+}
+
+function stringifyCell(value) {
+  if (value == null) return null;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+export function collectSpecColumns(groups = []) {
+  const columns = [];
+  const seen = new Set([...BASE_COLUMNS, ...SPEC_COLUMNS_COVERED]);
+  for (const group of groups) {
+    for (const header of group?.specs_headers || []) {
+      if (!header || seen.has(header)) continue;
+      seen.add(header);
+      columns.push(header);
+    }
+  }
+  return columns;
+}
+
+export function flattenVariant(variant, group, specColumns = []) {
+  const pack = resolvePack(variant);
+  const price = toFiniteNumber(
+    firstDefined(
+      variant.price_mrp_value,
+      variant.price_value,
+      variant.price_list_value,
+      variant.price_net_value,
+      variant.price_inr,
+    ),
+  );
+  let pricePerUnit = toFiniteNumber(variant.price_per_unit);
+  if (pricePerUnit == null && price != null && pack.baseTotal > 0) {
+    pricePerUnit = price / pack.baseTotal;
+  }
+  const pages = collectProvenancePages(variant, group);
+  const row = {
+    group_title: group.title || null,
+    category: group.category || 'general',
+    code: firstDefined(variant.code),
+    name: firstDefined(variant.name, variant.desc, variant.description),
+    cas: firstDefined(variant.cas),
+    hsn: firstDefined(variant.hsn),
+    pack_size: pack.text,
+    pack_qty: pack.qty,
+    pack_unit: pack.unit,
+    pack_multiplier: pack.multiplier,
+    price_value: price,
+    price_currency: firstDefined(variant.price_currency, variant.currency),
+    price_per_unit: pricePerUnit,
+    confidence: toFiniteNumber(firstDefined(variant._confidence, variant.confidence)),
+    page_start: pages.pageStart,
+    page_end: pages.pageEnd,
+  };
+  for (const column of specColumns) {
+    row[column] = stringifyCell(variant[column] ?? null);
+  }
+  return row;
+}
+
+export function collectWarnings({ groups = [], warnings = [] } = {}) {
+  const out = [];
+  for (const warning of warnings || []) {
+    out.push({ scope: 'document', group_title: null, code: null, message: String(warning) });
+  }
+  for (const group of groups) {
+    for (const warning of group?._warnings || []) {
+      out.push({ scope: 'group', group_title: group.title || null, code: null, message: String(warning) });
+    }
+    for (const variant of group?.variants || []) {
+      for (const anomaly of variant?._anomaly || []) {
+        out.push({
+          scope: 'variant',
+          group_title: group.title || null,
+          code: variant.code || null,
+          message: anomaly?.type ? `${anomaly.type}: ${JSON.stringify(anomaly)}` : String(anomaly),
+        });
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Flattens the nested groups → variants catalog into one row per variant.
+ * Returns the ordered column list (base columns followed by any
+ * specs_headers columns) alongside the rows.
+ */
+export function flattenCatalog(catalog = {}) {
+  const groups = Array.isArray(catalog?.groups) ? catalog.groups : [];
+  const specColumns = collectSpecColumns(groups);
+  const rows = [];
+  for (const group of groups) {
+    for (const variant of group?.variants || []) {
+      if (!variant || typeof variant !== 'object') continue;
+      rows.push(flattenVariant(variant, group, specColumns));
+    }
+  }
+  return { columns: [...BASE_COLUMNS, ...specColumns], rows };
+}
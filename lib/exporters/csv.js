@@ -0,0 +1,26 @@
+const NEEDS_QUOTES_RE = /[",\r\n]/;
+const FORMULA_START_RE = /^[=+\-@\t\r]/;
+
+/** Prefixes text a spreadsheet would run as a formula ("=HYPERLINK(…)", "@SUM") with `'`; numbers pass through. */
+export function escapeFormula(value) {
+  if (typeof value !== 'string' || !FORMULA_START_RE.test(value)) return value;
+  return `'${value}`;
+}
+
+function formatCsvValue(value) {
+  if (value == null) return '';
+  const text = String(escapeFormula(value));
+  if (NEEDS_QUOTES_RE.test(text) || /^\s|\s$/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+// The BOM keeps Excel from mangling ₹/€ and other non-ASCII text.
+export function toCsv({ columns, rows }, { bom = true } = {}) {
+  const lines = [columns.map(formatCsvValue).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => formatCsvValue(row[column])).join(','));
+  }
+  return `${bom ? '﻿' : ''}${lines.join('\r\n')}\r\n`;
+}
@@ -0,0 +1,83 @@
+import { DocLibraryError, getDoc } from '../docLibrary.js';
+import { toBmecat } from './bmecat.js';
+import { flattenCatalog } from './catalogRows.js';
+import { toCsv } from './csv.js';
+import { toTallyXml } from './tally.js';
+import { toXlsx } from './xlsx.js';
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    render: catalog => toCsv(flattenCatalog(catalog)),
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    render: (catalog, { warnings }) => toXlsx(catalog, { warnings }),
+  },
+  tally: {
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'tally.xml',
+    render: (catalog, { options }) => {
+      const { xml, summary } = toTallyXml(catalog, options);
+      return { body: xml, headers: { 'x-export-rejected': String(summary.rejected) } };
+    },
+  },
+  bmecat: {
+    contentType: 'application/xml; charset=utf-8',
+    extension: 'bmecat.xml',
+    render: (catalog, { options, manifest, docId }) => {
+      const { xml, summary } = toBmecat(catalog, {
+        catalogId: docId,
+        catalogName: manifest?.source?.filename || undefined,
+        ...options,
+      });
+      return {
+        body: xml,
+        headers: {
+          'x-export-rejected': String(summary.rejected),
+          'x-export-shortened-pids': String(summary.shortened_pids.length),
+        },
+      };
+    },
+  },
+  tally_rejects: {
+    contentType: 'application/json',
+    extension: 'tally-rejects.json',
+    render: (catalog, { options }) => {
+      const { rejects, summary } = toTallyXml(catalog, options);
+      return JSON.stringify({ summary, rejects }, null, 2);
+    },
+  },
+};
+
+export const SUPPORTED_EXPORT_FORMATS = Object.keys(EXPORT_FORMATS);
+
+export async function exportDocument({ docId, format = 'csv', options = {} }) {
+  const normalisedFormat = String(format || '').toLowerCase();
+  const exporter = EXPORT_FORMATS[normalisedFormat];
+  if (!exporter) {
+    throw new DocLibraryError(`Unsupported export format "${format}".`, 400, {
+      formats: SUPPORTED_EXPORT_FORMATS,
+    });
+  }
+  const { manifest, catalog } = await getDoc(docId);
+  if (!catalog) {
+    throw new DocLibraryError(`Document ${docId} has no catalog to export.`, 409);
+  }
+  const warnings = Array.isArray(catalog.warnings)
+    ? catalog.warnings
+    : Array.isArray(manifest?.warnings)
+    ? manifest.warnings
+    : [];
+  const rendered = exporter.render(catalog, { docId, warnings, manifest, options });
+  const { body, headers = {} } =
+    typeof rendered === 'string' || Buffer.isBuffer(rendered) ? { body: rendered } : rendered;
+  return {
+    body,
+    headers,
+    contentType: exporter.contentType,
+    filename: `${docId}.${exporter.extension}`,
+  };
+}
@@ -0,0 +1,263 @@
+import { flattenVariant } from './catalogRows.js';
+
+// Tally simple units for measured packs; the standard rate is priced per unit.
+const MEASURED_UNITS = {
+  ug: { symbol: 'ug', formalName: 'Micrograms', decimals: 3 },
+  mg: { symbol: 'mg', formalName: 'Milligrams', decimals: 3 },
+  g: { symbol: 'gm', formalName: 'Grams', decimals: 3 },
+  gm: { symbol: 'gm', formalName: 'Grams', decimals: 3 },
+  kg: { symbol: 'kg', formalName: 'Kilograms', decimals: 3 },
+  ul: { symbol: 'ul', formalName: 'Microlitres', decimals: 3 },
+  ml: { symbol: 'ml', formalName: 'Millilitres', decimals: 3 },
+  l: { symbol: 'ltr', formalName: 'Litres', decimals: 3 },
+  litre: { symbol: 'ltr', formalName: 'Litres', decimals: 3 },
+};
+
+// Count packs ("10/PK", "1/BOX") are sold per pack.
+const COUNT_UNITS = {
+  PK: { symbol: 'Pkt', formalName: 'Packets', decimals: 0 },
+  PCS: { symbol: 'Pcs', formalName: 'Pieces', decimals: 0 },
+  PC: { symbol: 'Pcs', formalName: 'Pieces', decimals: 0 },
+  BTL: { symbol: 'Btl', formalName: 'Bottles', decimals: 0 },
+  RL: { symbol: 'Roll', formalName: 'Rolls', decimals: 0 },
+  ROL: { symbol: 'Roll', formalName: 'Rolls', decimals: 0 },
+  BOX: { symbol: 'Box', formalName: 'Boxes', decimals: 0 },
+};
+const COUNT_PACK_RE = /\b\d+\s*\/\s*(PK|PCS|PC|BTL|RL|ROL|BOX)\b/i;
+const DEFAULT_UNIT = { symbol: 'Nos', formalName: 'Numbers', decimals: 0 };
+
+const HSN_RE = /^(?:\d{4}|\d{6}|\d{8})$/;
+const GST_RATES = new Set([0, 0.1, 0.25, 1.5, 3, 5, 12, 18, 28]);
+const GST_EFFECTIVE_DATE = '20170701';
+const PRIMARY_GROUP = 'Primary';
+const MAX_NAME_LENGTH = 200;
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function tallyDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+function cleanName(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+}
+
+function formatRate(value) {
+  return Number(value.toFixed(4)).toString();
+}
+
+function resolveUnit(row, variant) {
+  const measured = row.pack_unit ? MEASURED_UNITS[String(row.pack_unit).toLowerCase()] : null;
+  const totalQty = (row.pack_qty || 0) * (row.pack_multiplier || 1);
+  if (measured && totalQty > 0) {
+    return { unit: measured, perPack: totalQty };
+  }
+  const packText = [row.pack_size, variant.pack_raw].filter(Boolean).join(' ');
+  const countMatch = packText.match(COUNT_PACK_RE);
+  if (countMatch) {
+    return { unit: COUNT_UNITS[countMatch[1].toUpperCase()], perPack: 1 };
+  }
+  return { unit: DEFAULT_UNIT, perPack: 1 };
+}
+
+function resolveGstRate(variant, defaultGstRate) {
+  const raw = variant.gst_percent ?? variant.gst_rate ?? variant.gst ?? variant.tax_rate ?? defaultGstRate;
+  if (raw == null || raw === '') return null;
+  const rate = Number(String(raw).replace('%', ''));
+  return Number.isFinite(rate) ? rate : NaN;
+}
+
+function buildItemName(row, group) {
+  const base = cleanName(row.name || group.title || row.code);
+  if (!base) return null;
+  return row.pack_size && !base.toLowerCase().includes(String(row.pack_size).toLowerCase())
+    ? cleanName(`${base} ${row.pack_size}`)
+    : base;
+}
+
+function mapVariant(variant, group, { defaultGstRate }) {
+  const row = flattenVariant(variant, group);
+  const missing = [];
+  const invalid = [];
+
+  const name = buildItemName(row, group);
+  if (!name) missing.push('name');
+
+  const hsn = row.hsn != null ? String(row.hsn).replace(/[\s.]/g, '') : null;
+  if (!hsn) missing.push('hsn');
+  else if (!HSN_RE.test(hsn)) invalid.push('hsn');
+
+  const gstRate = resolveGstRate(variant, defaultGstRate);
+  if (gstRate == null) missing.push('gst_percent');
+  else if (!GST_RATES.has(gstRate)) invalid.push('gst_percent');
+
+  if (row.price_value == null || row.price_value <= 0) missing.push('price_value');
+  if (row.price_currency && row.price_currency !== 'INR') invalid.push('price_currency');
+
+  const base = {
+    group_title: group.title || null,
+    code: row.code,
+    name: row.name,
+    pack_size: row.pack_size,
+    hsn: row.hsn,
+    gst_percent: Number.isNaN(gstRate) ? variant.gst_percent : gstRate,
+    price_value: row.price_value,
+    price_currency: row.price_currency,
+    page_start: row.page_start,
+  };
+  if (missing.length || invalid.length) {
+    return { reject: { ...base, missing, invalid } };
+  }
+
+  const { unit, perPack } = resolveUnit(row, variant);
+  return {
+    item: {
+      ...base,
+      name,
+      hsn,
+      gstRate,
+      unit,
+      // Tally rates are before tax; an MRP that includes GST is taken back to its taxable value.
+      rate: (variant.price_excl_tax ?? row.price_value) / perPack,
+    },
+  };
+}
+
+function renderUnit(unit) {
+  return [
+    `<UNIT NAME="${escapeXml(unit.symbol)}" ACTION="Create">`,
+    `<NAME>${escapeXml(unit.symbol)}</NAME>`,
+    '<ISSIMPLEUNIT>Yes</ISSIMPLEUNIT>',
+    `<ORIGINALNAME>${escapeXml(unit.formalName)}</ORIGINALNAME>`,
+    `<DECIMALPLACES>${unit.decimals}</DECIMALPLACES>`,
+    '</UNIT>',
+  ].join('');
+}
+
+function renderStockGroup(name, parent) {
+  return [
+    `<STOCKGROUP NAME="${escapeXml(name)}" ACTION="Create">`,
+    `<NAME.LIST><NAME>${escapeXml(name)}</NAME></NAME.LIST>`,
+    `<PARENT>${parent === PRIMARY_GROUP ? '' : escapeXml(parent)}</PARENT>`,
+    '<ISADDABLE>No</ISADDABLE>',
+    '</STOCKGROUP>',
+  ].join('');
+}
+
+function renderStockItem(item, parent, rateDate) {
+  const aliases = item.code && item.code !== item.name ? `<NAME>${escapeXml(item.code)}</NAME>` : '';
+  const dutyHeads = [
+    ['Central Tax', item.gstRate / 2],
+    ['State Tax', item.gstRate / 2],
+    ['Integrated Tax', item.gstRate],
+  ];
+  return [
+    `<STOCKITEM NAME="${escapeXml(item.name)}" ACTION="Create">`,
+    `<NAME.LIST><NAME>${escapeXml(item.name)}</NAME>${aliases}</NAME.LIST>`,
+    `<PARENT>${escapeXml(parent)}</PARENT>`,
+    `<BASEUNITS>${escapeXml(item.unit.symbol)}</BASEUNITS>`,
+    '<GSTAPPLICABLE>Applicable</GSTAPPLICABLE>',
+    '<GSTTYPEOFSUPPLY>Goods</GSTTYPEOFSUPPLY>',
+    '<GSTDETAILS.LIST>',
+    `<APPLICABLEFROM>${GST_EFFECTIVE_DATE}</APPLICABLEFROM>`,
+    '<CALCULATIONTYPE>On Value</CALCULATIONTYPE>',
+    `<HSNCODE>${escapeXml(item.hsn)}</HSNCODE>`,
+    `<TAXABILITY>${item.gstRate === 0 ? 'Exempt' : 'Taxable'}</TAXABILITY>`,
+    '<STATEWISEDETAILS.LIST>',
+    '<STATENAME>Any</STATENAME>',
+    ...dutyHeads.map(
+      ([head, rate]) =>
+        `<RATEDETAILS.LIST><GSTRATEDUTYHEAD>${head}</GSTRATEDUTYHEAD><GSTRATEVALUATIONTYPE>Based on Value</GSTRATEVALUATIONTYPE><GSTRATE>${rate}</GSTRATE></RATEDETAILS.LIST>`,
+    ),
+    '</STATEWISEDETAILS.LIST>',
+    '</GSTDETAILS.LIST>',
+    '<STANDARDPRICELIST.LIST>',
+    `<DATE>${rateDate}</DATE>`,
+    `<RATE>${formatRate(item.rate)}/${escapeXml(item.unit.symbol)}</RATE>`,
+    '</STANDARDPRICELIST.LIST>',
+    '</STOCKITEM>',
+  ].join('');
+}
+
+function wrapMessages(messages, company) {
+  const staticVariables = company
+    ? `<STATICVARIABLES><SVCURRENTCOMPANY>${escapeXml(company)}</SVCURRENTCOMPANY></STATICVARIABLES>`
+    : '';
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<ENVELOPE>',
+    '<HEADER><TALLYREQUEST>Import Data</TALLYREQUEST></HEADER>',
+    '<BODY><IMPORTDATA>',
+    `<REQUESTDESC><REPORTNAME>All Masters</REPORTNAME>${staticVariables}</REQUESTDESC>`,
+    '<REQUESTDATA>',
+    ...messages.map(message => `<TALLYMESSAGE xmlns:UDF="TallyUDF">${message}</TALLYMESSAGE>`),
+    '</REQUESTDATA>',
+    '</IMPORTDATA></BODY>',
+    '</ENVELOPE>',
+  ].join('\n');
+}
+
+/**
+ * Builds a Tally "All Masters" import: units, one stock group per category
+ * with the catalog groups beneath it, and one stock item per variant.
+ * Variants without a name, HSN, GST rate or INR price are returned in
+ * `rejects` rather than exported. `defaultGstRate` fills in a missing rate.
+ */
+export function toTallyXml(catalog = {}, { company = null, defaultGstRate = null, rateDate = new Date() } = {}) {
+  const groups = Array.isArray(catalog?.groups) ? catalog.groups : [];
+  const units = new Map();
+  const stockGroups = new Map();
+  const items = [];
+  const rejects = [];
+  const usedNames = new Set();
+
+  for (const group of groups) {
+    const category = cleanName(group.category || 'general');
+    const groupName = cleanName(group.title) || category;
+    for (const variant of group?.variants || []) {
+      if (!variant || typeof variant !== 'object') continue;
+      const { item, reject } = mapVariant(variant, group, { defaultGstRate });
+      if (reject) {
+        rejects.push({ ...reject, reason: 'missing_or_invalid_fields' });
+        continue;
+      }
+      // Tally names are unique across masters; disambiguate with the code, then reject.
+      let name = item.name;
+      if (usedNames.has(name.toLowerCase()) && item.code) name = cleanName(`${name} (${item.code})`);
+      if (usedNames.has(name.toLowerCase())) {
+        rejects.push({ ...item, unit: item.unit.symbol, missing: [], invalid: ['name'], reason: 'duplicate_name' });
+        continue;
+      }
+      usedNames.add(name.toLowerCase());
+      if (!stockGroups.has(category)) stockGroups.set(category, PRIMARY_GROUP);
+      if (groupName !== category && !stockGroups.has(groupName)) stockGroups.set(groupName, category);
+      units.set(item.unit.symbol, item.unit);
+      items.push({ ...item, name, parent: groupName });
+    }
+  }
+
+  const date = tallyDate(rateDate);
+  const messages = [
+    ...[...units.values()].map(renderUnit),
+    ...[...stockGroups.entries()].map(([name, parent]) => renderStockGroup(name, parent)),
+    ...items.map(item => renderStockItem(item, item.parent, date)),
+  ];
+
+  return {
+    xml: wrapMessages(messages, company),
+    rejects,
+    summary: {
+      stock_groups: stockGroups.size,
+      stock_items: items.length,
+      units: [...units.keys()],
+      rejected: rejects.length,
+    },
+  };
+}
@@ -0,0 +1,170 @@
+import { BASE_COLUMNS, collectWarnings, flattenCatalog } from './catalogRows.js';
+import { escapeFormula } from './csv.js';
+import { createZip } from './zip.js';
+
+const MAX_SHEET_NAME = 31;
+const INVALID_SHEET_CHARS_RE = /[\[\]:*?/\\]/g;
+const WARNING_COLUMNS = ['scope', 'group_title', 'code', 'message'];
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters other than tab/newline are illegal in XML 1.0.
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+function columnLetter(index) {
+  let n = index + 1;
+  let letters = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    letters = String.fromCharCode(65 + rem) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+}
+
+function renderCell(value, ref, style = 0) {
+  const styleAttr = style ? ` s="${style}"` : '';
+  if (value == null || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"${styleAttr}><v>${value}</v></c>`;
+  }
+  const text = escapeXml(escapeFormula(String(value)));
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${text}</t></is></c>`;
+}
+
+function renderSheet(columns, rows) {
+  const lines = [];
+  const header = columns.map((column, index) => renderCell(column, `${columnLetter(index)}1`, 1)).join('');
+  lines.push(`<row r="1">${header}</row>`);
+  rows.forEach((row, rowIndex) => {
+    const r = rowIndex + 2;
+    const cells = columns
+      .map((column, index) => renderCell(row[column], `${columnLetter(index)}${r}`))
+      .join('');
+    lines.push(`<row r="${r}">${cells}</row>`);
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>',
+    `<sheetData>${lines.join('')}</sheetData>`,
+    '</worksheet>',
+  ].join('');
+}
+
+function makeSheetName(raw, used) {
+  const base = String(raw || 'Sheet').replace(INVALID_SHEET_CHARS_RE, ' ').replace(/^'+|'+$/g, '').trim() || 'Sheet';
+  let name = base.slice(0, MAX_SHEET_NAME);
+  let suffix = 2;
+  while (used.has(name.toLowerCase())) {
+    const tail = ` (${suffix})`;
+    name = `${base.slice(0, MAX_SHEET_NAME - tail.length)}${tail}`;
+    suffix += 1;
+  }
+  used.add(name.toLowerCase());
+  return name;
+}
+
+function buildWorkbookParts(sheets) {
+  const contentTypes = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">',
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>',
+    '<Default Extension="xml" ContentType="application/xml"/>',
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>',
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>',
+    ...sheets.map(
+      (_, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`,
+    ),
+    '</Types>',
+  ].join('');
+
+  const rootRels = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>',
+    '</Relationships>',
+  ].join('');
+
+  const workbook = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">',
+    '<sheets>',
+    ...sheets.map((sheet, index) => `<sheet name="${escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`),
+    '</sheets>',
+    '</workbook>',
+  ].join('');
+
+  const workbookRels = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">',
+    ...sheets.map(
+      (_, index) =>
+        `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`,
+    ),
+    `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`,
+    '</Relationships>',
+  ].join('');
+
+  // Style 0 is the default; style 1 is a bold font for header rows.
+  const styles = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>',
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">',
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>',
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>',
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>',
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>',
+    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>',
+    '</styleSheet>',
+  ].join('');
+
+  return [
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'xl/workbook.xml', data: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+    { name: 'xl/styles.xml', data: styles },
+    ...sheets.map((sheet, index) => ({
+      name: `xl/worksheets/sheet${index + 1}.xml`,
+      data: renderSheet(sheet.columns, sheet.rows),
+    })),
+  ];
+}
+
+/**
+ * Builds an .xlsx workbook with one sheet per category and a trailing
+ * "Warnings" sheet. Spec columns are limited per sheet to those the
+ * category actually fills so sparse headers do not widen every tab.
+ */
+export function toXlsx(catalog = {}, { warnings = [] } = {}) {
+  const { columns, rows } = flattenCatalog(catalog);
+  const byCategory = new Map();
+  for (const row of rows) {
+    const key = row.category || 'general';
+    if (!byCategory.has(key)) byCategory.set(key, []);
+    byCategory.get(key).push(row);
+  }
+
+  const used = new Set(['warnings']);
+  const sheets = [];
+  for (const [category, categoryRows] of byCategory) {
+    const sheetColumns = columns.filter(
+      column => BASE_COLUMNS.includes(column) || categoryRows.some(row => row[column] != null),
+    );
+    sheets.push({ name: makeSheetName(category, used), columns: sheetColumns, rows: categoryRows });
+  }
+  if (!sheets.length) {
+    sheets.push({ name: makeSheetName('Catalog', used), columns, rows: [] });
+  }
+
+  const warningRows = collectWarnings({ groups: catalog?.groups || [], warnings });
+  sheets.push({ name: 'Warnings', columns: WARNING_COLUMNS, rows: warningRows });
+
+  return createZip(buildWorkbookParts(sheets));
+}
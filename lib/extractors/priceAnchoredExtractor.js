@@ -1,4 +1,5 @@
 import { preSegmentText } from './preSegment.js';
+import { findPriceExpression, pickPriceModel, priceModelFields } from '../priceModel.js';
 import { dedupeRows } from '../utils/dedupeRows.js';
 import { scrubField } from '../utils/fieldScrubber.js';
 import { extractPack } from '../utils/pack.js';
@@ -61,6 +62,7 @@ function detectCurrency(value, context = '') {
 }
 
 const HEADER_KEYWORDS = ['cat no', 'description', 'hsn', 'gst', 'price', 'inr', 'lp'];
+const PRICE_WORD_RE = /₹|\b(?:price|mrp|rate|lp|inr|rs\.?)\b/i;
 const HYHEN_SKU_RE = /\b[A-Z0-9]{2,}-[A-Z0-9]{2,}\b/;
 const NUMERIC_SKU_RE = /\b\d{5,}\b/;
 const HSN_LABEL_RE = /\bHSN\s*[:\-]?\s*(\d{8})\b/i;
@@ -103,6 +105,7 @@ function gatherSegmentsFromPage(page) {
 
   if (Array.isArray(page.lineItems) && page.lineItems.length) {
     for (const item of page.lineItems) {
+      if (item.running) continue;
       pushSegment(item.text || item.raw || '', item.raw || item.text || '', item.tokens || [], item.id || null);
     }
   }
@@ -305,6 +308,32 @@ function buildTextRows(line) {
   ];
 }
 
+// A bare "100-1000" closing a line is as likely a volume, mesh or pH span as a price range; only read it
+// as one with a currency or price word on the line, or under a price column.
+function hasPriceContext({ model, raw }, text, priceColumn) {
+  if (model.status !== 'listed' || model.tiers) return true;
+  if (model.currency || detectCurrency(raw, text) || PRICE_WORD_RE.test(text)) return true;
+  return Boolean(priceColumn);
+}
+
+// "POR", "1,200–1,450" or "1–9: ₹450 / 10+: ₹410" closing the line is the row's price, read as one.
+function buildExpressionRows(line, priceColumn) {
+  const text = line.raw || line.text || '';
+  const expression = findPriceExpression(text);
+  if (!expression || !hasPriceContext(expression, text, priceColumn)) return [];
+  const { model, raw } = expression;
+  return [
+    {
+      text: text.slice(0, expression.index),
+      tokens: [],
+      price: { amount: model.value, currency: model.currency, raw, model },
+      priceRaw: raw,
+      priceCount: 1,
+      line,
+    },
+  ];
+}
+
 function findPackRange(text) {
   const matches = [];
   for (const pattern of PACK_PATTERNS) {
@@ -449,7 +478,7 @@ function buildVariant(rowContext, options) {
   const currency =
     rowContext.price.currency || options.currencyHint || detectCurrency(rowContext.priceRaw, rowContext.line.text);
 
-  const fieldsPresent = ['price_value'];
+  const fieldsPresent = rowContext.price.amount != null ? ['price_value'] : [];
   if (code) fieldsPresent.push('code');
   if (name) fieldsPresent.push('name');
   if (pack) fieldsPresent.push('pack');
@@ -485,6 +514,7 @@ function buildVariant(rowContext, options) {
     hsn: hsnInfo.hsn || null,
     gst_percent: gstInfo.gst != null ? Number(gstInfo.gst) : null,
     price_value: rowContext.price.amount,
+    ...priceModelFields(rowContext.price.model),
     currency: currency || null,
     notes: null,
     confidence,
@@ -494,14 +524,15 @@ function buildVariant(rowContext, options) {
 }
 
 function analyseLine(line, options) {
-  const tokenRows = buildTokenRows(line);
-  const rows = tokenRows.length ? tokenRows : buildTextRows(line);
+  const expressionRows = buildExpressionRows(line, options.priceColumn);
+  const tokenRows = expressionRows.length ? [] : buildTokenRows(line);
+  const rows = expressionRows.length ? expressionRows : tokenRows.length ? tokenRows : buildTextRows(line);
   if (!rows.length) {
     return [];
   }
   const variants = [];
   for (const row of rows) {
-    if (row.price?.amount == null) continue;
+    if (row.price?.amount == null && !row.price?.model) continue;
     const variant = buildVariant(row, {
       currencyHint: options.currencyHint,
       headerSeen: options.headerSeen,
@@ -556,6 +587,7 @@ export function runPriceAnchoredRecovery(pages, options = {}) {
     processLines.push(line);
   }
   const headerSeen = headerIndex >= 0;
+  const priceColumn = lines.some(line => isHeaderLine(line.text) && PRICE_WORD_RE.test(line.text));
   const pageCurrencyHints = computePageCurrencyHints(pages);
 
   const rows = [];
@@ -568,6 +600,7 @@ export function runPriceAnchoredRecovery(pages, options = {}) {
     const variants = analyseLine(line, {
       currencyHint: pageCurrencyHints.get(line.pageNumber) || null,
       headerSeen,
+      priceColumn,
     });
 
     if (!variants.length) {
@@ -616,6 +649,7 @@ export function runPriceAnchoredRecovery(pages, options = {}) {
     hsn: row.hsn || null,
     gst_percent: row.gst_percent != null ? row.gst_percent : null,
     price_value: row.price_value,
+    ...pickPriceModel(row),
     currency: row.currency || null,
     notes: row.notes,
     confidence: row.confidence,
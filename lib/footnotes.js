@@ -0,0 +1,123 @@
+/**
+ * Footnote marker resolution.
+ * Price lists tag codes and prices with `*`, `†`, `#` or superscript numbers
+ * and print the meaning once, usually at the foot of the page ("* price on
+ * request", "# supplied with stopper"). Markers are stripped from cell
+ * values and recorded per field; the definitions found in the group's text
+ * and on its pages are then attached to the exact variant and field as
+ * `variant.footnotes = [{ marker, field, text }]`. Plain trailing digits are
+ * left alone: "2101" cannot be told apart from a price with a marker.
+ */
+
+const MARKER = '\\*{1,3}|[†‡§¶#]|[¹²³⁴⁵⁶⁷⁸⁹⁰]+';
+const TRAILING_MARKER_RE = new RegExp(`\\s*(${MARKER})$`);
+// "#" opens codes ("#1234"), so only the other symbols are taken from the front of a cell.
+const LEADING_MARKER_RE = /^(\*{1,3}|[†‡§¶])\s*/;
+// A definition is a marker at the start of a line or after a space, followed by words.
+const DEFINITION_SOURCE = `(${MARKER})\\s*[:=–-]?\\s*(?=[A-Za-z])`;
+const DEFINITION_RE = new RegExp(`(?:^|\\s)${DEFINITION_SOURCE}`, 'g');
+const DEFINITION_LINE_RE = new RegExp(`^${DEFINITION_SOURCE}`);
+const SUPERSCRIPTS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+function normaliseMarker(marker) {
+  return String(marker).replace(/[⁰¹²³⁴⁵⁶⁷⁸⁹]/g, digit => String(SUPERSCRIPTS.indexOf(digit)));
+}
+
+/** Splits markers off a cell value: `"350*"` -> `{ value: '350', markers: ['*'] }`. */
+export function splitMarkers(value) {
+  if (typeof value !== 'string') return { value, markers: [] };
+  let text = value.trim();
+  const markers = [];
+  for (let match = text.match(TRAILING_MARKER_RE); match && match.index > 0; match = text.match(TRAILING_MARKER_RE)) {
+    markers.unshift(normaliseMarker(match[1]));
+    text = text.slice(0, match.index).trimEnd();
+  }
+  const leading = text.match(LEADING_MARKER_RE);
+  if (leading && leading[0].length < text.length) {
+    markers.unshift(leading[1]);
+    text = text.slice(leading[0].length);
+  }
+  return { value: markers.length ? text : value, markers };
+}
+
+/** True when a line reads as a footnote definition ("* Price on request"). */
+export function isFootnoteDefinition(text) {
+  return DEFINITION_LINE_RE.test(String(text || '').trim());
+}
+
+/** The text before its first footnote definition; definitions run to the end of a block. */
+export function stripFootnoteDefinitions(text) {
+  const source = String(text || '');
+  const [first] = source.matchAll(DEFINITION_RE);
+  return first ? source.slice(0, first.index).trim() : source;
+}
+
+/**
+ * Marker definitions in reading order across `texts`; the first definition of
+ * a marker wins, so the group's own text should come before its pages'.
+ * Several definitions run together in one block are split at each marker.
+ */
+export function collectFootnoteDefinitions(texts = []) {
+  const definitions = new Map();
+  for (const text of texts) {
+    const source = String(text || '');
+    const matches = [...source.matchAll(DEFINITION_RE)];
+    matches.forEach((match, index) => {
+      const start = match.index + match[0].length;
+      const end = index + 1 < matches.length ? matches[index + 1].index : source.length;
+      const body = source.slice(start, end).replace(/\s+/g, ' ').trim().replace(/[;,]$/, '');
+      const marker = normaliseMarker(match[1]);
+      if (body && !definitions.has(marker)) definitions.set(marker, body);
+    });
+  }
+  return definitions;
+}
+
+/**
+ * Strips markers from the variant's own string fields and records them as
+ * unresolved `{ marker, field, text: null }` entries. Callers that coerce
+ * cells to numbers run this on the raw cells instead (see groupAssembler).
+ */
+export function markVariantFootnotes(variant) {
+  for (const [field, value] of Object.entries(variant)) {
+    if (field.startsWith('_') || field === 'footnotes' || typeof value !== 'string') continue;
+    const split = splitMarkers(value);
+    if (!split.markers.length) continue;
+    variant[field] = split.value;
+    variant.footnotes = [
+      ...(variant.footnotes || []),
+      ...split.markers.map(marker => ({ marker, field, text: null })),
+    ];
+  }
+  return variant;
+}
+
+/**
+ * Resolves every variant's markers against the definitions in the group's
+ * notes and description plus `texts` (its pages). Markers without a
+ * definition are dropped from `footnotes` and reported in `_warnings`.
+ */
+export function resolveFootnotes(group, { texts = [] } = {}) {
+  const variants = Array.isArray(group?.variants) ? group.variants : [];
+  const definitions = collectFootnoteDefinitions([...(group.notes || []), group.description, ...texts]);
+  const unresolved = new Set();
+  for (const variant of variants) {
+    markVariantFootnotes(variant);
+    if (!variant.footnotes?.length) continue;
+    const resolved = [];
+    for (const entry of variant.footnotes) {
+      const text = entry.text ?? definitions.get(entry.marker) ?? null;
+      if (text) {
+        resolved.push({ marker: entry.marker, field: entry.field, text });
+      } else {
+        unresolved.add(entry.marker);
+      }
+    }
+    if (resolved.length) variant.footnotes = resolved;
+    else delete variant.footnotes;
+  }
+  if (unresolved.size) {
+    group._warnings = [...(group._warnings || []), ...[...unresolved].map(marker => `footnote_unresolved:${marker}`)];
+  }
+  return group;
+}
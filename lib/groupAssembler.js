@@ -1,8 +1,18 @@
+import { isFootnoteDefinition, resolveFootnotes, splitMarkers } from './footnotes.js';
 import { canonicalizeHeaderList } from './headerUtils.js';
+import { interpretMatrixTable } from './matrixTable.js';
+import { isPlainPrice, parsePrice, priceModelFields } from './priceModel.js';
+import { describeTable, detectContinuation } from './tableContinuation.js';
+import { titleKey } from './tocParser.js';
 
 const NUMERIC_HINT_SUFFIXES = ['_ml', '_mm', '_cm', '_inr', '_value', '_kg', '_g', '_l'];
 const PRICE_KEYS = new Set(['price_inr', 'mrp', 'price']);
 
+function headingTitle(text = '') {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  return clean ? clean.slice(0, 120) : 'Untitled Product';
+}
+
 function inferTitleFromText(text = '') {
   const trimmed = String(text || '').split(/\n+/)[0].trim();
   if (!trimmed) return 'Untitled Product';
@@ -21,6 +31,11 @@ function inferCategory(text = '') {
   return 'general';
 }
 
+function isPriceKey(key) {
+  const lowered = key ? key.toLowerCase() : '';
+  return PRICE_KEYS.has(lowered) || lowered.endsWith('_inr');
+}
+
 function coerceValue(key, value) {
   if (value == null) return value;
   const raw = String(value).trim();
@@ -30,7 +45,7 @@ function coerceValue(key, value) {
   if (lowered.includes('pack') || (hasAlpha && /\d/.test(raw))) {
     return raw;
   }
-  const looksPrice = PRICE_KEYS.has(lowered) || lowered.endsWith('_inr');
+  const looksPrice = isPriceKey(key);
   const numericHint = NUMERIC_HINT_SUFFIXES.some(suffix => lowered.endsWith(suffix));
   if (looksPrice) {
     const match = raw.replace(/[^0-9.,-]/g, '').replace(/,(?=\d{3}(?:[^\d]|$))/g, '');
@@ -49,10 +64,21 @@ function rowsToVariants(header, rows) {
   if (!header.length) return [];
   return rows.map(row => {
     const variant = {};
+    const footnotes = [];
     header.forEach((field, idx) => {
-      const cell = row[idx] ?? '';
-      variant[field] = coerceValue(field, cell);
+      // Markers go before coercion turns "350*" into 350; their text is resolved once the group is done.
+      const { value, markers } = splitMarkers(row[idx] ?? '');
+      // "POR", "1,200–1,450" and quantity breaks keep their lead price in the cell and the rest in the model.
+      const price = isPriceKey(field) ? parsePrice(value) : null;
+      if (price && !isPlainPrice(price)) {
+        variant[field] = price.value;
+        Object.assign(variant, priceModelFields(price));
+      } else {
+        variant[field] = coerceValue(field, value);
+      }
+      footnotes.push(...markers.map(marker => ({ marker, field, text: null })));
     });
+    if (footnotes.length) variant.footnotes = footnotes;
     return variant;
   });
 }
@@ -63,11 +89,16 @@ function ensureGroup(group, pageNumber) {
   return group;
 }
 
-function shouldStartNewGroup(currentGroup, text, label) {
+function shouldStartNewGroup(currentGroup, text, label, headings = {}) {
   if (!currentGroup) return true;
   if (label?.actions?.includes('merge_with_prev_group')) return false;
   const normalized = (text || '').trim();
   if (!normalized) return false;
+  if (isFootnoteDefinition(normalized)) return false;
+  // Font-derived headings: chapters and product families open a group, table captions stay in it.
+  if (headings.heading?.level) return headings.heading.level <= 2;
+  // When the document has font headings, other styled text is body copy.
+  if (headings.known && headings.styled) return false;
   const isUpper =
     normalized.length >= 6 &&
     normalized.length <= 120 &&
@@ -77,6 +108,30 @@ function shouldStartNewGroup(currentGroup, text, label) {
   return isUpper || hasProductKeywords;
 }
 
+// Page-map anchors waiting to name a group, per PDF page, in document order.
+function indexAnchors(pageMap) {
+  const byPage = new Map();
+  for (const anchor of pageMap?.anchors || []) {
+    if (!Number.isFinite(anchor?.pdfPage) || !anchor.title) continue;
+    if (!byPage.has(anchor.pdfPage)) byPage.set(anchor.pdfPage, []);
+    byPage.get(anchor.pdfPage).push(anchor);
+  }
+  return byPage;
+}
+
+// A font heading keeps its own title but uses up the anchor it matches; other groups take the next anchor.
+function claimAnchor(anchors, pageNumber, heading) {
+  const queue = anchors.get(pageNumber);
+  if (!queue?.length) return null;
+  if (heading) {
+    const key = titleKey(heading);
+    const index = queue.findIndex(anchor => titleKey(anchor.title) === key);
+    if (index >= 0) queue.splice(index, 1);
+    return null;
+  }
+  return queue.shift();
+}
+
 function finalizeGroup(group) {
   if (!group) return null;
   group.description = group.descriptionParts.join(' ').replace(/\s+/g, ' ').trim();
@@ -88,7 +143,7 @@ function finalizeGroup(group) {
   return group;
 }
 
-export function assembleGroupsFromSegments(pages, labeledPages) {
+export function assembleGroupsFromSegments(pages, labeledPages, { pageMap = null } = {}) {
   const labelIndex = new Map();
   for (const entry of labeledPages) {
     const map = new Map();
@@ -101,6 +156,15 @@ export function assembleGroupsFromSegments(pages, labeledPages) {
   const groups = [];
   const notes = [];
   let currentGroup = null;
+  // The chapter (H1) heading open when a group starts becomes its heading-based category path.
+  let chapter = null;
+  const headingsKnown = pages.some(page =>
+    (page.segments || []).some(segment => segment.heading?.level && segment.heading.level <= 2),
+  );
+  // The current group's last table, for spotting its continuation on the next page.
+  let lastTable = null;
+  const anchors = indexAnchors(pageMap);
+  const boundaries = new Set((pageMap?.anchors || []).filter(anchor => anchor.bounds).map(anchor => anchor.pdfPage));
 
   const pushCurrent = () => {
     if (currentGroup) {
@@ -114,6 +178,11 @@ export function assembleGroupsFromSegments(pages, labeledPages) {
 
   for (const page of pages) {
     const pageLabels = labelIndex.get(page.pageNumber) || new Map();
+    // A contents entry starting here ends whatever product ran in from earlier pages, unless the
+    // page opens with headerless rows of that product's table (same-header tables are common to all products).
+    let boundaryPending =
+      boundaries.has(page.pageNumber) && Boolean(currentGroup) && currentGroup.pageStart < page.pageNumber;
+    let pageHasProduct = false;
     for (const segment of page.segments) {
       const label = pageLabels.get(segment.id);
       const kind = label?.kind || (segment.kind === 'table' ? 'product_table' : segment.type === 'text' ? 'product_text' : 'intro');
@@ -141,20 +210,44 @@ export function assembleGroupsFromSegments(pages, labeledPages) {
         continue;
       }
 
+      const isProduct = kind === 'product_text' || (kind === 'product_table' && segment.kind === 'table');
+      let continuation =
+        isProduct && kind === 'product_table' && !pageHasProduct && currentGroup && lastTable?.group === currentGroup
+          ? detectContinuation(lastTable, segment)
+          : null;
+      if (isProduct) {
+        if (boundaryPending && continuation?.header !== 'missing') {
+          pushCurrent();
+          continuation = null;
+        }
+        boundaryPending = false;
+        pageHasProduct = true;
+      }
+
       if (kind === 'product_text') {
         const text = segment.text || '';
-        const startNew = shouldStartNewGroup(currentGroup, text, label);
+        if (segment.heading?.level === 1) {
+          chapter = headingTitle(text);
+        }
+        const startNew = shouldStartNewGroup(currentGroup, text, label, {
+          heading: segment.heading,
+          known: headingsKnown,
+          styled: Boolean(segment.font),
+        });
         if (startNew) {
           pushCurrent();
+          const anchor = claimAnchor(anchors, page.pageNumber, segment.heading ? text : null);
           currentGroup = {
             category: inferCategory(text),
-            title: inferTitleFromText(text),
+            title: anchor ? anchor.title : segment.heading ? headingTitle(text) : inferTitleFromText(text),
+            category_path: chapter ? [chapter] : [],
             descriptionParts: [],
             variants: [],
             specs_headers: [],
             pageStart: page.pageNumber,
             pageEnd: page.pageNumber,
           };
+          if (anchor) currentGroup.title_source = anchor.source;
         }
         ensureGroup(currentGroup, page.pageNumber);
         currentGroup.descriptionParts.push(text);
@@ -170,31 +263,55 @@ export function assembleGroupsFromSegments(pages, labeledPages) {
 
       if (kind === 'product_table' && segment.kind === 'table') {
         if (!currentGroup) {
+          const anchor = claimAnchor(anchors, page.pageNumber, null);
           currentGroup = {
-            category: 'general',
-            title: inferTitleFromText(segment.sourceRows?.[0] || ''),
+            category: anchor ? inferCategory(anchor.title) : 'general',
+            title: anchor ? anchor.title : inferTitleFromText(segment.sourceRows?.[0] || ''),
+            category_path: chapter ? [chapter] : [],
             descriptionParts: [],
             variants: [],
             specs_headers: [],
             pageStart: page.pageNumber,
             pageEnd: page.pageNumber,
           };
+          if (anchor) currentGroup.title_source = anchor.source;
         }
         ensureGroup(currentGroup, page.pageNumber);
-        const headers = label?.headers_canonical?.length
-          ? label.headers_canonical
-          : canonicalizeHeaderList(segment.header);
-        if (headers.length) {
+        // A continued table keeps the canonical header of the page it started on; a matrix or
+        // sideways table is mapped through its rewritten header, one variant per priced cell or column.
+        const matrix = continuation ? null : interpretMatrixTable(segment.header, segment.rows);
+        const headers = continuation
+          ? continuation.headers
+          : matrix
+            ? canonicalizeHeaderList(matrix.header)
+            : label?.headers_canonical?.length
+              ? label.headers_canonical
+              : canonicalizeHeaderList(segment.header);
+        if (headers.length && !continuation) {
           currentGroup.specs_headers = [...(currentGroup.specs_headers || []), ...headers];
         }
-        const variants = rowsToVariants(headers, segment.rows);
+        const rows = continuation ? continuation.rows : matrix ? matrix.rows : segment.rows;
+        const variants = rowsToVariants(headers, rows);
         currentGroup.variants.push(...variants);
+        if (continuation) {
+          segment.continued_from_page = continuation.continued_from_page;
+          currentGroup.table_continuations = [
+            ...(currentGroup.table_continuations || []),
+            { page: page.pageNumber, continued_from_page: continuation.continued_from_page, header: continuation.header },
+          ];
+        }
+        // Matrix rows do not line up with the rewritten header, so a matrix is never carried over a page.
+        lastTable = { ...describeTable(segment, matrix ? [] : headers), group: currentGroup };
         notes.push({
           page: page.pageNumber,
           span: segment.id,
           type: 'product_table',
           confidence,
-          hint: label?.hint || (label?.actions || []).join(',') || undefined,
+          hint: continuation
+            ? `continued_from_page:${continuation.continued_from_page}`
+            : matrix
+              ? `layout:${matrix.layout}`
+              : label?.hint || (label?.actions || []).join(',') || undefined,
         });
         continue;
       }
@@ -203,6 +320,21 @@ export function assembleGroupsFromSegments(pages, labeledPages) {
 
   pushCurrent();
 
+  // Footnote definitions sit anywhere on the group's pages, often below the next group's table.
+  const pageTexts = new Map(
+    pages.map(page => [
+      page.pageNumber,
+      (page.segments || []).filter(segment => segment.type === 'text').map(segment => segment.text),
+    ]),
+  );
+  for (const group of groups) {
+    const texts = [];
+    for (let pageNumber = group.pageStart; pageNumber <= group.pageEnd; pageNumber += 1) {
+      texts.push(...(pageTexts.get(pageNumber) || []));
+    }
+    resolveFootnotes(group, { texts });
+  }
+
   const dedupedNotes = [];
   const seen = new Set();
   for (const note of notes) {
@@ -1,7 +1,9 @@
 /**
  * Group Boundary Detector
- * Uses header-like lines, all-caps, repeated SKU prefixes, and page header repetition.
+ * Uses header-like lines, all-caps, font-derived headings, repeated SKU prefixes, and page header repetition.
  */
+import { isRunningBlock } from './runningHeaders.js';
+
 const GROUP_TUNING = {
   maxHeaderGap: 4,
   carryHeaderAcrossPages: true
@@ -20,7 +22,10 @@ export function detectGroups(pages) {
 
   for (const page of pages) {
     for (const b of page.blocks) {
-      if (b.type === 'header') {
+      if (isRunningBlock(b)) continue;
+      // Font-derived H1/H2 headings count as header lines whatever their casing.
+      const isHeader = b.type === 'header' || (b.heading?.level && b.heading.level <= 2);
+      if (isHeader) {
         // new group boundary if far enough from last header or header changes
         const newTitle = b.text.replace(/\s{2,}/g,' ').trim();
         const isNew = !lastHeader || newTitle !== lastHeader || (page.index - lastHeaderPage) > 0;
@@ -34,8 +39,8 @@ export function detectGroups(pages) {
       }
       if (!current) {
         // use first header-like or first sku/spec to start a group
-        if (b.type === 'header' || b.type === 'sku' || b.type === 'spec_row') {
-          current = { title: (b.type==='header'? b.text : 'UNTITLED'), pageStart: page.index, blocks: [], variants: [], notes: [] };
+        if (isHeader || b.type === 'sku' || b.type === 'spec_row') {
+          current = { title: (isHeader? b.text : 'UNTITLED'), pageStart: page.index, blocks: [], variants: [], notes: [] };
         } else {
           continue;
         }
@@ -58,3 +58,65 @@ export function canonicalizeHeaderList(headers = []) {
   }
   return out;
 }
+
+const UNIT_SUFFIX_RE = /\(\s*([^()]+?)\s*\)\s*$/;
+
+// Stacked header parts, top first, read as one name with the unit moved to the end:
+// ["Dimensions (mm)", "OD"] -> "Dimensions OD (mm)", which canonicalizes to dimensions_od_mm.
+export function composeHeaderName(parts = []) {
+  const texts = parts.map(part => String(part || '').replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const distinct = texts.filter((text, index) => index === 0 || text.toLowerCase() !== texts[index - 1].toLowerCase());
+  if (distinct.length <= 1) return distinct[0] || '';
+  let unit = null;
+  const words = distinct
+    .map(text => {
+      const match = text.match(UNIT_SUFFIX_RE);
+      if (!match) return text;
+      unit = unit || match[1];
+      return text.slice(0, match.index).trim();
+    })
+    .filter(Boolean);
+  return unit ? `${words.join(' ')} (${unit})` : words.join(' ');
+}
+
+// A fragment belongs to a column when it covers at least half of the narrower of the two.
+function fragmentOverlaps(fragment, column) {
+  const amount = Math.min(fragment.x1, column.x1) - Math.max(fragment.x0, column.x0);
+  return amount > 0 && amount >= 0.5 * Math.min(fragment.x1 - fragment.x0, column.x1 - column.x0);
+}
+
+// Without known columns, the lowest fragment at each position is a column.
+function leafColumns(rows) {
+  const columns = [];
+  for (const row of [...rows].reverse()) {
+    for (const fragment of row) {
+      if (!columns.some(column => fragmentOverlaps(fragment, column))) {
+        columns.push({ x0: fragment.x0, x1: fragment.x1 });
+      }
+    }
+  }
+  return columns.sort((a, b) => a.x0 - b.x0);
+}
+
+/**
+ * Merges stacked header rows into one raw name per column. `rows` are the
+ * header lines, top first, each a list of `{ text, x0, x1 }` fragments; a
+ * fragment spanning several columns ("Dimensions (mm)" over "OD" and
+ * "Length") is shared by all of them. `columns` are `{ x0, x1 }` bands,
+ * derived from the fragments when omitted. Pass the result through
+ * `canonicalizeHeaderList` for keys.
+ */
+export function composeStackedHeader(rows = [], columns = null) {
+  const fragments = rows.map(row => (Array.isArray(row) ? row.filter(fragment => fragment?.text) : []));
+  const bands = columns?.length ? columns : leafColumns(fragments);
+  return bands.map(column =>
+    composeHeaderName(
+      fragments.map(row =>
+        row
+          .filter(fragment => fragmentOverlaps(fragment, column))
+          .map(fragment => fragment.text)
+          .join(' '),
+      ),
+    ),
+  );
+}
@@ -0,0 +1,109 @@
+/**
+ * Heading detection from font size and weight.
+ * Catalog headings are often mixed case ("Volumetric Flasks, Class A"), so
+ * casing and product keywords miss them. Instead, font sizes are ranked per
+ * document: the size carrying most characters is body text, and larger sizes
+ * map to heading levels: H1 chapter, H2 product family, H3 table caption.
+ */
+
+const HEADING_TUNING = {
+  // A heading size must be at least this much larger than the body size.
+  minSizeRatio: 1.15,
+  // Sizes closer than this (pt) are the same level.
+  sizeTolerance: 0.5,
+  // Sizes whose blocks average more characters than this set running text (intro copy), not headings.
+  maxMeanHeadingLength: 80,
+  maxHeadingLength: 120,
+};
+
+function roundSize(size) {
+  return Math.round(size / HEADING_TUNING.sizeTolerance) * HEADING_TUNING.sizeTolerance;
+}
+
+function looksLikeHeadingText(text) {
+  const trimmed = String(text || '').trim();
+  if (trimmed.length < 3 || trimmed.length > HEADING_TUNING.maxHeadingLength) return false;
+  if (!/[A-Za-z]{3}/.test(trimmed)) return false;
+  // Sentences end with a full stop; headings rarely do.
+  return !/[.;]$/.test(trimmed) || /\b(no|cat|approx)\.$/i.test(trimmed);
+}
+
+function collectSizes(pages) {
+  const chars = new Map();
+  const blocks = new Map();
+  let total = 0;
+  for (const page of pages) {
+    for (const block of page.textBlocks || []) {
+      const size = block.font?.size;
+      if (!Number.isFinite(size) || size <= 0) continue;
+      const key = roundSize(size);
+      const length = String(block.text || '').length;
+      chars.set(key, (chars.get(key) || 0) + length);
+      blocks.set(key, (blocks.get(key) || 0) + 1);
+      total += length;
+    }
+  }
+  return { chars, blocks, total };
+}
+
+/**
+ * Derives the heading scale of a document from its text block fonts:
+ * `{ bodySize, levels: [{ level, size }] }`, or null when blocks carry no
+ * font information (text input, OCR).
+ */
+export function deriveHeadingScale(pages = []) {
+  const { chars, blocks, total } = collectSizes(pages);
+  if (!total) return null;
+  let bodySize = null;
+  for (const [size, count] of chars) {
+    if (bodySize == null || count > chars.get(bodySize)) bodySize = size;
+  }
+  const headingSizes = [...chars.entries()]
+    .filter(([size]) => size >= bodySize * HEADING_TUNING.minSizeRatio)
+    .filter(([size, count]) => count / blocks.get(size) <= HEADING_TUNING.maxMeanHeadingLength)
+    .map(([size]) => size)
+    .sort((a, b) => b - a);
+  // With a single heading size it is most likely the product family level.
+  const levels =
+    headingSizes.length === 1
+      ? [{ level: 2, size: headingSizes[0] }]
+      : headingSizes.map((size, index) => ({ level: Math.min(index + 1, 3), size }));
+  return { bodySize, levels };
+}
+
+function classifyBlock(block, scale) {
+  const font = block.font;
+  if (!font || !Number.isFinite(font.size) || !looksLikeHeadingText(block.text)) return null;
+  const size = roundSize(font.size);
+  const match = scale.levels.find(entry => entry.size === size);
+  if (match) {
+    return { level: match.level, size: font.size, source: 'font_size' };
+  }
+  // Bold body-size lines are captions above variant tables.
+  if (font.bold && size === scale.bodySize) {
+    return { level: 3, size: font.size, source: 'font_weight' };
+  }
+  return null;
+}
+
+/**
+ * Tags text blocks (and their segments) with `heading: { level, size, source }`
+ * and returns the scale with per-level counts. Pages are updated in place.
+ */
+export function classifyHeadings(pages = []) {
+  const scale = deriveHeadingScale(pages);
+  if (!scale) return null;
+  const counts = { 1: 0, 2: 0, 3: 0 };
+  for (const page of pages) {
+    const segmentsById = new Map((page.segments || []).map(segment => [segment.id, segment]));
+    for (const block of page.textBlocks || []) {
+      const heading = classifyBlock(block, scale);
+      if (!heading) continue;
+      block.heading = heading;
+      const segment = segmentsById.get(block.id);
+      if (segment && segment !== block) segment.heading = heading;
+      counts[heading.level] += 1;
+    }
+  }
+  return { ...scale, counts };
+}
@@ -0,0 +1,144 @@
+/**
+ * Identifier check digits.
+ * CAS and EC numbers and GTIN/EAN barcodes end in a check digit, so a number
+ * of the right shape can still be wrong: OCR reads an 8 for a 3, a typist hits
+ * 6 for 5, or two digits swap. `checkIdentifier` verifies the check digit and,
+ * when it fails, tries swaps of neighbouring digits within a segment, then
+ * an OCR confusion (0/8, 1/7, 5/6 …) or a keypad neighbour in the check digit,
+ * then OCR confusions in the other digits, then keypad neighbours. The first of
+ * those kinds that passes at all decides: a single passing number is offered
+ * as the `suggestion`, several give none. Arbitrary substitutions are not tried: some
+ * digit can always be changed to satisfy a check digit, so they would never
+ * single one out.
+ */
+
+export const IDENTIFIER_PATTERNS = {
+  cas: /\b\d{2,7}-\d{2}-\d\b/,
+  ec: /\b\d{3}-\d{3}-\d\b/,
+  gtin: /\b(?:\d{8}|\d{12,14})\b/,
+};
+
+// Digits OCR mistakes for one another, both ways round.
+const CONFUSABLE_PAIRS = ['06', '08', '09', '14', '17', '27', '38', '39', '49', '56', '58', '68', '89'];
+const CONFUSABLE = new Map();
+for (const [a, b] of CONFUSABLE_PAIRS) {
+  CONFUSABLE.set(a, [...(CONFUSABLE.get(a) || []), b]);
+  CONFUSABLE.set(b, [...(CONFUSABLE.get(b) || []), a]);
+}
+
+function digitsOf(text) {
+  return [...String(text)].filter(char => /\d/.test(char)).map(Number);
+}
+
+// CAS: the check digit is the sum of the other digits, weighted 1, 2, 3 … from the right, mod 10.
+function casValid(text) {
+  const digits = digitsOf(text);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index + 1), 0);
+  return sum % 10 === check;
+}
+
+// EC: the first six digits weighted 1 … 6 from the left, mod 11; a remainder of 10 is never issued.
+function ecValid(text) {
+  const digits = digitsOf(text);
+  const check = digits.pop();
+  const sum = digits.reduce((total, digit, index) => total + digit * (index + 1), 0);
+  return sum % 11 === check;
+}
+
+// GTIN-8/12/13/14: weights 3, 1, 3 … from the right of the payload; the check digit tops the sum up to a ten.
+function gtinValid(text) {
+  const digits = digitsOf(text);
+  const check = digits.pop();
+  const sum = digits.reverse().reduce((total, digit, index) => total + digit * (index % 2 ? 1 : 3), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+const CHECKS = { cas: casValid, ec: ecValid, gtin: gtinValid };
+
+function normalise(kind, value) {
+  const text = String(value ?? '').trim();
+  return kind === 'gtin' ? text.replace(/[\s-]/g, '') : text.replace(/\s+/g, '');
+}
+
+function hasShape(kind, text) {
+  return new RegExp(`^(?:${IDENTIFIER_PATTERNS[kind].source})$`).test(text);
+}
+
+// Keypad neighbours: a typist hits 6 for 5.
+function neighbours(digit) {
+  const value = Number(digit);
+  return [value - 1, value + 1].filter(next => next >= 0 && next <= 9).map(String);
+}
+
+function replaced(chars, index, digits) {
+  return digits.map(digit => [...chars.slice(0, index), digit, ...chars.slice(index + 1)].join(''));
+}
+
+// Candidate fixes from most to least likely: two neighbouring digits swapped within one segment (46-17-5 for
+// 64-17-5, never across a hyphen), any slip in the check digit, an OCR confusion elsewhere, a keypad neighbour.
+function correctionTiers(text) {
+  const chars = [...text];
+  const last = chars.length - 1;
+  const swaps = [];
+  const confusions = [];
+  const typos = [];
+  chars.slice(0, last).forEach((char, index) => {
+    if (!/\d/.test(char)) return;
+    const next = chars[index + 1];
+    if (/\d/.test(next) && next !== char) {
+      swaps.push([...chars.slice(0, index), next, char, ...chars.slice(index + 2)].join(''));
+    }
+    confusions.push(...replaced(chars, index, CONFUSABLE.get(char) || []));
+    typos.push(...replaced(chars, index, neighbours(char)));
+  });
+  const checkDigit = chars[last];
+  const checkSlips = replaced(chars, last, [...(CONFUSABLE.get(checkDigit) || []), ...neighbours(checkDigit)]);
+  return [swaps, checkSlips, confusions, typos];
+}
+
+/**
+ * Checks a 'cas', 'ec' or 'gtin' value: `{ kind, value, shape, valid,
+ * suggestion }`. `shape` is false when the value does not look like that
+ * identifier at all; `suggestion` is set only for a failed check digit, when
+ * the most likely kind of slip that yields a passing number yields just one.
+ */
+export function checkIdentifier(kind, value) {
+  const check = CHECKS[kind];
+  if (!check) throw new Error(`Unknown identifier kind: ${kind}`);
+  const text = normalise(kind, value);
+  const shape = hasShape(kind, text);
+  const valid = shape && check(text);
+  let suggestion = null;
+  if (shape && !valid) {
+    for (const tier of correctionTiers(text)) {
+      const fixes = new Set(tier.filter(candidate => hasShape(kind, candidate) && check(candidate)));
+      if (!fixes.size) continue;
+      if (fixes.size === 1) [suggestion] = fixes;
+      break;
+    }
+  }
+  return { kind, value: text, shape, valid, suggestion };
+}
+
+/** True for a CAS Registry Number whose check digit holds. */
+export function isValidCas(value) {
+  return value != null && checkIdentifier('cas', value).valid;
+}
+
+/** True for an EC (EINECS/ELINCS) number whose check digit holds. */
+export function isValidEc(value) {
+  return value != null && checkIdentifier('ec', value).valid;
+}
+
+/** True for a GTIN-8, -12 (UPC), -13 (EAN) or -14 whose check digit holds. */
+export function isValidGtin(value) {
+  return value != null && checkIdentifier('gtin', value).valid;
+}
+
+/** The first identifier of `kind` in `text` whose check digit holds, else the first of the right shape. */
+export function findIdentifier(kind, text) {
+  const pattern = new RegExp(IDENTIFIER_PATTERNS[kind].source, 'g');
+  const matches = [...String(text ?? '').matchAll(pattern)].map(match => match[0]);
+  return matches.find(match => CHECKS[kind](match)) ?? matches[0] ?? null;
+}
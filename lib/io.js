@@ -83,3 +83,7 @@ export async function removeFile(filePath) {
     }
   }
 }
+
+export async function removeDir(dirPath) {
+  await fs.rm(dirPath, { recursive: true, force: true });
+}
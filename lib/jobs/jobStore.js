@@ -0,0 +1,259 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import { randomUUID } from 'node:crypto';
+
+import { getDataDir, pathExists, readJson, writeJson } from '../io.js';
+
+const JOBS_DIRNAME = 'jobs';
+const JOB_ID_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,127}$/;
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'cancelled', 'interrupted']);
+
+// Controllers and pending writes only live for jobs started by this process. They sit on
+// globalThis because Next.js bundles each route separately (and reloads modules in dev), so
+// the ingest route and the jobs route would otherwise see different maps.
+const registry =
+  globalThis.__ingestJobRegistry ||
+  (globalThis.__ingestJobRegistry = {
+    instanceId: randomUUID(),
+    activeControllers: new Map(),
+    writeQueues: new Map(),
+  });
+const { activeControllers, writeQueues } = registry;
+
+export function isValidJobId(jobId) {
+  return typeof jobId === 'string' && JOB_ID_RE.test(jobId);
+}
+
+export function isTerminalStatus(status) {
+  return TERMINAL_STATUSES.has(status);
+}
+
+function jobsDir(docId) {
+  return path.join(getDataDir(docId), JOBS_DIRNAME);
+}
+
+function jobPath(docId, jobId) {
+  return path.join(jobsDir(docId), `${jobId}.json`);
+}
+
+function resultPath(docId, jobId) {
+  return path.join(jobsDir(docId), `${jobId}.result.json`);
+}
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user.
+    return error?.code === 'EPERM';
+  }
+}
+
+// Whether some live process may still be running `job`. Jobs started here are known
+// by their controller; another process's jobs by its pid, unless that pid is now ours
+// (a restarted container often reuses it).
+function ownerAlive(job) {
+  if (activeControllers.has(job.jobId)) return true;
+  const owner = job.owner;
+  if (!owner?.pid || owner.instance === registry.instanceId || owner.pid === process.pid) return false;
+  return processAlive(owner.pid);
+}
+
+function enqueueWrite(jobId, task) {
+  const previous = writeQueues.get(jobId) || Promise.resolve();
+  const next = previous.catch(() => {}).then(task);
+  writeQueues.set(jobId, next);
+  next.finally(() => {
+    if (writeQueues.get(jobId) === next) {
+      writeQueues.delete(jobId);
+    }
+  }).catch(() => {});
+  return next;
+}
+
+async function persistJob(job) {
+  await writeJson(jobPath(job.docId, job.jobId), job, { pretty: true });
+  return job;
+}
+
+function applyProgressEvent(progress, event) {
+  const next = { ...progress };
+  switch (event?.type) {
+    case 'stage':
+      next.stage = event.stage;
+      break;
+    case 'window_started':
+      next.stage = 'windowed';
+      next.window = {
+        index: event.index,
+        total: event.total,
+        pageStart: event.pageStart ?? null,
+        pageEnd: event.pageEnd ?? null,
+      };
+      break;
+    case 'chunk_done':
+      next.stage = 'chunker';
+      next.chunk = {
+        chunkId: event.chunkId,
+        completed: event.completed,
+        total: event.total,
+        status: event.status,
+      };
+      break;
+    default:
+      break;
+  }
+  return next;
+}
+
+export async function createJob({ docId, source = null, options = {} }) {
+  const jobId = randomUUID();
+  const now = new Date().toISOString();
+  const job = {
+    jobId,
+    docId,
+    status: 'queued',
+    created_at: now,
+    updated_at: now,
+    started_at: null,
+    finished_at: null,
+    source,
+    options,
+    progress: { stage: 'queued', window: null, chunk: null },
+    result_path: null,
+    error: null,
+    owner: { pid: process.pid, instance: registry.instanceId },
+  };
+  const controller = new AbortController();
+  activeControllers.set(jobId, controller);
+  await enqueueWrite(jobId, () => persistJob(job));
+  return { job, signal: controller.signal };
+}
+
+export async function findJob(jobId) {
+  if (!isValidJobId(jobId)) return null;
+  const baseDir = getDataDir();
+  let entries;
+  try {
+    entries = await fs.readdir(baseDir, { withFileTypes: true });
+  } catch (error) {
+    if (error && error.code === 'ENOENT') return null;
+    throw error;
+  }
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+    const candidate = jobPath(entry.name, jobId);
+    if (await pathExists(candidate)) {
+      return readJson(candidate);
+    }
+  }
+  return null;
+}
+
+function settleJob(job) {
+  if (!isTerminalStatus(job.status) && !ownerAlive(job)) {
+    // The process that owned this job went away (restart or crash); report it
+    // instead of leaving the client polling a job that will never finish.
+    return updateJob(job, { status: 'interrupted', finished_at: new Date().toISOString() });
+  }
+  return job;
+}
+
+export async function loadJob(jobId) {
+  const job = await findJob(jobId);
+  return job ? settleJob(job) : null;
+}
+
+/** Jobs of `docId` that are still queued or running in a live process. */
+export async function listActiveJobs(docId) {
+  let names;
+  try {
+    names = await fs.readdir(jobsDir(docId));
+  } catch (error) {
+    if (error && error.code === 'ENOENT') return [];
+    throw error;
+  }
+  const active = [];
+  for (const name of names) {
+    const jobId = name.endsWith('.json') && !name.endsWith('.result.json') ? name.slice(0, -'.json'.length) : null;
+    if (!isValidJobId(jobId)) continue;
+    const job = await settleJob(await readJson(jobPath(docId, jobId)));
+    if (!isTerminalStatus(job.status)) active.push(job);
+  }
+  return active;
+}
+
+export async function loadJobResult(job) {
+  if (!job?.result_path || !(await pathExists(job.result_path))) return null;
+  return readJson(job.result_path);
+}
+
+export function updateJob(job, patch = {}) {
+  return enqueueWrite(job.jobId, async () => {
+    const current = (await pathExists(jobPath(job.docId, job.jobId)))
+      ? await readJson(jobPath(job.docId, job.jobId))
+      : job;
+    // Never move a job out of a terminal state, e.g. progress arriving after a cancel.
+    if (isTerminalStatus(current.status) && patch.status !== current.status) {
+      return current;
+    }
+    const next = { ...current, ...patch, updated_at: new Date().toISOString() };
+    return persistJob(next);
+  });
+}
+
+export function createProgressReporter(job) {
+  let progress = { ...job.progress };
+  return event => {
+    progress = applyProgressEvent(progress, event);
+    updateJob(job, { status: 'running', progress })
+      .then(current => {
+        // Cancelled from another process: stop at the next checkpoint here too.
+        if (current.status === 'cancelled') activeControllers.get(job.jobId)?.abort(new Error('job_cancelled'));
+      })
+      .catch(error => {
+        console.warn(`[jobs] failed to record progress for ${job.jobId}:`, error);
+      });
+  };
+}
+
+export async function startJob(job) {
+  return updateJob(job, {
+    status: 'running',
+    started_at: new Date().toISOString(),
+  });
+}
+
+export async function completeJob(job, result) {
+  const target = resultPath(job.docId, job.jobId);
+  await writeJson(target, result, { pretty: true });
+  const updated = await updateJob(job, {
+    status: 'completed',
+    finished_at: new Date().toISOString(),
+    progress: { stage: 'done', window: null, chunk: null },
+    result_path: target,
+  });
+  activeControllers.delete(job.jobId);
+  return updated;
+}
+
+export async function failJob(job, error) {
+  const updated = await updateJob(job, {
+    status: 'failed',
+    finished_at: new Date().toISOString(),
+    error: { message: error?.message || 'unknown error', code: error?.code || null },
+  });
+  activeControllers.delete(job.jobId);
+  return updated;
+}
+
+export async function cancelJob(job) {
+  const updated = await updateJob(job, {
+    status: 'cancelled',
+    finished_at: new Date().toISOString(),
+  });
+  activeControllers.get(job.jobId)?.abort(new Error('job_cancelled'));
+  activeControllers.delete(job.jobId);
+  return updated;
+}
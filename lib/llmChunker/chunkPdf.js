@@ -1,5 +1,7 @@
 import { createHash } from 'node:crypto';
 
+import { pageBodyText } from '../runningHeaders.js';
+
 const DEFAULT_PAGES_PER_CHUNK = Number.parseInt(process.env.PAGES_PER_CHUNK || '10', 10);
 
 function normalisePageNumber(page, index) {
@@ -18,7 +20,7 @@ function buildChunkId(docId, ordinal) {
 function hashChunkText(pages) {
   const hash = createHash('sha256');
   for (const page of pages) {
-    const raw = page?.rawText || '';
+    const raw = pageBodyText(page);
     hash.update(String(raw));
     if (Array.isArray(page?.textBlocks)) {
       for (const block of page.textBlocks) {
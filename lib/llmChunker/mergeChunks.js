@@ -1,3 +1,5 @@
+import { PRICE_MODEL_FIELDS, isPlainPrice, parsePrice, priceModelFields, priceModelIssues } from '../priceModel.js';
+
 function normaliseHeader(header) {
   return String(header || '')
     .trim()
@@ -25,13 +27,41 @@ function buildVariantKey(variant) {
   return `name:${name}|pack:${pack}|size:${size}`;
 }
 
+function hasPrice(variant) {
+  return variant?.price_value != null || variant?.price_status != null;
+}
+
+// Compares whole prices, so a range or a tier list differing from the other chunk's is a conflict too.
+function priceSignature(variant) {
+  return JSON.stringify([variant.price_status || 'listed', variant.price_value ?? null, variant.price_tiers || null]);
+}
+
+/**
+ * Reads a price the model returned as text ("POR", "1,200–1,450") into the
+ * price model and drops model fields that do not hold together.
+ */
+function normalisePrice(variant, warnings) {
+  const normalised = { ...variant };
+  if (typeof normalised.price_value === 'string') {
+    const model = parsePrice(normalised.price_value);
+    normalised.price_value = model?.value ?? null;
+    if (model && !isPlainPrice(model)) Object.assign(normalised, priceModelFields(model));
+  }
+  const issues = priceModelIssues(normalised);
+  if (issues.length) {
+    warnings.push(`price_model_dropped:${normalised.code || normalised.name || 'variant'}:${issues.join('; ')}`);
+    for (const key of PRICE_MODEL_FIELDS) delete normalised[key];
+  }
+  return normalised;
+}
+
 function scoreVariant(variant) {
   let score = 0;
   if (variant?.confidence != null) {
     score += Number(variant.confidence) * 10;
   }
   if (variant?.code) score += 5;
-  if (variant?.price_value != null) score += 3;
+  if (hasPrice(variant)) score += 3;
   if (variant?.fields_present?.length) {
     score += variant.fields_present.length;
   }
@@ -60,6 +90,14 @@ function mergeVariant(target, candidate) {
     }
     merged.fields_present = Array.from(set);
   }
+  // The price fields travel together: a winning tier list must not keep the loser's range.
+  const priceSource = hasPrice(candidate) && (!hasPrice(target) || scoreVariant(candidate) > scoreVariant(target))
+    ? candidate
+    : target;
+  for (const key of ['price_value', ...PRICE_MODEL_FIELDS]) {
+    if (key in priceSource) merged[key] = priceSource[key];
+    else delete merged[key];
+  }
   if (Number.isFinite(candidate.confidence)) {
     merged.confidence = Math.max(Number(target.confidence || 0), Number(candidate.confidence));
   }
@@ -82,6 +120,7 @@ export function mergeChunkResponses(chunkResults = []) {
   const provenance = {};
   const headerMap = new Map();
   const priceConflicts = [];
+  const warnings = [];
   let variantCounter = 0;
 
   for (const chunkResult of chunkResults) {
@@ -102,8 +141,9 @@ export function mergeChunkResponses(chunkResults = []) {
       targetGroup.__chunkSources.add(chunkResult.chunkId);
 
       if (Array.isArray(group?.variants)) {
-        for (const variant of group.variants) {
-          if (!variant || typeof variant !== 'object') continue;
+        for (const rawVariant of group.variants) {
+          if (!rawVariant || typeof rawVariant !== 'object') continue;
+          const variant = normalisePrice(rawVariant, warnings);
           const key = buildVariantKey(variant);
           let existingVariant = targetGroup.variants.find(entry => entry.__mergeKey === key);
           if (!existingVariant) {
@@ -118,15 +158,16 @@ export function mergeChunkResponses(chunkResults = []) {
             };
           } else {
             if (
-              existingVariant.price_value != null &&
-              variant.price_value != null &&
-              existingVariant.price_value !== variant.price_value
+              hasPrice(existingVariant) &&
+              hasPrice(variant) &&
+              priceSignature(existingVariant) !== priceSignature(variant)
             ) {
               priceConflicts.push({
                 code: variant.code || null,
                 name: variant.name || null,
                 chunks: [provenance[existingVariant.__variantId]?.chunkId, chunkResult.chunkId],
                 values: [existingVariant.price_value, variant.price_value],
+                statuses: [existingVariant.price_status || 'listed', variant.price_status || 'listed'],
               });
             }
             Object.assign(existingVariant, mergeVariant(existingVariant, variant));
@@ -153,6 +194,7 @@ export function mergeChunkResponses(chunkResults = []) {
     canonicalHeaders,
     provenance,
     priceConflicts,
+    warnings,
   };
 }
 
@@ -1,7 +1,11 @@
 import path from 'node:path';
 
+import { assignCategoryPaths, buildCategoryTree } from '../categoryTree.js';
+import { applyChemicalDictionary, resolveChemicalDictionary } from '../chemicalDictionary.js';
+import { applyChemistryToGroups } from '../chemistrySpecs.js';
 import { ensureDir, pathExists, readJson, writeJson } from '../io.js';
 import { postProcess } from '../postProcessor.js';
+import { applyTaxModel } from '../taxModel.js';
 import { GroupSchema } from '../validationSchemas.js';
 import { chunkPdfPages } from './chunkPdf.js';
 import {
@@ -15,12 +19,14 @@ import { mergeChunkResponses } from './mergeChunks.js';
 import { runFallbackForChunk } from './fallbackChunk.js';
 import { buildChunkerQcReport } from './qc.js';
 import { runUniversalCatalogPass } from '../catalog/pipeline.js';
+import { pageBodyText } from '../runningHeaders.js';
+import { buildPageMap, titleKey } from '../tocParser.js';
 
 function extractRawText(pages = []) {
   const lines = [];
   for (const page of pages) {
-    if (page?.rawText) {
-      lines.push(page.rawText);
+    if (pageBodyText(page)) {
+      lines.push(pageBodyText(page));
       continue;
     }
     if (Array.isArray(page?.textBlocks)) {
@@ -108,6 +114,31 @@ function attachVariantProvenance(groups, provenanceMap) {
   }
 }
 
+// Chunk responses carry no page numbers, so a group starts on the first page of its chunks that
+// names it, else on the first page of those chunks. Contents and index pages name everything.
+function locateGroupPages(groups, pages, pageMap) {
+  const skip = new Set([...(pageMap?.toc.tocPages || []), ...(pageMap?.index.indexPages || [])]);
+  const keys = new Map(pages.map(page => [page.pageNumber, ` ${titleKey(pageBodyText(page) || page.rawText)} `]));
+  for (const group of groups) {
+    if (Number.isFinite(group.pageStart)) continue;
+    const ranges = (group.variants || []).map(variant => variant._provenance).filter(Boolean);
+    if (!ranges.length) continue;
+    const first = Math.min(...ranges.map(range => range.pageStart));
+    const last = Math.max(...ranges.map(range => range.pageEnd));
+    const title = titleKey(group.title);
+    const named = title
+      ? pages.find(
+          page =>
+            page.pageNumber >= first &&
+            page.pageNumber <= last &&
+            !skip.has(page.pageNumber) &&
+            keys.get(page.pageNumber).includes(` ${title} `),
+        )
+      : null;
+    group.pageStart = named ? named.pageNumber : first;
+  }
+}
+
 async function runDeterministicReconciliation({ docId, pages, groups, options }) {
   try {
     const deterministic = await runUniversalCatalogPass({
@@ -127,7 +158,12 @@ export async function runLLMChunkerPipeline({
   pages,
   dataDir,
   options = {},
+  onProgress = null,
+  signal = null,
 }) {
+  const emit = event => {
+    if (typeof onProgress === 'function') onProgress(event);
+  };
   const pagesPerChunk = options.pagesPerChunk || Number.parseInt(process.env.PAGES_PER_CHUNK || '10', 10);
   const concurrency = options.concurrency || Number.parseInt(process.env.LLM_CONCURRENCY || '2', 10) || 1;
   const budget = new ChunkerBudgetTracker(options.maxUsd || Number.parseFloat(process.env.LLM_MAX_USD || '10'));
@@ -143,10 +179,12 @@ export async function runLLMChunkerPipeline({
   }
 
   let processedIndex = 0;
+  let completedCount = 0;
   const workers = [];
 
   async function worker() {
     while (processedIndex < chunks.length) {
+      signal?.throwIfAborted();
       const index = processedIndex;
       processedIndex += 1;
       const chunk = chunks[index];
@@ -182,7 +220,7 @@ export async function runLLMChunkerPipeline({
           const mockResponse = typeof options.llmMock === 'function'
             ? options.llmMock({ chunk, prompt })
             : options.mockResponse;
-          invocation = await callLLMForChunk({ prompt, budget, mockResponse });
+          invocation = await callLLMForChunk({ prompt, budget, mockResponse, signal: signal ?? undefined });
           source = 'llm';
         } catch (error) {
           source = 'error';
@@ -253,6 +291,23 @@ export async function runLLMChunkerPipeline({
       };
       chunkResults[index] = result;
       updateContextWithChunk(context, result);
+      completedCount += 1;
+      emit({
+        type: 'chunk_done',
+        chunkId: chunk.chunkId,
+        pageStart: chunk.pageStart,
+        pageEnd: chunk.pageEnd,
+        status: result.status,
+        source: result.source,
+        completed: completedCount,
+        total: chunks.length,
+      });
+      emit({
+        type: 'budget_update',
+        spentUsd: Number(budget.spentUsd.toFixed(4)),
+        reservedUsd: Number(budget.estimatedUsd.toFixed(4)),
+        maxUsd: budget.maxUsd,
+      });
     }
   }
 
@@ -266,7 +321,29 @@ export async function runLLMChunkerPipeline({
   attachVariantProvenance(merged.groups, merged.provenance);
 
   const postProcessed = await postProcess(merged.groups, options.postProcessOptions || {});
+  applyTaxModel(postProcessed, { ...(options.taxOptions || {}), pages });
+  applyChemistryToGroups(postProcessed);
+  const dictionary = await resolveChemicalDictionary(options);
+  applyChemicalDictionary(postProcessed, dictionary);
+
+  const categoryWarnings = [];
+  let categories = null;
+  try {
+    const pageMap = options.pageMap || buildPageMap(pages);
+    locateGroupPages(postProcessed, pages, pageMap);
+    categories = {
+      sources: assignCategoryPaths(postProcessed, { toc: pageMap.toc }),
+      toc_entries: pageMap.toc.entries.length,
+      toc_pages: pageMap.toc.tocPages,
+      page_offset: pageMap.toc.pageOffset || 0,
+    };
+  } catch (error) {
+    categoryWarnings.push(`category_paths_failed:${error.message}`);
+  }
+
   const { validation, groups: validatedGroups } = normaliseValidation(postProcessed);
+  validation.warnings.push(...merged.warnings, ...(dictionary?.errors || []), ...categoryWarnings);
+  const categoryTree = buildCategoryTree(validatedGroups);
 
   const deterministic = await runDeterministicReconciliation({
     docId,
@@ -301,6 +378,7 @@ export async function runLLMChunkerPipeline({
       concurrency: workerCount,
     },
     deterministic,
+    categories,
   };
 
   const artifacts = {};
@@ -311,7 +389,7 @@ export async function runLLMChunkerPipeline({
     const qcPath = path.join(artifactsDir, 'qc_report.json');
     const provenancePath = path.join(artifactsDir, 'provenance.json');
     await writeJson(llmPath, { groups: merged.groups }, { pretty: true });
-    await writeJson(finalPath, { groups: validatedGroups, notes }, { pretty: true });
+    await writeJson(finalPath, { groups: validatedGroups, notes, category_tree: categoryTree }, { pretty: true });
     await writeJson(qcPath, qcReport, { pretty: true });
     await writeJson(provenancePath, merged.provenance, { pretty: true });
     artifacts.catalog_llm_path = llmPath;
@@ -327,6 +405,7 @@ export async function runLLMChunkerPipeline({
     status,
     groups: validatedGroups,
     notes,
+    categoryTree,
     diagnostics,
     warnings: [...validation.warnings, ...chunkWarnings],
     validation,
@@ -1,3 +1,5 @@
+import { pageBodyText } from '../runningHeaders.js';
+
 const SYSTEM_PROMPT = `You are a deterministic catalog converter. Output must be valid JSON only, matching this schema:
 {
   "groups": [
@@ -12,6 +14,10 @@ const SYSTEM_PROMPT = `You are a deterministic catalog converter. Output must be
           "name": "string",
           "pack": "string|null",
           "price_value": "number|null",
+          "price_status": "listed|on_request|discontinued",
+          "price_min": "number|null",
+          "price_max": "number|null",
+          "price_tiers": [{ "min_qty": "number", "max_qty": "number|null", "price": "number" }],
           "currency": "string|null",
           "notes": "string|null",
           "confidence": "number",
@@ -27,6 +33,10 @@ const SYSTEM_PROMPT = `You are a deterministic catalog converter. Output must be
 Never invent products; only emit rows recoverable from the provided text.
 
 Keep units/currency as seen; numeric price_value should be digits only.
+"POR"/"on request" or discontinued lines get price_value null and that price_status.
+Price ranges fill price_min/price_max with price_value the lower bound.
+Quantity breaks ("1-9: 450 / 10+: 410") fill price_tiers, with price_value the first tier's price.
+Leave the price_* fields out for a single plain price.
 
 No prose; JSON only.`;
 
@@ -45,8 +55,8 @@ function stringifyPages(pages = []) {
   for (const page of pages) {
     const header = `--- Page ${page.pageNumber ?? '?'} ---`;
     lines.push(header);
-    if (page?.rawText) {
-      lines.push(page.rawText.trim());
+    if (pageBodyText(page)) {
+      lines.push(pageBodyText(page).trim());
     } else if (Array.isArray(page?.textBlocks)) {
       lines.push(stringifyTextBlocks(page.textBlocks));
     }
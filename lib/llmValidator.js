@@ -1,4 +1,5 @@
 import { getOpenAIClient, isOpenAIConfigured } from './openaiClient.js';
+import { pageBodyText } from './runningHeaders.js';
 
 const VALIDATOR_MODEL = process.env.OPENAI_VALIDATOR_MODEL || 'gpt-4.1-mini';
 const SYSTEM_PROMPT = `You are a strict data QA for PDF→Catalog JSON conversion. You receive:
@@ -35,8 +36,8 @@ function summarisePage(page) {
   if (Array.isArray(page.tables)) {
     summary.tables = page.tables.slice(0, 2).map(tbl => summariseTable(tbl));
   }
-  if (!summary.textBlocks.length && typeof page.rawText === 'string') {
-    summary.textPreview = page.rawText.slice(0, 280);
+  if (!summary.textBlocks.length && pageBodyText(page)) {
+    summary.textPreview = pageBodyText(page).slice(0, 280);
   }
   return summary;
 }
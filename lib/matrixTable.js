@@ -0,0 +1,134 @@
+/**
+ * Matrix and transposed price tables.
+ * Catalogs often put sizes across the top and grades or materials down the
+ * side with a price in every cell ("Grade | 50 ml | 100 ml | 250 ml"), or
+ * print one variant per column with the field names down the side
+ * ("Capacity (ml) | 50 | 100", "Price | 90 | 110"). Both are rewritten into
+ * an ordinary header and rows here, one row per priced cell or per column,
+ * so every extraction path can map them the way it maps any other table.
+ */
+
+import { canonicalizeHeaderName } from './headerUtils.js';
+
+const MATRIX_TUNING = {
+  // Size columns needed across the top, and field rows down the side of a transposed table.
+  minAxisColumns: 2,
+  minFieldRows: 2,
+  // Share of the body cells of a matrix that must be prices (the rest may be blank or "-").
+  minPriceCellShare: 0.6,
+};
+
+const AXIS_CELL_RE = /^(\d+(?:\.\d+)?)\s*(ml|l|ltr|litre|liter|µl|ul|g|gm|kg|mg|mm|cm|m|inch|pcs|pc|nos)?\.?$/i;
+const UNIT_HINT_RE = /\(\s*(ml|l|ltr|litre|liter|µl|ul|g|gm|kg|mg|mm|cm|m|inch|pcs|pc|nos)\s*\)/i;
+const AXIS_WORD_RE = /capacity|volume|size|pack/i;
+const PRICE_CELL_RE = /^(?:₹|rs\.?|inr)?\s*\d[\d,]*(?:\.\d+)?\/?-?$/i;
+const EMPTY_CELL_RE = /^(?:|-+|–|—|n\.?a\.?|on request)$/i;
+const PLACEHOLDER_RE = /^column_\d+$/;
+const PRICE_FIELDS = new Set(['price_inr', 'price', 'mrp', 'rate', 'price_mrp', 'list_price', 'net_price']);
+const FIELD_RE = new RegExp(
+  '^(?:cat\\.?\\s*no|catalog(?:ue)?\\s*no|code|item code|product code|sku|price|mrp|rate|capacity|volume|size|' +
+    'pack(?:\\s*size)?|grade|hsn|cas|description|joint|length|diameter|height)\\b',
+  'i',
+);
+
+function cellText(cell) {
+  return String(cell ?? '').replace(/\s+/g, ' ').trim();
+}
+
+function unitName(unit) {
+  const lower = String(unit || '').toLowerCase();
+  if (['ml', 'l', 'ltr', 'litre', 'liter', 'µl', 'ul'].includes(lower)) return 'Capacity';
+  if (['g', 'gm', 'kg', 'mg', 'pcs', 'pc', 'nos'].includes(lower)) return 'Pack';
+  return 'Size';
+}
+
+function isPriceCell(cell) {
+  return PRICE_CELL_RE.test(cellText(cell));
+}
+
+function isEmptyCell(cell) {
+  return EMPTY_CELL_RE.test(cellText(cell));
+}
+
+function axisCell(cell, unitHint) {
+  const match = cellText(cell).match(AXIS_CELL_RE);
+  if (!match) return null;
+  const unit = match[2] || unitHint || null;
+  return { text: match[2] ? cellText(cell) : unit ? `${match[1]} ${unit}` : match[1], unit };
+}
+
+/**
+ * Sizes across the top: label columns on the left, then at least two size
+ * columns, and a price (or nothing) in every body cell. Label headers never
+ * hold digits, which keeps the first data row of a headerless table out.
+ */
+function interpretMatrix(header, rows) {
+  const cells = header.map(cell => (PLACEHOLDER_RE.test(cellText(cell)) ? '' : cellText(cell)));
+  const first = cells.findIndex((cell, index) => index > 0 && AXIS_CELL_RE.test(cell));
+  if (first < 1 || cells.length - first < MATRIX_TUNING.minAxisColumns) return null;
+  const labels = cells.slice(0, first);
+  if (labels.some(label => /\d/.test(label.replace(UNIT_HINT_RE, '')))) return null;
+  const unitHint = labels.map(label => (label.match(UNIT_HINT_RE) || [])[1]).find(Boolean)?.toLowerCase() || null;
+  const axis = cells.slice(first).map(cell => axisCell(cell, unitHint));
+  if (axis.some(entry => !entry) || new Set(axis.map(entry => entry.text)).size !== axis.length) return null;
+  if (!rows.length || rows.some(row => row.length !== cells.length)) return null;
+  const body = rows.flatMap(row => row.slice(first));
+  if (body.some(cell => !isPriceCell(cell) && !isEmptyCell(cell))) return null;
+  if (body.filter(isPriceCell).length / body.length < MATRIX_TUNING.minPriceCellShare) return null;
+
+  // A lone label header that describes the sizes ("Capacity (ml)") names the axis, not the rows.
+  let axisName = unitName(axis.find(entry => entry.unit)?.unit);
+  let labelNames = labels.map(label => label.replace(UNIT_HINT_RE, '').trim());
+  if (labelNames.length === 1 && AXIS_WORD_RE.test(labelNames[0])) {
+    axisName = labelNames[0].replace(/[^A-Za-z ]+/g, ' ').trim();
+    labelNames = [''];
+  }
+  labelNames = labelNames.map(name =>
+    !name || name.toLowerCase() === axisName.toLowerCase() ? 'Description' : name,
+  );
+  const exploded = [];
+  for (const row of rows) {
+    const rowLabels = row.slice(0, first).map(cellText);
+    row.slice(first).forEach((cell, index) => {
+      if (isPriceCell(cell)) exploded.push([...rowLabels, axis[index].text, cellText(cell)]);
+    });
+  }
+  return {
+    layout: 'matrix',
+    header: [...labelNames, axisName, 'Price'],
+    rows: exploded,
+    labelColumns: labelNames.length,
+    axis: { name: axisName, values: axis.map(entry => entry.text) },
+  };
+}
+
+/**
+ * One variant per column: every row starts with a field name, one of them a
+ * price, and the columns to its right are the variants.
+ */
+function interpretTransposed(header, rows) {
+  const all = [header, ...rows].map(row => row.map(cellText));
+  const width = all[0].length;
+  if (width - 1 < MATRIX_TUNING.minAxisColumns || all.length < MATRIX_TUNING.minFieldRows) return null;
+  if (all.some(row => row.length !== width || !FIELD_RE.test(row[0]))) return null;
+  const priceRow = all.find(row => PRICE_FIELDS.has(canonicalizeHeaderName(row[0])));
+  if (!priceRow || !priceRow.slice(1).every(cell => isPriceCell(cell) || isEmptyCell(cell))) return null;
+  const columns = [];
+  for (let index = 1; index < width; index += 1) {
+    if (isPriceCell(priceRow[index])) columns.push(all.map(row => row[index]));
+  }
+  if (!columns.length) return null;
+  return { layout: 'transposed', header: all.map(row => row[0]), rows: columns, labelColumns: 0, axis: null };
+}
+
+/**
+ * Returns `{ layout: 'matrix' | 'transposed', header, rows, labelColumns, axis }`
+ * when a table is a matrix or is printed sideways, else null. `header` and
+ * `rows` are the raw (uncanonicalised) table the caller should map instead:
+ * for a matrix the label columns, the size axis and "Price", one row per
+ * priced cell.
+ */
+export function interpretMatrixTable(header = [], rows = []) {
+  if (!Array.isArray(header) || !Array.isArray(rows)) return null;
+  return interpretMatrix(header, rows) || interpretTransposed(header, rows);
+}
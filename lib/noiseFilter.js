@@ -5,6 +5,8 @@
  * - Sections: 'intro' | 'catalog' | 'index' | 'appendix'
  * - Debug reasons + final noiseScore (0–100)
  */
+import { isRunningBlock } from './runningHeaders.js';
+
 const NOISE_TUNING = {
   // raw signal weights (sum ≈ 1.0 for intuition; we’ll rescale)
   weights: {
@@ -49,28 +51,30 @@ function any(arr, pred) { for (const x of arr) if (pred(x)) return true; return
 // Computes raw signals from a tokenized page
 function computeSignals(page) {
   const { patterns } = NOISE_TUNING;
-  const text = page.blocks.map(b => b.text).join('\n');
+  // "Price List 2024" in a running header would make every page look like a price page.
+  const blocks = page.blocks.filter(b => !isRunningBlock(b));
+  const text = blocks.map(b => b.text).join('\n');
 
-  const priceHits = count(page.blocks, b =>
+  const priceHits = count(blocks, b =>
     b.type === 'price' || patterns.price.test(b.text));
 
-  const specHits = count(page.blocks, b =>
+  const specHits = count(blocks, b =>
     b.type === 'spec_row' || patterns.specUnits.test(b.text));
 
-  const skuHits = count(page.blocks, b =>
+  const skuHits = count(blocks, b =>
     b.type === 'sku' || patterns.skuLike.test(b.text));
 
-  const unitHits = count(page.blocks, b => patterns.specUnits.test(b.text));
+  const unitHits = count(blocks, b => patterns.specUnits.test(b.text));
 
   // Index/TOC-like signals: dotted leaders, many short lines ending numbers, “index/contents”
   const indexTokens =
-    count(page.blocks, b => patterns.dottedLeader.test(b.text)) +
+    count(blocks, b => patterns.dottedLeader.test(b.text)) +
     (/\b(index|contents|table of contents)\b/i.test(text) ? 3 : 0) +
-    count(page.blocks, b => /\b[A-Z][A-Za-z].{0,40}\s\d{1,4}\b/.test(b.text));
+    count(blocks, b => /\b[A-Z][A-Za-z].{0,40}\s\d{1,4}\b/.test(b.text));
 
   // Promotional/intro language
   const promoHits =
-    count(page.blocks, b => patterns.promoWords.test(b.text)) +
+    count(blocks, b => patterns.promoWords.test(b.text)) +
     (/\b(foreword|welcome|dear customers|brochure)\b/i.test(text) ? 2 : 0);
 
   // Numeric shape: many small integers typically indicates dimension/spec tables or indices
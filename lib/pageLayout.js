@@ -0,0 +1,250 @@
+/**
+ * Page layout analysis: finds vertical gutters that split a page into side-by-side
+ * columns and returns reading-order regions, so lines from neighbouring product
+ * columns are not glued together by y-grouping.
+ *
+ * A gutter between table columns looks the same as a page gutter on its own, so a
+ * split is only accepted when the two sides read as independent flows: their rows
+ * do not share baselines, or each side repeats the same table header vocabulary.
+ */
+
+const LAYOUT_TUNING = {
+  // Minimum empty strip width (pt) for a page gutter; table gutters are usually narrower.
+  minGutterWidth: 14,
+  // Share of rows allowed to cross a gutter (page headings, full-width banners).
+  spillRatio: 0.1,
+  // Each side needs this many rows and this share of the text width.
+  minRegionRows: 4,
+  minRegionWidthRatio: 0.15,
+  // Above this share of baseline-aligned rows the sides are treated as one table.
+  maxAlignedRatio: 0.7,
+  baselineTolerance: 2,
+  maxColumns: 4,
+};
+
+const HEADER_VOCABULARY = [
+  'cat',
+  'code',
+  'description',
+  'pack',
+  'price',
+  'mrp',
+  'qty',
+  'size',
+  'capacity',
+  'unit',
+  'hsn',
+  'rate',
+];
+
+function tokenBounds(token) {
+  const { x, y, width, height } = token.bbox;
+  return { x0: x, x1: x + Math.max(width || 0, 0), y0: y, y1: y + Math.max(height || 0, 0) };
+}
+
+/**
+ * Groups tokens into rows by baseline (top of page first). Rows are only used for
+ * analysis; line items are built per region afterwards.
+ */
+function groupRows(tokens) {
+  const sorted = [...tokens].sort((a, b) => b.bbox.y - a.bbox.y || a.bbox.x - b.bbox.x);
+  const rows = [];
+  for (const token of sorted) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - token.bbox.y) <= LAYOUT_TUNING.baselineTolerance) {
+      row.tokens.push(token);
+      continue;
+    }
+    rows.push({ y: token.bbox.y, tokens: [token] });
+  }
+  return rows;
+}
+
+function rowCovers(row, x0, x1) {
+  return row.tokens.some(token => {
+    const bounds = tokenBounds(token);
+    return bounds.x0 < x1 && bounds.x1 > x0;
+  });
+}
+
+function findGutters(rows, extent) {
+  const intervals = [];
+  for (const row of rows) {
+    for (const token of row.tokens) {
+      const bounds = tokenBounds(token);
+      intervals.push({ x0: bounds.x0, x1: bounds.x1, row });
+    }
+  }
+  const events = intervals
+    .flatMap(interval => [
+      { x: interval.x0, delta: 1, row: interval.row },
+      { x: interval.x1, delta: -1, row: interval.row },
+    ])
+    .sort((a, b) => a.x - b.x || b.delta - a.delta);
+
+  // Coverage counts rows, not tokens: a row with several tokens over x counts once.
+  const active = new Map();
+  const threshold = Math.floor(rows.length * LAYOUT_TUNING.spillRatio);
+  const gutters = [];
+  let gutterStart = null;
+  for (const event of events) {
+    const count = active.get(event.row) || 0;
+    active.set(event.row, count + event.delta);
+    if (count + event.delta === 0) active.delete(event.row);
+    const covered = active.size;
+    if (covered <= threshold && gutterStart == null && event.x > extent.x0 && event.x < extent.x1) {
+      gutterStart = event.x;
+    } else if (covered > threshold && gutterStart != null) {
+      if (event.x - gutterStart >= LAYOUT_TUNING.minGutterWidth) {
+        gutters.push({ x0: gutterStart, x1: event.x });
+      }
+      gutterStart = null;
+    }
+  }
+  return gutters;
+}
+
+function headerVocabulary(rows) {
+  const found = new Set();
+  for (const row of rows) {
+    const text = row.tokens.map(token => token.text).join(' ').toLowerCase();
+    for (const word of HEADER_VOCABULARY) {
+      if (new RegExp(`\\b${word}`).test(text)) found.add(word);
+    }
+  }
+  return found;
+}
+
+function splitRows(rows, gutter) {
+  const left = [];
+  const right = [];
+  const spanning = [];
+  for (const row of rows) {
+    if (rowCovers(row, gutter.x0, gutter.x1)) {
+      spanning.push(row);
+      continue;
+    }
+    const leftTokens = row.tokens.filter(token => tokenBounds(token).x1 <= gutter.x0);
+    const rightTokens = row.tokens.filter(token => tokenBounds(token).x0 >= gutter.x1);
+    if (leftTokens.length) left.push({ y: row.y, tokens: leftTokens });
+    if (rightTokens.length) right.push({ y: row.y, tokens: rightTokens });
+  }
+  return { left, right, spanning };
+}
+
+function isIndependentSplit({ left, right }, gutter, extent) {
+  if (left.length < LAYOUT_TUNING.minRegionRows || right.length < LAYOUT_TUNING.minRegionRows) return false;
+  const width = extent.x1 - extent.x0;
+  if (width <= 0) return false;
+  if ((gutter.x0 - extent.x0) / width < LAYOUT_TUNING.minRegionWidthRatio) return false;
+  if ((extent.x1 - gutter.x1) / width < LAYOUT_TUNING.minRegionWidthRatio) return false;
+
+  const rightBaselines = right.map(row => row.y);
+  const aligned = left.filter(row =>
+    rightBaselines.some(y => Math.abs(y - row.y) <= LAYOUT_TUNING.baselineTolerance),
+  ).length;
+  const alignedRatio = aligned / Math.max(left.length, right.length);
+  if (alignedRatio < LAYOUT_TUNING.maxAlignedRatio) return true;
+
+  // Aligned baselines: still two columns if both sides print their own table header.
+  const leftVocabulary = headerVocabulary(left);
+  const shared = [...headerVocabulary(right)].filter(word => leftVocabulary.has(word));
+  return shared.length >= 2;
+}
+
+function computeExtent(rows) {
+  const bounds = rows.flatMap(row => row.tokens.map(tokenBounds));
+  if (!bounds.length) return null;
+  return {
+    x0: Math.min(...bounds.map(b => b.x0)),
+    x1: Math.max(...bounds.map(b => b.x1)),
+    y0: Math.min(...bounds.map(b => b.y0)),
+    y1: Math.max(...bounds.map(b => b.y1)),
+  };
+}
+
+// Splits recursively at the widest accepted gutter, returning column x-ranges left to right.
+function splitColumns(rows, extent, depth = 0) {
+  if (depth >= LAYOUT_TUNING.maxColumns - 1) return [{ x0: extent.x0, x1: extent.x1 }];
+  const candidates = findGutters(rows, extent).sort((a, b) => b.x1 - b.x0 - (a.x1 - a.x0));
+  for (const gutter of candidates) {
+    const split = splitRows(rows, gutter);
+    if (!isIndependentSplit(split, gutter, extent)) continue;
+    const leftExtent = { ...extent, x1: gutter.x0 };
+    const rightExtent = { ...extent, x0: gutter.x1 };
+    return [
+      ...splitColumns(split.left, computeExtent(split.left) || leftExtent, depth + 1),
+      ...splitColumns(split.right, computeExtent(split.right) || rightExtent, depth + 1),
+    ];
+  }
+  return [{ x0: extent.x0, x1: extent.x1 }];
+}
+
+function boundsToBox(bounds) {
+  return { x: bounds.x0, y: bounds.y0, width: bounds.x1 - bounds.x0, height: bounds.y1 - bounds.y0 };
+}
+
+/**
+ * Returns `{ multiColumn, columns, gutters, regions }`. Regions are in reading
+ * order: full-width bands (rows crossing a gutter) and, between them, one region
+ * per column from left to right. Each region carries its tokens.
+ */
+export function analysePageLayout(tokens = []) {
+  const usable = tokens.filter(token => token?.bbox && Number.isFinite(token.bbox.x) && Number.isFinite(token.bbox.y));
+  const rows = groupRows(usable);
+  const extent = computeExtent(rows);
+  if (!extent) {
+    return { multiColumn: false, columns: [], gutters: [], regions: [] };
+  }
+
+  const columnRanges = splitColumns(rows, extent);
+  const columns = columnRanges.map((range, index) => ({ index, x0: range.x0, x1: range.x1 }));
+  const gutters = columns.slice(1).map((column, index) => ({ x0: columns[index].x1, x1: column.x0 }));
+  if (columns.length < 2) {
+    return {
+      multiColumn: false,
+      columns,
+      gutters: [],
+      regions: [{ id: 'r1', kind: 'full', column: null, bbox: boundsToBox(extent), tokens: usable }],
+    };
+  }
+
+  const crossesGutter = row => gutters.some(gutter => rowCovers(row, gutter.x0, gutter.x1));
+  const regions = [];
+  let pendingColumns = null;
+  const flushColumns = () => {
+    if (!pendingColumns) return;
+    pendingColumns.forEach((columnTokens, index) => {
+      if (!columnTokens.length) return;
+      regions.push({ kind: 'column', column: index, tokens: columnTokens });
+    });
+    pendingColumns = null;
+  };
+
+  for (const row of rows) {
+    if (crossesGutter(row)) {
+      flushColumns();
+      const previous = regions[regions.length - 1];
+      if (previous?.kind === 'full') previous.tokens.push(...row.tokens);
+      else regions.push({ kind: 'full', column: null, tokens: [...row.tokens] });
+      continue;
+    }
+    if (!pendingColumns) pendingColumns = columns.map(() => []);
+    for (const token of row.tokens) {
+      const center = (tokenBounds(token).x0 + tokenBounds(token).x1) / 2;
+      const index = columns.findIndex((column, i) => center < (gutters[i]?.x0 ?? Infinity) || i === columns.length - 1);
+      pendingColumns[index].push(token);
+    }
+  }
+  flushColumns();
+
+  return {
+    multiColumn: true,
+    columns,
+    gutters,
+    regions: regions.map((region, index) => {
+      const bounds = computeExtent([{ tokens: region.tokens }]);
+      return { id: `r${index + 1}`, ...region, bbox: boundsToBox(bounds) };
+    }),
+  };
+}
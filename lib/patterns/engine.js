@@ -1,6 +1,8 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 
+import { interpretMatrixTable } from '../matrixTable.js';
+import { isPlainPrice, parsePrice, pickPriceModel, priceModelFields } from '../priceModel.js';
 import { dedupeRows } from '../utils/dedupeRows.js';
 
 function toLower(text) {
@@ -219,7 +221,12 @@ function buildRowFromTokens(tokens, pattern, sourceLine) {
       }
     } else if (role === 'price') {
       const price = detectCurrency(trimmed, currencyConfig);
-      if (price.amount != null) {
+      // parseNumber reads one number; on-request cells, ranges and quantity breaks need the price model.
+      const model = parsePrice(trimmed);
+      if (model && !isPlainPrice(model)) {
+        row.price_value = model.value;
+        Object.assign(row, priceModelFields(model));
+      } else if (price.amount != null) {
         row.price_value = price.amount;
       }
       if (price.currency) {
@@ -245,7 +252,7 @@ function buildRowFromTokens(tokens, pattern, sourceLine) {
 
   let confidence = 0.35;
   if (row.name) confidence += 0.25;
-  if (row.price_value != null) confidence += 0.25;
+  if (row.price_value != null || row.price_status) confidence += 0.25;
   if (row.code) confidence += 0.05;
   if (row.pack) confidence += 0.05;
   if (row.cas) confidence += 0.05;
@@ -289,6 +296,18 @@ function findHeaderLine(lines, pattern) {
   return -1;
 }
 
+// A matrix becomes a name / pack / price table (row labels joined into the name) that the
+// registry's name-and-pack patterns pick up; a sideways table keeps its own field names.
+function matrixTableLines(matrix) {
+  if (matrix.layout !== 'matrix') {
+    return [matrix.header, ...matrix.rows];
+  }
+  return [
+    ['Product', 'Pack Size', 'Price'],
+    ...matrix.rows.map(row => [row.slice(0, matrix.labelColumns).join(' '), ...row.slice(matrix.labelColumns)]),
+  ];
+}
+
 function extractLinesFromPages(pages) {
   const lines = [];
   for (const page of pages || []) {
@@ -312,6 +331,8 @@ function extractLinesFromPages(pages) {
       for (const segment of page.segments) {
         const text = String(segment.text || '').trim();
         if (!text) continue;
+        // Flattened matrix text pairs the wrong cells; the table loop below emits it row by row.
+        if (segment.kind === 'table' && interpretMatrixTable(segment.header, segment.rows)) continue;
         lines.push({
           text,
           pageNumber,
@@ -321,6 +342,17 @@ function extractLinesFromPages(pages) {
     }
     if (Array.isArray(page.tables)) {
       for (const table of page.tables) {
+        const matrix = interpretMatrixTable(table.header, table.rows);
+        if (matrix) {
+          for (const row of matrixTableLines(matrix)) {
+            lines.push({
+              text: row.join('    '),
+              pageNumber,
+              blockId: table.id || null,
+            });
+          }
+          continue;
+        }
         if (Array.isArray(table.header)) {
           lines.push({
             text: table.header.join('    '),
@@ -403,7 +435,7 @@ export class PatternEngine {
         continue;
       }
       const hasRequired = requiredRoles.every(role => {
-        if (role === 'price') return row.price_value != null;
+        if (role === 'price') return row.price_value != null || Boolean(row.price_status);
         if (role === 'name') return Boolean(row.name);
         if (role === 'code') return Boolean(row.code);
         if (role === 'cas') return Boolean(row.cas);
@@ -448,6 +480,7 @@ export class PatternEngine {
           name: row.name || '',
           pack: row.pack || null,
           price_value: row.price_value != null ? row.price_value : null,
+          ...pickPriceModel(row),
           currency: row.currency || null,
           notes: row.notes || null,
           confidence: row.confidence,
@@ -1,4 +1,9 @@
+import { classifyHeadings } from './headingClassifier.js';
 import { getPdfjs } from './pdfjsNodeLoader.js';
+import { analysePageLayout } from './pageLayout.js';
+import { detectRunningLines, matchRunningLines } from './runningHeaders.js';
+import { collectRulings, detectRuledTables } from './tableGrid.js';
+import { detectLayoutTables } from './tableLayout.js';
 
 const OCR_DISABLED_ERROR_CODE = 'OCR_DISABLED';
 
@@ -77,6 +82,8 @@ const TABLE_ROW_RE = /(\s{2,}|\t|\|)|\d+\s*[x×]\s*\d+/i;
 const HEADER_ROW_RE = /[A-Za-z][A-Za-z\s\/()%-]{2,}/;
 
 const PRICE_STRIP_RE = /\s+/g;
+const BOLD_FONT_RE = /bold|black|heavy|semibold|demi/i;
+const ITALIC_FONT_RE = /italic|oblique/i;
 
 class NodeCanvasFactory {
   constructor(createCanvas) {
@@ -161,22 +168,31 @@ function splitColumns(line) {
   return [normaliseLine(line)];
 }
 
-function flushTextBlock(page, buffer, boxes) {
+function flushTextBlock(page, buffer, boxes, fonts = []) {
   if (!buffer.length) return;
   const text = buffer.join(' ').trim();
-  if (!text) {
-    buffer.length = 0;
-    boxes.length = 0;
-    return;
-  }
-  const id = `p${page.pageNumber}-t${page.textBlocks.length + 1}`;
   const bbox = mergeBoundingBoxes(boxes);
+  const font = fonts.find(Boolean) || null;
+  buffer.length = 0;
+  boxes.length = 0;
+  fonts.length = 0;
+  if (!text) return;
+  const id = `p${page.pageNumber}-t${page.textBlocks.length + 1}`;
   const record = { id, kind: 'text', text, bbox, pageNumber: page.pageNumber };
+  const segment = { id, type: 'text', text, bbox };
+  if (font) {
+    record.font = font;
+    segment.font = font;
+  }
   page.textBlocks.push(record);
   page.blocks.push(record);
-  page.segments.push({ id, type: 'text', text, bbox });
-  buffer.length = 0;
-  boxes.length = 0;
+  page.segments.push(segment);
+}
+
+// Lines in one text block share a style, so a heading never runs into the paragraph below it.
+function fontStyleKey(font) {
+  if (!font || !Number.isFinite(font.size)) return null;
+  return `${Math.round(font.size * 2) / 2}|${font.bold ? 'b' : ''}|${font.italic ? 'i' : ''}`;
 }
 
 function flushTable(page, table) {
@@ -205,6 +221,65 @@ function flushTable(page, table) {
   page.segments.push(tableRecord);
 }
 
+function flushLayoutTable(page, layoutTable, lines) {
+  const id = `p${page.pageNumber}-tbl${page.tables.length + 1}`;
+  // Same convention as flushTable: without a header row the first row names the columns.
+  const headerCells = layoutTable.headerCells || layoutTable.rows[0]?.cells || [];
+  const bodyRows = layoutTable.headerCells ? layoutTable.rows : layoutTable.rows.slice(1);
+  // Blank header cells keep a placeholder so header[i] always describes rows[i][column i].
+  const header = headerCells.map((cell, index) => normaliseLine(cell.text) || `column_${index + 1}`);
+  const dataRows = bodyRows.filter(row => row.cells.some(cell => cell.text));
+  if (!dataRows.length) return;
+  const regionLines = lines.slice(layoutTable.startIndex, layoutTable.endIndex + 1);
+  const rows = dataRows.map(row => row.cells.map(cell => normaliseLine(cell.text)));
+  const tableRecord = {
+    id,
+    kind: 'table',
+    detection: 'layout',
+    header,
+    rows,
+    columns: layoutTable.columns.map(column => ({ index: column.index, x0: column.x0, x1: column.x1 })),
+    headerCells,
+    cells: dataRows.map(row => row.cells),
+    sourceRows: regionLines.map(line => line.text),
+    bbox: mergeBoundingBoxes(regionLines.map(line => line.bbox || null)),
+    pageNumber: page.pageNumber,
+    text: [...header, ...rows.flat()].filter(Boolean).join(' '),
+  };
+  page.tables.push(tableRecord);
+  page.blocks.push(tableRecord);
+  page.segments.push(tableRecord);
+}
+
+function flushRuledTable(page, ruledTable) {
+  const id = `p${page.pageNumber}-tbl${page.tables.length + 1}`;
+  // As with layout tables, the first grid row names the columns.
+  const [headerRow = [], ...bodyRows] = ruledTable.grid;
+  const header = headerRow.map((text, index) => normaliseLine(text) || `column_${index + 1}`);
+  const rows = bodyRows.map(row => row.map(normaliseLine)).filter(row => row.some(cell => cell));
+  if (!rows.length) return;
+  const tableRecord = {
+    id,
+    kind: 'table',
+    detection: 'ruled',
+    header,
+    rows,
+    columns: ruledTable.columnEdges.slice(1).map((x1, index) => ({
+      index,
+      x0: ruledTable.columnEdges[index],
+      x1,
+    })),
+    gridCells: ruledTable.cells,
+    sourceRows: ruledTable.grid.map(row => row.join(' | ')),
+    bbox: ruledTable.bbox,
+    pageNumber: page.pageNumber,
+    text: [...header, ...rows.flat()].filter(Boolean).join(' '),
+  };
+  page.tables.push(tableRecord);
+  page.blocks.push(tableRecord);
+  page.segments.push(tableRecord);
+}
+
 function flushImage(page, caption) {
   if (!caption) return;
   const id = `p${page.pageNumber}-img${page.images.length + 1}`;
@@ -214,6 +289,13 @@ function flushImage(page, caption) {
   page.segments.push(entry);
 }
 
+// Running headers/footers stay in `page.blocks` for audit but are not segments, so nothing downstream reads them.
+function flushRunningLine(page, line) {
+  const kind = `running_${line.running}`;
+  const id = `p${page.pageNumber}-run${page.blocks.filter(block => block.kind === kind).length + 1}`;
+  page.blocks.push({ id, kind, text: line.text, bbox: line.bbox || null, pageNumber: page.pageNumber });
+}
+
 function computeCidRatioFromItems(items = []) {
   let total = 0;
   let cid = 0;
@@ -271,7 +353,32 @@ function logTextQuality(pageNumber, metrics) {
   console.info('[text_quality]', JSON.stringify(payload));
 }
 
-function normaliseTextContentItem(item) {
+/**
+ * Maps pdf.js font ids to `{ family, bold, italic }`. Font objects are only in
+ * `commonObjs` once the operator list has been built; before that the style
+ * hints fall back to the font family name.
+ */
+function resolveFontStyles(page, styles = {}) {
+  const resolved = new Map();
+  for (const [fontName, style] of Object.entries(styles || {})) {
+    let font = null;
+    try {
+      if (page?.commonObjs?.has?.(fontName)) font = page.commonObjs.get(fontName);
+    } catch {
+      font = null;
+    }
+    const family = font?.name ? String(font.name).replace(/^[A-Z]{6}\+/, '') : style?.fontFamily ?? null;
+    const label = [family, style?.fontFamily].filter(Boolean).join(' ');
+    resolved.set(fontName, {
+      family,
+      bold: Boolean(font?.bold || font?.black) || BOLD_FONT_RE.test(label),
+      italic: Boolean(font?.italic) || ITALIC_FONT_RE.test(label),
+    });
+  }
+  return resolved;
+}
+
+function normaliseTextContentItem(item, fontStyles = null) {
   const text = String(item?.str || item?.text || '').trim();
   if (!text) return null;
   const transform = Array.isArray(item?.transform) ? item.transform : [];
@@ -287,7 +394,7 @@ function normaliseTextContentItem(item) {
     : Number.isFinite(transform[3])
     ? Math.abs(transform[3])
     : 10;
-  return {
+  const token = {
     text,
     bbox: {
       x,
@@ -298,6 +405,35 @@ function normaliseTextContentItem(item) {
     centerX: x + width / 2,
     centerY: y + height / 2,
   };
+  if (item?.fontName) {
+    // The text matrix scales glyphs vertically by the font size.
+    const scale = Math.hypot(transform[2] || 0, transform[3] || 0);
+    const style = fontStyles?.get(item.fontName);
+    token.font = {
+      name: style?.family ?? item.fontName,
+      size: Number((scale || height).toFixed(2)),
+      bold: Boolean(style?.bold),
+      italic: Boolean(style?.italic),
+    };
+  }
+  return token;
+}
+
+// The style covering most characters on a line.
+function dominantFont(tokens = []) {
+  const weights = new Map();
+  for (const token of tokens) {
+    const key = fontStyleKey(token.font);
+    if (!key) continue;
+    const entry = weights.get(key) || { font: token.font, chars: 0 };
+    entry.chars += String(token.text || '').length;
+    weights.set(key, entry);
+  }
+  let best = null;
+  for (const entry of weights.values()) {
+    if (!best || entry.chars > best.chars) best = entry;
+  }
+  return best ? best.font : null;
 }
 
 function pushCurrentLine(lineItems, current) {
@@ -313,17 +449,17 @@ function pushCurrentLine(lineItems, current) {
       bbox: token.bbox,
       centerX: token.centerX,
       centerY: token.centerY,
+      ...(token.font ? { font: token.font } : {}),
     })),
+    font: dominantFont(current.tokens),
   });
 }
 
-function buildLineItemsFromTextContent(textContent) {
+function buildLineItemsFromTokens(tokens) {
   const lineItems = [];
   let current = null;
 
-  for (const rawItem of textContent.items || []) {
-    const token = normaliseTextContentItem(rawItem);
-    if (!token) continue;
+  for (const token of tokens) {
     const y = Math.round(token.bbox.y);
     if (!current || Math.abs(current.y - y) > 2) {
       if (current) {
@@ -359,6 +495,7 @@ function toLineArray(pageText, lineItems) {
           raw: rawText,
           bbox: item.bbox || null,
           tokens: Array.isArray(item.tokens) ? item.tokens : [],
+          font: item.font || null,
         };
       })
       .filter(Boolean);
@@ -367,31 +504,89 @@ function toLineArray(pageText, lineItems) {
     .split(/\r?\n/)
     .map(line => line.trim())
     .filter(Boolean)
-    .map(text => ({ text, raw: text, bbox: null, tokens: [] }));
+    .map(text => ({ text, raw: text, bbox: null, tokens: [], font: null }));
 }
 
-export function segmentPageText(pageText, pageNumber, options = {}) {
-  const { lineItems = null } = options;
-  const lines = toLineArray(pageText, lineItems);
+function insideBox(token, box) {
+  const x = Number.isFinite(token.centerX) ? token.centerX : token.bbox.x + (token.bbox.width || 0) / 2;
+  const y = Number.isFinite(token.centerY) ? token.centerY : token.bbox.y + (token.bbox.height || 0) / 2;
+  return x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+}
 
-  const page = {
-    pageNumber,
-    rawText: pageText,
-    textBlocks: [],
-    tables: [],
-    images: [],
-    segments: [],
-    blocks: [],
-    lineItems: lines,
-  };
+/**
+ * Removes tokens that belong to a ruled table from the lines and puts a table
+ * marker where the table first appears, so neither layout nor TABLE_ROW_RE
+ * detection sees grid text. Text beside the grid stays on its (rebuilt) line.
+ */
+function claimRuledTableLines(lines, ruled) {
+  const out = [];
+  for (const line of lines) {
+    const tokens = line.tokens || [];
+    const touched = ruled.tables.filter(table => tokens.some(token => token?.bbox && insideBox(token, table.bbox)));
+    if (!touched.length) {
+      out.push(line);
+      continue;
+    }
+    for (const table of touched) {
+      if (ruled.emitted.has(table)) continue;
+      ruled.emitted.add(table);
+      out.push({ text: '', raw: '', bbox: table.bbox, tokens: [], ruledTable: table });
+    }
+    const rest = tokens.filter(token => !token?.bbox || !touched.some(table => insideBox(token, table.bbox)));
+    if (!rest.length) continue;
+    const raw = rest.map(token => token.text).join(' ');
+    const text = normaliseLine(raw);
+    if (!text) continue;
+    out.push({
+      text,
+      raw,
+      bbox: mergeBoundingBoxes(rest.map(token => token.bbox)),
+      tokens: rest,
+      font: dominantFont(rest),
+    });
+  }
+  return out;
+}
 
+function segmentLines(page, sourceLines, ruled = null) {
+  const lines = ruled?.tables.length ? claimRuledTableLines(sourceLines, ruled) : sourceLines;
   const textBuffer = [];
   const textBoxes = [];
+  const textFonts = [];
   let activeTable = null;
+  // Glyph positions (pdf.js) allow column detection; plain text falls back to whitespace splitting.
+  const layoutTables = new Map(detectLayoutTables(lines).map(table => [table.startIndex, table]));
+
+  for (let lineIndex = 0; lineIndex < lines.length; lineIndex += 1) {
+    const line = lines[lineIndex];
+    if (line.running) {
+      flushTextBlock(page, textBuffer, textBoxes, textFonts);
+      flushTable(page, activeTable);
+      activeTable = null;
+      flushRunningLine(page, line);
+      continue;
+    }
+
+    if (line.ruledTable) {
+      flushTextBlock(page, textBuffer, textBoxes, textFonts);
+      flushTable(page, activeTable);
+      activeTable = null;
+      flushRuledTable(page, line.ruledTable);
+      continue;
+    }
+
+    const layoutTable = layoutTables.get(lineIndex);
+    if (layoutTable) {
+      flushTextBlock(page, textBuffer, textBoxes, textFonts);
+      flushTable(page, activeTable);
+      activeTable = null;
+      flushLayoutTable(page, layoutTable, lines);
+      lineIndex = layoutTable.endIndex;
+      continue;
+    }
 
-  for (const line of lines) {
     if (FIGURE_RE.test(line.text)) {
-      flushTextBlock(page, textBuffer, textBoxes);
+      flushTextBlock(page, textBuffer, textBoxes, textFonts);
       flushTable(page, activeTable);
       activeTable = null;
       flushImage(page, normaliseLine(line.text));
@@ -402,7 +597,7 @@ export function segmentPageText(pageText, pageNumber, options = {}) {
     if (looksTabular) {
       const columns = splitColumns(line.text);
       if (columns.length > 1) {
-        flushTextBlock(page, textBuffer, textBoxes);
+        flushTextBlock(page, textBuffer, textBoxes, textFonts);
         if (!activeTable) {
           activeTable = { header: [], rows: [], sourceRows: [], boxes: [] };
         }
@@ -421,13 +616,89 @@ export function segmentPageText(pageText, pageNumber, options = {}) {
       flushTable(page, activeTable);
       activeTable = null;
     }
+    const styleKey = fontStyleKey(line.font);
+    const bufferKey = fontStyleKey(textFonts[textFonts.length - 1]);
+    if (styleKey && bufferKey && styleKey !== bufferKey) {
+      flushTextBlock(page, textBuffer, textBoxes, textFonts);
+    }
     textBuffer.push(normaliseLine(line.text));
     textBoxes.push(line.bbox || null);
+    textFonts.push(line.font || null);
   }
 
   flushTable(page, activeTable);
-  flushTextBlock(page, textBuffer, textBoxes);
+  flushTextBlock(page, textBuffer, textBoxes, textFonts);
+}
+
+function tagRegion(page, region, fromBlock, fromSegment) {
+  const blocks = page.blocks.slice(fromBlock);
+  for (const block of [...blocks, ...page.segments.slice(fromSegment)]) {
+    block.region = region.id;
+  }
+  return blocks.map(block => block.id);
+}
+
+export function segmentPageText(pageText, pageNumber, options = {}) {
+  const { lineItems = null, layout = null, ruledTables = [], runningLines = [] } = options;
+  // Ruled grids win over text heuristics; each table is emitted once, where its first line appears.
+  const ruled = { tables: Array.isArray(ruledTables) ? ruledTables : [], emitted: new Set() };
+  // Multi-column pages arrive as regions with their own line items, already in reading order.
+  const regions = layout?.multiColumn && Array.isArray(layout.regions) ? layout.regions : null;
+  const regionLines = regions ? regions.map(region => toLineArray('', region.lineItems)) : null;
+  const lines = regionLines ? regionLines.flat() : toLineArray(pageText, lineItems);
+  const running = matchRunningLines(lines, runningLines);
 
+  const page = {
+    pageNumber,
+    rawText: pageText,
+    textBlocks: [],
+    tables: [],
+    images: [],
+    segments: [],
+    blocks: [],
+    lineItems: lines,
+    layout: null,
+  };
+  if (running) {
+    page.bodyText = lines
+      .filter(line => !line.running)
+      .map(line => line.text)
+      .join('\n');
+  }
+
+  if (!regions) {
+    segmentLines(page, lines, ruled);
+    if (layout) {
+      const region = { id: 'r1', kind: 'full', column: null, bbox: layout.regions?.[0]?.bbox ?? null };
+      page.layout = {
+        multiColumn: false,
+        columns: layout.columns || [],
+        gutters: [],
+        regions: [{ ...region, lineCount: lines.length, blockIds: tagRegion(page, region, 0, 0) }],
+      };
+    }
+    return page;
+  }
+
+  const regionRecords = regions.map((region, index) => {
+    const fromBlock = page.blocks.length;
+    const fromSegment = page.segments.length;
+    segmentLines(page, regionLines[index], ruled);
+    return {
+      id: region.id,
+      kind: region.kind,
+      column: region.column,
+      bbox: region.bbox,
+      lineCount: regionLines[index].length,
+      blockIds: tagRegion(page, region, fromBlock, fromSegment),
+    };
+  });
+  page.layout = {
+    multiColumn: true,
+    columns: layout.columns,
+    gutters: layout.gutters,
+    regions: regionRecords,
+  };
   return page;
 }
 
@@ -450,12 +721,38 @@ async function renderPageToImage(page, scale = 2, canvasModule) {
   return buffer;
 }
 
-async function extractPdfTextFromPage(page) {
+async function loadOperatorList(page, OPS) {
+  if (!OPS || typeof page.getOperatorList !== 'function') return null;
+  try {
+    return await page.getOperatorList();
+  } catch (error) {
+    console.warn(`Failed to read drawing operators on page ${page.pageNumber}:`, error);
+    return null;
+  }
+}
+
+async function extractPdfTextFromPage(page, { OPS } = {}) {
   const textContent = await page.getTextContent({ normalizeWhitespace: true });
   const cidRatio = computeCidRatioFromItems(textContent.items || []);
-  const lineItems = buildLineItemsFromTextContent(textContent);
+  // Building the operator list also loads the fonts that carry bold/italic flags.
+  const operatorList = await loadOperatorList(page, OPS);
+  const fontStyles = resolveFontStyles(page, textContent.styles);
+  const tokens = (textContent.items || []).map(item => normaliseTextContentItem(item, fontStyles)).filter(Boolean);
+  const ruledTables = operatorList ? detectRuledTables(collectRulings(operatorList, OPS), tokens) : [];
+  const analysed = analysePageLayout(tokens);
+  // Build lines per region so rows from side-by-side columns are never merged.
+  const regions = analysed.regions.map(({ tokens: regionTokens, ...region }) => ({
+    ...region,
+    lineItems: analysed.multiColumn ? buildLineItemsFromTokens(regionTokens) : [],
+  }));
+  if (!analysed.multiColumn) {
+    const lineItems = buildLineItemsFromTokens(tokens);
+    const pageText = lineItems.map(item => item.text).join('\n');
+    return { lineItems, pageText, cidRatio, layout: { ...analysed, regions }, ruledTables };
+  }
+  const lineItems = regions.flatMap(region => region.lineItems);
   const pageText = lineItems.map(item => item.text).join('\n');
-  return { lineItems, pageText, cidRatio };
+  return { lineItems, pageText, cidRatio, layout: { ...analysed, regions }, ruledTables };
 }
 
 async function extractOcrText(page, options = {}) {
@@ -525,6 +822,7 @@ export async function extractPdfText(bufferOrArrayBuffer, options = {}) {
   let warnedAboutTesseract = false;
 
   const ocrOptions = { enableOcr: options.enableOcr === true };
+  const segmentInputs = [];
 
   try {
     for (let index = 0; index < pdfDocument.numPages; index += 1) {
@@ -532,13 +830,15 @@ export async function extractPdfText(bufferOrArrayBuffer, options = {}) {
       const page = await pdfDocument.getPage(pageNumber);
       let pdfText;
       try {
-        pdfText = await extractPdfTextFromPage(page);
+        pdfText = await extractPdfTextFromPage(page, { OPS: pdfjsLib.OPS });
       } catch (error) {
         pdfText = { lineItems: [], pageText: '', cidRatio: 1 };
         console.warn(`Failed to extract text from page ${pageNumber}:`, error);
       }
 
       let lineItems = pdfText.lineItems;
+      let layout = pdfText.layout ?? null;
+      let ruledTables = pdfText.ruledTables ?? [];
       let pageText = pdfText.pageText;
       let cidRatio = pdfText.cidRatio;
       let source = 'pdfjs';
@@ -548,6 +848,8 @@ export async function extractPdfText(bufferOrArrayBuffer, options = {}) {
           const ocrText = await extractOcrText(page, ocrOptions);
           if (ocrText.pageText) {
             lineItems = ocrText.lineItems;
+            layout = null;
+            ruledTables = [];
             pageText = ocrText.pageText;
             cidRatio = ocrText.cidRatio;
             source = 'ocr';
@@ -577,9 +879,19 @@ export async function extractPdfText(bufferOrArrayBuffer, options = {}) {
       const avgWordLen = computeAverageWordLength(lineItems);
       logTextQuality(pageNumber, { cid_ratio: cidRatio, avg_word_len: avgWordLen, source });
 
-      const pageRecord = segmentPageText(pageText, pageNumber, { lineItems });
+      const pageRecord = segmentPageText(pageText, pageNumber, { lineItems, layout, ruledTables });
       pageRecord.textQuality = { cid_ratio: cidRatio, avg_word_len: avgWordLen, source };
+      segmentInputs.push({ pageText, pageNumber, options: { lineItems, layout, ruledTables } });
       pages.push(pageRecord);
+      if (typeof options.onPage === 'function') {
+        options.onPage({
+          pageNumber,
+          totalPages: pdfDocument.numPages,
+          source,
+          cid_ratio: cidRatio,
+          blocks: pageRecord.blocks.length,
+        });
+      }
       page.cleanup?.();
     }
   } finally {
@@ -587,10 +899,30 @@ export async function extractPdfText(bufferOrArrayBuffer, options = {}) {
     loadingTask.destroy();
   }
 
+  // Running headers only show once every page has been read; pages are segmented again without them.
+  const runningLines = detectRunningLines(
+    segmentInputs.map(input => ({
+      pageNumber: input.pageNumber,
+      lines: toLineArray(input.pageText, input.options.lineItems),
+    })),
+  );
+  if (runningLines.length) {
+    segmentInputs.forEach((input, index) => {
+      const { textQuality } = pages[index];
+      pages[index] = segmentPageText(input.pageText, input.pageNumber, { ...input.options, runningLines });
+      pages[index].textQuality = textQuality;
+    });
+  }
+
+  // Heading levels depend on the font sizes used across the whole document.
+  const headings = classifyHeadings(pages);
+
   return {
     pages,
     meta: {
       pages: pages.length,
+      headings,
+      runningLines,
     },
   };
 }
@@ -598,5 +930,8 @@ export async function extractPdfText(bufferOrArrayBuffer, options = {}) {
 export const extractPagesFromArrayBuffer = extractPdfText;
 
 export function segmentTextPages(pagesText = []) {
-  return pagesText.map((page, idx) => segmentPageText(page, idx + 1));
+  const runningLines = detectRunningLines(
+    pagesText.map((page, idx) => ({ pageNumber: idx + 1, lines: toLineArray(page, null) })),
+  );
+  return pagesText.map((page, idx) => segmentPageText(page, idx + 1, { runningLines }));
 }
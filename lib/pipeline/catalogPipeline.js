@@ -4,12 +4,20 @@ import { ensureDir, writeJson } from '../io.js';
 import { markNoise } from '../noiseFilter.js';
 import { labelSegments } from '../segmentLabeler.js';
 import { assembleGroupsFromSegments } from '../groupAssembler.js';
+import { assignCategoryPaths, buildCategoryTree } from '../categoryTree.js';
+import { applyChemicalDictionary, resolveChemicalDictionary } from '../chemicalDictionary.js';
+import { applyChemistryToGroups } from '../chemistrySpecs.js';
+import { buildPageMap, reportIndexCoverage } from '../tocParser.js';
 import { postProcess } from '../postProcessor.js';
+import { isRunningBlock } from '../runningHeaders.js';
+import { applyTaxModel } from '../taxModel.js';
 import { GroupSchema, NoteSchema } from '../validationSchemas.js';
 import { runUniversalCatalogPass } from '../catalog/pipeline.js';
 
 const PIPELINE_VERSION = 'v2.1.0';
 
+export const PIPELINE_STAGES = ['noise', 'labeling', 'assembly', 'postprocess', 'universal'];
+
 function normaliseGroup(group) {
   const base = {
     category: group?.category || 'general',
@@ -73,22 +81,40 @@ function summarisePages(pages, limit = 5) {
       header: tbl.header,
       sampleRows: tbl.rows?.slice(0, 3) || [],
     })),
+    layout: page.layout
+      ? {
+          multiColumn: Boolean(page.layout.multiColumn),
+          columns: page.layout.columns?.length ?? 0,
+          regions: (page.layout.regions || []).map(region => ({
+            id: region.id,
+            kind: region.kind,
+            column: region.column,
+            bbox: region.bbox,
+          })),
+        }
+      : null,
   }));
 }
 
 function computeNoiseDiagnostics(pages) {
   const counts = { intro: 0, catalog: 0, index: 0, appendix: 0, unknown: 0 };
   const emptyPages = [];
+  const running = { header: 0, footer: 0 };
   for (const page of pages) {
     const section = page.section || 'unknown';
     if (counts[section] == null) counts[section] = 0;
     counts[section] += 1;
-    const hasBlocks = Array.isArray(page.blocks) && page.blocks.length > 0;
+    const blocks = Array.isArray(page.blocks) ? page.blocks : [];
+    for (const block of blocks.filter(isRunningBlock)) {
+      running[block.kind === 'running_header' ? 'header' : 'footer'] += 1;
+    }
+    // A page holding nothing but its running header and footer is empty.
+    const hasBlocks = blocks.some(block => !isRunningBlock(block));
     if (!hasBlocks) {
       emptyPages.push(page.pageNumber);
     }
   }
-  return { counts, emptyPages };
+  return { counts, emptyPages, running };
 }
 
 function sanitiseNotes(notes, validation) {
@@ -120,8 +146,11 @@ async function persistArtifacts({
   docId,
   pages,
   labeled,
+  assembled,
+  postProcessed,
   groups,
   notes,
+  categoryTree,
   validation,
   qcReport,
 }) {
@@ -133,13 +162,16 @@ async function persistArtifacts({
 
   const artifactMap = {};
 
+  // Stage outputs are undefined for stages a replay skipped; their files are the replay's input and stay as they are.
   const writes = [
     { key: 'pages_raw_path', filename: 'pages.raw.json', payload: pages },
     { key: 'segments_labeled_path', filename: 'segments.labeled.json', payload: labeled },
+    { key: 'groups_assembled_path', filename: 'groups.assembled.json', payload: assembled },
+    { key: 'groups_postprocessed_path', filename: 'groups.postprocessed.json', payload: postProcessed },
     { key: 'groups_raw_path', filename: 'groups.raw.json', payload: groups },
-    { key: 'catalog_path', filename: 'catalog.json', payload: { groups, notes } },
+    { key: 'catalog_path', filename: 'catalog.json', payload: { groups, notes, category_tree: categoryTree } },
     { key: 'validation_path', filename: 'validation.json', payload: validation },
-  ];
+  ].filter(entry => entry.payload !== undefined);
 
   if (qcReport) {
     writes.push({ key: 'qc_report_path', filename: 'qc_report.json', payload: qcReport });
@@ -159,17 +191,29 @@ async function persistArtifacts({
   return artifactMap;
 }
 
+/**
+ * `resume` lets callers skip the stages before `resume.fromStage` by handing in
+ * the persisted output of the previous stage: annotated `pages` for labeling,
+ * plus `labeled` for assembly, `assembled` ({ groups, notes }) for postprocess,
+ * and `postProcessed` ({ groups, notes }, from groups.postprocessed.json) for
+ * universal. Only the artifacts of stages that ran are rewritten.
+ *
+ * An aborted `signal` stops the run between stages with the abort reason.
+ */
 export async function runCatalogPipeline({
   docId,
   pages,
   source,
   dataDir = null,
   options = {},
+  resume = null,
+  signal = null,
 }) {
   const {
     useLLM = true,
     persistArtifacts: persist = true,
     postProcessOptions = {},
+    taxOptions = {},
   } = options;
 
   const diagnostics = {};
@@ -177,55 +221,102 @@ export async function runCatalogPipeline({
   const warnings = [];
   let pipelineStatus = 'ok';
 
+  const startIndex = resume?.fromStage ? PIPELINE_STAGES.indexOf(resume.fromStage) : 0;
+  if (startIndex === -1) {
+    throw new Error(`unknown_pipeline_stage:${resume.fromStage}`);
+  }
+  const runsStage = stage => PIPELINE_STAGES.indexOf(stage) >= startIndex;
+  if (startIndex > 0) {
+    diagnostics.resumedFrom = PIPELINE_STAGES[startIndex];
+  }
+
   let annotatedPages = pages;
-  try {
-    annotatedPages = markNoise(pages);
-  } catch (error) {
-    warnings.push(`noise_marking_failed: ${error.message}`);
-    pipelineStatus = 'partial';
+  if (runsStage('noise')) {
+    try {
+      annotatedPages = markNoise(pages);
+    } catch (error) {
+      warnings.push(`noise_marking_failed: ${error.message}`);
+      pipelineStatus = 'partial';
+    }
+  }
+
+  // Contents and index pages are noise to the labeler but still map the document.
+  let pageMap = options.pageMap || null;
+  if (!pageMap) {
+    try {
+      pageMap = buildPageMap(annotatedPages);
+    } catch (error) {
+      warnings.push(`page_map_failed:${error.message}`);
+    }
   }
 
   let labeledSegments;
   let labelMeta = { llmConfigured: false, llmUsed: false, llmErrors: [] };
-  try {
-    const labeled = await labelSegments(annotatedPages, { useLLM });
-    labelMeta = labeled.meta || labelMeta;
-    labeledSegments = Array.isArray(labeled) ? labeled : [];
-    if (!labelMeta.llmConfigured && useLLM) {
-      warnings.push('llm_not_configured_falling_back_to_heuristics');
-      pipelineStatus = 'partial';
-    } else if (labelMeta.llmConfigured && !labelMeta.llmUsed) {
-      warnings.push('llm_not_used_fell_back_to_heuristics');
+  signal?.throwIfAborted();
+  if (runsStage('labeling')) {
+    try {
+      const labeled = await labelSegments(annotatedPages, { useLLM });
+      labelMeta = labeled.meta || labelMeta;
+      labeledSegments = Array.isArray(labeled) ? labeled : [];
+      if (!labelMeta.llmConfigured && useLLM) {
+        warnings.push('llm_not_configured_falling_back_to_heuristics');
+        pipelineStatus = 'partial';
+      } else if (labelMeta.llmConfigured && !labelMeta.llmUsed) {
+        warnings.push('llm_not_used_fell_back_to_heuristics');
+        pipelineStatus = 'partial';
+      }
+      if (labelMeta.llmErrors?.length) {
+        validation.warnings.push(
+          ...labelMeta.llmErrors.map(err => `llm_error:${err.status || 'unknown'}:${err.message}`),
+        );
+      }
+    } catch (error) {
+      warnings.push(`segment_labeling_failed:${error.message}`);
+      labeledSegments = annotatedPages.map(page => ({ page: page.pageNumber, segments: [] }));
       pipelineStatus = 'partial';
     }
-    if (labelMeta.llmErrors?.length) {
-      validation.warnings.push(
-        ...labelMeta.llmErrors.map(err => `llm_error:${err.status || 'unknown'}:${err.message}`),
-      );
-    }
-  } catch (error) {
-    warnings.push(`segment_labeling_failed:${error.message}`);
-    labeledSegments = annotatedPages.map(page => ({ page: page.pageNumber, segments: [] }));
-    pipelineStatus = 'partial';
+  } else {
+    labeledSegments = Array.isArray(resume.labeled) ? resume.labeled : [];
+    labelMeta = { ...labelMeta, skipped: true };
   }
 
   let assembledGroups = [];
   let assembledNotes = [];
-  try {
-    const assembled = assembleGroupsFromSegments(annotatedPages, labeledSegments);
-    assembledGroups = assembled.groups || [];
-    assembledNotes = assembled.notes || [];
-  } catch (error) {
-    warnings.push(`group_assembly_failed:${error.message}`);
-    pipelineStatus = 'error';
+  let assembledArtifact;
+  if (runsStage('assembly')) {
+    try {
+      const assembled = assembleGroupsFromSegments(annotatedPages, labeledSegments, { pageMap });
+      assembledGroups = assembled.groups || [];
+      assembledNotes = assembled.notes || [];
+    } catch (error) {
+      warnings.push(`group_assembly_failed:${error.message}`);
+      pipelineStatus = 'error';
+    }
+    // Later stages edit these groups in place; snapshots keep each artifact as its stage left it.
+    if (persist && dataDir) {
+      assembledArtifact = structuredClone({ groups: assembledGroups, notes: assembledNotes });
+    }
+  } else {
+    assembledGroups = Array.isArray(resume.assembled?.groups) ? resume.assembled.groups : [];
+    assembledNotes = Array.isArray(resume.assembled?.notes) ? resume.assembled.notes : [];
   }
 
   let processedGroups = assembledGroups;
-  try {
-    processedGroups = await postProcess(assembledGroups, postProcessOptions);
-  } catch (error) {
-    warnings.push(`post_process_failed:${error.message}`);
-    pipelineStatus = 'partial';
+  let postProcessedArtifact;
+  signal?.throwIfAborted();
+  if (runsStage('postprocess')) {
+    try {
+      processedGroups = await postProcess(assembledGroups, postProcessOptions);
+    } catch (error) {
+      warnings.push(`post_process_failed:${error.message}`);
+      pipelineStatus = 'partial';
+    }
+    if (persist && dataDir) {
+      postProcessedArtifact = structuredClone({ groups: processedGroups, notes: assembledNotes });
+    }
+  } else {
+    processedGroups = Array.isArray(resume.postProcessed?.groups) ? resume.postProcessed.groups : [];
+    assembledNotes = Array.isArray(resume.postProcessed?.notes) ? resume.postProcessed.notes : [];
   }
 
   let normalisedGroups = processedGroups.map(group => normaliseGroup(group));
@@ -236,6 +327,7 @@ export async function runCatalogPipeline({
     (process.env.FORCE_PRICE_ANCHORED || '').toString().trim().toLowerCase() === '1';
 
   const shouldAttemptUniversal = (!normalisedGroups.length || forcePriceAnchored) && annotatedPages?.length;
+  signal?.throwIfAborted();
   if (shouldAttemptUniversal) {
     try {
       const universal = await runUniversalCatalogPass({
@@ -262,8 +354,56 @@ export async function runCatalogPipeline({
     }
   }
 
+  // Runs on the final groups so fallback rows get tax too; page text settles the basis when notes do not.
+  try {
+    applyTaxModel(normalisedGroups, { ...taxOptions, pages: annotatedPages || [] });
+  } catch (error) {
+    warnings.push(`tax_model_failed:${error.message}`);
+  }
+
+  // The one chemistry pass, on the final groups so pattern and fallback rows get it too; fields already set are kept.
+  try {
+    applyChemistryToGroups(normalisedGroups);
+  } catch (error) {
+    warnings.push(`chemistry_specs_failed:${error.message}`);
+  }
+
+  try {
+    const dictionary = await resolveChemicalDictionary(options);
+    if (dictionary) {
+      warnings.push(...dictionary.errors);
+      applyChemicalDictionary(normalisedGroups, dictionary);
+    }
+  } catch (error) {
+    warnings.push(`chemical_dictionary_failed:${error.message}`);
+  }
+
   attachVariantProvenance(normalisedGroups);
 
+  try {
+    const toc = pageMap?.toc || null;
+    const sources = assignCategoryPaths(normalisedGroups, { toc });
+    diagnostics.categories = {
+      sources,
+      toc_entries: toc?.entries.length || 0,
+      toc_pages: toc?.tocPages || [],
+      page_offset: toc?.pageOffset || 0,
+    };
+  } catch (error) {
+    warnings.push(`category_paths_failed:${error.message}`);
+  }
+
+  if (pageMap) {
+    diagnostics.page_map = {
+      toc_entries: pageMap.toc.entries.length,
+      index_entries: pageMap.index.entries.length,
+      index_pages: pageMap.index.indexPages,
+      titled_groups: normalisedGroups.filter(group => group.title_source === 'toc' || group.title_source === 'index')
+        .length,
+      coverage: reportIndexCoverage(pageMap, normalisedGroups),
+    };
+  }
+
   const finalGroups = [];
   for (let index = 0; index < normalisedGroups.length; index += 1) {
     const group = normalisedGroups[index];
@@ -287,6 +427,7 @@ export async function runCatalogPipeline({
   }
 
   const finalNotes = sanitiseNotes(assembledNotes, validation);
+  const categoryTree = buildCategoryTree(finalGroups);
 
   if (!finalGroups.length) {
     pipelineStatus = pipelineStatus === 'error' ? 'error' : 'partial';
@@ -299,16 +440,20 @@ export async function runCatalogPipeline({
 
   const pagesPreview = summarisePages(annotatedPages);
 
+  signal?.throwIfAborted();
   let artifacts = {};
   if (persist && dataDir) {
     try {
       artifacts = await persistArtifacts({
         dataDir,
         docId,
-        pages: annotatedPages,
-        labeled: labeledSegments,
+        pages: runsStage('noise') ? annotatedPages : undefined,
+        labeled: runsStage('labeling') ? labeledSegments : undefined,
+        assembled: assembledArtifact,
+        postProcessed: postProcessedArtifact,
         groups: finalGroups,
         notes: finalNotes,
+        categoryTree,
         validation,
         qcReport,
       });
@@ -338,6 +483,7 @@ export async function runCatalogPipeline({
     status,
     groups: finalGroups,
     notes: finalNotes,
+    categoryTree,
     diagnostics,
     warnings: globalWarnings,
     validation,
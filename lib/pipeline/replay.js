@@ -0,0 +1,135 @@
+import path from 'node:path';
+
+import { getDataDir, pathExists, readJson, writeJson } from '../io.js';
+import { isValidDocId } from '../docLibrary.js';
+import { listActiveJobs } from '../jobs/jobStore.js';
+import { forgetDoc } from '../uploadIndex.js';
+import { PIPELINE_STAGES, runCatalogPipeline } from './catalogPipeline.js';
+
+// Persisted artifacts each stage needs in order to resume from it.
+const STAGE_INPUTS = {
+  noise: ['pages.raw.json'],
+  labeling: ['pages.raw.json'],
+  assembly: ['pages.raw.json', 'segments.labeled.json'],
+  postprocess: ['pages.raw.json', 'groups.assembled.json'],
+  universal: ['pages.raw.json', 'groups.postprocessed.json'],
+};
+
+export class ReplayError extends Error {
+  constructor(message, status = 400, details = undefined) {
+    super(message);
+    this.name = 'ReplayError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+async function loadStageInputs(artifactsDir, fromStage) {
+  const required = STAGE_INPUTS[fromStage];
+  const missing = [];
+  for (const filename of required) {
+    if (!(await pathExists(path.join(artifactsDir, filename)))) {
+      missing.push(filename);
+    }
+  }
+  if (missing.length) {
+    throw new ReplayError(
+      `Cannot replay from "${fromStage}": missing ${missing.join(', ')}. Replay from an earlier stage.`,
+      409,
+      { missing },
+    );
+  }
+  const read = filename => readJson(path.join(artifactsDir, filename));
+  const pages = await read('pages.raw.json');
+  const resume = { fromStage };
+  if (fromStage === 'assembly') {
+    resume.labeled = await read('segments.labeled.json');
+  } else if (fromStage === 'postprocess') {
+    resume.assembled = await read('groups.assembled.json');
+  } else if (fromStage === 'universal') {
+    resume.postProcessed = await read('groups.postprocessed.json');
+  }
+  return { pages, resume };
+}
+
+async function readManifest(dataDir) {
+  const manifestPath = path.join(dataDir, 'manifest.json');
+  return (await pathExists(manifestPath)) ? readJson(manifestPath).catch(() => ({})) : {};
+}
+
+async function updateManifest(dataDir, docId, result, replayEntry) {
+  const manifestPath = path.join(dataDir, 'manifest.json');
+  const previous = await readManifest(dataDir);
+  const manifest = {
+    ...previous,
+    docId,
+    generated_at: new Date().toISOString(),
+    extraction_version: result.version,
+    status: result.status,
+    warnings: result.warnings,
+    artifacts: { ...(previous.artifacts || {}), ...result.artifacts },
+    replays: [...(Array.isArray(previous.replays) ? previous.replays : []), replayEntry],
+  };
+  await writeJson(manifestPath, manifest, { pretty: true });
+  return manifest;
+}
+
+/**
+ * Re-runs the catalog pipeline for a stored document from `fromStage` with
+ * the options it was ingested with (from its manifest; the LLM stays off for
+ * documents ingested before manifests recorded them), overridden by
+ * `options`. Refused with 409 while one of the document's jobs is still
+ * writing its artifacts. A replay that persists drops the document's
+ * upload-index entries, so the same upload is not answered with the
+ * pre-replay result.
+ */
+export async function replayDocument({ docId, fromStage = 'noise', dryRun = false, options = {} }) {
+  if (!isValidDocId(docId)) {
+    throw new ReplayError('Invalid docId.', 400);
+  }
+  if (!PIPELINE_STAGES.includes(fromStage)) {
+    throw new ReplayError(`Unknown fromStage "${fromStage}".`, 400, { stages: PIPELINE_STAGES });
+  }
+  const dataDir = getDataDir(docId);
+  if (!(await pathExists(dataDir))) {
+    throw new ReplayError(`Document ${docId} not found.`, 404);
+  }
+
+  const activeJobs = await listActiveJobs(docId);
+  if (activeJobs.length) {
+    throw new ReplayError(`Document ${docId} has a job in progress; wait for it or cancel it first.`, 409, {
+      jobIds: activeJobs.map(job => job.jobId),
+    });
+  }
+
+  const artifactsDir = path.join(dataDir, 'artifacts');
+  const { pages, resume } = await loadStageInputs(artifactsDir, fromStage);
+  const ingested = (await readManifest(dataDir)).options || {};
+
+  const result = await runCatalogPipeline({
+    docId,
+    pages,
+    source: { filename: 'cached_artifacts', pages: pages.length },
+    dataDir: dryRun ? null : dataDir,
+    options: {
+      useLLM: false,
+      ...ingested,
+      ...options,
+      persistArtifacts: !dryRun,
+    },
+    resume,
+  });
+
+  if (!dryRun) {
+    await forgetDoc(docId);
+    await updateManifest(dataDir, docId, result, {
+      fromStage,
+      options,
+      replayed_at: new Date().toISOString(),
+      status: result.status,
+      groups: result.groups.length,
+    });
+  }
+
+  return result;
+}
@@ -1,37 +1,17 @@
+import { resolveFootnotes } from './footnotes.js';
+import { checkIdentifier, findIdentifier, isValidCas, isValidEc, isValidGtin } from './identifiers.js';
 import { maybeEscalateWithLLM } from './llmAssist.js';
+import { PRICE_MODEL_FIELDS, parsePrice, priceModelFields, priceModelIssues } from './priceModel.js';
+import { formatQuantity, parseJoint, parsePack, parseQuantity, specQuantities } from './units.js';
 
-const CAS_RE = /\b\d{2,7}-\d{2}-\d\b/;
-const EC_RE = /\b\d{3}-\d{3}-\d\b/;
 const HSN_RE = /\b(\d{4}\.\d{2}|\d{6,8})\b/;
-const UNIT_RE = /(ml|l|µl|ul|gm|g|kg|mg|mm|cm|inch|in)\b/i;
-const CURRENCY_RE = /(?:₹|rs\.?|inr|€|eur|\$|usd)\s*/i;
 
+// `model` is the full price (status, range, tiers); `value` its listed or lowest-quantity price.
 function normCurrency(s = '') {
-  if (!s) return { currency: 'INR', value: null, raw: s };
+  if (!s) return { currency: 'INR', value: null, raw: s, model: null };
   const currency = /€|eur/i.test(s) ? 'EUR' : /\$|usd/i.test(s) ? 'USD' : 'INR';
-  const num = Number(String(s).replace(CURRENCY_RE, '').replace(/[, ]/g, ''));
-  return Number.isFinite(num) ? { currency, value: num, raw: s } : { currency, value: null, raw: s };
-}
-
-function parsePack(s = '') {
-  const m = String(s).toLowerCase().match(/(?:(\d+)\s*[x×]\s*)?(\d+(?:\.\d+)?)\s*(ml|l|litre|g|gm|kg|mg|µl|ul)\b/);
-  if (!m) return null;
-  const mult = m[1] ? Number(m[1]) : 1;
-  const qty = Number(m[2]);
-  const unit = m[3].replace('µ', 'u');
-  const map = {
-    ml: { kind: 'volume_ml', mul: 1 },
-    l: { kind: 'volume_ml', mul: 1000 },
-    litre: { kind: 'volume_ml', mul: 1000 },
-    ul: { kind: 'volume_ml', mul: 0.001 },
-    gm: { kind: 'mass_g', mul: 1 },
-    g: { kind: 'mass_g', mul: 1 },
-    kg: { kind: 'mass_g', mul: 1000 },
-    mg: { kind: 'mass_g', mul: 0.001 }
-  }[unit];
-  if (!map || !Number.isFinite(qty)) return null;
-  const base = qty * map.mul;
-  return { multiplier: mult, unit, qty, kind: map.kind, base, base_total: base * mult };
+  const model = parsePrice(s);
+  return { currency, value: model?.value ?? null, raw: s, model };
 }
 
 function median(arr) {
@@ -63,6 +43,17 @@ function addAudit(v, rule, action, notes) {
   v._audit.push({ rule, action, notes });
 }
 
+const GTIN_FIELDS = ['gtin', 'ean', 'upc', 'barcode'];
+
+// Flags an identifier of the right shape whose check digit fails; the value is kept for review.
+function auditChecksum(v, field, kind) {
+  if (v[field] == null || v[field] === '') return;
+  const check = checkIdentifier(kind, v[field]);
+  if (!check.shape || check.valid) return;
+  const fix = check.suggestion ? `; did you mean ${check.suggestion}?` : '';
+  addAudit(v, field, 'checksum', `check digit fails for ${check.value}${fix}`);
+}
+
 export async function postProcess(groups, opts = {}) {
   const PRICE_OUTLIER_SIGMA = opts.priceSigma || 2.5;
   const DEDUPE_SIM_THRESHOLD = opts.dedupeSim || 0.9;
@@ -82,6 +73,8 @@ export async function postProcess(groups, opts = {}) {
     if (g.notes && g.notes.length) {
       g.description = (g.description || '') + (g.description ? '\n' : '') + g.notes.join('\n');
     }
+    // Markers still on cells ("350*") are stripped and tied to the note that defines them.
+    resolveFootnotes(g);
 
     const pricesPerUnit = [];
     for (const v of g.variants) {
@@ -101,10 +94,15 @@ export async function postProcess(groups, opts = {}) {
         (v.price_mrp_value != null ? String(v.price_mrp_value) : null);
       if (priceCandidate != null) {
         const np = normCurrency(String(priceCandidate));
+        Object.assign(v, priceModelFields(np.model));
         if (np.value != null) {
           v.price_mrp_value = np.value;
           v.price_currency = np.currency;
-          addAudit(v, 'price', 'normalize', `= ${np.value} ${np.currency}`);
+          const span = v.price_min != null ? ` (${v.price_min}–${v.price_max})` : '';
+          addAudit(v, 'price', 'normalize', `= ${np.value} ${np.currency}${span}`);
+        } else if (np.model) {
+          delete v.price_mrp_value;
+          addAudit(v, 'price', 'status', np.model.status);
         } else {
           addAudit(v, 'price', 'drop', 'unparsable');
           delete v.price_mrp_value;
@@ -116,7 +114,7 @@ export async function postProcess(groups, opts = {}) {
       if (pack) {
         v.pack = pack;
         if (!v.pack_size) {
-          v.pack_size = `${pack.multiplier}x ${pack.qty} ${pack.unit}`;
+          v.pack_size = formatQuantity(pack);
         }
         if (Number.isFinite(v.price_mrp_value)) {
           const denom = pack.base_total || pack.base;
@@ -125,8 +123,8 @@ export async function postProcess(groups, opts = {}) {
             pricesPerUnit.push(v.price_per_unit);
           }
         }
-      } else if (UNIT_RE.test(String(v.pack_size || '') + ' ' + String(v.size || ''))) {
-        addAudit(v, 'pack', 'hint', 'unit-like text present but not parsed');
+      } else if (parseQuantity(String(v.pack_size || '') + ' ' + String(v.size || ''))) {
+        addAudit(v, 'pack', 'hint', 'measured text present but not a pack');
       }
 
       const fieldTexts = [];
@@ -136,23 +134,38 @@ export async function postProcess(groups, opts = {}) {
       if (g.description) fieldTexts.push(g.description);
 
       const hay = fieldTexts.join(' | ');
-      const casM = hay.match(CAS_RE);
-      if (casM) v.cas = casM[0];
-      const ecM = hay.match(EC_RE);
-      if (ecM) v.ec = ecM[0];
+      const cas = findIdentifier('cas', hay);
+      if (cas) v.cas = cas;
+      const ec = findIdentifier('ec', hay);
+      if (ec) v.ec = ec;
       const hsnM = hay.match(HSN_RE);
       if (!v.hsn && hsnM) v.hsn = hsnM[0];
-      if (v.cas && !CAS_RE.test(String(v.cas))) {
+      if (v.cas && !checkIdentifier('cas', v.cas).shape) {
         addAudit(v, 'cas', 'drop', 'invalid');
         delete v.cas;
       }
+      auditChecksum(v, 'cas', 'cas');
+      auditChecksum(v, 'ec', 'ec');
+      for (const field of GTIN_FIELDS) auditChecksum(v, field, 'gtin');
+      const priceIssues = priceModelIssues(v);
+      if (priceIssues.length) {
+        addAudit(v, 'price_model', 'drop', priceIssues.join('; '));
+        for (const key of PRICE_MODEL_FIELDS) delete v[key];
+      }
 
       const packSizeText = v.pack_size != null ? String(v.pack_size) : '';
       const sizeText = v.size != null ? String(v.size) : '';
-      if (!UNIT_RE.test(packSizeText) && UNIT_RE.test(sizeText)) {
+      if (!parseQuantity(packSizeText) && parseQuantity(sizeText)) {
         v.pack_size = v.pack_size || v.size;
         addAudit(v, 'pack_size', 'fill', 'copied from size');
       }
+
+      if (typeof v.joint === 'string') {
+        const joint = parseJoint(v.joint);
+        if (joint) v.joint = joint.text;
+      }
+      const quantities = specQuantities(v);
+      if (Object.keys(quantities).length) v.spec_quantities = quantities;
     }
 
     const med = median(pricesPerUnit);
@@ -230,14 +243,15 @@ export async function postProcess(groups, opts = {}) {
       const feats = {
         hasCode: !!v.code,
         hasPrice: Number.isFinite(v.price_mrp_value),
-        hasPack: !!v.pack || UNIT_RE.test(String(v.pack_size || '')),
-        validCAS: !!v.cas && CAS_RE.test(String(v.cas)),
+        hasPack: !!v.pack || Boolean(parseQuantity(String(v.pack_size || ''))),
+        // Only identifiers whose check digit holds count.
+        validId: isValidCas(v.cas) || isValidEc(v.ec) || GTIN_FIELDS.some(field => isValidGtin(v[field])),
         hasHSN: !!v.hsn
       };
       if (feats.hasCode) score += 0.25;
       if (feats.hasPrice) score += 0.2;
       if (feats.hasPack) score += 0.2;
-      if (feats.validCAS) score += 0.2;
+      if (feats.validId) score += 0.2;
       if (feats.hasHSN) score += 0.15;
       v._confidence = Math.min(1, Math.max(0, score));
     }
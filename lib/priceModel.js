@@ -0,0 +1,192 @@
+/**
+ * Variant price model.
+ * A catalog price is not always one number: lines are marked "POR" or
+ * "Price on request", discontinued, quoted as a range ("1,200–1,450") or as
+ * quantity breaks ("1–9: ₹450 / 10+: ₹410"). `parsePrice` reads all of these
+ * and `priceModelFields` turns the result into the fields every extraction
+ * path shares:
+ *
+ *   price_status             'listed' | 'on_request' | 'discontinued'
+ *   price_min / price_max    bounds of a range, or of the tier prices
+ *   price_tiers              [{ min_qty, max_qty, price }], max_qty null for "10+"
+ *
+ * A plain single price carries none of them (it is listed by definition) and
+ * stays in the path's own value field. For ranges and tiers that field holds
+ * the lowest price or the smallest-quantity tier, so sorting and per-unit
+ * maths keep working.
+ */
+
+export const PRICE_STATUSES = ['listed', 'on_request', 'discontinued'];
+export const PRICE_MODEL_FIELDS = ['price_status', 'price_min', 'price_max', 'price_tiers'];
+
+const CURRENCY_RE = /₹|\brs\.?|\binr\b|€|\beur\b|\$|\busd\b|£|\bgbp\b/gi;
+const ON_REQUEST_RE = new RegExp(
+  '^(?:p\\.?\\s?o\\.?\\s?r\\.?|(?:price\\s+)?(?:on|upon)\\s+(?:request|application|enquiry)|' +
+    'ask\\s+for\\s+price|quote\\s+on\\s+request)$',
+  'i',
+);
+const DISCONTINUED_RE =
+  /^(?:discontinued|disc(?:ont)?'?d\.?|obsolete|withdrawn|no\s+longer\s+(?:available|supplied))$/i;
+const RANGE_SPLIT_RE = /\s*(?:[-–—]|\bto\b)\s*/i;
+// "1–9: ₹450", "10+: 410", "Qty 25 & above = 390"
+const TIER_RE = new RegExp(
+  '^(?:qty\\.?|quantity)?\\s*(\\d+)\\s*' +
+    '(?:(?:[-–—]|\\bto\\b)\\s*(\\d+)|(\\+)|(?:&|and|or)\\s*(?:above|more|over))?' +
+    '\\s*(?:pcs|pc|nos|units|packs)?\\.?\\s*[:=@]\\s*(.+)$',
+  'i',
+);
+
+function detectCurrency(text) {
+  if (/₹|\brs\.?|\binr\b/i.test(text)) return 'INR';
+  if (/€|\beur\b/i.test(text)) return 'EUR';
+  if (/\$|\busd\b/i.test(text)) return 'USD';
+  if (/£|\bgbp\b/i.test(text)) return 'GBP';
+  return null;
+}
+
+/** Reads one amount: "₹1,200/-", "1,20,000", "1 200", "1.234,50". */
+export function parseAmount(text) {
+  const cleaned = String(text ?? '')
+    .replace(CURRENCY_RE, '')
+    .replace(/\/-\s*$/, '')
+    .replace(/(\d)\s+(?=\d{3}\b)/g, '$1')
+    .trim();
+  if (/^\d{1,3}(?:,\d{2,3})+(?:\.\d+)?$|^\d+(?:\.\d+)?$/.test(cleaned)) return Number(cleaned.replace(/,/g, ''));
+  if (/^\d{1,3}(?:\.\d{3})+,\d{1,2}$|^\d+,\d{1,2}$/.test(cleaned)) {
+    return Number(cleaned.replace(/\./g, '').replace(',', '.'));
+  }
+  return null;
+}
+
+function parseTiers(text) {
+  const parts = text.split(/\s*[/;|\n]\s*/).filter(Boolean);
+  const tiers = [];
+  for (const part of parts) {
+    const match = part.match(TIER_RE);
+    const price = match ? parseAmount(match[4]) : null;
+    if (price == null) return null;
+    const min = Number(match[1]);
+    const max = match[2] ? Number(match[2]) : null;
+    tiers.push({ min_qty: min, max_qty: max, price, open: Boolean(match[3]) || /above|more|over/i.test(part) });
+  }
+  tiers.sort((a, b) => a.min_qty - b.min_qty);
+  // "1: 450 / 10: 410" reads as breaks: each tier runs up to the next one.
+  return tiers.map((tier, index) => {
+    const next = tiers[index + 1];
+    const max = tier.max_qty ?? (next && !tier.open ? next.min_qty - 1 : null);
+    return { min_qty: tier.min_qty, max_qty: max, price: tier.price };
+  });
+}
+
+/**
+ * Parses a price cell into `{ status, value, min, max, tiers, currency }`, or
+ * null when the text is not a price at all. `min`, `max` and `tiers` are null
+ * for a plain price and for prices on request or discontinued.
+ */
+export function parsePrice(input) {
+  if (input == null) return null;
+  if (typeof input === 'number') {
+    return Number.isFinite(input)
+      ? { status: 'listed', value: input, min: null, max: null, tiers: null, currency: null }
+      : null;
+  }
+  const text = String(input).replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  const currency = detectCurrency(text);
+  const base = { status: 'listed', value: null, min: null, max: null, tiers: null, currency };
+  const bare = text.replace(CURRENCY_RE, '').replace(/^[\s:.-]+/, '').trim();
+  if (ON_REQUEST_RE.test(bare)) return { ...base, status: 'on_request' };
+  if (DISCONTINUED_RE.test(bare)) return { ...base, status: 'discontinued' };
+
+  const single = parseAmount(text);
+  if (single != null) return { ...base, value: single };
+
+  const tiers = /[:=@]/.test(text) ? parseTiers(text.replace(/\/-(?=\s|$)/g, '')) : null;
+  if (tiers?.length) {
+    const prices = tiers.map(tier => tier.price);
+    return { ...base, value: tiers[0].price, min: Math.min(...prices), max: Math.max(...prices), tiers };
+  }
+
+  const bounds = text.split(RANGE_SPLIT_RE);
+  if (bounds.length === 2) {
+    const [low, high] = bounds.map(parseAmount);
+    if (low != null && high != null && low < high) return { ...base, value: low, min: low, max: high };
+  }
+  return null;
+}
+
+/** True for a parsed price that is one listed number and needs no model fields. */
+export function isPlainPrice(model) {
+  return Boolean(model) && model.status === 'listed' && !model.tiers && model.min == null;
+}
+
+/** The variant fields for a parsed price; empty for a plain one. */
+export function priceModelFields(model) {
+  if (!model || isPlainPrice(model)) return {};
+  const fields = { price_status: model.status };
+  if (model.min != null) {
+    fields.price_min = model.min;
+    fields.price_max = model.max;
+  }
+  if (model.tiers) fields.price_tiers = model.tiers.map(tier => ({ ...tier }));
+  return fields;
+}
+
+/** Copies the price model fields a row or variant carries, leaving out empty ones. */
+export function pickPriceModel(source = {}) {
+  const fields = {};
+  for (const key of PRICE_MODEL_FIELDS) {
+    if (source[key] != null) fields[key] = source[key];
+  }
+  return fields;
+}
+
+/**
+ * Looks for a range, quantity breaks or an on-request/discontinued phrase at
+ * the end of a free-text line; returns `{ index, raw, model }` or null.
+ * Plain prices are left to the caller's own price scan.
+ */
+export function findPriceExpression(text) {
+  const source = String(text || '');
+  const starts = [0, ...[...source.matchAll(/\s+/g)].map(match => match.index + match[0].length)];
+  for (const index of starts) {
+    const raw = source.slice(index).trim();
+    if (!raw) break;
+    const model = parsePrice(raw);
+    if (model && !isPlainPrice(model)) return { index, raw, model };
+  }
+  return null;
+}
+
+/** Consistency problems in a variant's price model, as short messages. */
+export function priceModelIssues(variant = {}) {
+  const issues = [];
+  const status = variant.price_status;
+  if (status != null && !PRICE_STATUSES.includes(status)) issues.push(`unknown price_status "${status}"`);
+  const hasMin = variant.price_min != null;
+  const hasMax = variant.price_max != null;
+  if (hasMin !== hasMax) issues.push('price_min and price_max must be given together');
+  if (hasMin && hasMax && !(variant.price_min <= variant.price_max)) issues.push('price_max below price_min');
+  const tiers = variant.price_tiers;
+  if (tiers != null) {
+    if (!Array.isArray(tiers) || !tiers.length) {
+      issues.push('price_tiers must be a non-empty list');
+    } else {
+      tiers.forEach((tier, index) => {
+        const next = tiers[index + 1];
+        if (!Number.isInteger(tier?.min_qty) || tier.min_qty < 1) issues.push(`tier ${index + 1} has no min_qty`);
+        if (!Number.isFinite(tier?.price) || tier.price < 0) issues.push(`tier ${index + 1} has no price`);
+        if (tier?.max_qty != null && tier.max_qty < tier.min_qty) {
+          issues.push(`tier ${index + 1} ends before it starts`);
+        }
+        if (next && (tier?.max_qty == null || tier.max_qty >= next.min_qty)) {
+          issues.push(`tier ${index + 1} overlaps tier ${index + 2}`);
+        }
+      });
+    }
+  }
+  if ((status === 'on_request' || status === 'discontinued') && (hasMin || tiers != null)) {
+    issues.push(`price_status "${status}" cannot carry a range or tiers`);
+  }
+  return issues;
+}
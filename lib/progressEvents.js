@@ -0,0 +1,95 @@
+import { EventEmitter } from 'node:events';
+
+const MAX_BUFFERED_EVENTS = 500;
+const RETAIN_AFTER_FINISH_MS = 60 * 1000;
+const TERMINAL_EVENT_TYPES = new Set(['done', 'error']);
+
+export const PROGRESS_EVENT_TYPES = [
+  'stage',
+  'page_extracted',
+  'window_started',
+  'validator_verdict',
+  'repair_applied',
+  'window_done',
+  'chunk_done',
+  'budget_update',
+  'done',
+  'error',
+];
+
+// In-process only: a stream can follow a parse running in the same server instance. The map
+// sits on globalThis, like the job registry, so the parse and stream routes share it even
+// though Next.js bundles each route separately.
+const channels = globalThis.__ingestProgressChannels || (globalThis.__ingestProgressChannels = new Map());
+
+function getChannel(docId) {
+  let channel = channels.get(docId);
+  if (!channel) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    channel = { emitter, buffer: [], sequence: 0, finished: false, cleanupTimer: null };
+    channels.set(docId, channel);
+  }
+  return channel;
+}
+
+function scheduleCleanup(docId, channel) {
+  if (channel.cleanupTimer) clearTimeout(channel.cleanupTimer);
+  channel.cleanupTimer = setTimeout(() => {
+    if (channels.get(docId) === channel) {
+      channels.delete(docId);
+    }
+  }, RETAIN_AFTER_FINISH_MS);
+  channel.cleanupTimer.unref?.();
+}
+
+export function isTerminalProgressEvent(event) {
+  return TERMINAL_EVENT_TYPES.has(event?.type);
+}
+
+export function publishProgress(docId, event) {
+  if (!docId || !event?.type) return null;
+  const channel = getChannel(docId);
+  if (channel.finished) {
+    // A new run for the same docId starts a fresh stream.
+    channel.buffer = [];
+    channel.finished = false;
+  }
+  channel.sequence += 1;
+  const enriched = { ...event, docId, seq: channel.sequence, at: new Date().toISOString() };
+  channel.buffer.push(enriched);
+  if (channel.buffer.length > MAX_BUFFERED_EVENTS) {
+    channel.buffer.splice(0, channel.buffer.length - MAX_BUFFERED_EVENTS);
+  }
+  if (isTerminalProgressEvent(enriched)) {
+    channel.finished = true;
+    scheduleCleanup(docId, channel);
+  }
+  channel.emitter.emit('event', enriched);
+  return enriched;
+}
+
+export function subscribeProgress(docId, listener, { replay = true } = {}) {
+  const channel = getChannel(docId);
+  if (replay) {
+    for (const event of channel.buffer) {
+      listener(event);
+    }
+  }
+  channel.emitter.on('event', listener);
+  return () => {
+    channel.emitter.off('event', listener);
+    if (!channel.buffer.length && !channel.emitter.listenerCount('event') && channels.get(docId) === channel) {
+      channels.delete(docId);
+    }
+  };
+}
+
+export function createProgressPublisher(docId, ...listeners) {
+  return event => {
+    publishProgress(docId, event);
+    for (const listener of listeners) {
+      if (typeof listener === 'function') listener(event);
+    }
+  };
+}
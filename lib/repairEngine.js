@@ -1,5 +1,6 @@
 import { segmentPageText } from './pdfSegmenter.js';
 import { runCatalogPipeline } from './pipeline/catalogPipeline.js';
+import { pageBodyText } from './runningHeaders.js';
 
 function clonePages(pages = []) {
   if (typeof structuredClone === 'function') {
@@ -110,7 +111,7 @@ function parseRepairs(repairs = []) {
 
 function resegmentPages(pages = []) {
   return pages.map(page => {
-    const raw = typeof page?.rawText === 'string' ? page.rawText : '';
+    const raw = pageBodyText(page);
     if (!raw) return page;
     const rebuilt = segmentPageText(raw, page.pageNumber);
     return { ...page, ...rebuilt };
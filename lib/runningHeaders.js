@@ -0,0 +1,142 @@
+/**
+ * Running header and footer detection.
+ * Catalog pages repeat the same lines in their top and bottom bands (company
+ * name, "Price List 2024", contact details, page numbers). Those lines are
+ * found by comparing the bands across pages by normalised text and, when
+ * pdf.js positions are available, by height on the page. Matching lines are
+ * split off into `running_header` / `running_footer` blocks so they never
+ * reach labeling, assembly or LLM prompts, yet stay on the page for audit.
+ */
+
+const RUNNING_TUNING = {
+  // Lines at each end of a page that can be running text.
+  bandLines: 3,
+  // A line must repeat on at least this many pages, and on this share of the document.
+  minRepeats: 2,
+  minPageShare: 0.3,
+  // Repeats further apart than this (pt) sit at different heights and are different lines.
+  positionTolerance: 6,
+  maxLength: 160,
+};
+
+const TABULAR_RE = /\s{2,}|\t|\|/;
+
+// Numbers that change from page to page on the same running line. Any other number is part of the text, so
+// "Cat 1001 Beaker 50 ml" and "Cat 1002 Beaker 100 ml" stay different lines.
+const PAGE_NUMBER_RE = new RegExp(
+  '\\b(?:page|pg\\.?|p\\.)\\s*\\d+(?:\\s*(?:of|/)\\s*\\d+)?\\b' +
+    '|^[\\W_]*\\d+(?:\\s*(?:of|/)\\s*\\d+)?[\\W_]*$',
+  'g',
+);
+const DATE_RE = new RegExp(
+  '\\b\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4}\\b' +
+    '|\\b\\d{1,2}(?:st|nd|rd|th)?\\s+(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?,?\\s+\\d{2,4}\\b',
+  'g',
+);
+
+/** Normalised comparison key: case, spacing, page numbers and dates are ignored. */
+export function runningKey(text) {
+  const collapse = match => match.replace(/\d+(?:st|nd|rd|th)?/g, '#');
+  return String(text || '')
+    .toLowerCase()
+    .replace(DATE_RE, collapse)
+    .replace(PAGE_NUMBER_RE, collapse)
+    .replace(/[^a-z0-9#@.&]+/g, ' ')
+    .trim();
+}
+
+export function isRunningBlock(block) {
+  return block?.kind === 'running_header' || block?.kind === 'running_footer';
+}
+
+// Table rows repeat at the top of continued tables; they are content, not running text.
+function isCandidate(line) {
+  const text = String(line?.text || '').trim();
+  if (!text || text.length > RUNNING_TUNING.maxLength || line.ruledTable) return false;
+  return !TABULAR_RE.test(text) && Boolean(runningKey(text));
+}
+
+function bandCandidates(lines) {
+  const out = [];
+  const count = Math.min(RUNNING_TUNING.bandLines, Math.floor(lines.length / 2));
+  for (let i = 0; i < count; i += 1) {
+    out.push({ line: lines[i], index: i, band: 'header' });
+    out.push({ line: lines[lines.length - 1 - i], index: lines.length - 1 - i, band: 'footer' });
+  }
+  return out.filter(entry => isCandidate(entry.line));
+}
+
+function lineY(line) {
+  return Number.isFinite(line?.bbox?.y) ? line.bbox.y : null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Finds the lines repeated across page bands. `pages` is
+ * `[{ pageNumber, lines: [{ text, bbox }] }]` in reading order; the result is
+ * a profile `[{ band, key, y, text, pages }]` for `matchRunningLine`.
+ */
+export function detectRunningLines(pages = []) {
+  const seen = new Map();
+  const contentKeys = new Map();
+  for (const page of pages) {
+    const lines = Array.isArray(page?.lines) ? page.lines : [];
+    contentKeys.set(page.pageNumber, lines.map(line => runningKey(line.text)).join('\n'));
+    for (const { line, band } of bandCandidates(lines)) {
+      const id = `${band}|${runningKey(line.text)}`;
+      if (!seen.has(id)) {
+        seen.set(id, { band, key: runningKey(line.text), text: String(line.text).trim(), hits: [] });
+      }
+      const entry = seen.get(id);
+      if (!entry.hits.some(hit => hit.pageNumber === page.pageNumber)) {
+        entry.hits.push({ pageNumber: page.pageNumber, y: lineY(line) });
+      }
+    }
+  }
+  const threshold = Math.max(RUNNING_TUNING.minRepeats, Math.ceil(pages.length * RUNNING_TUNING.minPageShare));
+  const profile = [];
+  for (const entry of seen.values()) {
+    const positioned = entry.hits.filter(hit => hit.y != null);
+    const y = positioned.length ? median(positioned.map(hit => hit.y)) : null;
+    // Same text at a different height (a heading that happens to repeat) does not count.
+    const hits = entry.hits.filter(
+      hit => y == null || hit.y == null || Math.abs(hit.y - y) <= RUNNING_TUNING.positionTolerance,
+    );
+    // Identical pages (duplicated sheets) repeat every line; running text repeats around changing content.
+    const distinctPages = new Set(hits.map(hit => contentKeys.get(hit.pageNumber)));
+    if (hits.length < threshold || distinctPages.size < RUNNING_TUNING.minRepeats) continue;
+    profile.push({ band: entry.band, key: entry.key, y, text: entry.text, pages: hits.map(hit => hit.pageNumber) });
+  }
+  return profile;
+}
+
+/** Marks `line.running = 'header' | 'footer'` on the band lines of one page that match the profile. */
+export function matchRunningLines(lines = [], profile = []) {
+  if (!profile.length) return 0;
+  let marked = 0;
+  for (const { line, band } of bandCandidates(lines)) {
+    const key = runningKey(line.text);
+    const y = lineY(line);
+    const match = profile.find(
+      entry =>
+        entry.band === band &&
+        entry.key === key &&
+        (entry.y == null || y == null || Math.abs(entry.y - y) <= RUNNING_TUNING.positionTolerance),
+    );
+    if (match && !line.running) {
+      line.running = band;
+      marked += 1;
+    }
+  }
+  return marked;
+}
+
+/** Page text for prompts and re-segmentation: the raw text without running headers and footers. */
+export function pageBodyText(page) {
+  if (typeof page?.bodyText === 'string') return page.bodyText;
+  return typeof page?.rawText === 'string' ? page.rawText : '';
+}
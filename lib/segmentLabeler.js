@@ -57,7 +57,8 @@ function truncate(text, max = 320) {
 function summarisePage(page) {
   const lines = [];
   page.textBlocks.forEach((block, idx) => {
-    lines.push(`text_blocks[${idx}]: ${truncate(block.text)}`);
+    const level = block.heading?.level ? ` (H${block.heading.level})` : '';
+    lines.push(`text_blocks[${idx}]${level}: ${truncate(block.text)}`);
   });
   page.tables.forEach((table, idx) => {
     const header = table.header.join(', ');
@@ -81,8 +82,7 @@ function heuristicLabel(page) {
       const looksTitle =
         text.length >= 6 &&
         text.length <= 120 &&
-        /^[A-Z0-9 ,.&/\-]+$/.test(text) &&
-        /[A-Z]{3}/.test(text) &&
+        (Boolean(segment.heading) || (/^[A-Z0-9 ,.&/\-]+$/.test(text) && /[A-Z]{3}/.test(text))) &&
         !/index|table of/i.test(text);
       const hasNumbers = /\d/.test(text);
       const kind = productLike || hasNumbers || looksTitle ? 'product_text' : 'intro';
@@ -1,10 +1,10 @@
+import { parseAssay } from './chemistrySpecs.js';
+import { checkIdentifier, findIdentifier } from './identifiers.js';
 import { maybeEscalateWithLLM } from './llmAssist.js';
+import { formatQuantity, parseJoint, parsePack, specQuantities } from './units.js';
 
-const CAS_RE = /\b\d{2,7}-\d{2}-\d\b/;
-const EC_RE = /\b\d{3}-\d{3}-\d\b/;
 const HSN_RE = /\b(\d{4}\.\d{2}|\d{6,8})\b/;
 const CURRENCY_RE = /(?:₹|rs\.?|inr|€|eur|\$|usd)\s*/i;
-const PCT_RE = /\b(\d{2,3}(?:\.\d+)?)\s*%\b/;
 
 const GRADE_MAP = new Map([
   ['AR', 'AR'],
@@ -23,19 +23,6 @@ const GRADE_MAP = new Map([
   ['Pharmaceutical Grade', 'Pharma']
 ]);
 
-const UOM = {
-  ml: { k: 'volume_ml', m: 1 },
-  mL: { k: 'volume_ml', m: 1 },
-  l: { k: 'volume_ml', m: 1000 },
-  L: { k: 'volume_ml', m: 1000 },
-  ul: { k: 'volume_ml', m: 0.001 },
-  'µl': { k: 'volume_ml', m: 0.001 },
-  g: { k: 'mass_g', m: 1 },
-  gm: { k: 'mass_g', m: 1 },
-  kg: { k: 'mass_g', m: 1000 },
-  mg: { k: 'mass_g', m: 0.001 }
-};
-
 function normCurrency(raw = '') {
   if (!raw) return { currency: 'INR', value: null, raw };
   const currency = /€|eur/i.test(raw)
@@ -49,18 +36,6 @@ function normCurrency(raw = '') {
     : { currency, value: null, raw };
 }
 
-function parsePack(src = '') {
-  const m = String(src).match(/(?:(\d+)\s*[x×]\s*)?(\d+(?:\.\d+)?)\s*(ml|mL|l|L|g|gm|kg|mg|µl|ul)\b/);
-  if (!m) return null;
-  const multiplier = m[1] ? Number(m[1]) : 1;
-  const qty = Number(m[2]);
-  const unit = m[3];
-  const map = UOM[unit] || UOM[unit?.toLowerCase()];
-  if (!map || !Number.isFinite(qty)) return null;
-  const base = qty * map.m;
-  return { multiplier, unit, qty, kind: map.k, base, base_total: base * multiplier };
-}
-
 function normalizeGrade(value) {
   if (!value) return null;
   for (const [key, mapped] of GRADE_MAP.entries()) {
@@ -69,11 +44,6 @@ function normalizeGrade(value) {
   return String(value).trim().toUpperCase();
 }
 
-function pct(src) {
-  const match = String(src || '').match(PCT_RE);
-  return match ? Number(match[1]) : null;
-}
-
 export async function normalizeGroup(group, opts = {}) {
   const warn = message => {
     group._warnings = group._warnings || [];
@@ -108,16 +78,17 @@ export async function normalizeGroup(group, opts = {}) {
     const pack = parsePack(packSource);
     if (pack) {
       variant.pack = pack;
-      if (!variant.pack_size) {
-        const qty = Number.isFinite(pack.qty) ? pack.qty : '';
-        variant.pack_size = `${pack.multiplier}x ${qty} ${pack.unit}`.trim();
-      }
+      if (!variant.pack_size) variant.pack_size = formatQuantity(pack);
+    }
+    if (typeof variant.joint === 'string') {
+      const joint = parseJoint(variant.joint);
+      if (joint) variant.joint = joint.text;
     }
 
     if (variant.grade) variant.grade = normalizeGrade(variant.grade);
     if (variant.purity && variant.purity_value == null) {
-      const parsed = pct(variant.purity);
-      if (parsed != null) variant.purity_value = parsed;
+      const parsed = parseAssay(variant.purity, { labelled: true });
+      if (parsed) variant.purity_value = parsed.value;
     }
 
     const haystack =
@@ -127,13 +98,16 @@ export async function normalizeGroup(group, opts = {}) {
       ' | ' +
       (group.description || '');
 
-    const casMatch = haystack.match(CAS_RE);
-    if (casMatch) variant.cas = casMatch[0];
-    const ecMatch = haystack.match(EC_RE);
-    if (ecMatch) variant.ec = ecMatch[0];
+    const cas = findIdentifier('cas', haystack);
+    if (cas) variant.cas = cas;
+    const ec = findIdentifier('ec', haystack);
+    if (ec) variant.ec = ec;
     const hsnMatch = haystack.match(HSN_RE);
     if (!variant.hsn && hsnMatch) variant.hsn = hsnMatch[0];
-    if (variant.cas && !CAS_RE.test(String(variant.cas))) delete variant.cas;
+    if (variant.cas && !checkIdentifier('cas', variant.cas).shape) delete variant.cas;
+
+    const quantities = specQuantities(variant);
+    if (Object.keys(quantities).length) variant.spec_quantities = quantities;
   }
 
   const sparse = group.variants.filter(v => !v.pack_size && !v.grade && !v.purity && !v.price_mrp_value);
@@ -0,0 +1,101 @@
+/**
+ * Continued-table detection across page breaks.
+ * A variant table that runs over a page break restarts on the next page either
+ * with its header repeated or with no header at all, in which case the
+ * segmenter takes the first data row for the header. A table is treated as a
+ * continuation when it opens the next page with the same column count, the
+ * same column x-bands (when pdf.js positions are known) and a header that is
+ * either similar to the previous one or plainly a data row.
+ */
+
+import { canonicalizeHeaderList } from './headerUtils.js';
+
+const CONTINUATION_TUNING = {
+  // Column centres further apart than this (pt) belong to a different table.
+  bandTolerance: 12,
+  // Share of header names two headers must share to be the same header.
+  minHeaderSimilarity: 0.6,
+  // Share of "header" cells holding digits for the header to be a data row.
+  minDataCellShare: 0.5,
+};
+
+const DATA_CELL_RE = /\d/;
+
+/** Share of names two headers have in common, relative to the longer one. */
+export function headerSimilarity(a = [], b = []) {
+  const left = new Set(a.filter(Boolean));
+  const right = new Set(b.filter(Boolean));
+  if (!left.size || !right.size) return 0;
+  let shared = 0;
+  for (const name of left) {
+    if (right.has(name)) shared += 1;
+  }
+  return shared / Math.max(left.size, right.size);
+}
+
+/** True when a header found at the top of a page repeats the canonical header of the table it continues. */
+export function isRepeatedHeader(header = [], canonical = []) {
+  return headerSimilarity(header, canonical) >= CONTINUATION_TUNING.minHeaderSimilarity;
+}
+
+/** Header cells that are mostly codes, sizes and prices are the first data row of a headerless table. */
+export function looksLikeDataRow(cells = []) {
+  const filled = cells.map(cell => String(cell || '').trim()).filter(Boolean);
+  if (!filled.length) return false;
+  const dataCells = filled.filter(cell => DATA_CELL_RE.test(cell)).length;
+  return dataCells / filled.length >= CONTINUATION_TUNING.minDataCellShare;
+}
+
+function columnCount(segment) {
+  return Math.max(
+    Array.isArray(segment?.header) ? segment.header.length : 0,
+    ...(segment?.rows || []).map(row => (Array.isArray(row) ? row.length : 0)),
+  );
+}
+
+function columnBands(segment) {
+  if (!Array.isArray(segment?.columns) || !segment.columns.length) return null;
+  return segment.columns.map(column => (column.x0 + column.x1) / 2);
+}
+
+function bandsAlign(a, b) {
+  if (!a || !b) return true;
+  if (a.length !== b.length) return false;
+  return a.every((centre, index) => Math.abs(centre - b[index]) <= CONTINUATION_TUNING.bandTolerance);
+}
+
+/**
+ * Summary of an assembled table kept for comparison with the next page:
+ * `headers` are the canonical names its rows were mapped with.
+ */
+export function describeTable(segment, headers = []) {
+  return {
+    pageNumber: segment?.pageNumber ?? null,
+    columnCount: columnCount(segment),
+    bands: columnBands(segment),
+    headers,
+  };
+}
+
+/**
+ * Returns `{ continued_from_page, header: 'repeated' | 'missing', headers, rows }`
+ * when `segment` continues the `previous` table (see `describeTable`), else
+ * null. `headers` is the carried canonical header; `rows` are the data rows,
+ * with the mistaken header row put back in front when the header was missing.
+ */
+export function detectContinuation(previous, segment) {
+  if (!previous || !segment || !previous.headers?.length) return null;
+  if (!Number.isFinite(segment.pageNumber) || segment.pageNumber !== previous.pageNumber + 1) return null;
+  if (columnCount(segment) !== previous.columnCount) return null;
+  if (!bandsAlign(previous.bands, columnBands(segment))) return null;
+  const header = Array.isArray(segment.header) ? segment.header : [];
+  const rows = Array.isArray(segment.rows) ? segment.rows : [];
+  const base = { continued_from_page: previous.pageNumber, headers: previous.headers };
+  if (isRepeatedHeader(canonicalizeHeaderList(header), previous.headers)) {
+    return { ...base, header: 'repeated', rows };
+  }
+  if (looksLikeDataRow(header)) {
+    return { ...base, header: 'missing', rows: [header, ...rows] };
+  }
+  return null;
+}
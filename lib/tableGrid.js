@@ -0,0 +1,393 @@
+/**
+ * Ruled-table detection from the pdf.js operator list.
+ * Catalogs that draw their tables with lines already tell us where every cell
+ * is: stroked segments and rectangles are collected in page space, joined into
+ * grids, and text tokens are dropped into the cells they fall in. A missing
+ * ruling between two neighbouring cells merges them (row or column spans).
+ */
+
+const GRID_TUNING = {
+  // Rulings closer than this (pt) to the same x or y are the same edge.
+  snapTolerance: 2,
+  // Rectangles thinner than this are drawn as one rule, not a box.
+  maxRuleThickness: 3,
+  // Shorter segments are glyph decorations or tick marks.
+  minRuleLength: 6,
+  minRows: 2,
+  minColumns: 2,
+  // Grids with fewer filled cells are frames or decorative boxes.
+  minFilledCells: 3,
+};
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+function multiply(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+  ];
+}
+
+function apply(matrix, x, y) {
+  return [x * matrix[0] + y * matrix[2] + matrix[4], x * matrix[1] + y * matrix[3] + matrix[5]];
+}
+
+function pushSegment(target, [x0, y0], [x1, y1]) {
+  const tol = GRID_TUNING.snapTolerance;
+  if (Math.abs(y0 - y1) <= tol && Math.abs(x1 - x0) >= GRID_TUNING.minRuleLength) {
+    target.horizontals.push({ y: (y0 + y1) / 2, x0: Math.min(x0, x1), x1: Math.max(x0, x1) });
+  } else if (Math.abs(x0 - x1) <= tol && Math.abs(y1 - y0) >= GRID_TUNING.minRuleLength) {
+    target.verticals.push({ x: (x0 + x1) / 2, y0: Math.min(y0, y1), y1: Math.max(y0, y1) });
+  }
+}
+
+function pushRectangle(target, matrix, x, y, width, height) {
+  const corners = [
+    apply(matrix, x, y),
+    apply(matrix, x + width, y),
+    apply(matrix, x + width, y + height),
+    apply(matrix, x, y + height),
+  ];
+  const xs = corners.map(point => point[0]);
+  const ys = corners.map(point => point[1]);
+  const x0 = Math.min(...xs);
+  const x1 = Math.max(...xs);
+  const y0 = Math.min(...ys);
+  const y1 = Math.max(...ys);
+  const thin = GRID_TUNING.maxRuleThickness;
+  if (y1 - y0 <= thin) {
+    pushSegment(target, [x0, (y0 + y1) / 2], [x1, (y0 + y1) / 2]);
+  } else if (x1 - x0 <= thin) {
+    pushSegment(target, [(x0 + x1) / 2, y0], [(x0 + x1) / 2, y1]);
+  } else {
+    pushSegment(target, [x0, y0], [x1, y0]);
+    pushSegment(target, [x0, y1], [x1, y1]);
+    pushSegment(target, [x0, y0], [x0, y1]);
+    pushSegment(target, [x1, y0], [x1, y1]);
+  }
+}
+
+// Appends one pdf.js 3.x constructPath op (sub-op codes plus a flat argument list).
+function appendPath(target, state, matrix, ops = [], args = [], OPS) {
+  let cursor = 0;
+  for (const op of ops) {
+    if (op === OPS.rectangle) {
+      const [x, y, width, height] = args.slice(cursor, cursor + 4);
+      cursor += 4;
+      pushRectangle(target, matrix, x, y, width, height);
+      state.start = apply(matrix, x, y);
+      state.current = state.start;
+    } else if (op === OPS.moveTo) {
+      state.current = apply(matrix, args[cursor], args[cursor + 1]);
+      state.start = state.current;
+      cursor += 2;
+    } else if (op === OPS.lineTo) {
+      const point = apply(matrix, args[cursor], args[cursor + 1]);
+      cursor += 2;
+      if (state.current) pushSegment(target, state.current, point);
+      state.current = point;
+    } else if (op === OPS.curveTo) {
+      state.current = apply(matrix, args[cursor + 4], args[cursor + 5]);
+      cursor += 6;
+    } else if (op === OPS.curveTo2 || op === OPS.curveTo3) {
+      state.current = apply(matrix, args[cursor + 2], args[cursor + 3]);
+      cursor += 4;
+    } else if (op === OPS.closePath) {
+      if (state.current && state.start) pushSegment(target, state.current, state.start);
+      state.current = state.start;
+    }
+  }
+}
+
+/**
+ * Walks a pdf.js operator list and returns the axis-aligned rulings it paints,
+ * in the same page space as text content positions:
+ * `{ horizontals: [{ y, x0, x1 }], verticals: [{ x, y0, y1 }] }`.
+ * Paths that are only used for clipping (ended without painting) are ignored.
+ */
+export function collectRulings(operatorList, OPS) {
+  const rulings = { horizontals: [], verticals: [] };
+  const { fnArray = [], argsArray = [] } = operatorList || {};
+  if (!OPS) return rulings;
+  const paintOps = new Set(
+    [
+      OPS.stroke,
+      OPS.closeStroke,
+      OPS.fill,
+      OPS.eoFill,
+      OPS.fillStroke,
+      OPS.eoFillStroke,
+      OPS.closeFillStroke,
+      OPS.closeEOFillStroke,
+    ].filter(op => op != null),
+  );
+
+  const stack = [];
+  let matrix = IDENTITY;
+  let pending = { horizontals: [], verticals: [] };
+  const state = { start: null, current: null };
+  for (let index = 0; index < fnArray.length; index += 1) {
+    const fn = fnArray[index];
+    const args = argsArray[index] || [];
+    if (fn === OPS.save) {
+      stack.push(matrix);
+    } else if (fn === OPS.restore) {
+      matrix = stack.pop() || IDENTITY;
+    } else if (fn === OPS.transform) {
+      matrix = multiply(matrix, args);
+    } else if (fn === OPS.paintFormXObjectBegin) {
+      stack.push(matrix);
+      if (Array.isArray(args[0]) && args[0].length === 6) matrix = multiply(matrix, args[0]);
+    } else if (fn === OPS.paintFormXObjectEnd) {
+      matrix = stack.pop() || IDENTITY;
+    } else if (fn === OPS.constructPath) {
+      appendPath(pending, state, matrix, args[0], args[1], OPS);
+    } else if (paintOps.has(fn)) {
+      rulings.horizontals.push(...pending.horizontals);
+      rulings.verticals.push(...pending.verticals);
+      pending = { horizontals: [], verticals: [] };
+      state.start = null;
+      state.current = null;
+    } else if (fn === OPS.endPath) {
+      pending = { horizontals: [], verticals: [] };
+      state.start = null;
+      state.current = null;
+    }
+  }
+  return rulings;
+}
+
+// Joins collinear rulings that overlap or touch into one longer ruling.
+function mergeCollinear(segments, positionKey, startKey, endKey) {
+  const tol = GRID_TUNING.snapTolerance;
+  const sorted = [...segments].sort((a, b) => a[positionKey] - b[positionKey] || a[startKey] - b[startKey]);
+  const merged = [];
+  for (const segment of sorted) {
+    const match = merged.find(
+      entry =>
+        Math.abs(entry[positionKey] - segment[positionKey]) <= tol &&
+        segment[startKey] <= entry[endKey] + tol &&
+        segment[endKey] >= entry[startKey] - tol,
+    );
+    if (match) {
+      match[startKey] = Math.min(match[startKey], segment[startKey]);
+      match[endKey] = Math.max(match[endKey], segment[endKey]);
+      continue;
+    }
+    merged.push({ ...segment });
+  }
+  return merged;
+}
+
+function intersects(horizontal, vertical) {
+  const tol = GRID_TUNING.snapTolerance;
+  return (
+    vertical.x >= horizontal.x0 - tol &&
+    vertical.x <= horizontal.x1 + tol &&
+    horizontal.y >= vertical.y0 - tol &&
+    horizontal.y <= vertical.y1 + tol
+  );
+}
+
+function createUnionFind(size) {
+  const parent = Array.from({ length: size }, (_, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent[rootB] = rootA;
+  };
+  return { find, union };
+}
+
+function clusterPositions(values) {
+  const tol = GRID_TUNING.snapTolerance;
+  const sorted = [...values].sort((a, b) => a - b);
+  const clusters = [];
+  for (const value of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last && value - last.max <= tol) {
+      last.max = value;
+      last.values.push(value);
+      continue;
+    }
+    clusters.push({ max: value, values: [value] });
+  }
+  return clusters.map(cluster => cluster.values.reduce((sum, value) => sum + value, 0) / cluster.values.length);
+}
+
+// Splits rulings into connected components: each one is a candidate table.
+function groupComponents(horizontals, verticals) {
+  const all = [...horizontals.map(h => ({ h })), ...verticals.map(v => ({ v }))];
+  const { find, union } = createUnionFind(all.length);
+  horizontals.forEach((horizontal, hIndex) => {
+    verticals.forEach((vertical, vIndex) => {
+      if (intersects(horizontal, vertical)) union(hIndex, horizontals.length + vIndex);
+    });
+  });
+  const components = new Map();
+  all.forEach((entry, index) => {
+    const root = find(index);
+    if (!components.has(root)) components.set(root, { horizontals: [], verticals: [] });
+    if (entry.h) components.get(root).horizontals.push(entry.h);
+    else components.get(root).verticals.push(entry.v);
+  });
+  return [...components.values()];
+}
+
+function hasVerticalEdge(verticals, x, yTop, yBottom) {
+  const tol = GRID_TUNING.snapTolerance;
+  const mid = (yTop + yBottom) / 2;
+  return verticals.some(v => Math.abs(v.x - x) <= tol && v.y0 - tol <= mid && v.y1 + tol >= mid);
+}
+
+function hasHorizontalEdge(horizontals, y, xLeft, xRight) {
+  const tol = GRID_TUNING.snapTolerance;
+  const mid = (xLeft + xRight) / 2;
+  return horizontals.some(h => Math.abs(h.y - y) <= tol && h.x0 - tol <= mid && h.x1 + tol >= mid);
+}
+
+function tokenCenter(token) {
+  const { x, y, width = 0, height = 0 } = token.bbox;
+  return {
+    x: Number.isFinite(token.centerX) ? token.centerX : x + width / 2,
+    y: Number.isFinite(token.centerY) ? token.centerY : y + height / 2,
+  };
+}
+
+// Reading order inside a cell: top line first, then left to right.
+function joinCellText(tokens) {
+  return [...tokens]
+    .sort((a, b) => Math.round(b.bbox.y) - Math.round(a.bbox.y) || a.bbox.x - b.bbox.x)
+    .map(token => String(token.text).trim())
+    .filter(Boolean)
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function buildGrid(component, tokens) {
+  const { horizontals, verticals } = component;
+  if (!horizontals.length || !verticals.length) return null;
+  // Outer extents count as edges so open-sided tables (no left/right border) still close.
+  const xs = clusterPositions([
+    ...verticals.map(v => v.x),
+    Math.min(...horizontals.map(h => h.x0)),
+    Math.max(...horizontals.map(h => h.x1)),
+  ]);
+  const ys = clusterPositions([
+    ...horizontals.map(h => h.y),
+    Math.min(...verticals.map(v => v.y0)),
+    Math.max(...verticals.map(v => v.y1)),
+  ]).reverse();
+  const rowCount = ys.length - 1;
+  const columnCount = xs.length - 1;
+  if (rowCount < GRID_TUNING.minRows || columnCount < GRID_TUNING.minColumns) return null;
+
+  const cellIndex = (row, column) => row * columnCount + column;
+  const { find, union } = createUnionFind(rowCount * columnCount);
+  for (let row = 0; row < rowCount; row += 1) {
+    for (let column = 0; column < columnCount; column += 1) {
+      if (column + 1 < columnCount && !hasVerticalEdge(verticals, xs[column + 1], ys[row], ys[row + 1])) {
+        union(cellIndex(row, column), cellIndex(row, column + 1));
+      }
+      if (row + 1 < rowCount && !hasHorizontalEdge(horizontals, ys[row + 1], xs[column], xs[column + 1])) {
+        union(cellIndex(row, column), cellIndex(row + 1, column));
+      }
+    }
+  }
+
+  const merged = new Map();
+  for (let row = 0; row < rowCount; row += 1) {
+    for (let column = 0; column < columnCount; column += 1) {
+      const root = find(cellIndex(row, column));
+      const cell = merged.get(root);
+      if (!cell) {
+        merged.set(root, { row, column, lastRow: row, lastColumn: column, tokens: [] });
+        continue;
+      }
+      cell.row = Math.min(cell.row, row);
+      cell.column = Math.min(cell.column, column);
+      cell.lastRow = Math.max(cell.lastRow, row);
+      cell.lastColumn = Math.max(cell.lastColumn, column);
+    }
+  }
+
+  const tol = GRID_TUNING.snapTolerance;
+  const claimed = [];
+  for (const token of tokens) {
+    const center = tokenCenter(token);
+    if (center.x < xs[0] - tol || center.x > xs[columnCount] + tol) continue;
+    if (center.y > ys[0] + tol || center.y < ys[rowCount] - tol) continue;
+    const columnEdge = xs.findIndex((x, index) => index > 0 && center.x <= x);
+    const rowEdge = ys.findIndex((y, index) => index > 0 && center.y >= y);
+    const column = columnEdge === -1 ? columnCount - 1 : columnEdge - 1;
+    const row = rowEdge === -1 ? rowCount - 1 : rowEdge - 1;
+    merged.get(find(cellIndex(row, column))).tokens.push(token);
+    claimed.push(token);
+  }
+
+  const cells = [...merged.values()]
+    .map(cell => ({
+      row: cell.row,
+      column: cell.column,
+      rowSpan: cell.lastRow - cell.row + 1,
+      colSpan: cell.lastColumn - cell.column + 1,
+      text: joinCellText(cell.tokens),
+      bbox: {
+        x: xs[cell.column],
+        y: ys[cell.lastRow + 1],
+        width: xs[cell.lastColumn + 1] - xs[cell.column],
+        height: ys[cell.row] - ys[cell.lastRow + 1],
+      },
+    }))
+    .sort((a, b) => a.row - b.row || a.column - b.column);
+  if (cells.filter(cell => cell.text).length < GRID_TUNING.minFilledCells) return null;
+
+  return {
+    bbox: { x: xs[0], y: ys[rowCount], width: xs[columnCount] - xs[0], height: ys[0] - ys[rowCount] },
+    columnEdges: xs,
+    rowEdges: ys,
+    rowCount,
+    columnCount,
+    cells,
+    tokenCount: claimed.length,
+  };
+}
+
+/**
+ * Builds cell grids from rulings and fills them with text tokens. Returns one
+ * entry per table, top of page first, with `cells` holding every merged cell
+ * as `{ row, column, rowSpan, colSpan, text, bbox }` and `grid[row][column]`
+ * giving the text at every position: a row-spanning cell repeats its text in
+ * the rows it covers (a product name shared by several packs), a
+ * column-spanning cell keeps it in its first column only.
+ */
+export function detectRuledTables(rulings = {}, tokens = []) {
+  const horizontals = mergeCollinear(rulings.horizontals || [], 'y', 'x0', 'x1');
+  const verticals = mergeCollinear(rulings.verticals || [], 'x', 'y0', 'y1');
+  const usable = tokens.filter(token => token?.bbox && Number.isFinite(token.bbox.x) && Number.isFinite(token.bbox.y));
+  const tables = [];
+  for (const component of groupComponents(horizontals, verticals)) {
+    const table = buildGrid(component, usable);
+    if (!table) continue;
+    const grid = Array.from({ length: table.rowCount }, () => Array(table.columnCount).fill(''));
+    for (const cell of table.cells) {
+      for (let row = cell.row; row < cell.row + cell.rowSpan; row += 1) {
+        grid[row][cell.column] = cell.text;
+      }
+    }
+    tables.push({ ...table, grid });
+  }
+  return tables.sort((a, b) => b.bbox.y + b.bbox.height - (a.bbox.y + a.bbox.height));
+}
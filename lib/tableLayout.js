@@ -0,0 +1,277 @@
+/**
+ * Layout-based table detection from pdf.js glyph runs.
+ * Instead of splitting a line's text on whitespace, runs from consecutive
+ * lines are projected onto the x-axis; x-ranges that (almost) no run covers
+ * are gutters, and the ranges between gutters become column bands. This
+ * recovers columns separated by a single space, which whitespace splitting
+ * merges. Header lines stacked above the body ("Dimensions (mm)" over
+ * "OD  Length") are composed into one name per column.
+ */
+
+import { composeStackedHeader } from './headerUtils.js';
+
+const LAYOUT_TUNING = {
+  minRows: 3, // lines needed before a region can be a table
+  minColumns: 2,
+  // A gutter may be crossed by this share of lines (long names spilling over).
+  spillRatio: 0.15,
+  // Gutters narrower than this many points are treated as inter-word spacing.
+  minGutterWidth: 1.5,
+  // Runs closer than this share of their height are one run split by a font change.
+  joinGapRatio: 0.12,
+  // Share of rows that must fill at least two columns.
+  minMultiCellRatio: 0.6,
+  // Single-run lines (wrapped names) tolerated between table rows.
+  maxBridgeLines: 1,
+  // Product tables carry codes, sizes or prices: one column must be mostly digits.
+  minNumericColumnRatio: 0.6,
+  // Header lines that can stack above the body.
+  maxHeaderLines: 3,
+};
+
+const HEADER_CELL_RE = /^[A-Za-z][A-Za-z\s./()%#-]*$/;
+const DIGIT_RE = /\d/;
+
+function lineRuns(line) {
+  const tokens = (Array.isArray(line?.tokens) ? line.tokens : [])
+    .filter(token => token?.bbox && Number.isFinite(token.bbox.x) && Number.isFinite(token.bbox.width))
+    .filter(token => String(token.text || '').trim())
+    .sort((a, b) => a.bbox.x - b.bbox.x);
+  const runs = [];
+  for (const token of tokens) {
+    const x0 = token.bbox.x;
+    const x1 = token.bbox.x + Math.max(token.bbox.width, 0);
+    const previous = runs[runs.length - 1];
+    const joinGap = Math.max(token.bbox.height || 0, previous?.height || 0) * LAYOUT_TUNING.joinGapRatio;
+    if (previous && x0 - previous.x1 <= joinGap) {
+      previous.text = `${previous.text}${token.text}`;
+      previous.x1 = Math.max(previous.x1, x1);
+      previous.boxes.push(token.bbox);
+      previous.height = Math.max(previous.height, token.bbox.height || 0);
+      continue;
+    }
+    runs.push({
+      text: String(token.text).trim(),
+      x0,
+      x1,
+      height: token.bbox.height || 0,
+      boxes: [token.bbox],
+    });
+  }
+  return runs;
+}
+
+function mergeBoxes(boxes) {
+  const valid = boxes.filter(Boolean);
+  if (!valid.length) return null;
+  const x = Math.min(...valid.map(box => box.x));
+  const y = Math.min(...valid.map(box => box.y));
+  return {
+    x,
+    y,
+    width: Math.max(...valid.map(box => box.x + box.width)) - x,
+    height: Math.max(...valid.map(box => box.y + box.height)) - y,
+  };
+}
+
+/**
+ * Sweeps run intervals left to right and returns the x-ranges between gutters.
+ */
+export function computeColumnBands(rowsOfRuns, options = {}) {
+  const spillRatio = options.spillRatio ?? LAYOUT_TUNING.spillRatio;
+  const minGutterWidth = options.minGutterWidth ?? LAYOUT_TUNING.minGutterWidth;
+  const events = [];
+  for (const runs of rowsOfRuns) {
+    for (const run of runs) {
+      events.push({ x: run.x0, delta: 1 }, { x: run.x1, delta: -1 });
+    }
+  }
+  if (!events.length) return [];
+  events.sort((a, b) => a.x - b.x || b.delta - a.delta);
+
+  const threshold = Math.floor(rowsOfRuns.length * spillRatio);
+  const bands = [];
+  let coverage = 0;
+  let bandStart = null;
+  let gutterStart = null;
+  for (const event of events) {
+    coverage += event.delta;
+    if (coverage > threshold) {
+      if (bandStart == null) {
+        bandStart = event.x;
+      } else if (gutterStart != null && event.x - gutterStart < minGutterWidth) {
+        // Too narrow to be a gutter: keep extending the current band.
+      } else if (gutterStart != null) {
+        bands.push({ x0: bandStart, x1: gutterStart });
+        bandStart = event.x;
+      }
+      gutterStart = null;
+    } else if (bandStart != null && gutterStart == null) {
+      gutterStart = event.x;
+    }
+  }
+  if (bandStart != null) {
+    bands.push({ x0: bandStart, x1: gutterStart ?? events[events.length - 1].x });
+  }
+  return bands.map((band, index) => ({ index, x0: band.x0, x1: band.x1 }));
+}
+
+function overlap(run, band) {
+  return Math.min(run.x1, band.x1) - Math.max(run.x0, band.x0);
+}
+
+function assignBand(run, bands) {
+  let best = null;
+  let bestOverlap = -Infinity;
+  for (const band of bands) {
+    const amount = overlap(run, band);
+    if (amount > bestOverlap) {
+      best = band;
+      bestOverlap = amount;
+    }
+  }
+  if (bestOverlap > 0) return best;
+  // Runs that sit inside a gutter go to the nearest band.
+  const center = (run.x0 + run.x1) / 2;
+  return bands.reduce((nearest, band) => {
+    const distance = Math.min(Math.abs(center - band.x0), Math.abs(center - band.x1));
+    return !nearest || distance < nearest.distance ? { band, distance } : nearest;
+  }, null)?.band;
+}
+
+function buildCells(runs, bands) {
+  const byBand = new Map();
+  for (const run of runs) {
+    const band = assignBand(run, bands);
+    if (!band) continue;
+    if (!byBand.has(band.index)) byBand.set(band.index, []);
+    byBand.get(band.index).push(run);
+  }
+  return bands.map(band => {
+    const members = byBand.get(band.index) || [];
+    if (!members.length) return { column: band.index, text: '', bbox: null };
+    return {
+      column: band.index,
+      text: members.map(run => run.text).join(' ').replace(/\s+/g, ' ').trim(),
+      bbox: mergeBoxes(members.flatMap(run => run.boxes)),
+    };
+  });
+}
+
+function isHeaderRow(cells) {
+  const filled = cells.filter(cell => cell.text);
+  return filled.length >= 2 && filled.every(cell => HEADER_CELL_RE.test(cell.text));
+}
+
+// Leading lines whose runs are all header words; two or more make a stacked header.
+function countHeaderLines(region) {
+  let count = 0;
+  while (
+    count < Math.min(LAYOUT_TUNING.maxHeaderLines, region.length - 1) &&
+    region[count].runs.length &&
+    region[count].runs.every(run => HEADER_CELL_RE.test(run.text))
+  ) {
+    count += 1;
+  }
+  return count;
+}
+
+function stackedHeaderCells(headerLines, bands) {
+  const names = composeStackedHeader(headerLines.map(entry => entry.runs), bands);
+  return bands.map((band, index) => {
+    const runs = headerLines.flatMap(entry => entry.runs).filter(run => overlap(run, band) > 0);
+    return { column: band.index, text: names[index], bbox: mergeBoxes(runs.flatMap(run => run.boxes)) };
+  });
+}
+
+function hasNumericColumn(rows, columnCount) {
+  for (let column = 0; column < columnCount; column += 1) {
+    const filled = rows.map(row => row.cells[column].text).filter(Boolean);
+    if (!filled.length) continue;
+    const numeric = filled.filter(text => DIGIT_RE.test(text)).length;
+    if (numeric / filled.length >= LAYOUT_TUNING.minNumericColumnRatio) return true;
+  }
+  return false;
+}
+
+function buildTable(lines, runsByLine, startIndex, endIndex) {
+  const region = [];
+  for (let index = startIndex; index <= endIndex; index += 1) {
+    region.push({ index, line: lines[index], runs: runsByLine[index] });
+  }
+  // A spanning header run covers the gutter between its sub-columns, so stacked headers are
+  // left out of the band sweep and laid over the body's bands afterwards.
+  const headerLineCount = countHeaderLines(region);
+  const stacked = headerLineCount >= 2;
+  const multiRun = region.slice(stacked ? headerLineCount : 0).filter(entry => entry.runs.length >= 2);
+  const bands = computeColumnBands(multiRun.map(entry => entry.runs));
+  if (bands.length < LAYOUT_TUNING.minColumns) return null;
+
+  const rows = region.map(entry => ({
+    lineIndex: entry.index,
+    source: entry.line.text,
+    cells: buildCells(entry.runs, bands),
+  }));
+  const multiCellRows = rows.filter(row => row.cells.filter(cell => cell.text).length >= 2);
+  if (multiCellRows.length < LAYOUT_TUNING.minRows) return null;
+  if (multiCellRows.length / rows.length < LAYOUT_TUNING.minMultiCellRatio) return null;
+
+  const headerRow = !stacked && isHeaderRow(rows[0].cells) ? rows[0] : null;
+  const bodyRows = stacked ? rows.slice(headerLineCount) : headerRow ? rows.slice(1) : rows;
+  if (!hasNumericColumn(bodyRows, bands.length)) return null;
+  return {
+    startIndex,
+    endIndex,
+    columns: bands,
+    headerCells: stacked
+      ? stackedHeaderCells(region.slice(0, headerLineCount), bands)
+      : headerRow
+        ? headerRow.cells
+        : null,
+    ...(stacked ? { headerLines: headerLineCount } : {}),
+    rows: bodyRows,
+  };
+}
+
+/**
+ * Finds runs of consecutive lines that lay out as a table. Returns
+ * `{ startIndex, endIndex, columns, headerCells, rows }` per table, where
+ * every row has one cell per column (empty when the row leaves it blank),
+ * so column indices are stable across the table. Tables with a stacked
+ * header also carry `headerLines`, and their header cells hold the
+ * composed names.
+ */
+export function detectLayoutTables(lines = []) {
+  const tables = [];
+  const runsByLine = lines.map(lineRuns);
+  let index = 0;
+  while (index < lines.length) {
+    if (runsByLine[index].length < 2) {
+      index += 1;
+      continue;
+    }
+    let end = index;
+    let bridged = 0;
+    let cursor = index + 1;
+    while (cursor < lines.length) {
+      const runs = runsByLine[cursor];
+      if (runs.length >= 2) {
+        end = cursor;
+        bridged = 0;
+      } else if (runs.length === 1 && bridged < LAYOUT_TUNING.maxBridgeLines) {
+        bridged += 1;
+      } else {
+        break;
+      }
+      cursor += 1;
+    }
+    const table = end - index + 1 >= LAYOUT_TUNING.minRows ? buildTable(lines, runsByLine, index, end) : null;
+    if (table) {
+      tables.push(table);
+      index = end + 1;
+    } else {
+      index += 1;
+    }
+  }
+  return tables;
+}
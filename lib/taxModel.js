@@ -0,0 +1,211 @@
+/**
+ * GST basis and rate resolution.
+ * Indian price lists mix "MRP (incl. GST)", "Price + GST extra" and a
+ * separate "GST %" column. For every variant this works out whether its
+ * price includes tax and at what rate, derives both `price_excl_tax` and
+ * `price_incl_tax`, and records where each assumption came from:
+ *
+ *   tax_basis / tax_basis_source   'inclusive' | 'exclusive', from the price
+ *                                  column's name, a footnote on the price, an
+ *                                  MRP column (always inclusive), the group's
+ *                                  notes, its pages, or the default
+ *   tax_rate / tax_rate_source     percent, from a GST column, the HSN rate
+ *                                  table, the group's notes, or the default
+ *
+ * Variants without a rupee price or a rate are left alone; groups with
+ * unrated variants get a `tax_rate_unknown:<count>` warning.
+ */
+
+import { stripFootnoteDefinitions } from './footnotes.js';
+import { pageBodyText } from './runningHeaders.js';
+
+const TAX_TUNING = {
+  // Catalogs that say nothing are usually B2B lists quoted before GST.
+  defaultBasis: 'exclusive',
+  defaultRate: null,
+  // Common lab-supply HSN headings; longest prefix wins. Check them against the
+  // current GST schedule and pass `hsnRates` to override.
+  hsnRates: {
+    28: 18,
+    29: 18,
+    3822: 12,
+    3926: 18,
+    7017: 12,
+    9025: 18,
+    9027: 18,
+  },
+};
+
+const INCLUSIVE_RE =
+  /\b(?:incl(?:usive|uding)?\.?\s*(?:of\s+)?(?:all\s+)?(?:gst|igst|taxes?)|(?:gst|taxes?)\s+(?:included|inclusive))\b/i;
+const EXCLUSIVE_RE = new RegExp(
+  '(?:\\+\\s*(?:gst|taxes?)\\b|\\b(?:excl(?:usive|uding)?\\.?\\s*(?:of\\s+)?(?:all\\s+)?(?:gst|igst|taxes?)|' +
+    '(?:gst|taxes?)\\s+(?:extra|additional|as\\s+applicable|(?:will\\s+be\\s+)?charged(?:\\s+extra)?)|' +
+    'plus\\s+(?:gst|taxes?)|ex[-\\s]gst)\\b)',
+  'i',
+);
+// "GST @ 18%", "GST: 12 %", "18% GST"
+const RATE_TEXT_RE =
+  /\b(?:gst|igst)\s*(?:@|at|rate)?\s*:?\s*(\d{1,2}(?:\.\d+)?)\s*%|(\d{1,2}(?:\.\d+)?)\s*%\s*(?:gst|igst)\b/i;
+const RATE_KEYS = ['gst_percent', 'gst_rate', 'gst', 'igst', 'gst_pct', 'tax_percent'];
+// Lead price first, the way the exporters read it.
+const PRICE_KEYS = ['price_mrp_value', 'price_value', 'price_inr', 'price_list_value', 'price_net_value'];
+const PRICE_KEY_RE = /(?:^|_)(?:price|mrp|rate)(?:_|$)/;
+const MRP_KEY_RE = /(?:^|_)mrp(?:_|$)/;
+const DERIVED_KEYS = new Set(['price_per_unit', 'price_min', 'price_max', 'price_excl_tax', 'price_incl_tax']);
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/** 'inclusive', 'exclusive' or null for a piece of text; null when it claims both. */
+export function detectTaxBasis(text) {
+  const source = String(text || '').replace(/_/g, ' ');
+  const inclusive = INCLUSIVE_RE.test(source);
+  const exclusive = EXCLUSIVE_RE.test(source);
+  if (inclusive === exclusive) return null;
+  return inclusive ? 'inclusive' : 'exclusive';
+}
+
+function parseRate(value) {
+  if (value == null || value === '') return null;
+  const rate = typeof value === 'number' ? value : Number(String(value).replace('%', '').trim());
+  return Number.isFinite(rate) && rate >= 0 && rate <= 40 ? rate : null;
+}
+
+/** GST percent for an HSN code from the rate table, as `{ rate, prefix }`, or null. */
+export function hsnTaxRate(hsn, hsnRates = TAX_TUNING.hsnRates) {
+  const digits = String(hsn ?? '').replace(/\D/g, '');
+  for (let length = Math.min(digits.length, 8); length >= 2; length -= 1) {
+    const prefix = digits.slice(0, length);
+    if (hsnRates[prefix] != null) return { rate: Number(hsnRates[prefix]), prefix };
+  }
+  return null;
+}
+
+function leadPrice(variant) {
+  for (const key of PRICE_KEYS) {
+    if (Number.isFinite(variant[key])) return { key, value: variant[key] };
+  }
+  // Columns such as "MRP (incl. GST)" keep their own key.
+  for (const [key, value] of Object.entries(variant)) {
+    if (key.startsWith('_') || key.startsWith('tax_') || DERIVED_KEYS.has(key) || RATE_KEYS.includes(key)) continue;
+    if (PRICE_KEY_RE.test(key) && Number.isFinite(value)) return { key, value };
+  }
+  return null;
+}
+
+function firstBasis(entries) {
+  for (const [text, source] of entries) {
+    const basis = detectTaxBasis(text);
+    if (basis) return { basis, source };
+  }
+  return null;
+}
+
+function textRate(texts) {
+  for (const text of texts) {
+    const match = String(text || '').match(RATE_TEXT_RE);
+    const rate = match ? parseRate(match[1] ?? match[2]) : null;
+    if (rate != null) return rate;
+  }
+  return null;
+}
+
+// A footnote definition ("* price excl. GST") speaks for the marked cells only, not the whole group.
+function statements(texts) {
+  return texts.flatMap(text => String(text || '').split(/\n+/)).map(stripFootnoteDefinitions).filter(Boolean);
+}
+
+function priceFootnotes(variant, price) {
+  return (variant.footnotes || []).filter(entry => entry.field === price.key && entry.text);
+}
+
+// An MRP is the maximum retail price, which by law includes every tax.
+function mrpBasis(price) {
+  return MRP_KEY_RE.test(price.key) ? { basis: 'inclusive', source: `column:${price.key}` } : null;
+}
+
+function resolveBasis(variant, price, context) {
+  const footnotes = priceFootnotes(variant, price);
+  return (
+    firstBasis([[price.key, `column:${price.key}`]]) ||
+    firstBasis(footnotes.map(entry => [entry.text, `footnote:${entry.marker}`])) ||
+    mrpBasis(price) ||
+    context.groupBasis ||
+    context.pageBasis ||
+    { basis: context.defaultBasis, source: 'default' }
+  );
+}
+
+function resolveRate(variant, price, context) {
+  for (const key of RATE_KEYS) {
+    const rate = parseRate(variant[key]);
+    if (rate != null) return { rate, source: `column:${key}` };
+  }
+  for (const entry of priceFootnotes(variant, price)) {
+    const rate = textRate([entry.text]);
+    if (rate != null) return { rate, source: `footnote:${entry.marker}` };
+  }
+  const fromHsn = variant.hsn ? hsnTaxRate(variant.hsn, context.hsnRates) : null;
+  if (fromHsn) return { rate: fromHsn.rate, source: `hsn:${fromHsn.prefix}` };
+  if (context.groupRate != null) return { rate: context.groupRate, source: 'notes' };
+  if (context.defaultRate != null) return { rate: context.defaultRate, source: 'default' };
+  return null;
+}
+
+/**
+ * Resolves tax for every priced variant of `group`. `texts` are the group's
+ * pages; they settle the basis only when the group's own notes do not.
+ */
+export function resolveGroupTax(group, { texts = [], ...options } = {}) {
+  const variants = Array.isArray(group?.variants) ? group.variants : [];
+  const groupTexts = statements([...(group.notes || []), group.description]);
+  const context = {
+    defaultBasis: options.defaultBasis ?? TAX_TUNING.defaultBasis,
+    defaultRate: parseRate(options.defaultRate ?? TAX_TUNING.defaultRate),
+    hsnRates: options.hsnRates || TAX_TUNING.hsnRates,
+    groupBasis: firstBasis(groupTexts.map(text => [text, 'notes'])),
+    pageBasis: firstBasis(statements(texts).map(text => [text, 'page_text'])),
+    groupRate: textRate(groupTexts),
+  };
+  let unrated = 0;
+  for (const variant of variants) {
+    const price = leadPrice(variant);
+    // GST applies to rupee prices only.
+    const currency = variant.price_currency ?? variant.currency;
+    if (!price || (currency && currency !== 'INR')) continue;
+    const rate = resolveRate(variant, price, context);
+    if (!rate) {
+      unrated += 1;
+      continue;
+    }
+    const basis = resolveBasis(variant, price, context);
+    variant.tax_basis = basis.basis;
+    variant.tax_basis_source = basis.source;
+    variant.tax_rate = rate.rate;
+    variant.tax_rate_source = rate.source;
+    const factor = 1 + rate.rate / 100;
+    variant.price_excl_tax = basis.basis === 'inclusive' ? roundMoney(price.value / factor) : price.value;
+    variant.price_incl_tax = basis.basis === 'inclusive' ? price.value : roundMoney(price.value * factor);
+  }
+  if (unrated) group._warnings = [...(group._warnings || []), `tax_rate_unknown:${unrated}`];
+  return group;
+}
+
+/**
+ * Runs `resolveGroupTax` over a catalog, handing each group the body text of
+ * the pages it spans in `pages`.
+ */
+export function applyTaxModel(groups = [], { pages = [], ...options } = {}) {
+  for (const group of groups) {
+    const texts = pages
+      .filter(page => {
+        const number = page.pageNumber ?? page.page;
+        return number >= (group.pageStart ?? -Infinity) && number <= (group.pageEnd ?? group.pageStart ?? Infinity);
+      })
+      .map(pageBodyText);
+    resolveGroupTax(group, { ...options, texts });
+  }
+  return groups;
+}
@@ -0,0 +1,340 @@
+/**
+ * Table of contents and back-of-book index reader.
+ * Contents pages are the author's own map of the catalog: each dotted-leader
+ * line gives a title, its printed page and (through numbering or indentation)
+ * its depth. Printed page numbers usually lag the PDF page index by the cover
+ * and front matter, so the offset is calibrated against headings found on the
+ * pages themselves. The index at the back lists products alphabetically with
+ * the pages they appear on, which makes it the checklist for coverage.
+ */
+
+import { pageBodyText } from './runningHeaders.js';
+
+const TOC_TUNING = {
+  // Indents closer than this (pt) are the same level.
+  indentTolerance: 4,
+  maxLevels: 4,
+  // A page without a "Contents" title needs this many leader lines to count as a TOC.
+  minLeaderLines: 5,
+  maxTitleLength: 100,
+  // Lines without leaders may point at most this far past the last page ("Price List 2024" is not an entry).
+  maxPageOverrun: 20,
+  // Untitled leader pages are an index when at least this share of entries is in alphabetical order.
+  minAlphabeticalShare: 0.8,
+  maxReportedMissing: 50,
+};
+
+const CONTENTS_TITLE_RE = /^(?:table\s+of\s+)?contents$/i;
+const LEADER_RE = /[.·…_]{3,}|(?:\.\s){3,}/;
+const TOC_LINE_RE = /^(?:(\d+(?:\.\d+)*)\.?\s+)?(.*?[A-Za-z].*?)\s*(?:(?:[.·…_]\s?){2,}|\s)\s*(\d{1,4})$/;
+const INDEX_TITLE_RE = /^(?:alphabetical\s+|product\s+|subject\s+)?index$/i;
+// "Acetonitrile, HPLC grade 12, 45-47" or "Beakers ........ 7"
+const INDEX_LINE_RE =
+  /^(.*?[A-Za-z].*?)(?:\s*(?:[.·…_]\s?){2,}\s*|\s*,\s*|\s+)(\d{1,4}(?:\s*[-–]\s*\d{1,4})?(?:\s*,\s*\d{1,4}(?:\s*[-–]\s*\d{1,4})?)*)$/;
+const STOP_WORDS = new Set(['and', 'for', 'the', 'with', 'of', 'in', 'to']);
+
+function normaliseTitle(title) {
+  return String(title || '')
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.:·…_-]+$/, '')
+    .trim();
+}
+
+export function titleKey(title) {
+  return normaliseTitle(title)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function pageLines(page) {
+  if (Array.isArray(page?.lineItems) && page.lineItems.length) {
+    return page.lineItems
+      .filter(line => !line.running)
+      .map(line => ({ text: String(line.text || '').trim(), bbox: line.bbox || null }));
+  }
+  return pageBodyText(page)
+    .split(/\r?\n/)
+    .map(text => ({ text: text.trim(), bbox: null }));
+}
+
+function isContentsPage(lines) {
+  if (lines.slice(0, 5).some(line => CONTENTS_TITLE_RE.test(line.text))) return true;
+  const leaderLines = lines.filter(line => LEADER_RE.test(line.text) && TOC_LINE_RE.test(line.text));
+  return leaderLines.length >= TOC_TUNING.minLeaderLines;
+}
+
+function inOrderShare(values) {
+  if (values.length < 2) return 0;
+  let ordered = 0;
+  for (let i = 1; i < values.length; i += 1) {
+    if (values[i - 1] <= values[i]) ordered += 1;
+  }
+  return ordered / (values.length - 1);
+}
+
+// Contents run in page order; an index runs in title order with pages jumping about.
+function isIndexPage(lines) {
+  const head = lines.slice(0, 5);
+  if (head.some(line => INDEX_TITLE_RE.test(line.text))) return true;
+  if (head.some(line => CONTENTS_TITLE_RE.test(line.text))) return false;
+  const entries = lines.map(line => parseIndexLine(line, 0, Infinity)).filter(Boolean);
+  if (entries.length < TOC_TUNING.minLeaderLines) return false;
+  return (
+    inOrderShare(entries.map(entry => titleKey(entry.title))) >= TOC_TUNING.minAlphabeticalShare &&
+    inOrderShare(entries.map(entry => entry.page)) < TOC_TUNING.minAlphabeticalShare
+  );
+}
+
+function parseIndexLine(line, sourcePage, lastPage) {
+  const match = line.text.match(INDEX_LINE_RE);
+  if (!match) return null;
+  const title = normaliseTitle(match[1]);
+  if (!title || title.length > TOC_TUNING.maxTitleLength || INDEX_TITLE_RE.test(title)) return null;
+  // Ranges ("45-47") are indexed by the page they start on.
+  const pages = match[2]
+    .split(',')
+    .map(part => Number(part.split(/[-–]/)[0].trim()))
+    .filter(page => Number.isFinite(page) && page > 0 && page <= lastPage + TOC_TUNING.maxPageOverrun);
+  if (!pages.length) return null;
+  return { title, page: pages[0], pages, sourcePage };
+}
+
+function parseLine(line, sourcePage, lastPage) {
+  const match = line.text.match(TOC_LINE_RE);
+  if (!match) return null;
+  const title = normaliseTitle(match[2]);
+  if (!title || title.length > TOC_TUNING.maxTitleLength || CONTENTS_TITLE_RE.test(title)) return null;
+  const page = Number(match[3]);
+  if (!LEADER_RE.test(line.text) && page > lastPage + TOC_TUNING.maxPageOverrun) return null;
+  return {
+    title,
+    page,
+    numbering: match[1] || null,
+    indent: Number.isFinite(line.bbox?.x) ? line.bbox.x : null,
+    upper: title === title.toUpperCase(),
+    sourcePage,
+  };
+}
+
+function clusterIndents(values) {
+  const sorted = [...new Set(values)].sort((a, b) => a - b);
+  const clusters = [];
+  for (const value of sorted) {
+    const last = clusters[clusters.length - 1];
+    if (last != null && value - last <= TOC_TUNING.indentTolerance) continue;
+    clusters.push(value);
+  }
+  return clusters;
+}
+
+// Depth from section numbering ("3.2.1"), then indentation, then ALL-CAPS chapters over mixed-case entries.
+function assignLevels(entries) {
+  const indents = clusterIndents(entries.map(entry => entry.indent).filter(Number.isFinite));
+  const mixedCase = entries.some(entry => entry.upper) && entries.some(entry => !entry.upper);
+  for (const entry of entries) {
+    let level = 1;
+    if (entry.numbering) {
+      level = entry.numbering.split('.').length;
+    } else if (indents.length > 1 && Number.isFinite(entry.indent)) {
+      level = indents.filter(x => x <= entry.indent + TOC_TUNING.indentTolerance).length;
+    } else if (mixedCase) {
+      level = entry.upper ? 1 : 2;
+    }
+    entry.level = Math.min(Math.max(level, 1), TOC_TUNING.maxLevels);
+  }
+}
+
+function assignPaths(entries) {
+  const stack = [];
+  entries.forEach((entry, index) => {
+    while (stack.length && stack[stack.length - 1].level >= entry.level) stack.pop();
+    entry.path = [...stack.map(parent => parent.title), entry.title];
+    // Leaves are the entries without sub-entries: products rather than sections.
+    entry.leaf = !(entries[index + 1]?.level > entry.level);
+    stack.push(entry);
+  });
+}
+
+// Most common (PDF page - printed page) difference among titles that reappear as headings.
+function calibrateOffset(entries, pages, tocPages) {
+  const byKey = new Map(entries.map(entry => [titleKey(entry.title), entry]));
+  const votes = new Map();
+  for (const page of pages) {
+    if (tocPages.has(page.pageNumber)) continue;
+    for (const line of pageLines(page)) {
+      const entry = byKey.get(titleKey(line.text));
+      if (!entry) continue;
+      const offset = page.pageNumber - entry.page;
+      votes.set(offset, (votes.get(offset) || 0) + 1);
+    }
+  }
+  let best = 0;
+  let bestVotes = 0;
+  for (const [offset, count] of votes) {
+    if (count > bestVotes || (count === bestVotes && Math.abs(offset) < Math.abs(best))) {
+      best = offset;
+      bestVotes = count;
+    }
+  }
+  return { offset: best, matches: bestVotes };
+}
+
+function lastPageNumber(pages) {
+  return Math.max(0, ...pages.map(page => page.pageNumber).filter(Number.isFinite));
+}
+
+/**
+ * Returns `{ entries, pageOffset, tocPages }` where every entry is
+ * `{ title, page, pdfPage, level, path, leaf, sourcePage }` in contents order;
+ * `page` is the printed page and `pdfPage` the calibrated PDF page.
+ */
+export function parseTableOfContents(pages = []) {
+  const entries = [];
+  const tocPages = new Set();
+  const lastPage = lastPageNumber(pages);
+  for (const page of pages) {
+    const lines = pageLines(page).filter(line => line.text);
+    if (!isContentsPage(lines) || isIndexPage(lines)) continue;
+    const parsed = lines.map(line => parseLine(line, page.pageNumber, lastPage)).filter(Boolean);
+    if (!parsed.length) continue;
+    tocPages.add(page.pageNumber);
+    entries.push(...parsed);
+  }
+  if (!entries.length) {
+    return { entries: [], pageOffset: 0, tocPages: [] };
+  }
+  assignLevels(entries);
+  assignPaths(entries);
+  const { offset } = calibrateOffset(entries, pages, tocPages);
+  return {
+    entries: entries.map(({ indent, upper, numbering, ...entry }) => ({ ...entry, pdfPage: entry.page + offset })),
+    pageOffset: offset,
+    tocPages: [...tocPages],
+  };
+}
+
+/**
+ * Returns `{ entries, pageOffset, indexPages }` where every entry is
+ * `{ title, page, pages, pdfPage, pdfPages, sourcePage }` in index order.
+ * Pass the contents offset when it is known; otherwise it is calibrated
+ * from the index entries themselves.
+ */
+export function parseBackOfBookIndex(pages = [], { pageOffset = null } = {}) {
+  const entries = [];
+  const indexPages = new Set();
+  const lastPage = lastPageNumber(pages);
+  for (const page of pages) {
+    const lines = pageLines(page).filter(line => line.text);
+    if (!isIndexPage(lines)) continue;
+    const parsed = lines.map(line => parseIndexLine(line, page.pageNumber, lastPage)).filter(Boolean);
+    if (!parsed.length) continue;
+    indexPages.add(page.pageNumber);
+    entries.push(...parsed);
+  }
+  if (!entries.length) {
+    return { entries: [], pageOffset: 0, indexPages: [] };
+  }
+  const offset = Number.isFinite(pageOffset) ? pageOffset : calibrateOffset(entries, pages, indexPages).offset;
+  return {
+    entries: entries.map(entry => ({
+      ...entry,
+      pdfPage: entry.page + offset,
+      pdfPages: entry.pages.map(page => page + offset),
+    })),
+    pageOffset: offset,
+    indexPages: [...indexPages],
+  };
+}
+
+/**
+ * Reads the contents and the index into one page map. `anchors` are the
+ * `{ title, pdfPage, source, bounds }` starts the group assembler names
+ * groups after: contents leaves bound the group before them, while index
+ * entries (alphabetical, so their order on a page means nothing) only name a
+ * group when they are the sole entry for a page the contents do not cover.
+ */
+export function buildPageMap(pages = []) {
+  const toc = parseTableOfContents(pages);
+  const index = parseBackOfBookIndex(pages, { pageOffset: toc.entries.length ? toc.pageOffset : null });
+  const anchors = toc.entries
+    .filter(entry => entry.leaf)
+    .map(entry => ({ title: entry.title, pdfPage: entry.pdfPage, source: 'toc', bounds: true }));
+  // Contents pages, index pages and pages the contents already name take no index anchors.
+  const skip = new Set([...anchors.map(anchor => anchor.pdfPage), ...toc.tocPages, ...index.indexPages]);
+  const indexByPage = new Map();
+  for (const entry of index.entries) {
+    if (skip.has(entry.pdfPage)) continue;
+    if (!indexByPage.has(entry.pdfPage)) indexByPage.set(entry.pdfPage, []);
+    indexByPage.get(entry.pdfPage).push(entry);
+  }
+  for (const [pdfPage, entries] of indexByPage) {
+    if (entries.length !== 1) continue;
+    anchors.push({ title: entries[0].title, pdfPage, source: 'index', bounds: false });
+  }
+  anchors.sort((a, b) => a.pdfPage - b.pdfPage);
+  return { toc, index, anchors };
+}
+
+function wordSet(text) {
+  return new Set(
+    titleKey(text)
+      .split(' ')
+      .filter(word => word && !STOP_WORDS.has(word))
+      .map(word => (word.length > 3 ? word.replace(/s$/, '') : word)),
+  );
+}
+
+function groupWords(group) {
+  const parts = [group.title, group.description];
+  for (const variant of group.variants || []) {
+    for (const value of Object.values(variant || {})) {
+      if (typeof value === 'string') parts.push(value);
+    }
+  }
+  return wordSet(parts.join(' '));
+}
+
+function groupCoversPages(group, pdfPages) {
+  if (!Number.isFinite(group.pageStart)) return true;
+  const end = Number.isFinite(group.pageEnd) ? group.pageEnd : group.pageStart;
+  return pdfPages.some(page => page >= group.pageStart && page <= end);
+}
+
+/**
+ * Cross-checks the page map against the extracted groups: every indexed
+ * product (contents leaves when there is no index) should be named by a
+ * group with variants on one of its pages. Returns
+ * `{ source, indexed, covered, ratio, missing: [{ title, page, pdfPage }] }`.
+ */
+export function reportIndexCoverage(pageMap, groups = []) {
+  const source = pageMap?.index?.entries?.length ? 'index' : 'toc';
+  const entries =
+    source === 'index' ? pageMap.index.entries : (pageMap?.toc?.entries || []).filter(entry => entry.leaf);
+  const candidates = groups
+    .filter(group => group && Array.isArray(group.variants) && group.variants.length)
+    .map(group => ({ group, words: groupWords(group) }));
+  const missing = [];
+  let covered = 0;
+  for (const entry of entries) {
+    const words = [...wordSet(entry.title)];
+    const pdfPages = entry.pdfPages || [entry.pdfPage];
+    const found =
+      words.length &&
+      candidates.some(
+        candidate => groupCoversPages(candidate.group, pdfPages) && words.every(word => candidate.words.has(word)),
+      );
+    if (found) {
+      covered += 1;
+    } else if (missing.length < TOC_TUNING.maxReportedMissing) {
+      missing.push({ title: entry.title, page: entry.page, pdfPage: entry.pdfPage });
+    }
+  }
+  return {
+    source,
+    indexed: entries.length,
+    covered,
+    ratio: entries.length ? Number((covered / entries.length).toFixed(3)) : null,
+    missing,
+  };
+}
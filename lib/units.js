@@ -0,0 +1,319 @@
+/**
+ * Units of measure.
+ * One table of the units price lists print — pack volumes, masses and counts,
+ * mm/cm/inch dimensions, µm pore sizes, °C, bar/psi, rpm — and the parsers
+ * every pipeline shares, so "500 mL", "0.5 Ltr" and "500ml" normalise the
+ * same way wherever they are read. A parsed quantity is
+ *
+ *   { value, unit, dimension, si_value, si_unit }
+ *
+ * with `min`/`max` for a range ("2–8 °C" or "-20 to -80 °C", value is the
+ * low end) and `tolerance` plus `min`/`max` for "250 ± 0.15 mL". Units are
+ * canonical lower-case ASCII symbols ('ml', 'ul', 'um', 'c'); kelvin and molar
+ * units keep their case. A molar "M" is read only in a concentration field or
+ * beside chemistry ("0.1 M HCl"), never in "Bottle 5 M tubing".
+ */
+
+// [canonical, dimension, factor to SI, aliases]; SI = (value + offset) * factor.
+const UNIT_TABLE = [
+  ['ul', 'volume', 1e-9, ['ul', 'microlitre', 'microliter', 'microlitres', 'microliters']],
+  ['ml', 'volume', 1e-6, ['ml', 'mls', 'cc', 'millilitre', 'milliliter', 'millilitres', 'milliliters']],
+  ['l', 'volume', 1e-3, ['l', 'lt', 'ltr', 'ltrs', 'lit', 'litre', 'liter', 'litres', 'liters']],
+  ['ug', 'mass', 1e-9, ['ug', 'mcg']],
+  ['mg', 'mass', 1e-6, ['mg', 'mgs']],
+  ['g', 'mass', 1e-3, ['g', 'gm', 'gms', 'gr', 'gram', 'grams']],
+  ['kg', 'mass', 1, ['kg', 'kgs', 'kilo', 'kilos']],
+  ['nm', 'length', 1e-9, ['nm']],
+  ['um', 'length', 1e-6, ['um', 'micron', 'microns']],
+  ['mm', 'length', 1e-3, ['mm']],
+  ['cm', 'length', 1e-2, ['cm']],
+  ['m', 'length', 1, ['m', 'mtr', 'mtrs', 'metre', 'meter', 'metres', 'meters']],
+  ['in', 'length', 0.0254, ['inch', 'inches', '"', '″', '”']],
+  ['ft', 'length', 0.3048, ['ft', 'feet']],
+  ['c', 'temperature', 1, ['°c', 'ºc', 'degc', 'degreec', 'degreesc'], 273.15],
+  ['f', 'temperature', 5 / 9, ['°f', 'ºf', 'degf', 'degreef', 'degreesf'], 459.67],
+  ['pa', 'pressure', 1, ['pa']],
+  ['kpa', 'pressure', 1e3, ['kpa']],
+  ['mpa', 'pressure', 1e6, ['mpa']],
+  ['mbar', 'pressure', 100, ['mbar']],
+  ['bar', 'pressure', 1e5, ['bar']],
+  ['psi', 'pressure', 6894.757293168, ['psi', 'psig']],
+  ['atm', 'pressure', 101325, ['atm']],
+  ['mmhg', 'pressure', 133.322387415, ['mmhg', 'torr']],
+  ['rpm', 'rotation', 1 / 60, ['rpm']],
+  ['pcs', 'count', 1, ['pcs', 'pc', 'piece', 'pieces', 'nos', 'ea', 'each']],
+  ['pk', 'count', 1, ['pk', 'pkt', 'pkts', 'pack', 'packs', 'packet', 'packets']],
+  ['box', 'count', 1, ['box', 'boxes']],
+  ['btl', 'count', 1, ['btl', 'btls', 'bottle', 'bottles']],
+  ['jar', 'count', 1, ['jar', 'jars']],
+  ['roll', 'count', 1, ['rl', 'rol', 'roll', 'rolls']],
+  // Kelvin and molar units are case-sensitive: "M" is not "m".
+  ['K', 'temperature', 1, ['K'], 0, true],
+  ['M', 'concentration', 1000, ['M'], 0, true],
+  ['mM', 'concentration', 1, ['mM'], 0, true],
+  ['uM', 'concentration', 1e-3, ['uM'], 0, true],
+];
+
+const SI_UNITS = {
+  volume: 'm3',
+  mass: 'kg',
+  length: 'm',
+  temperature: 'K',
+  pressure: 'Pa',
+  rotation: '1/s',
+  count: 'pcs',
+  concentration: 'mol/m3',
+};
+
+// Dimensions a pack can be sold in, with the base unit per-unit prices use.
+const PACK_KINDS = { volume: ['volume_ml', 'ml'], mass: ['mass_g', 'g'], count: ['count', 'pcs'] };
+
+// Text is read by alias only, so a bare "c" or "in" in a sentence is not a unit;
+// callers may still name a unit by its canonical symbol.
+const ALIASES = new Map();
+const CASED_ALIASES = new Map();
+const SYMBOLS = new Map();
+for (const [unit, dimension, factor, aliases, offset = 0, cased = false] of UNIT_TABLE) {
+  const entry = { unit, dimension, factor, offset };
+  for (const alias of aliases) (cased ? CASED_ALIASES : ALIASES).set(alias, entry);
+  SYMBOLS.set(unit, entry);
+}
+
+const NUM = '(?:\\d{1,3}(?:,\\d{3})+|\\d+)(?:\\.\\d+)?|\\.\\d+';
+// Inch fractions, "1/2", "1 1/2" or "1-1/2", are one value.
+const FRACTION = '(?:\\d{1,3}(?:\\s+|-))?\\d{1,2}\\/(?:2|4|8|16|32|64)(?!\\d)';
+const VALUE = `${FRACTION}|${NUM}`;
+const SIGNED = `[-−]?(?:${VALUE})`;
+// A number not glued to a code ("SC-1", "AB500") or a fraction ("1/2"); "2x500ml" still reads.
+const START = '(?<![0-9A-WYZa-wyz_.\\-−])(?<!\\d\\s?\\/\\s?)';
+const UNIT = '(°\\s?[CFcf]|º\\s?[CFcf]|deg(?:rees?)?\\.?\\s?[CFcf](?![A-Za-z])|[µμ]?[A-Za-z]+|"|″|”)';
+const TOLERANCE = '(?:±|\\+\\s*/\\s*-|\\+-)';
+const QUANTITY_RE = new RegExp(
+  `${START}(${SIGNED})(?:\\s*(?:[-–—]|\\bto\\b)\\s*(${SIGNED}))?(?:\\s*${TOLERANCE}\\s*(${NUM}))?\\s*${UNIT}` +
+    `(?![A-Za-z0-9])(?:\\s*${TOLERANCE}\\s*(${NUM}))?`,
+  'g',
+);
+const DIMENSIONS_RE = new RegExp(
+  `${START}(${VALUE})\\s*${UNIT}?\\s*[x×*]\\s*(${VALUE})(?:\\s*${UNIT}?\\s*[x×*]\\s*(${VALUE}))?\\s*${UNIT}` +
+    '(?![A-Za-z0-9])',
+  'gi',
+);
+const COUNT_PACK_RE = /\b(\d+)\s*\/\s*(pk|pkt|pcs|pc|btl|rl|rol|box)\b/i;
+const MULTIPLIER_RE = /(\d+)\s*[x×]\s*$/i;
+const JOINT_RE = /(?:\b(?:B|NS|ST)\s?)?(?<![\d./])(\d{1,2})\s?\/\s?(\d{2})\b/i;
+// Column keys that carry their unit: "diameter_mm", "temperature_c", "pressure_bar".
+const KEY_UNIT_RE = /_(mm|cm|um|nm|m|in|inch|ft|c|degc|f|bar|mbar|psi|kpa|mpa|rpm|ml|l|ul|mg|g|kg)$/;
+const PACK_FIELDS = new Set(['pack', 'pack_size', 'pack_qty', 'pack_unit', 'pack_multiplier']);
+// "rate_per_kg" is money, not a mass.
+const MONEY_KEY_RE = /^(?:price|mrp|rate|tax|gst|discount)|_per_/;
+const CONCENTRATION_KEY_RE = /molar|strength|^conc/;
+// "M" is also metres and a size, so free text needs chemistry around a molar unit: a
+// solution or salt word anywhere ("Sodium hydroxide | 1M"), or a formula right after it
+// ("HCl", "NaOH", "H2SO4").
+const CHEMISTRY_CONTEXT_RE = new RegExp(
+  '\\b(?:solutions?|soln|acids?|alkali|buffers?|tris|edta|reagents?|titrants?|volumetric)\\b' +
+    '|(?:hydroxide|chloride|bromide|iodide|oxide|sulphate|sulfate|nitrate|acetate|carbonate|phosphate|chromate' +
+    '|permanganate|oxalate|citrate)s?\\b',
+  'i',
+);
+const FORMULA_AFTER_RE = /^\s*\(?(?=[A-Za-z0-9()]*[a-z\d])[A-Z][a-z]?(?:\d|[A-Z])/;
+
+function roundSi(value) {
+  return Number(value.toPrecision(12));
+}
+
+function toNumber(text) {
+  const source = String(text).replace(/,/g, '').replace('−', '-');
+  const fraction = source.match(/^(-?)(?:(\d+)(?:\s+|-))?(\d+)\/(\d+)$/);
+  if (!fraction) return Number(source);
+  const [, sign, whole = 0, numerator, denominator] = fraction;
+  return (sign ? -1 : 1) * (Number(whole) + Number(numerator) / Number(denominator));
+}
+
+function textUnit(token) {
+  if (token == null) return null;
+  const text = String(token).replace(/[µμ]/g, 'u').replace(/[\s.]+/g, '');
+  return CASED_ALIASES.get(text) || ALIASES.get(text.toLowerCase()) || null;
+}
+
+/** The table entry for a unit symbol or alias: `{ unit, dimension, factor, offset }`, or null. */
+export function lookupUnit(symbol) {
+  return SYMBOLS.get(String(symbol ?? '').trim()) || textUnit(symbol);
+}
+
+/** Converts `value` between two units of one dimension; null when they do not share one. */
+export function convert(value, from, to) {
+  const source = lookupUnit(from);
+  const target = lookupUnit(to);
+  if (!source || !target || source.dimension !== target.dimension || !Number.isFinite(value)) return null;
+  return roundSi(((value + source.offset) * source.factor) / target.factor - target.offset);
+}
+
+function quantity(value, entry, extra = {}) {
+  const si = roundSi((value + entry.offset) * entry.factor);
+  const { unit, dimension } = entry;
+  return { value, unit, dimension, si_value: si, si_unit: SI_UNITS[dimension], ...extra };
+}
+
+/** Re-expresses a parsed quantity, range and tolerance included, in another unit of its dimension. */
+export function convertQuantity(input, unit) {
+  const target = lookupUnit(unit);
+  if (!input || !target || target.dimension !== input.dimension) return null;
+  const extra = {};
+  for (const key of ['min', 'max']) {
+    if (input[key] != null) extra[key] = convert(input[key], input.unit, target.unit);
+  }
+  // A tolerance is a difference, so an offset scale does not apply to it.
+  if (input.tolerance != null) {
+    extra.tolerance = roundSi((input.tolerance * lookupUnit(input.unit).factor) / target.factor);
+  }
+  return quantity(convert(input.value, input.unit, target.unit), target, extra);
+}
+
+function chemistryAround(source, match) {
+  return CHEMISTRY_CONTEXT_RE.test(source) || FORMULA_AFTER_RE.test(source.slice(match.index + match[0].length));
+}
+
+/**
+ * Every quantity in `text`, in reading order, each with its `raw` text and
+ * `index`. Ranges and tolerances stay in the unit they are printed in; a
+ * range printed high to low is read low to high. `concentration` says the
+ * text is a concentration field, where a molar unit needs no chemistry around it.
+ */
+export function parseQuantities(text, { concentration = false } = {}) {
+  const source = String(text ?? '');
+  const found = [];
+  for (const match of source.matchAll(QUANTITY_RE)) {
+    const entry = textUnit(match[4]);
+    if (!entry) continue;
+    if (entry.dimension === 'concentration' && !concentration && !chemistryAround(source, match)) continue;
+    const ends = [toNumber(match[1]), match[2] != null ? toNumber(match[2]) : null];
+    const [value, high] = ends[1] != null && ends[1] < ends[0] ? [ends[1], ends[0]] : ends;
+    const tolerance = match[3] ?? match[5];
+    const extra = { raw: match[0].trim(), index: match.index };
+    if (high != null && high > value) Object.assign(extra, { min: value, max: high });
+    if (tolerance != null) {
+      const spread = toNumber(tolerance);
+      Object.assign(extra, { tolerance: spread, min: roundSi(value - spread), max: roundSi(value + spread) });
+    }
+    found.push(quantity(value, entry, extra));
+  }
+  return found;
+}
+
+/** The first quantity in `text`, or null. Pass `dimensions` to look for those only. */
+export function parseQuantity(text, { dimensions = null, concentration = false } = {}) {
+  const found = parseQuantities(text, { concentration });
+  return found.find(entry => !dimensions || dimensions.includes(entry.dimension)) || null;
+}
+
+/** Reads "10 x 100 mm" or "12 × 75 × 3 cm" into `{ values, unit, quantities, raw, index }`, or null. */
+export function parseDimensions(text) {
+  for (const match of String(text ?? '').matchAll(DIMENSIONS_RE)) {
+    const entry = textUnit(match[6]);
+    const inner = [match[2], match[4]].filter(Boolean).map(textUnit);
+    if (entry?.dimension !== 'length' || inner.some(unit => unit?.unit !== entry.unit)) continue;
+    const values = [match[1], match[3], match[5]].filter(value => value != null).map(toNumber);
+    return {
+      values,
+      unit: entry.unit,
+      quantities: values.map(value => quantity(value, entry)),
+      raw: match[0].trim(),
+      index: match.index,
+    };
+  }
+  return null;
+}
+
+/** A ground-glass joint ("24/29", "B24/29", "NS 14/23") as `{ cone, length, text }`, or null. */
+export function parseJoint(text) {
+  const match = String(text ?? '').match(JOINT_RE);
+  if (!match) return null;
+  const [cone, length] = [Number(match[1]), Number(match[2])];
+  return length > cone ? { cone, length, text: `${cone}/${length}` } : null;
+}
+
+/**
+ * Reads a pack: "500 ml", "2 x 1 kg", "10 pcs" or "10/PK". Returns
+ * `{ multiplier, qty, unit, kind, base, base_total, quantity, raw }` where
+ * `base` is one unit in ml, g or pieces and `base_total` the whole pack.
+ */
+export function parsePack(text) {
+  const source = String(text ?? '');
+  const count = source.match(COUNT_PACK_RE);
+  if (count) {
+    const qty = Number(count[1]);
+    const entry = lookupUnit('pcs');
+    return {
+      multiplier: 1,
+      qty,
+      unit: 'pcs',
+      kind: 'count',
+      base: qty,
+      base_total: qty,
+      quantity: quantity(qty, entry),
+      raw: count[0],
+    };
+  }
+  const found = parseQuantity(source, { dimensions: Object.keys(PACK_KINDS) });
+  if (!found) return null;
+  const [kind, baseUnit] = PACK_KINDS[found.dimension];
+  const lead = source.slice(0, found.index).match(MULTIPLIER_RE);
+  const multiplier = lead ? Number(lead[1]) : 1;
+  const base = found.dimension === 'count' ? found.value : convert(found.value, found.unit, baseUnit);
+  const { raw, index, ...measured } = found;
+  return {
+    multiplier,
+    qty: found.value,
+    unit: found.unit,
+    kind,
+    base,
+    base_total: roundSi(base * multiplier),
+    quantity: measured,
+    raw: lead ? source.slice(found.index - lead[0].length, found.index) + raw : raw,
+  };
+}
+
+/** "500 ml", "2 x 1 kg", "10 x 100 mm": the canonical text for a quantity, pack or dimensions. */
+export function formatQuantity(input) {
+  if (!input) return null;
+  if (Array.isArray(input.values)) return `${input.values.join(' x ')} ${input.unit}`;
+  if (input.kind) {
+    const single = `${input.qty} ${input.unit}`;
+    return input.multiplier > 1 ? `${input.multiplier} x ${single}` : single;
+  }
+  const value = input.min != null && input.tolerance == null ? `${input.min}-${input.max}` : String(input.value);
+  const tolerance = input.tolerance != null ? ` ± ${input.tolerance}` : '';
+  return `${value}${tolerance} ${input.unit}`;
+}
+
+/**
+ * The quantity a variant field holds: its whole value ("0.45 µm", "2–8 °C",
+ * "250 ± 0.15 mL"), or a bare number under a key that names its unit
+ * ("diameter_mm": 12). Null for anything else.
+ */
+export function fieldQuantity(key, value) {
+  const keyUnit = String(key).match(KEY_UNIT_RE)?.[1];
+  if (typeof value === 'number' || /^\s*[-−]?\d+(?:\.\d+)?\s*$/.test(String(value ?? ''))) {
+    const entry = keyUnit ? lookupUnit(keyUnit) : null;
+    const number = toNumber(value);
+    return entry && Number.isFinite(number) ? quantity(number, entry) : null;
+  }
+  if (typeof value !== 'string') return null;
+  const text = value.trim().replace(/[.;,]$/, '');
+  const [found, ...rest] = parseQuantities(text, { concentration: CONCENTRATION_KEY_RE.test(String(key)) });
+  if (!found || rest.length || found.raw !== text) return null;
+  const { raw, index, ...measured } = found;
+  return measured;
+}
+
+/** Quantities for a variant's spec fields, keyed by field; packs and internal fields are left out. */
+export function specQuantities(variant = {}) {
+  const quantities = {};
+  for (const [key, value] of Object.entries(variant)) {
+    if (key.startsWith('_') || PACK_FIELDS.has(key) || MONEY_KEY_RE.test(key)) continue;
+    const found = fieldQuantity(key, value);
+    if (found) quantities[key] = found;
+  }
+  return quantities;
+}
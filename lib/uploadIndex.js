@@ -0,0 +1,133 @@
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+
+import { getDataDir, pathExists, readJson, writeJson } from './io.js';
+
+const INDEX_FILENAME = 'upload-index.json';
+const RESULT_FILENAME = 'ingest.result.json';
+
+// Serialises read-modify-write cycles on the index within this process.
+let indexQueue = Promise.resolve();
+
+function indexPath() {
+  return path.join(getDataDir(), INDEX_FILENAME);
+}
+
+export function resultPath(docId) {
+  return path.join(getDataDir(docId), RESULT_FILENAME);
+}
+
+export function hashUpload(bytes) {
+  const buffer = Buffer.isBuffer(bytes) ? bytes : Buffer.from(bytes);
+  return createHash('sha256').update(buffer).digest('hex');
+}
+
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function optionsKey(options = {}) {
+  return createHash('sha256').update(stableStringify(options)).digest('hex').slice(0, 16);
+}
+
+async function readIndex() {
+  const filePath = indexPath();
+  if (!(await pathExists(filePath))) return {};
+  try {
+    return await readJson(filePath);
+  } catch (error) {
+    console.warn('[upload-index] unreadable index, starting fresh:', error);
+    return {};
+  }
+}
+
+function updateIndex(mutator) {
+  const next = indexQueue.catch(() => {}).then(async () => {
+    const index = await readIndex();
+    const changed = mutator(index);
+    if (changed !== false) {
+      await writeJson(indexPath(), index, { pretty: true });
+    }
+    return index;
+  });
+  indexQueue = next;
+  return next;
+}
+
+function matchesEntry(entry, extractionVersion, key) {
+  return entry?.extraction_version === extractionVersion && entry?.options_key === key;
+}
+
+/**
+ * Looks up a previous ingest of the same bytes with the same extraction
+ * version and options. Entries whose stored result has since been deleted
+ * are pruned and treated as a miss.
+ */
+export async function findCachedIngest({ hash, extractionVersion, options }) {
+  if (!hash) return null;
+  const key = optionsKey(options);
+  const index = await readIndex();
+  const entry = (index[hash] || []).find(candidate => matchesEntry(candidate, extractionVersion, key));
+  if (!entry) return null;
+
+  const storedPath = resultPath(entry.docId);
+  if (await pathExists(storedPath)) {
+    try {
+      return { entry, result: await readJson(storedPath) };
+    } catch (error) {
+      console.warn(`[upload-index] unreadable stored result for ${entry.docId}:`, error);
+    }
+  }
+  await updateIndex(current => {
+    const entries = current[hash] || [];
+    const remaining = entries.filter(candidate => candidate.docId !== entry.docId);
+    if (remaining.length === entries.length) return false;
+    if (remaining.length) current[hash] = remaining;
+    else delete current[hash];
+    return true;
+  });
+  return null;
+}
+
+/** Drops every index entry that points at `docId`, e.g. once the document is deleted. */
+export async function forgetDoc(docId) {
+  let removed = 0;
+  await updateIndex(index => {
+    for (const [hash, entries] of Object.entries(index)) {
+      const remaining = entries.filter(candidate => candidate.docId !== docId);
+      removed += entries.length - remaining.length;
+      if (remaining.length) index[hash] = remaining;
+      else delete index[hash];
+    }
+    return removed > 0;
+  });
+  return removed;
+}
+
+export async function recordIngest({ hash, docId, extractionVersion, options, filename, result }) {
+  if (!hash || !docId) return null;
+  await writeJson(resultPath(docId), result);
+  const entry = {
+    docId,
+    filename: filename || null,
+    extraction_version: extractionVersion,
+    options_key: optionsKey(options),
+    options,
+    recorded_at: new Date().toISOString(),
+  };
+  await updateIndex(index => {
+    const entries = (index[hash] || []).filter(
+      candidate => !matchesEntry(candidate, extractionVersion, entry.options_key),
+    );
+    index[hash] = [...entries, entry];
+  });
+  return entry;
+}
@@ -1,39 +1,33 @@
-const COUNT_PACK_RE = /\b\d+\s*\/\s*(PK|PCS|PC|BTL|RL|ROL|BOX)\b/i;
-const SIZE_RE = /\b\d+(?:\.\d+)?\s?(ML|L|G|KG|MM|CM)\b/i;
-const MOLARITY_RE = /\b\d+(?:\.\d+)?M\b/i;
-const DIMENSION_RE = /\b\d+(?:\.\d+)?\s*x\s*\d+(?:\.\d+)?(MM|CM)\b/i;
+import { formatQuantity, parseDimensions, parsePack, parseQuantity } from '../units.js';
 
 function normalise(value) {
   return String(value || '').replace(/\s+/g, ' ').trim();
 }
 
-function formatPack(match) {
-  return match.replace(/\s+/g, '').toUpperCase();
+function formatPack(text) {
+  return text.replace(/\s+/g, '').toUpperCase();
 }
 
+// Count packs ("2/PK") first, then dimensions, molarity and finally a plain size.
 export function extractPack(text) {
   if (!text) return { pack: null, pack_raw: null };
   const source = normalise(text);
-  const packMatch = source.match(COUNT_PACK_RE);
-  const sizeMatch = source.match(SIZE_RE);
-  const molarityMatch = source.match(MOLARITY_RE);
-  const dimensionMatch = source.match(DIMENSION_RE);
-
-  let packRaw = null;
-  if (packMatch) {
-    packRaw = packMatch[0];
-  } else if (dimensionMatch) {
-    packRaw = dimensionMatch[0];
-  } else if (molarityMatch) {
-    packRaw = molarityMatch[0];
-  } else if (sizeMatch) {
-    packRaw = sizeMatch[0];
+  const pack = parsePack(source);
+  if (pack?.raw.includes('/')) {
+    return { pack: formatPack(pack.raw), pack_raw: pack.raw };
   }
-
-  if (!packRaw) {
-    return { pack: null, pack_raw: null };
+  const dimensions = parseDimensions(source);
+  if (dimensions) {
+    return { pack: formatPack(formatQuantity(dimensions)), pack_raw: dimensions.raw };
   }
-
-  const normalized = formatPack(packRaw);
-  return { pack: normalized, pack_raw: packRaw };
+  // Molar units keep their case: "50mM" is not "50MM".
+  const molarity = parseQuantity(source, { dimensions: ['concentration'] });
+  if (molarity) {
+    return { pack: formatQuantity(molarity).replace(/\s+/g, ''), pack_raw: molarity.raw };
+  }
+  const size = pack || parseQuantity(source, { dimensions: ['length'] });
+  if (size) {
+    return { pack: formatPack(formatQuantity(size)), pack_raw: size.raw };
+  }
+  return { pack: null, pack_raw: null };
 }
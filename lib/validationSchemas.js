@@ -1,5 +1,7 @@
 import { z } from 'zod';
 
+import { PRICE_STATUSES, priceModelIssues } from './priceModel.js';
+
 export const SegmentSchema = z.object({
   id: z.string(),
   kind: z.enum(['intro', 'product_text', 'product_table', 'image_callouts']),
@@ -20,6 +22,35 @@ export const SegmentResponseSchema = z.object({
 
 const Scalar = z.union([z.string(), z.number(), z.boolean(), z.null()]);
 
+// A parsed quantity from lib/units.js.
+const QuantitySchema = z
+  .object({
+    value: z.number(),
+    unit: z.string(),
+    dimension: z.string(),
+    si_value: z.number(),
+    si_unit: z.string(),
+    min: z.number().optional(),
+    max: z.number().optional(),
+    tolerance: z.number().optional(),
+  })
+  .strict();
+
+// Pattern and fallback rows keep the pack as text; postProcess parses it.
+const PackSchema = z.union([
+  z.string(),
+  z.object({
+    multiplier: z.number(),
+    qty: z.number(),
+    unit: z.string(),
+    kind: z.string(),
+    base: z.number(),
+    base_total: z.number(),
+    quantity: QuantitySchema.optional(),
+    raw: z.string().optional(),
+  }),
+]);
+
 export const ChunkProductSchema = z.object({
   group_title: z.string().min(1),
   category_hint: z.string().optional(),
@@ -99,17 +130,43 @@ export const VariantSchema = z
       .optional(),
     confidence: z.number().optional(),
     fields_present: z.array(z.string()).optional(),
+    footnotes: z.array(z.object({ marker: z.string(), field: z.string(), text: z.string() })).optional(),
+    // postProcess records what it changed or flagged, e.g. a failed CAS check digit.
+    _audit: z.array(z.object({ rule: z.string(), action: z.string(), notes: z.string().optional() })).optional(),
+    price_status: z.enum(PRICE_STATUSES).optional(),
+    price_min: z.number().nullable().optional(),
+    price_max: z.number().nullable().optional(),
+    price_tiers: z
+      .array(z.object({ min_qty: z.number().int(), max_qty: z.number().int().nullable(), price: z.number() }))
+      .optional(),
+    tax_basis: z.enum(['inclusive', 'exclusive']).optional(),
+    tax_rate: z.number().min(0).optional(),
+    price_excl_tax: z.number().optional(),
+    price_incl_tax: z.number().optional(),
+    pack: PackSchema.nullable().optional(),
+    spec_quantities: z.record(QuantitySchema).optional(),
   })
-  .catchall(Scalar);
+  .catchall(Scalar)
+  .superRefine((variant, ctx) => {
+    for (const message of priceModelIssues(variant)) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, message });
+    }
+  });
 
 export const GroupSchema = z.object({
   category: z.string().min(1),
+  category_path: z.array(z.string()).optional(),
+  category_path_source: z.string().optional(),
   title: z.string().min(1),
+  title_source: z.string().optional(),
   description: z.string().optional().default(''),
   specs_headers: z.array(z.string()).optional().default([]),
   variants: z.array(VariantSchema),
   pageStart: z.number().optional(),
   pageEnd: z.number().optional(),
+  table_continuations: z
+    .array(z.object({ page: z.number(), continued_from_page: z.number(), header: z.string() }))
+    .optional(),
   _warnings: z.array(z.string()).optional(),
   qc_report: z.any().optional(),
   source_docId: z.string().optional(),
@@ -4,11 +4,20 @@
  * - Multi-line row assembly with a tiny state machine
  * - Flexible delimiters and KV fallback
  * - Aggressive column normalization (code/CAS/HSN/grade/brand/pack/price/etc.)
- * - Packs canonicalization: {qty, unit} + string
- * - Price pipeline: mrp, list, unit_price, discount, net
+ * - Packs canonicalization: {qty, unit, multiplier} + string, read by the shared units module
+ * - Price pipeline: mrp, list, unit_price, discount, net; an MRP may be on request, a range or quantity breaks
  * - Stronger dedupe keys and soft-merge logic
+ * - Tables continued over a page break keep the header of the page they started on
+ * - Matrix (sizes across the top) and sideways tables explode into one variant per priced cell or column
+ * - Stacked header lines ("Dimensions (mm)" over "OD  Length") compose into compound keys by x-position
  */
 
+import { canonicalizeHeaderName, composeStackedHeader } from './headerUtils.js';
+import { interpretMatrixTable } from './matrixTable.js';
+import { isPlainPrice, parsePrice, priceModelFields } from './priceModel.js';
+import { isRepeatedHeader, looksLikeDataRow } from './tableContinuation.js';
+import { parseJoint, parsePack } from './units.js';
+
 const ALIASES = {
   // codes
   'cat no': 'code', 'cat. no': 'code', 'catalog no': 'code', 'cat#': 'code',
@@ -48,8 +57,6 @@ const NUM_RE = /[\d]+(?:,\d{3})*(?:\.\d+)?/;
 const PRICE_HINT_RE = /(?:₹|rs\.?|inr|usd|eur|mrp|price|rate|net|amount)/i;
 const CAS_RE = /\b\d{2,7}-\d{2}-\d\b/;
 const HSN_RE = /\b\d{4,8}\b/;
-const PACK_RE = /\b(\d+(?:\.\d+)?)\s*(ml|l|litre|g|gm|kg|mm|cm|inch|pcs|pc|nos|bottle|jar|pkt|pack)\b/i;
-const JOINT_RE = /\b(\d{1,2}\/\d{2})\b/; // e.g., 24/29
 
 function normKey(k) {
   const key = String(k).toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.:]$/, '');
@@ -58,11 +65,14 @@ function normKey(k) {
 
 function canonicalPack(str) {
   const s = String(str || '').trim();
-  const m = s.match(PACK_RE);
-  if (!m) return { pack_size: s || null, pack_qty: null, pack_unit: null };
-  const qty = Number(m[1]);
-  const unit = m[2].toLowerCase();
-  return { pack_size: s, pack_qty: isFinite(qty) ? qty : null, pack_unit: unit };
+  const pack = parsePack(s);
+  if (!pack) return { pack_size: s || null, pack_qty: null, pack_unit: null, pack_multiplier: null };
+  return {
+    pack_size: s,
+    pack_qty: pack.qty,
+    pack_unit: pack.unit,
+    pack_multiplier: pack.multiplier > 1 ? pack.multiplier : null,
+  };
 }
 
 function toNumberish(x) {
@@ -113,7 +123,13 @@ function rowToVariant(line, header, carry) {
 
   // enrich / canonicalize
   if (variant.price_mrp && !variant.price_mrp_value) {
-    variant.price_mrp_value = toNumberish(variant.price_mrp);
+    const price = parsePrice(variant.price_mrp);
+    if (price && !isPlainPrice(price)) {
+      variant.price_mrp_value = price.value;
+      Object.assign(variant, priceModelFields(price));
+    } else {
+      variant.price_mrp_value = toNumberish(variant.price_mrp);
+    }
   }
   if (variant.price_list && !variant.price_list_value) {
     variant.price_list_value = toNumberish(variant.price_list);
@@ -140,19 +156,21 @@ function rowToVariant(line, header, carry) {
 
   // pack canonicalization
   const packSrc = variant.pack_size || variant.size || variant.qty;
-  const { pack_size, pack_qty, pack_unit } = canonicalPack(packSrc);
+  const { pack_size, pack_qty, pack_unit, pack_multiplier } = canonicalPack(packSrc);
   if (pack_size) variant.pack_size = pack_size;
   if (pack_qty != null) variant.pack_qty = pack_qty;
   if (pack_unit) variant.pack_unit = pack_unit;
+  if (pack_multiplier) variant.pack_multiplier = pack_multiplier;
 
   // glassware specifics
-  const joint = variant.joint || (line.match(JOINT_RE) || [])[0];
-  if (joint) variant.joint = joint;
+  const joint = parseJoint(variant.joint || line);
+  if (joint) variant.joint = joint.text;
 
   // carry-over for multi-line rows (e.g., code on line 1, price on line 2)
   if (carry && carry.code && !variant.code) variant.code = carry.code;
   if (carry && carry.pack_size && !variant.pack_size) Object.assign(variant, {
-    pack_size: carry.pack_size, pack_qty: carry.pack_qty, pack_unit: carry.pack_unit
+    pack_size: carry.pack_size, pack_qty: carry.pack_qty, pack_unit: carry.pack_unit,
+    ...(carry.pack_multiplier ? { pack_multiplier: carry.pack_multiplier } : {})
   });
   if (carry && carry.brand && !variant.brand) variant.brand = carry.brand;
   if (carry && carry.grade && !variant.grade) variant.grade = carry.grade;
@@ -185,23 +203,140 @@ function bestHeaderCandidate(blocks) {
   return candidates[0]?.cols || null;
 }
 
+function splitCells(text) {
+  return String(text || '').split(SPLIT_RE).map(s => s.trim()).filter(Boolean);
+}
+
+// Runs of consecutive lines with the same number of cells are tried as a matrix or sideways table.
+function matrixFromBlocks(blocks) {
+  let run = [];
+  const tryRun = () => {
+    if (run.length < 2) return null;
+    const [head, ...body] = run;
+    const matrix = interpretMatrixTable(head.cells, body.map(entry => entry.cells));
+    return matrix ? { ...matrix, blocks: new Set(run.map(entry => entry.block)) } : null;
+  };
+  for (const bl of blocks || []) {
+    const cells = splitCells(bl.text);
+    if (cells.length >= 3 && (!run.length || cells.length === run[0].cells.length)) {
+      run.push({ block: bl, cells });
+      continue;
+    }
+    const found = tryRun();
+    if (found) return found;
+    run = cells.length >= 3 ? [{ block: bl, cells }] : [];
+  }
+  return tryRun();
+}
+
+const HEADER_WORDS_RE = /^[A-Za-z][A-Za-z\s./()%#-]*$/;
+
+// x-ranges of a line's cells: pdf.js token boxes when the block has them, else character offsets.
+function lineFragments(bl) {
+  const tokens = (Array.isArray(bl?.tokens) ? bl.tokens : []).filter(t => t?.bbox && String(t.text || '').trim());
+  if (tokens.length) {
+    const out = [];
+    for (const t of [...tokens].sort((a, b) => a.bbox.x - b.bbox.x)) {
+      const prev = out[out.length - 1];
+      // Words closer than half a line height belong to one cell.
+      if (prev && t.bbox.x - prev.x1 <= (t.bbox.height || 0) * 0.5) {
+        prev.text = `${prev.text} ${String(t.text).trim()}`;
+        prev.x1 = Math.max(prev.x1, t.bbox.x + t.bbox.width);
+      } else {
+        out.push({ text: String(t.text).trim(), x0: t.bbox.x, x1: t.bbox.x + t.bbox.width });
+      }
+    }
+    return out;
+  }
+  const text = String(bl?.text || '');
+  if (/[|\t]/.test(text)) return null; // delimited cells carry no positions
+  return [...text.matchAll(/\S+(?: \S+)*/g)].map(m => ({ text: m[0], x0: m.index, x1: m.index + m[0].length }));
+}
+
+function isHeaderWordsLine(bl) {
+  const fragments = lineFragments(bl);
+  return Boolean(fragments?.length) && fragments.every(f => HEADER_WORDS_RE.test(f.text));
+}
+
+// Without token boxes, only an indented sub-line still shows where it sits (tokenized lines are trimmed).
+function isHeaderSubLine(bl) {
+  const positioned = (bl.tokens || []).some(t => t?.bbox) || /^\s/.test(bl.text);
+  return positioned && isHeaderWordsLine(bl) && !HEADER_ROW_RE.test(bl.text);
+}
+
+function headerKey(name) {
+  const key = String(name).toLowerCase().replace(/\s+/g, ' ').trim().replace(/[.:]$/, '');
+  return ALIASES[key] || canonicalizeHeaderName(name);
+}
+
+// A header line followed by more header-word lines is one stacked header; every repeat of it is skipped.
+function findStackedHeader(blocks) {
+  let cols = null;
+  const stacked = new Set();
+  const list = blocks || [];
+  for (let i = 0; i < list.length; i++) {
+    if (stacked.has(list[i]) || !HEADER_ROW_RE.test(list[i].text) || !isHeaderWordsLine(list[i])) continue;
+    let end = i + 1;
+    while (end < list.length && end - i < 3 && isHeaderSubLine(list[end])) end++;
+    if (end - i < 2) continue;
+    const lines = list.slice(i, end);
+    if (!cols) cols = composeStackedHeader(lines.map(lineFragments)).map(headerKey);
+    lines.forEach(bl => stacked.add(bl));
+  }
+  return cols ? { cols, blocks: stacked } : null;
+}
+
+function recordContinuation(g, page, fromPage, header) {
+  g.table_continuations = [...(g.table_continuations || []), { page, continued_from_page: fromPage, header }];
+}
+
 export function assembleVariants(group, options = {}) {
   const collection = Array.isArray(group) ? group : [group];
 
   for (const g of collection) {
-    const header = bestHeaderCandidate(g.blocks) || g.specs_headers || null;
+    const matrix = matrixFromBlocks(g.blocks);
+    const matrixHeader = matrix ? matrix.header.map(normKey) : null;
+    const otherBlocks = matrix ? g.blocks.filter(bl => !matrix.blocks.has(bl)) : g.blocks;
+    const stackedHeader = findStackedHeader(otherBlocks);
+    const header = stackedHeader?.cols || bestHeaderCandidate(otherBlocks) || g.specs_headers || matrixHeader;
     const variants = [];
     const state = { carry: null }; // carry partial row across lines
+    let rowPage = null; // page of the last header/row line, to spot the first line after a page break
+
+    for (const bl of otherBlocks) {
+      const page = bl.pageIndex ?? bl.pageNumber ?? null;
+      if (stackedHeader?.blocks.has(bl)) {
+        // The composed header is already in place, on this page or the one the table started on.
+        if (rowPage != null && page != null && page !== rowPage) recordContinuation(g, page, rowPage, 'repeated');
+        rowPage = page ?? rowPage;
+        continue;
+      }
+      const pageBreak = header && rowPage != null && page != null && page !== rowPage;
+      const isRow = bl.type === 'table_row' || bl.type === 'spec_row' || bl.type === 'sku' || bl.type === 'price';
+      if (pageBreak && (isRow || HEADER_ROW_RE.test(bl.text))) {
+        const cols = bl.text.split(SPLIT_RE).map(s => s.trim()).filter(Boolean);
+        if (HEADER_ROW_RE.test(bl.text) && isRepeatedHeader(extractHeader(bl.text), header)) {
+          // Repeated header on the new page: keep the canonical one.
+          recordContinuation(g, page, rowPage, 'repeated');
+          rowPage = page;
+          continue;
+        }
+        if (cols.length === header.length && looksLikeDataRow(cols)) {
+          // No header on the new page; "Cat No"-like words in a data row must not be taken for one.
+          recordContinuation(g, page, rowPage, 'missing');
+          bl.continued_from_page = rowPage;
+        }
+      }
+      if (isRow || HEADER_ROW_RE.test(bl.text)) rowPage = page ?? rowPage;
 
-    for (const bl of g.blocks) {
-      if (HEADER_ROW_RE.test(bl.text)) {
+      if (HEADER_ROW_RE.test(bl.text) && bl.continued_from_page == null) {
         // refresh header in-stream
         const h = extractHeader(bl.text);
         if (h && h.length) g.specs_headers = header || h;
         continue;
       }
 
-      if (bl.type === 'table_row' || bl.type === 'spec_row' || bl.type === 'sku' || bl.type === 'price') {
+      if (isRow || bl.continued_from_page != null) {
         const v = rowToVariant(bl.text, header, state.carry);
 
         // If too sparse, treat as partial and carry forward
@@ -233,7 +368,7 @@ export function assembleVariants(group, options = {}) {
 
     // Deduping: robust key including normalized code + pack + grade/brand + numeric price
     const seen = new Set();
-    g.variants = variants.filter(v => {
+    const deduped = variants.filter(v => {
       const code = String(v.code || '').replace(/[\s\-]/g, '').toUpperCase();
       const pack = String(v.pack_size || '').toLowerCase();
       const grade = String(v.grade || '').toLowerCase();
@@ -244,6 +379,9 @@ export function assembleVariants(group, options = {}) {
       seen.add(key);
       return true;
     });
+    // Matrix cells are distinct by position, even where two of them share a price.
+    const matrixVariants = matrix ? matrix.rows.map(row => rowToVariant(row.join(' | '), matrixHeader, null)) : [];
+    g.variants = [...matrixVariants, ...deduped];
 
     // ensure group headers retained
     g.specs_headers = header || g.specs_headers || null;
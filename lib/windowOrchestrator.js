@@ -2,6 +2,8 @@ import path from 'node:path';
 
 import { ensureDir, getDataDir, writeJson } from './io.js';
 import { runCatalogPipeline } from './pipeline/catalogPipeline.js';
+import { buildCategoryTree } from './categoryTree.js';
+import { buildPageMap, reportIndexCoverage } from './tocParser.js';
 import { validateAndMaybeRepair } from './llmValidator.js';
 import { applyRepairs } from './repairEngine.js';
 
@@ -204,6 +206,16 @@ function mergeGroupsAcrossWindows(windowsResults, { docId }) {
   };
 }
 
+function summariseAdjustments(adjustments = {}) {
+  return {
+    preferredPatterns: adjustments.preferredPatterns || [],
+    stitchRows: Boolean(adjustments.stitchRows),
+    resegment: Boolean(adjustments.resegment),
+    forcePriceAnchored: Boolean(adjustments.forcePriceAnchored),
+    columnHints: adjustments.columnHints instanceof Map ? Object.fromEntries(adjustments.columnHints) : {},
+  };
+}
+
 function pickWorstStatus(statuses = []) {
   const order = ['error', 'partial', 'ok'];
   let current = 'ok';
@@ -227,7 +239,13 @@ export async function runWindowedPipeline({
   dataDir = null,
   pipelineOptions = {},
   source = null,
+  onProgress = null,
+  signal = null,
 }) {
+  const emit = event => {
+    if (typeof onProgress === 'function') onProgress(event);
+  };
+
   if (!Array.isArray(pagesRaw) || !pagesRaw.length) {
     return {
       version: 'v2.1.0',
@@ -255,13 +273,18 @@ export async function runWindowedPipeline({
     await ensureDir(windowsDir);
   }
 
+  // Contents and index pages sit in the first and last windows; map the whole document once.
+  const pageMap = buildPageMap(pagesRaw);
+
   const windowResults = [];
   const auditWindows = [];
 
   for (let index = 0; index < windows.length; index += 1) {
+    signal?.throwIfAborted();
     const windowPages = windows[index];
     const pageStart = windowPages[0]?.pageNumber ?? null;
     const pageEnd = windowPages[windowPages.length - 1]?.pageNumber ?? null;
+    emit({ type: 'window_started', index, total: windows.length, pageStart, pageEnd });
     const windowDocId = `${docId}-w${index + 1}`;
     const windowSource = source || { filename: `window-${index + 1}`, pages: windowPages.length };
     const windowContext = {
@@ -277,9 +300,11 @@ export async function runWindowedPipeline({
       dataDir: null,
       options: {
         ...pipelineOptions,
+        pageMap,
         forcePriceAnchored,
         persistArtifacts: false,
       },
+      signal,
     });
 
     const windowDir = path.join(windowsDir, String(index));
@@ -309,23 +334,39 @@ export async function runWindowedPipeline({
         context: { docId, llmCritique, source: windowSource },
       });
       auditEntry.validator.push({ iteration: 0, ...validatorResponse });
+      emit({
+        type: 'validator_verdict',
+        index,
+        iteration: 0,
+        pass: Boolean(validatorResponse?.pass),
+        repairs: validatorResponse?.repairs?.length || 0,
+      });
       if (shouldPersist) {
         await writeJson(path.join(windowDir, 'validator.iter-0.json'), validatorResponse, { pretty: true });
       }
 
       let iteration = 0;
       while (validatorResponse && validatorResponse.pass === false && iteration < MAX_REPAIR_ITERATIONS) {
+        signal?.throwIfAborted();
         iteration += 1;
         const repairOutcome = await applyRepairs({
           repairs: validatorResponse.repairs || [],
           windowContext,
           pipelineOptions: {
             ...pipelineOptions,
+            pageMap,
             forcePriceAnchored,
           },
         });
         currentResult = repairOutcome.result;
         auditEntry.repairs.push({ iteration, adjustments: repairOutcome.adjustments });
+        emit({
+          type: 'repair_applied',
+          index,
+          iteration,
+          adjustments: summariseAdjustments(repairOutcome.adjustments),
+          groups: currentResult.groups?.length || 0,
+        });
         if (shouldPersist) {
           await writeJson(
             path.join(windowDir, `repair.iter-${iteration}.groups.json`),
@@ -346,6 +387,13 @@ export async function runWindowedPipeline({
           context: { docId, llmCritique, source: windowSource },
         });
         auditEntry.validator.push({ iteration, ...validatorResponse });
+        emit({
+          type: 'validator_verdict',
+          index,
+          iteration,
+          pass: Boolean(validatorResponse?.pass),
+          repairs: validatorResponse?.repairs?.length || 0,
+        });
         if (shouldPersist) {
           await writeJson(
             path.join(windowDir, `validator.iter-${iteration}.json`),
@@ -365,6 +413,16 @@ export async function runWindowedPipeline({
     }
 
     auditEntry.finalPass = validatorResponse ? Boolean(validatorResponse.pass) : true;
+    emit({
+      type: 'window_done',
+      index,
+      total: windows.length,
+      pageStart,
+      pageEnd,
+      status: currentResult?.status || 'partial',
+      finalPass: auditEntry.finalPass,
+      groups: currentResult?.groups?.length || 0,
+    });
     windowResults.push({
       index,
       pageStart,
@@ -376,6 +434,7 @@ export async function runWindowedPipeline({
   }
 
   const merged = mergeGroupsAcrossWindows(windowResults, { docId });
+  const categoryTree = buildCategoryTree(merged.mergedGroups);
   const statuses = windowResults.map(entry => entry.final?.status || entry.baseline?.status || 'partial');
   const finalStatus = pickWorstStatus(statuses);
 
@@ -389,7 +448,11 @@ export async function runWindowedPipeline({
     const mergedCatalogPath = path.join(resolvedDataDir, 'merged.catalog.json');
     const mergedQcPath = path.join(resolvedDataDir, 'merged.qc_report.json');
     const auditPath = path.join(resolvedDataDir, 'llm_audit.json');
-    await writeJson(mergedCatalogPath, { groups: merged.mergedGroups, notes: merged.notes }, { pretty: true });
+    await writeJson(
+      mergedCatalogPath,
+      { groups: merged.mergedGroups, notes: merged.notes, category_tree: categoryTree },
+      { pretty: true },
+    );
     await writeJson(mergedQcPath, merged.qcReports, { pretty: true });
     await writeJson(auditPath, llmAudit, { pretty: true });
     artifacts.merged_catalog_path = mergedCatalogPath;
@@ -403,6 +466,7 @@ export async function runWindowedPipeline({
     status: finalStatus,
     groups: merged.mergedGroups,
     notes: merged.notes,
+    categoryTree,
     diagnostics: {
       windowed: {
         windows: merged.diagnostics.windows,
@@ -410,6 +474,12 @@ export async function runWindowedPipeline({
       },
       qcReport: merged.qcReports.length ? merged.qcReports[0] : null,
       qcReports: merged.qcReports,
+      page_map: {
+        toc_entries: pageMap.toc.entries.length,
+        index_entries: pageMap.index.entries.length,
+        index_pages: pageMap.index.indexPages,
+        coverage: reportIndexCoverage(pageMap, merged.mergedGroups),
+      },
     },
     warnings: merged.warnings,
     validation: merged.validation,
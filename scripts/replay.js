@@ -1,17 +1,18 @@
 #!/usr/bin/env node
-import path from 'node:path';
 import process from 'node:process';
 
-import { getDataDir, readJson } from '../lib/io.js';
-import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { replayDocument } from '../lib/pipeline/replay.js';
 
 function parseArgs(argv) {
-  const opts = { doc: null, forcePriceAnchored: false };
+  const opts = { doc: null, forcePriceAnchored: false, from: 'noise' };
   for (let index = 0; index < argv.length; index += 1) {
     const token = argv[index];
     if (token === '--doc' || token === '-d') {
       opts.doc = argv[index + 1] || null;
       index += 1;
+    } else if (token === '--from' || token === '-f') {
+      opts.from = argv[index + 1] || 'noise';
+      index += 1;
     } else if (token === '--force-price-anchored' || token === '--force-price') {
       opts.forcePriceAnchored = true;
     }
@@ -22,26 +23,18 @@ function parseArgs(argv) {
 async function main() {
   const args = parseArgs(process.argv.slice(2));
   if (!args.doc) {
-    console.error('Usage: node scripts/replay.js --doc <docId> [--force-price-anchored]');
+    console.error(
+      'Usage: node scripts/replay.js --doc <docId> [--from noise|labeling|assembly|postprocess|universal] [--force-price-anchored]',
+    );
     process.exit(1);
     return;
   }
 
-  const dataDir = getDataDir(args.doc);
-  const artifactsDir = path.join(dataDir, 'artifacts');
-  const pagesPath = path.join(artifactsDir, 'pages.raw.json');
-  const pages = await readJson(pagesPath);
-
-  const result = await runCatalogPipeline({
+  const result = await replayDocument({
     docId: args.doc,
-    pages,
-    source: { filename: 'cached_artifacts', pages: pages.length },
-    dataDir,
-    options: {
-      useLLM: false,
-      persistArtifacts: true,
-      forcePriceAnchored: args.forcePriceAnchored,
-    },
+    fromStage: args.from,
+    // Unset options keep the values the document was ingested with.
+    options: args.forcePriceAnchored ? { forcePriceAnchored: true } : {},
   });
 
   console.log(JSON.stringify({
@@ -57,4 +50,3 @@ main().catch(error => {
   console.error('Replay failed:', error);
   process.exit(1);
 });
-
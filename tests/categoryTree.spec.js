@@ -0,0 +1,232 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+
+import { assignCategoryPaths, buildCategoryTree } from '../lib/categoryTree.js';
+import { classifyHeadings } from '../lib/headingClassifier.js';
+import { runLLMChunkerPipeline } from '../lib/llmChunker/pipeline.js';
+import { segmentPageText } from '../lib/pdfSegmenter.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { parseTableOfContents } from '../lib/tocParser.js';
+
+function tocLine(text, x, y) {
+  return { text, raw: text, bbox: { x, y, width: 300, height: 10 }, tokens: [] };
+}
+
+// Printed page numbers lag the PDF by two (cover and contents pages).
+const CONTENTS_PAGE = segmentPageText('', 2, {
+  lineItems: [
+    tocLine('Contents', 50, 760),
+    tocLine('CHEMICALS ........................ 3', 50, 730),
+    tocLine('Solvents ......................... 3', 70, 716),
+    tocLine('HPLC Grade ....................... 3', 90, 702),
+    tocLine('Acids ............................ 5', 70, 688),
+    tocLine('GLASSWARE ........................ 7', 50, 674),
+    tocLine('Beakers .......................... 7', 70, 660),
+  ],
+});
+
+function bodyPage(pageNumber, text) {
+  return segmentPageText(text, pageNumber);
+}
+
+const PAGES = [
+  bodyPage(1, 'XYZ Scientific Price List 2024'),
+  CONTENTS_PAGE,
+  bodyPage(3, 'Our quality promise'),
+  bodyPage(4, 'Certificates'),
+  bodyPage(5, 'Solvents\n\nAcetonitrile HPLC grade, UV cut-off 190 nm'),
+  bodyPage(6, 'Methanol HPLC grade'),
+  bodyPage(7, 'Acids\n\nHydrochloric acid 35% AR'),
+  bodyPage(8, 'Nitric acid 69% AR'),
+  bodyPage(9, 'Beakers\n\nLow form with spout'),
+];
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('contents entries carry levels, paths and calibrated PDF pages', () => {
+  const toc = parseTableOfContents(PAGES);
+  assert.deepStrictEqual(toc.tocPages, [2]);
+  assert.strictEqual(toc.pageOffset, 2);
+  assert.deepStrictEqual(
+    toc.entries.map(entry => [entry.title, entry.page, entry.pdfPage, entry.level]),
+    [
+      ['CHEMICALS', 3, 5, 1],
+      ['Solvents', 3, 5, 2],
+      ['HPLC Grade', 3, 5, 3],
+      ['Acids', 5, 7, 2],
+      ['GLASSWARE', 7, 9, 1],
+      ['Beakers', 7, 9, 2],
+    ],
+  );
+  assert.deepStrictEqual(toc.entries[2].path, ['CHEMICALS', 'Solvents', 'HPLC Grade']);
+  assert.deepStrictEqual(toc.entries[3].path, ['CHEMICALS', 'Acids']);
+});
+
+test('text-only contents fall back to numbering and capitals for levels', () => {
+  const pages = [
+    segmentPageText('Table of Contents\n1 Reagents .... 4\n1.1 Salts .... 4\n1.2 Indicators .... 6\n2 Labware .... 9', 1),
+  ];
+  const toc = parseTableOfContents(pages);
+  assert.deepStrictEqual(
+    toc.entries.map(entry => [entry.title, entry.level]),
+    [
+      ['Reagents', 1],
+      ['Salts', 2],
+      ['Indicators', 2],
+      ['Labware', 1],
+    ],
+  );
+  const headerOnly = parseTableOfContents([segmentPageText('Contents\nXYZ Scientific Price List 2024', 1)]);
+  assert.deepStrictEqual(headerOnly.entries, []);
+});
+
+test('groups take their path from the contents, then headings, then keywords', () => {
+  const toc = parseTableOfContents(PAGES);
+  const groups = [
+    { title: 'Acetonitrile', category: 'chemical', pageStart: 5 },
+    { title: 'Methanol', category: 'chemical', pageStart: 6 },
+    { title: 'Hydrochloric Acid', category: 'chemical', pageStart: 7 },
+    { title: 'Beakers', category: 'volumetric_glassware', pageStart: 9 },
+    { title: 'pH Meter', category: 'instrument', pageStart: 1, category_path: ['Instruments'] },
+    { title: 'Funnels', category: 'labware', pageStart: 1, category_path: [] },
+  ];
+  const sources = assignCategoryPaths(groups, { toc });
+  assert.deepStrictEqual(
+    groups.map(group => [group.category_path, group.category_path_source]),
+    [
+      [['CHEMICALS', 'Solvents', 'HPLC Grade'], 'toc'],
+      [['CHEMICALS', 'Solvents', 'HPLC Grade'], 'toc'],
+      [['CHEMICALS', 'Acids'], 'toc'],
+      // The entry naming the group itself is not part of its category path.
+      [['GLASSWARE'], 'toc'],
+      [['Instruments'], 'headings'],
+      [['Labware'], 'keyword'],
+    ],
+  );
+  assert.deepStrictEqual(sources, { toc: 4, headings: 1, keyword: 1 });
+});
+
+test('the category tree counts direct and nested groups', () => {
+  const tree = buildCategoryTree([
+    { title: 'Acetonitrile', category_path: ['Chemicals', 'Solvents', 'HPLC Grade'] },
+    { title: 'Methanol', category_path: ['CHEMICALS', 'Solvents', 'HPLC Grade'] },
+    { title: 'Hydrochloric Acid', category_path: ['Chemicals', 'Acids'] },
+    { title: 'Buffer Kit', category_path: ['Chemicals'] },
+    { title: 'Beakers', category_path: ['Glassware'] },
+    { title: 'Spatula', category: 'labware' },
+  ]);
+  assert.deepStrictEqual(
+    tree.map(node => [node.name, node.groups, node.total]),
+    [
+      ['Chemicals', 1, 4],
+      ['Glassware', 1, 1],
+      ['Labware', 1, 1],
+    ],
+  );
+  const [chemicals] = tree;
+  assert.deepStrictEqual(
+    chemicals.children.map(node => [node.name, node.groups, node.total, node.path]),
+    [
+      ['Solvents', 0, 2, ['Chemicals', 'Solvents']],
+      ['Acids', 1, 1, ['Chemicals', 'Acids']],
+    ],
+  );
+  assert.deepStrictEqual(chemicals.children[0].children[0], {
+    name: 'HPLC Grade',
+    path: ['Chemicals', 'Solvents', 'HPLC Grade'],
+    groups: 2,
+    total: 2,
+    children: [],
+  });
+});
+
+test('chapter headings become category paths in the pipeline output', async () => {
+  const chapter = { name: 'Arial-Bold', size: 20, bold: true, italic: false };
+  const family = { name: 'Arial-Bold', size: 14, bold: true, italic: false };
+  const body = { name: 'Arial', size: 9, bold: false, italic: false };
+  const line = (text, font) => ({ text, raw: text, bbox: null, tokens: [], font });
+  const pages = [
+    segmentPageText('', 1, {
+      lineItems: [
+        line('Volumetric Glassware', chapter),
+        line('Volumetric Flasks, Class A', family),
+        line('Borosilicate glass flasks with stopper, batch certified.', body),
+        line('Code | Capacity | Price', body),
+        line('VF-10 | 10 ml | 210', body),
+        line('VF-25 | 25 ml | 240', body),
+      ],
+    }),
+  ];
+  classifyHeadings(pages);
+  const result = await runCatalogPipeline({
+    docId: 'category-tree-test',
+    pages,
+    source: { filename: 'test.pdf', pages: 1 },
+    options: { useLLM: false, persistArtifacts: false },
+  });
+  assert.deepStrictEqual(result.groups[0].category_path, ['Volumetric Glassware']);
+  assert.strictEqual(result.groups[0].category_path_source, 'headings');
+  assert.deepStrictEqual(result.categoryTree, [
+    { name: 'Volumetric Glassware', path: ['Volumetric Glassware'], groups: 1, total: 1, children: [] },
+  ]);
+  assert.deepStrictEqual(result.diagnostics.categories.sources, { toc: 0, headings: 1, keyword: 0 });
+});
+
+test('the chunker pipeline files its groups under the contents too', async () => {
+  const dataDir = await mkdtemp(path.join(os.tmpdir(), 'category-tree-spec-'));
+  const group = (title, code) => ({
+    title,
+    category: 'chemical',
+    variants: [{ code, name: title, pack: '1 L', price_value: 900, currency: 'INR' }],
+  });
+  try {
+    const result = await runLLMChunkerPipeline({
+      docId: 'category-tree-chunker',
+      pages: PAGES,
+      dataDir,
+      options: {
+        useCache: false,
+        llmMock: () => ({ groups: [group('Acetonitrile', 'AN-1'), group('Nitric Acid', 'NA-1')], warnings: [] }),
+      },
+    });
+    assert.deepStrictEqual(
+      result.groups.map(entry => [entry.title, entry.pageStart, entry.category_path, entry.category_path_source]),
+      [
+        ['Acetonitrile', 5, ['CHEMICALS', 'Solvents', 'HPLC Grade'], 'toc'],
+        ['Nitric Acid', 8, ['CHEMICALS', 'Acids'], 'toc'],
+      ],
+    );
+    assert.deepStrictEqual(
+      result.categoryTree.map(node => [node.name, node.total]),
+      [['CHEMICALS', 2]],
+    );
+    assert.deepStrictEqual(result.diagnostics.categories.sources, { toc: 2, headings: 0, keyword: 0 });
+    const catalog = JSON.parse(await readFile(path.join(dataDir, 'artifacts', 'catalog.json'), 'utf8'));
+    assert.deepStrictEqual(catalog.category_tree, result.categoryTree);
+  } finally {
+    await rm(dataDir, { recursive: true, force: true });
+  }
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} category tree tests passed.`);
+  }
+})();
@@ -0,0 +1,197 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import { copyFile, mkdtemp, rm } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+import {
+  applyChemicalDictionary,
+  createChemicalDictionary,
+  loadChemicalDictionary,
+  matchChemicalName,
+  parseChemicalDictionary,
+} from '../lib/chemicalDictionary.js';
+import { segmentTextPages } from '../lib/pdfSegmenter.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chemical-dictionary.csv');
+
+function dictionaryAudit(variant) {
+  return (variant._audit || []).filter(entry => entry.rule === 'chemical_dictionary');
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('the dictionary loads from CSV or JSON and drops entries with a bad CAS', async () => {
+  const fromCsv = await loadChemicalDictionary(FIXTURE);
+  assert.strictEqual(fromCsv.size, 4);
+  assert.deepStrictEqual(fromCsv.errors, ['dictionary_invalid_cas:7647-14-6']);
+  assert.deepStrictEqual(fromCsv.lookup('67-64-1'), {
+    cas: '67-64-1',
+    name: 'Acetone',
+    synonyms: ['Propan-2-one', 'Dimethyl ketone'],
+    formula: 'C3H6O',
+    mw: 58.08,
+  });
+  const fromJson = parseChemicalDictionary(
+    JSON.stringify({ '64-17-5': { name: 'Ethanol', synonyms: ['Ethyl alcohol'], formula: 'C2H6O', mw: 46.07 } }),
+  );
+  assert.deepStrictEqual(fromJson.lookup(' 64-17-5 ').synonyms, ['Ethyl alcohol']);
+  assert.strictEqual(fromJson.lookup('7647-14-5'), null);
+  const missing = await loadChemicalDictionary(path.join(path.dirname(FIXTURE), 'no-such-dictionary.json'));
+  assert.strictEqual(missing.size, 0);
+  assert.match(missing.errors[0], /^dictionary_read_failed:/);
+  // A failed read is not remembered: the file is picked up once it is in place.
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'chemical-dictionary-spec-'));
+  try {
+    const late = path.join(dir, 'dictionary.csv');
+    assert.strictEqual((await loadChemicalDictionary(late)).size, 0);
+    await copyFile(FIXTURE, late);
+    assert.strictEqual((await loadChemicalDictionary(late)).size, 4);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('names are compared as whole words without grades, quantities or purities', () => {
+  const entry = createChemicalDictionary([
+    { cas: '7647-14-5', name: 'Sodium chloride', synonyms: 'Common salt;NaCl' },
+  ]).lookup('7647-14-5');
+  const names = [
+    'Sodium Chloride AR 500 g',
+    'NaCl extra pure 99.5%',
+    'Sodium chlor',
+    'Sodlum chloride',
+    'Sodium chlorate',
+    'Ethanol',
+    'AR',
+  ];
+  assert.deepStrictEqual(
+    names.map(name => matchChemicalName(name, entry)),
+    ['match', 'match', 'near', 'near', 'near', 'mismatch', null],
+  );
+  // A synonym inside a longer word is not a match; it is flagged like any near miss.
+  const ethanol = createChemicalDictionary([{ cas: '64-17-5', name: 'Ethanol' }]).lookup('64-17-5');
+  assert.deepStrictEqual(
+    ['Ethanol absolute', 'Methanol AR'].map(name => matchChemicalName(name, ethanol)),
+    ['match', 'near'],
+  );
+});
+
+test('matching variants gain formula and weight; near misses gain a suggested name', async () => {
+  const dictionary = await loadChemicalDictionary(FIXTURE);
+  const [group] = applyChemicalDictionary(
+    [
+      {
+        title: 'Laboratory chemicals',
+        variants: [
+          { code: 'SC-1', name: 'Sodium chloride AR', cas: '7647-14-5' },
+          { code: 'ET-1', name: 'Ethyl alcohol absolute', cas: '64-17-5', molecular_weight: 46.1 },
+          { code: 'AC-1', name: 'Acetone', cas: '67-64-1', molecular_formula: 'CH3COCH3' },
+          { code: 'SC-2', name: 'Sodium chlor', cas: '7647-14-5' },
+          { code: 'SC-3', name: 'Sodlum chloride LR', cas: '7647-14-5' },
+        ],
+      },
+    ],
+    dictionary,
+  );
+  const [salt, ethanol, acetone, truncated, misread] = group.variants;
+  assert.deepStrictEqual(
+    [salt.chemical_name, salt.molecular_formula, salt.molecular_weight, salt.name],
+    ['Sodium chloride', 'NaCl', 58.44, 'Sodium chloride AR'],
+  );
+  assert.strictEqual(dictionaryAudit(salt).length, 0);
+  // Values already extracted from the catalog are kept.
+  assert.deepStrictEqual([ethanol.chemical_name, ethanol.molecular_weight], ['Ethanol', 46.1]);
+  assert.strictEqual(acetone.molecular_formula, 'CH3COCH3');
+  // A name cut short or misread by OCR stays as printed; the entry fills in beside it.
+  assert.deepStrictEqual(
+    [truncated.name, truncated.chemical_name, truncated.suggested_name, truncated.molecular_formula],
+    ['Sodium chlor', undefined, 'Sodium chloride', 'NaCl'],
+  );
+  assert.deepStrictEqual([misread.suggested_name, misread.molecular_weight], ['Sodium chloride', 58.44]);
+  assert.deepStrictEqual(dictionaryAudit(truncated), [
+    {
+      rule: 'chemical_dictionary',
+      action: 'suggest',
+      notes: '"Sodium chlor" is close to 7647-14-5 (Sodium chloride)',
+    },
+  ]);
+  assert.strictEqual(group._warnings, undefined);
+});
+
+test('a name that fits no synonym flags a shifted CAS column', async () => {
+  const dictionary = await loadChemicalDictionary(FIXTURE);
+  const [group] = applyChemicalDictionary(
+    [
+      {
+        title: 'Solvents',
+        variants: [
+          { code: 'AC-1', name: 'Acetone', cas: '64-17-5' },
+          { code: 'ET-1', name: 'Ethanol', cas: '7732-18-5' },
+          { code: 'XX-1', name: 'Toluene', cas: '108-88-3' },
+          { code: 'XX-2', name: 'Acetone', cas: '67-64-2' },
+          { code: 'MT-1', name: 'Methanol AR', cas: '64-17-5' },
+        ],
+      },
+    ],
+    dictionary,
+  );
+  const [acetone, ethanol, unknown, badCheck, methanol] = group.variants;
+  assert.deepStrictEqual(dictionaryAudit(acetone), [
+    { rule: 'chemical_dictionary', action: 'mismatch', notes: '"Acetone" is not a name for 64-17-5 (Ethanol)' },
+  ]);
+  assert.strictEqual(acetone.molecular_formula, undefined);
+  assert.strictEqual(ethanol.chemical_name, undefined);
+  // One letter off is only a suggestion, left for a reviewer; it raises no shifted-column warning.
+  assert.deepStrictEqual(
+    [methanol.name, methanol.chemical_name, methanol.suggested_name, dictionaryAudit(methanol)[0]?.action],
+    ['Methanol AR', undefined, 'Ethanol', 'suggest'],
+  );
+  assert.deepStrictEqual(group._warnings, ['cas_name_mismatch:64-17-5', 'cas_name_mismatch:7732-18-5']);
+  // Not in the dictionary, or failing its check digit: nothing to compare against.
+  assert.deepStrictEqual([unknown._audit, badCheck._audit], [undefined, undefined]);
+});
+
+test('the catalog pipeline enriches from a dictionary file and still validates', async () => {
+  const result = await runCatalogPipeline({
+    docId: 'chemical-dictionary-test',
+    pages: segmentTextPages([
+      [
+        'LABORATORY REAGENTS',
+        'Code | Name | CAS | Pack | MRP',
+        'SC-1 | Sodium chloride AR | 7647-14-5 | 500 g | 350',
+        'AC-1 | Acetone | 64-17-5 | 500 ml | 300',
+      ].join('\n'),
+    ]),
+    source: { filename: 'test.pdf', pages: 1 },
+    options: { useLLM: false, persistArtifacts: false, chemicalDictionaryPath: FIXTURE },
+  });
+  const [salt, acetone] = result.groups[0].variants;
+  assert.deepStrictEqual([salt.molecular_formula, salt.molecular_weight], ['NaCl', 58.44]);
+  assert.strictEqual(dictionaryAudit(acetone)[0].action, 'mismatch');
+  assert.ok(result.warnings.includes('dictionary_invalid_cas:7647-14-6'));
+  assert.ok(result.warnings.some(warning => warning.endsWith(':cas_name_mismatch:64-17-5')));
+  assert.deepStrictEqual(result.validation.errors, []);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} chemical dictionary tests passed.`);
+  }
+})();
@@ -0,0 +1,203 @@
+import assert from 'node:assert';
+import path from 'node:path';
+
+import {
+  applyChemistryToGroups,
+  chemistrySpecs,
+  findFormula,
+  parseAssay,
+  parseConcentration,
+  parseFormula,
+  parseMolecularWeight,
+  parseStrength,
+} from '../lib/chemistrySpecs.js';
+import { loadPatternRegistry, PatternEngine } from '../lib/patterns/engine.js';
+import { segmentTextPages } from '../lib/pdfSegmenter.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { postProcess } from '../lib/postProcessor.js';
+import { normalizeGroupSpecs } from '../lib/specNormalizer.js';
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('formulas are read only when every symbol is an element', () => {
+  assert.deepStrictEqual(parseFormula('C2H5OH').elements, { C: 2, H: 6, O: 1 });
+  assert.deepStrictEqual(parseFormula('(NH4)2SO4').elements, { N: 2, H: 8, S: 1, O: 4 });
+  assert.deepStrictEqual(parseFormula('CuSO4.5H2O'), {
+    formula: 'CuSO4·5H2O',
+    elements: { Cu: 1, S: 1, O: 9, H: 10 },
+  });
+  assert.strictEqual(parseFormula('C₆H₁₂O₆').formula, 'C6H12O6');
+  assert.strictEqual(parseFormula('NaCl').formula, 'NaCl');
+  // Grades, buffers and lone symbols are words, not formulas.
+  assert.deepStrictEqual(['ACS', 'USP', 'EDTA', 'PBS', 'Co', 'C18', 'Sodium'].map(parseFormula), [
+    null, null, null, null, null, null, null,
+  ]);
+  assert.strictEqual(findFormula('Ethanol absolute (C2H5OH), ACS').formula, 'C2H5OH');
+  assert.deepStrictEqual(
+    ['CO2 incubator (HCl)', 'CO2 incubator'].map(text => findFormula(text, { bracketed: true })?.formula ?? null),
+    ['HCl', null],
+  );
+});
+
+test('molecular weight, molarity, normality and concentration basis', () => {
+  assert.deepStrictEqual(
+    ['M.W. 46.07', 'Mol. Wt.: 58.44', 'Molecular weight 40.00 g/mol', 'FW 180.16', '5 MW'].map(parseMolecularWeight),
+    [46.07, 58.44, 40, 180.16, null],
+  );
+  assert.deepStrictEqual(
+    ['0.1 N HCl', '1N NaOH', 'N/10', '1 M NaCl', '0.5M H2SO4', '100 mM Tris', '1 mol/L', '500 ML'].map(text =>
+      parseStrength(text),
+    ),
+    [
+      { normality: 0.1 },
+      { normality: 1 },
+      { normality: 0.1 },
+      { molarity: 1 },
+      { molarity: 0.5 },
+      { molarity: 0.1 },
+      { molarity: 1 },
+      null,
+    ],
+  );
+  // A bare "1 M" is a molarity only in a molarity column.
+  assert.deepStrictEqual([parseStrength('1 M', { labelled: true }), parseStrength('1 M')], [{ molarity: 1 }, null]);
+  assert.deepStrictEqual(
+    ['Formaldehyde 37% w/v', '10 % (v/v)', '30 wt%', 'Ethanol 99.9%'].map(parseConcentration),
+    [{ value: 37, basis: 'w/v' }, { value: 10, basis: 'v/v' }, { value: 30, basis: 'w/w' }, null],
+  );
+});
+
+test('assays keep their comparator; impurity limits are not assays', () => {
+  assert.deepStrictEqual(
+    ['ACS, ≥99.5%', '99% min', 'NLT 99.0%', 'Assay (GC): 98.0 %', 'Purity 99.5% (min)'].map(text => parseAssay(text)),
+    [
+      { value: 99.5, comparator: '>=' },
+      { value: 99, comparator: '>=' },
+      { value: 99, comparator: '>=' },
+      { value: 98, comparator: '=' },
+      { value: 99.5, comparator: '>=' },
+    ],
+  );
+  assert.deepStrictEqual(['Chloride max 0.01%', 'Ethanol 99.9%', '37% w/v'].map(text => parseAssay(text)), [
+    null,
+    null,
+    null,
+  ]);
+  assert.deepStrictEqual(parseAssay('max 0.5%', { labelled: true }), { value: 0.5, comparator: '<=' });
+});
+
+test('variants gain chemistry fields from columns first and text second', async () => {
+  assert.deepStrictEqual(
+    chemistrySpecs({ name: 'Ethanol absolute C2H5OH, ACS, ≥99.9%', description: 'M.W. 46.07', mw: '46.1' }),
+    {
+      molecular_formula: 'C2H5OH',
+      molecular_weight: 46.1,
+      assay_value: 99.9,
+      assay_comparator: '>=',
+    },
+  );
+  const processed = await postProcess([
+    {
+      title: 'Volumetric solutions',
+      variants: [
+        { code: 'HC-1', name: 'Hydrochloric acid (HCl) 0.1 N', molecular_weight: '36.46 g/mol', pack_size: '500 ml' },
+        { code: 'FM-1', name: 'Formaldehyde solution 37% w/v', assay: '36.5 %', pack_size: '500 ml' },
+      ],
+    },
+  ]);
+  // postProcess leaves chemistry to the pipelines' single pass.
+  assert.strictEqual(processed[0].variants[0].normality, undefined);
+  const [acid, formalin] = applyChemistryToGroups(processed)[0].variants;
+  assert.deepStrictEqual(
+    [acid.molecular_formula, acid.molecular_weight, acid.normality],
+    ['HCl', 36.46, 0.1],
+  );
+  assert.deepStrictEqual(
+    [formalin.concentration_value, formalin.concentration_basis, formalin.assay_value, formalin.assay_comparator],
+    [37, 'w/v', 36.5, '='],
+  );
+  const [normalised] = await normalizeGroupSpecs([
+    { title: 'Acetone', variants: [{ code: 'AC-1', name: 'Acetone', purity: '≥ 99.5 %', pack_size: '500 ml' }] },
+  ]);
+  assert.deepStrictEqual(
+    [normalised.variants[0].purity_value, normalised.variants[0].assay_value],
+    [99.5, undefined],
+  );
+});
+
+test('equipment and tubing do not gain a formula or a molarity', () => {
+  assert.deepStrictEqual(chemistrySpecs({ name: 'CO2 incubator, 170 L', description: 'Water jacketed' }), {});
+  assert.deepStrictEqual(chemistrySpecs({ name: 'Bottle 5 M tubing', description: 'Silicone, 6 mm bore' }), {});
+  assert.deepStrictEqual(chemistrySpecs({ name: 'H2O2 sterilizer cabinet' }), {});
+  // The same words on a reagent row, or in brackets, still count.
+  assert.deepStrictEqual(chemistrySpecs({ name: 'Carbon dioxide (CO2) cylinder' }), { molecular_formula: 'CO2' });
+  assert.deepStrictEqual(chemistrySpecs({ name: 'Hydrogen peroxide H2O2', grade: 'AR' }), {
+    molecular_formula: 'H2O2',
+  });
+  assert.deepStrictEqual(chemistrySpecs({ name: 'Sodium hydroxide solution 1 M' }), { molarity: 1 });
+  assert.deepStrictEqual(chemistrySpecs({ name: 'Tubing', molarity: '5 M' }), { molarity: 5 });
+});
+
+test('molarity columns on pattern rows become fields that pass validation', async () => {
+  const solutions = [
+    'VOLUMETRIC SOLUTIONS',
+    'Name | Molarity | Pack | Price',
+    'Hydrochloric acid | 0.1M | 500 ML | 240',
+    'Sodium hydroxide | 1M | 1 L | 380',
+  ].join('\n');
+  const registry = await loadPatternRegistry(path.join(process.cwd(), 'patterns'));
+  const matched = new PatternEngine(registry.patterns).matchPages(segmentTextPages([solutions]), {
+    docId: 'chemistry-test',
+  });
+  assert.strictEqual(matched.qcReport.matched_pattern, 'name_molarity_pack_price');
+  const [group] = applyChemistryToGroups(matched.groups);
+  assert.deepStrictEqual(
+    group.variants.map(variant => [variant.notes, variant.molarity]),
+    [
+      ['0.1M', 0.1],
+      ['1M', 1],
+    ],
+  );
+
+  const result = await runCatalogPipeline({
+    docId: 'chemistry-test',
+    pages: segmentTextPages([
+      [
+        'LABORATORY REAGENTS',
+        'Code | Name | Formula | M.W. | Assay | Pack | MRP',
+        'SC-1 | Sodium chloride | NaCl | 58.44 | 99.5% min | 500 g | 350',
+        'KP-1 | Potassium permanganate | KMnO4 | 158.03 | ≥ 99 % | 500 g | 620',
+      ].join('\n'),
+    ]),
+    source: { filename: 'test.pdf', pages: 1 },
+    options: { useLLM: false, persistArtifacts: false },
+  });
+  const [salt, permanganate] = result.groups[0].variants;
+  assert.deepStrictEqual(
+    [salt.molecular_formula, salt.molecular_weight, salt.assay_value, salt.assay_comparator],
+    ['NaCl', 58.44, 99.5, '>='],
+  );
+  assert.deepStrictEqual([permanganate.molecular_formula, permanganate.assay_value], ['KMnO4', 99]);
+  assert.deepStrictEqual(result.validation.errors, []);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} chemistry spec tests passed.`);
+  }
+})();
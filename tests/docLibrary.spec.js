@@ -0,0 +1,158 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import {
+  DocLibraryError,
+  deleteDoc,
+  getDoc,
+  isValidArtifactName,
+  listDocs,
+  resolveArtifactPath,
+} from '../lib/docLibrary.js';
+import { getDataDir, pathExists, readJson, writeJson } from '../lib/io.js';
+import { cancelJob, createJob } from '../lib/jobs/jobStore.js';
+import { findCachedIngest, recordIngest } from '../lib/uploadIndex.js';
+import { importRoute } from './helpers/nextRoute.js';
+
+process.env.DATA_BASE_DIR = await mkdtemp(path.join(os.tmpdir(), 'doc-library-spec-'));
+
+const artifactRoute = await importRoute('app/api/docs/[docId]/artifacts/[...name]/route.js');
+
+async function writeDoc(docId, { filename, status = 'ok', generatedAt }) {
+  await writeJson(path.join(getDataDir(docId), 'manifest.json'), {
+    docId,
+    generated_at: generatedAt,
+    source: { filename, pages: 3 },
+    extraction_version: 'v2.1.0',
+    status,
+    warnings: ['one'],
+    artifacts: {},
+  });
+}
+
+function rejectsWith(status) {
+  return error => error instanceof DocLibraryError && error.status === status;
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('listing filters by filename, status and date, newest first', async () => {
+  await writeDoc('doc-a', { filename: 'Reagents-2025.pdf', generatedAt: '2026-01-10T00:00:00.000Z' });
+  await writeDoc('doc-b', { filename: 'Glassware.pdf', status: 'partial', generatedAt: '2026-02-10T00:00:00.000Z' });
+  await writeDoc('doc-c', { filename: 'reagents-2026.pdf', generatedAt: '2026-03-10T00:00:00.000Z' });
+  const all = await listDocs();
+  assert.deepStrictEqual(all.docs.map(doc => doc.docId), ['doc-c', 'doc-b', 'doc-a']);
+  assert.deepStrictEqual([all.total, all.docs[0].filename, all.docs[0].warnings], [3, 'reagents-2026.pdf', 1]);
+  assert.deepStrictEqual((await listDocs({ filename: 'REAGENTS' })).docs.map(doc => doc.docId), ['doc-c', 'doc-a']);
+  assert.deepStrictEqual((await listDocs({ status: 'partial' })).docs.map(doc => doc.docId), ['doc-b']);
+  assert.deepStrictEqual(
+    (await listDocs({ from: '2026-02-01', to: '2026-03-01' })).docs.map(doc => doc.docId),
+    ['doc-b'],
+  );
+  await assert.rejects(() => listDocs({ from: 'last tuesday' }), rejectsWith(400));
+});
+
+test('pages are clamped and counted', async () => {
+  const second = await listDocs({ page: '2', pageSize: '2' });
+  assert.deepStrictEqual(
+    [second.docs.map(doc => doc.docId), second.page, second.pageSize, second.total, second.totalPages],
+    [['doc-a'], 2, 2, 3, 2],
+  );
+  const defaults = await listDocs({ page: '0', pageSize: 'lots' });
+  assert.deepStrictEqual([defaults.page, defaults.pageSize], [1, 20]);
+  assert.strictEqual((await listDocs({ pageSize: '5000' })).pageSize, 100);
+  assert.deepStrictEqual((await listDocs({ page: 9 })).docs, []);
+});
+
+test('doc ids and artifact names cannot leave the data directory', async () => {
+  for (const docId of ['../doc-a', 'doc-a/..', '.hidden', '', 'a'.repeat(129)]) {
+    await assert.rejects(() => getDoc(docId), rejectsWith(400), docId);
+  }
+  await assert.rejects(() => getDoc('doc-missing'), rejectsWith(404));
+  assert.deepStrictEqual(
+    [
+      'catalog.json',
+      'windows/0/final.groups.json',
+      'price_fallback/qc_report.json',
+      'jobs/abc.result.json',
+      '../manifest.json',
+      'windows/../../doc-b/manifest.json',
+      'chunks/0/chunk.json',
+      'windows/0/deep/final.json',
+      'windows/0/notes.txt',
+      '/etc/passwd.json',
+    ].map(isValidArtifactName),
+    [true, true, true, true, false, false, false, false, false, false],
+  );
+  await assert.rejects(() => resolveArtifactPath('doc-a', '../doc-b/manifest.json'), rejectsWith(400));
+  await assert.rejects(() => resolveArtifactPath('doc-a', 'windows/0/final.groups.json'), rejectsWith(404));
+});
+
+test('window, price fallback and job artifacts are listed and downloadable', async () => {
+  const dataDir = getDataDir('doc-a');
+  await writeJson(path.join(dataDir, 'artifacts', 'catalog.json'), { groups: [] });
+  await writeJson(path.join(dataDir, 'artifacts', 'price_fallback', 'qc_report.json'), { matched_rows: 4 });
+  await writeJson(path.join(dataDir, 'windows', '0', 'final.groups.json'), [{ title: 'Window 1' }]);
+  const { job } = await createJob({ docId: 'doc-a' });
+  await cancelJob(job);
+  const { artifacts } = await getDoc('doc-a');
+  assert.deepStrictEqual(artifacts, [
+    'catalog.json',
+    `jobs/${job.jobId}.json`,
+    'price_fallback/qc_report.json',
+    'windows/0/final.groups.json',
+  ]);
+  const response = await artifactRoute.GET(new Request('http://localhost/'), {
+    params: { docId: 'doc-a', name: ['windows', '0', 'final.groups.json'] },
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual(response.headers.get('content-disposition'), 'attachment; filename="final.groups.json"');
+  assert.deepStrictEqual(await response.json(), [{ title: 'Window 1' }]);
+  const escaped = await artifactRoute.GET(new Request('http://localhost/'), {
+    params: { docId: 'doc-a', name: ['..', 'doc-b', 'manifest.json'] },
+  });
+  assert.strictEqual(escaped.status, 400);
+});
+
+test('a document with a running job is not deleted; a deleted one leaves the upload index', async () => {
+  const options = { useLLM: false };
+  await recordIngest({ hash: 'f00d', docId: 'doc-b', extractionVersion: 'v2.1.0', options, result: { groups: [] } });
+  await recordIngest({ hash: 'beef', docId: 'doc-c', extractionVersion: 'v2.1.0', options, result: { groups: [] } });
+  const { job } = await createJob({ docId: 'doc-b' });
+  await assert.rejects(
+    () => deleteDoc('doc-b'),
+    error => rejectsWith(409)(error) && error.details.jobIds[0] === job.jobId,
+  );
+  assert.ok(await pathExists(getDataDir('doc-b')));
+  await cancelJob(job);
+  assert.deepStrictEqual(await deleteDoc('doc-b'), { docId: 'doc-b', deleted: true });
+  assert.strictEqual(await pathExists(getDataDir('doc-b')), false);
+  const index = await readJson(path.join(getDataDir(), 'upload-index.json'));
+  assert.deepStrictEqual(Object.keys(index), ['beef']);
+  assert.strictEqual(await findCachedIngest({ hash: 'f00d', extractionVersion: 'v2.1.0', options }), null);
+  await assert.rejects(() => deleteDoc('doc-b'), rejectsWith(404));
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  await rm(process.env.DATA_BASE_DIR, { recursive: true, force: true });
+  if (passed === tests.length) {
+    console.log(`All ${passed} document library tests passed.`);
+  }
+})();
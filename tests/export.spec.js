@@ -0,0 +1,402 @@
+import assert from 'node:assert';
+import path from 'node:path';
+import { readFile } from 'node:fs/promises';
+import { inflateRawSync } from 'node:zlib';
+
+import { toBmecat } from '../lib/exporters/bmecat.js';
+import { flattenCatalog } from '../lib/exporters/catalogRows.js';
+import { toCsv } from '../lib/exporters/csv.js';
+import { toTallyXml } from '../lib/exporters/tally.js';
+import { toXlsx } from '../lib/exporters/xlsx.js';
+import { runPriceAnchoredRecovery } from '../lib/extractors/priceAnchoredExtractor.js';
+
+const catalog = {
+  groups: [
+    {
+      title: 'Sodium Chloride AR',
+      category: 'chemicals',
+      pageStart: 4,
+      pageEnd: 4,
+      specs_headers: ['code', 'pack', 'price', 'grade'],
+      variants: [
+        {
+          code: 'SC-001',
+          cas: '7647-14-5',
+          hsn: '2501',
+          pack_size: '500 g',
+          price_value: 250,
+          price_currency: 'INR',
+          grade: 'AR',
+          _confidence: 0.9,
+          _provenance: { pageStart: 4, pageEnd: 4 },
+        },
+        {
+          code: 'SC-002',
+          pack_size: '2x 1 kg',
+          price_value: 900,
+          price_currency: 'INR',
+          grade: 'LR, "bulk"',
+          _anomaly: [{ type: 'price_spike', ratio: 3.2 }],
+        },
+      ],
+    },
+    {
+      title: 'Filter Paper: Grade 1',
+      category: 'filtration/paper',
+      specs_headers: ['code', 'diameter_mm'],
+      variants: [{ code: 'FP-1', diameter_mm: 90, price_value: 120, currency: 'INR' }],
+    },
+  ],
+};
+
+// Reads the stored entries of a zip produced by lib/exporters/zip.js.
+function readZipEntries(buffer) {
+  const entries = new Map();
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    entries.set(name, inflateRawSync(buffer.subarray(start, start + compressedSize)).toString('utf8'));
+    offset = start + compressedSize;
+  }
+  return entries;
+}
+
+async function loadFixture(name) {
+  return JSON.parse(await readFile(path.join(process.cwd(), 'tests', 'fixtures', name), 'utf8'));
+}
+
+async function loadBmecatSchema() {
+  return readXsd(await readFile(path.join(process.cwd(), 'tests', 'fixtures', 'bmecat_2005_excerpt.xsd'), 'utf8'));
+}
+
+function decodeXml(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+// Parses the exporter's element-only XML (no comments, CDATA or mixed content) into a tree.
+function parseXml(xml) {
+  const root = { name: '#document', children: [] };
+  const stack = [root];
+  const tagRe = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[\w:-]+="[^"]*")*)\s*(\/?)>|([^<]+)/g;
+  const body = xml.replace(/^<\?xml[^>]*\?>/, '');
+  let match;
+  while ((match = tagRe.exec(body))) {
+    const [, closing, name, rawAttrs, selfClosing, text] = match;
+    const current = stack[stack.length - 1];
+    if (text != null) {
+      if (text.trim()) current.text = (current.text || '') + decodeXml(text);
+      continue;
+    }
+    if (closing) {
+      assert.strictEqual(current.name, name, `mismatched closing tag </${name}>`);
+      stack.pop();
+      continue;
+    }
+    const attributes = {};
+    for (const [, key, value] of (rawAttrs || '').matchAll(/([\w:-]+)="([^"]*)"/g)) {
+      attributes[key] = decodeXml(value);
+    }
+    const node = { name, attributes, children: [] };
+    current.children.push(node);
+    if (!selfClosing) stack.push(node);
+  }
+  assert.strictEqual(stack.length, 1, 'unclosed elements');
+  return root.children[0];
+}
+
+// Reads an XSD's top-level declarations into { element: { particles, attributes, facets } }.
+// Particles are the xsd:sequence as { names, min, max }; a choice lists every name it allows.
+function readXsd(text) {
+  const tree = parseXml(text.replace(/<!--[\s\S]*?-->/g, ''));
+  const local = node => node.name.replace(/^xsd:/, '');
+  const child = (node, name) => node?.children.find(entry => local(entry) === name);
+  const bound = (node, key) =>
+    node.attributes[key] == null ? 1 : node.attributes[key] === 'unbounded' ? null : Number(node.attributes[key]);
+  const namedTypes = new Map(
+    tree.children.filter(node => local(node) === 'simpleType').map(node => [node.attributes.name, node]),
+  );
+  const facets = simpleType => {
+    const restriction = child(simpleType, 'restriction');
+    if (!restriction) return null;
+    const values = name => restriction.children.filter(node => local(node) === name).map(node => node.attributes.value);
+    const [minLength, maxLength] = ['minLength', 'maxLength'].map(name => values(name).map(Number)[0] ?? null);
+    return { patterns: values('pattern'), enumeration: values('enumeration'), minLength, maxLength };
+  };
+  const particle = node => {
+    const options = local(node) === 'choice' ? node.children : [node];
+    // A choice with a repeatable option may repeat as a whole.
+    const repeats = options.some(option => bound(option, 'maxOccurs') == null);
+    return {
+      names: options.map(option => option.attributes.ref),
+      min: bound(node, 'minOccurs'),
+      max: local(node) === 'choice' && repeats ? null : bound(node, 'maxOccurs'),
+    };
+  };
+  const attribute = node => ({
+    name: node.attributes.name,
+    required: node.attributes.use === 'required',
+    facets: facets(child(node, 'simpleType')),
+  });
+  const schema = {};
+  for (const node of tree.children.filter(entry => local(entry) === 'element')) {
+    const complex = child(node, 'complexType');
+    const extension = child(child(complex, 'simpleContent'), 'extension');
+    schema[node.attributes.name] = {
+      particles: child(complex, 'sequence')?.children.map(particle),
+      attributes: ((extension || complex)?.children || []).filter(entry => local(entry) === 'attribute').map(attribute),
+      facets: facets(extension ? namedTypes.get(extension.attributes.base) : child(node, 'simpleType')),
+    };
+  }
+  return schema;
+}
+
+function checkFacets(value, facets, label) {
+  if (!facets) return;
+  for (const pattern of facets.patterns) {
+    assert.ok(new RegExp(`^(?:${pattern})$`).test(value), `${label} "${value}" does not match ${pattern}`);
+  }
+  if (facets.enumeration.length) assert.ok(facets.enumeration.includes(value), `${label}="${value}"`);
+  const { minLength, maxLength } = facets;
+  if (minLength != null) assert.ok(value.length >= minLength, `${label} is shorter than ${minLength}`);
+  if (maxLength != null) assert.ok(value.length <= maxLength, `${label} is longer than ${maxLength}`);
+}
+
+// Checks each element against its declaration: required attributes, text facets and child sequence.
+function validateAgainstXsd(node, schema, trail = node.name) {
+  const declaration = schema[node.name];
+  assert.ok(declaration, `${trail} is not declared in the schema`);
+  for (const attribute of declaration.attributes) {
+    if (!(attribute.name in node.attributes)) {
+      assert.ok(!attribute.required, `${trail} is missing @${attribute.name}`);
+      continue;
+    }
+    checkFacets(node.attributes[attribute.name], attribute.facets, `${trail}@${attribute.name}`);
+  }
+  if (!declaration.particles) {
+    assert.strictEqual(node.children.length, 0, `${trail} should be a simple element`);
+    checkFacets(node.text || '', declaration.facets, trail);
+    return;
+  }
+  let index = 0;
+  for (const { names, min, max } of declaration.particles) {
+    let count = 0;
+    while (index < node.children.length && names.includes(node.children[index].name)) {
+      count += 1;
+      index += 1;
+    }
+    assert.ok(count >= min, `${trail} needs at least ${min} ${names.join(' | ')}`);
+    assert.ok(max == null || count <= max, `${trail} allows at most ${max} ${names.join(' | ')}`);
+  }
+  assert.strictEqual(index, node.children.length, `${trail} has unexpected <${node.children[index]?.name}>`);
+  node.children.forEach((child, position) => validateAgainstXsd(child, schema, `${trail}/${child.name}[${position}]`));
+}
+
+function findAll(node, name, out = []) {
+  if (node.name === name) out.push(node);
+  node.children.forEach(child => findAll(child, name, out));
+  return out;
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('flattens one row per variant with pack and provenance columns', () => {
+  const { columns, rows } = flattenCatalog(catalog);
+  assert.strictEqual(rows.length, 3);
+  assert.ok(columns.includes('grade'));
+  assert.ok(columns.includes('diameter_mm'));
+  assert.ok(!columns.includes('pack'), 'covered spec headers should not duplicate base columns');
+  const [first, second] = rows;
+  assert.strictEqual(first.pack_qty, 500);
+  assert.strictEqual(first.pack_unit, 'g');
+  assert.strictEqual(first.price_per_unit, 0.5);
+  assert.strictEqual(first.page_start, 4);
+  assert.strictEqual(second.pack_multiplier, 2);
+  assert.strictEqual(second.page_start, 4, 'falls back to the group page range');
+  // A price with no stated currency is not assumed to be in rupees.
+  const [unknown] = flattenCatalog({ groups: [{ title: 'X', variants: [{ code: 'X-1', price_value: 10 }] }] }).rows;
+  assert.deepStrictEqual([unknown.price_value, unknown.price_currency], [10, null]);
+});
+
+test('csv output quotes values and starts with a BOM', () => {
+  const csv = toCsv(flattenCatalog(catalog));
+  assert.ok(csv.startsWith('﻿group_title,category,code'));
+  assert.ok(csv.includes('"LR, ""bulk"""'));
+  assert.strictEqual(csv.trim().split('\r\n').length, 4);
+});
+
+test('csv and xlsx cells never start a formula', () => {
+  const hostile = {
+    groups: [
+      {
+        title: '=HYPERLINK("http://evil.example","Sodium chloride")',
+        category: 'chemicals',
+        specs_headers: ['grade'],
+        variants: [
+          { code: '@SUM(A1:A9)', name: '+cmd|" /C calc"!A0', cas: '\t7647-14-5', grade: '-2+3', price_value: -5 },
+        ],
+      },
+    ],
+  };
+  const [, row] = toCsv(flattenCatalog(hostile), { bom: false }).split('\r\n');
+  assert.ok(row.startsWith(`"'=HYPERLINK(""http://evil.example"",""Sodium chloride"")",chemicals,'@SUM(A1:A9),`));
+  assert.ok(row.includes(`"'+cmd|"" /C calc""!A0"`));
+  assert.ok(row.includes(",'\t7647-14-5,") && row.endsWith(",'-2+3"));
+  assert.ok(row.includes(',-5,'), 'numbers are not text');
+  const sheet = readZipEntries(toXlsx(hostile)).get('xl/worksheets/sheet1.xml');
+  const texts = [...sheet.matchAll(/<t xml:space="preserve">([^<]*)<\/t>/g)].map(([, text]) => text);
+  assert.ok(texts.includes("'@SUM(A1:A9)") && texts.includes("'-2+3"));
+  assert.ok(!texts.some(text => /^[=+\-@\t]/.test(text)));
+  assert.ok(sheet.includes('<v>-5</v>'));
+});
+
+test('xlsx output has one sheet per category plus warnings', () => {
+  const buffer = toXlsx(catalog, { warnings: ['llm_not_configured_falling_back_to_heuristics'] });
+  assert.strictEqual(buffer.readUInt32LE(0), 0x04034b50);
+  const entries = readZipEntries(buffer);
+  const workbook = entries.get('xl/workbook.xml');
+  assert.ok(workbook.includes('name="chemicals"'));
+  assert.ok(workbook.includes('name="filtration paper"'), 'sheet names drop characters Excel rejects');
+  assert.ok(workbook.includes('name="Warnings"'));
+  const warnings = entries.get('xl/worksheets/sheet3.xml');
+  assert.ok(warnings.includes('llm_not_configured_falling_back_to_heuristics'));
+  assert.ok(warnings.includes('price_spike'));
+  assert.ok(entries.get('xl/worksheets/sheet1.xml').includes('<v>250</v>'));
+  assert.ok(!entries.get('xl/worksheets/sheet2.xml').includes('>grade<'), 'unused spec columns are dropped per sheet');
+});
+
+test('tally export maps packs to units and rejects incomplete variants', () => {
+  const tallyCatalog = {
+    groups: [
+      {
+        title: 'Buffer Solutions',
+        category: 'reagents',
+        variants: [
+          { code: 'BS-7', name: 'Buffer pH 7 & 4', pack: '500ML', hsn: '3822', gst_percent: 18, price_value: 450 },
+          { code: 'TIP-1', name: 'Pipette Tips', pack: '10/PK', hsn: '3926 90', gst_percent: '12%', price_value: 80 },
+          { code: 'BS-9', name: 'Buffer pH 9', pack: '500ML', gst_percent: 18, price_value: 460 },
+          { code: 'BS-10', name: 'Buffer pH 10', pack: '500ML', hsn: '3822', gst_percent: 7, price_value: 470 },
+        ],
+      },
+    ],
+  };
+  const { xml, rejects, summary } = toTallyXml(tallyCatalog, { company: 'Acme Labs', rateDate: new Date('2024-04-01') });
+  assert.strictEqual(summary.stock_items, 2);
+  assert.deepStrictEqual(summary.units.sort(), ['Pkt', 'ml']);
+  assert.ok(xml.includes('<SVCURRENTCOMPANY>Acme Labs</SVCURRENTCOMPANY>'));
+  assert.ok(xml.includes('<STOCKGROUP NAME="reagents" ACTION="Create">'));
+  assert.ok(xml.includes('<PARENT>reagents</PARENT>'));
+  assert.ok(xml.includes('Buffer pH 7 &amp; 4 500ML'));
+  assert.ok(xml.includes('<RATE>0.9/ml</RATE>'));
+  assert.ok(xml.includes('<RATE>80/Pkt</RATE>'));
+  assert.ok(xml.includes('<HSNCODE>392690</HSNCODE>'));
+  assert.ok(xml.includes('<GSTRATE>6</GSTRATE>'));
+  assert.strictEqual(rejects.length, 2);
+  assert.deepStrictEqual(rejects.find(entry => entry.code === 'BS-9').missing, ['hsn']);
+  assert.deepStrictEqual(rejects.find(entry => entry.code === 'BS-10').invalid, ['gst_percent']);
+});
+
+test('bmecat export of the EUR fixture follows the BMEcat 2005 structure', async () => {
+  const pages = await loadFixture('pages-eur.json');
+  const schema = await loadBmecatSchema();
+  const { groups } = runPriceAnchoredRecovery(pages, { docId: 'eur-fixture', minimumConfidence: 0 });
+  const { xml, summary, rejects } = toBmecat({ groups }, { catalogId: 'eur-fixture', supplierName: 'EU Labs' });
+  const tree = parseXml(xml);
+  assert.strictEqual(tree.name, 'BMECAT');
+  assert.strictEqual(tree.attributes.xmlns, 'http://www.bmecat.org/bmecat/2005');
+  validateAgainstXsd(tree, schema);
+
+  assert.strictEqual(rejects.length, 0);
+  assert.strictEqual(summary.products, 3);
+  assert.deepStrictEqual(summary.currencies, ['EUR']);
+  const products = findAll(tree, 'PRODUCT');
+  const first = products[0];
+  const text = name => findAll(first, name)[0]?.text;
+  assert.strictEqual(text('DESCRIPTION_SHORT'), 'Standard Buffer Solution');
+  assert.strictEqual(text('PRICE_AMOUNT'), '45.50');
+  assert.strictEqual(text('PRICE_CURRENCY'), 'EUR');
+  assert.strictEqual(text('CONTENT_UNIT'), 'MLT');
+  assert.strictEqual(text('NO_CU_PER_OU'), '500');
+  const leafIds = findAll(tree, 'CATALOG_STRUCTURE')
+    .filter(node => node.attributes.type === 'leaf')
+    .map(node => findAll(node, 'GROUP_ID')[0].text);
+  const mapped = findAll(tree, 'CATALOG_GROUP_ID').map(node => node.text);
+  assert.ok(mapped.every(id => leafIds.includes(id)), 'products map only to leaf groups');
+});
+
+test('bmecat export writes supplier pids and spec features', async () => {
+  const schema = await loadBmecatSchema();
+  const { xml, rejects } = toBmecat(catalog, { catalogId: 'inr' });
+  const tree = parseXml(xml);
+  validateAgainstXsd(tree, schema);
+  const pids = findAll(tree, 'SUPPLIER_PID').map(node => node.text);
+  assert.deepStrictEqual(pids, ['SC-001', 'SC-002', 'FP-1']);
+  assert.strictEqual(rejects.length, 0);
+  const [first] = findAll(tree, 'PRODUCT');
+  const features = findAll(first, 'FEATURE').map(node => [
+    findAll(node, 'FNAME')[0].text,
+    findAll(node, 'FVALUE')[0].text,
+  ]);
+  assert.deepStrictEqual(features, [['Grade', 'AR'], ['CAS number', '7647-14-5'], ['HS code', '2501']]);
+  assert.deepStrictEqual(
+    ['REFERENCE_FEATURE_SYSTEM_NAME', 'REFERENCE_FEATURE_GROUP_ID'].map(name => findAll(first, name)[0].text),
+    ['no_cas_system', findAll(tree, 'CATALOG_GROUP_ID')[0].text],
+  );
+  // Codes past the 32-character limit are shortened, kept as the alternative pid and reported.
+  const longCode = suffix => `BOROSILICATE-FLASK-ASSEMBLY-${suffix}`;
+  const longer = `${longCode('KIT')}-WITH-STOPPER-AND-CLAMP-SET`;
+  const shortened = toBmecat({
+    groups: [
+      {
+        title: 'Flask kits',
+        variants: [longCode('250ML'), longCode('500ML'), longer].map(code => ({
+          code,
+          price_value: 900,
+          price_currency: 'INR',
+        })),
+      },
+    ],
+  });
+  const shortenedTree = parseXml(shortened.xml);
+  validateAgainstXsd(shortenedTree, schema);
+  const shortPids = findAll(shortenedTree, 'SUPPLIER_PID').map(node => node.text);
+  assert.strictEqual(new Set(shortPids).size, 3);
+  assert.ok(shortPids.every(pid => pid.length === 32 && pid.startsWith('BOROSILICATE-FLASK-ASSE-')));
+  assert.deepStrictEqual(
+    findAll(shortenedTree, 'SUPPLIER_ALT_PID').map(node => node.text),
+    [longCode('250ML'), longCode('500ML')],
+  );
+  assert.deepStrictEqual(
+    shortened.summary.shortened_pids.map(entry => entry.code),
+    [longCode('250ML'), longCode('500ML'), longer],
+  );
+  assert.deepStrictEqual(findAll(shortenedTree, 'PROD_ID').map(node => node.text), shortPids);
+  const { rejects: unpriced } = toBmecat({
+    groups: [{ title: 'X', variants: [{ code: 'NOPRICE' }, { code: 'NOCURRENCY', price_value: 10 }] }],
+  });
+  assert.deepStrictEqual(unpriced.map(entry => entry.reason), ['missing_price', 'missing_currency']);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} export tests passed.`);
+  }
+})();
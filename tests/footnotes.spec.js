@@ -0,0 +1,147 @@
+import assert from 'node:assert';
+
+import { collectFootnoteDefinitions, splitMarkers } from '../lib/footnotes.js';
+import { assembleGroupsFromSegments } from '../lib/groupAssembler.js';
+import { segmentTextPages } from '../lib/pdfSegmenter.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { postProcess } from '../lib/postProcessor.js';
+import { labelSegments } from '../lib/segmentLabeler.js';
+
+const FLASKS = [
+  'VOLUMETRIC FLASKS',
+  'Code | Capacity | Price',
+  'VF-10 | 10 ml | 210',
+  'VF-25# | 25 ml | 240',
+  'VF-1000 | 1000 ml | 1,850*',
+  '',
+  '* Price on request for amber glass',
+  '',
+  '# Supplied with glass stopper',
+].join('\n');
+
+async function assemble(texts) {
+  const pages = segmentTextPages(texts);
+  const labeled = await labelSegments(pages, { useLLM: false });
+  return assembleGroupsFromSegments(pages, labeled).groups;
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('markers come off cell values and definitions are read from running text', () => {
+  assert.deepStrictEqual(splitMarkers('1,850*'), { value: '1,850', markers: ['*'] });
+  assert.deepStrictEqual(splitMarkers('VF-25#†'), { value: 'VF-25', markers: ['#', '†'] });
+  assert.deepStrictEqual(splitMarkers('390²'), { value: '390', markers: ['2'] });
+  // A leading "#" is part of a code, and a lone marker is a value of its own.
+  assert.deepStrictEqual(splitMarkers('#1234'), { value: '#1234', markers: [] });
+  assert.deepStrictEqual(splitMarkers('*'), { value: '*', markers: [] });
+  const definitions = collectFootnoteDefinitions([
+    'Borosilicate glass. * Price on request # Supplied with stopper',
+    '² Ex-works Mumbai',
+    '* Later definitions do not replace earlier ones',
+  ]);
+  assert.deepStrictEqual(Object.fromEntries(definitions), {
+    '*': 'Price on request',
+    '#': 'Supplied with stopper',
+    2: 'Ex-works Mumbai',
+  });
+});
+
+test('table cells link their markers to the page footnotes', async () => {
+  const groups = await assemble([FLASKS]);
+  // "# Supplied with glass stopper" does not open a group of its own.
+  assert.strictEqual(groups.length, 1);
+  const [, stoppered, large] = groups[0].variants;
+  assert.deepStrictEqual(stoppered, {
+    code: 'VF-25',
+    capacity: '25 ml',
+    price_inr: 240,
+    footnotes: [{ marker: '#', field: 'code', text: 'Supplied with glass stopper' }],
+  });
+  assert.strictEqual(large.price_inr, 1850);
+  assert.deepStrictEqual(large.footnotes, [
+    { marker: '*', field: 'price_inr', text: 'Price on request for amber glass' },
+  ]);
+  assert.strictEqual(groups[0].variants[0].footnotes, undefined);
+});
+
+test('a definition printed under the next product still reaches the marked variant', async () => {
+  const groups = await assemble([
+    [
+      'VOLUMETRIC FLASKS',
+      'Code | Capacity | Price',
+      'VF-10 | 10 ml | 210*',
+      'VF-25 | 25 ml | 240',
+      '',
+      'GLASS BEAKERS',
+      'Code | Capacity | Price',
+      'BK-50 | 50 ml | 90',
+      'BK-100 | 100 ml | 110',
+      '',
+      '* Ex-works price',
+      '',
+      '§ Unknown marker',
+    ].join('\n'),
+  ]);
+  assert.deepStrictEqual(
+    groups.map(group => group.title),
+    ['VOLUMETRIC FLASKS', 'GLASS BEAKERS'],
+  );
+  assert.deepStrictEqual(groups[0].variants[0].footnotes, [
+    { marker: '*', field: 'price_inr', text: 'Ex-works price' },
+  ]);
+});
+
+test('postProcess resolves markers left on raw cells and reports unknown ones', async () => {
+  const [group] = await postProcess([
+    {
+      title: 'Sulphuric Acid',
+      notes: ['* Price on request'],
+      variants: [
+        { code: 'SA789', pack_size: '500 ml', price_mrp: '350*', price_mrp_value: 350 },
+        { code: 'SA790†', pack_size: '2.5 L', price_mrp: '1200', price_mrp_value: 1200 },
+      ],
+    },
+  ]);
+  const [first, second] = group.variants;
+  assert.strictEqual(first.price_mrp, '350');
+  assert.strictEqual(first.price_mrp_value, 350);
+  assert.deepStrictEqual(first.footnotes, [{ marker: '*', field: 'price_mrp', text: 'Price on request' }]);
+  assert.strictEqual(second.code, 'SA790');
+  assert.strictEqual(second.footnotes, undefined);
+  assert.ok(group._warnings.includes('footnote_unresolved:†'));
+});
+
+test('footnotes survive the pipeline and its validation', async () => {
+  const result = await runCatalogPipeline({
+    docId: 'footnotes-test',
+    pages: segmentTextPages([FLASKS]),
+    source: { filename: 'test.pdf', pages: 1 },
+    options: { useLLM: false, persistArtifacts: false },
+  });
+  const variant = result.groups[0].variants.find(entry => entry.code === 'VF-1000');
+  assert.deepStrictEqual(variant.footnotes, [
+    { marker: '*', field: 'price_inr', text: 'Price on request for amber glass' },
+  ]);
+  assert.deepStrictEqual(result.validation.errors, []);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} footnote tests passed.`);
+  }
+})();
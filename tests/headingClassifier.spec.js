@@ -0,0 +1,138 @@
+import assert from 'node:assert';
+
+import { assembleGroupsFromSegments } from '../lib/groupAssembler.js';
+import { classifyHeadings, deriveHeadingScale } from '../lib/headingClassifier.js';
+import { segmentPageText } from '../lib/pdfSegmenter.js';
+import { labelSegments } from '../lib/segmentLabeler.js';
+
+const BODY = { name: 'Arial', size: 9, bold: false, italic: false };
+const CAPTION = { name: 'Arial-Bold', size: 9, bold: true, italic: false };
+const FAMILY = { name: 'Arial-Bold', size: 14, bold: true, italic: false };
+const CHAPTER = { name: 'Arial-Bold', size: 20, bold: true, italic: false };
+
+function line(text, font) {
+  return { text, raw: text, bbox: null, tokens: [], font };
+}
+
+function buildPages() {
+  const pages = [
+    segmentPageText('', 1, {
+      lineItems: [
+        line('Volumetric Glassware', CHAPTER),
+        line('Volumetric Flasks, Class A', FAMILY),
+        line('Borosilicate glass with interchangeable stopper, individually', BODY),
+        line('calibrated and batch certified to ISO 1042.', BODY),
+        line('Code | Capacity | Price', BODY),
+        line('VF-10 | 10 ml | 210', BODY),
+        line('VF-25 | 25 ml | 240', BODY),
+      ],
+    }),
+    segmentPageText('', 2, {
+      lineItems: [
+        line('Measuring Cylinders, Class B', FAMILY),
+        line('Hexagonal base, moulded graduations, supplied in boxes of two.', BODY),
+        line('Graduated, with spout', CAPTION),
+        line('Code | Capacity | Price', BODY),
+        line('MC-50 | 50 ml | 180', BODY),
+        line('MC-100 | 100 ml | 220', BODY),
+        line('Tall form, without spout', CAPTION),
+        line('Code | Capacity | Price', BODY),
+        line('MC-250 | 250 ml | 310', BODY),
+        line('MC-500 | 500 ml | 420', BODY),
+      ],
+    }),
+  ];
+  return pages;
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('a change of font style starts a new text block', () => {
+  const [page] = buildPages();
+  assert.deepStrictEqual(
+    page.textBlocks.map(block => block.text),
+    [
+      'Volumetric Glassware',
+      'Volumetric Flasks, Class A',
+      'Borosilicate glass with interchangeable stopper, individually calibrated and batch certified to ISO 1042.',
+    ],
+  );
+  assert.deepStrictEqual(page.textBlocks[1].font, FAMILY);
+  assert.deepStrictEqual(page.segments.find(segment => segment.id === page.textBlocks[1].id).font, FAMILY);
+});
+
+test('font sizes are ranked per document into heading levels', () => {
+  const pages = buildPages();
+  const scale = classifyHeadings(pages);
+  assert.strictEqual(scale.bodySize, 9);
+  assert.deepStrictEqual(scale.levels, [
+    { level: 1, size: 20 },
+    { level: 2, size: 14 },
+  ]);
+  const levels = pages.flatMap(page => page.textBlocks.map(block => [block.text, block.heading?.level ?? null]));
+  assert.deepStrictEqual(levels, [
+    ['Volumetric Glassware', 1],
+    ['Volumetric Flasks, Class A', 2],
+    ['Borosilicate glass with interchangeable stopper, individually calibrated and batch certified to ISO 1042.', null],
+    ['Measuring Cylinders, Class B', 2],
+    ['Hexagonal base, moulded graduations, supplied in boxes of two.', null],
+    ['Graduated, with spout', 3],
+    ['Tall form, without spout', 3],
+  ]);
+  assert.strictEqual(pages[1].segments.find(segment => segment.text === 'Graduated, with spout').heading.source, 'font_weight');
+  assert.deepStrictEqual(scale.counts, { 1: 1, 2: 2, 3: 2 });
+});
+
+test('a single heading size maps to the product family level', () => {
+  const pages = [
+    segmentPageText('', 1, {
+      lineItems: [
+        line('Burettes', FAMILY),
+        line('Straight bore with PTFE key stopcock and blue graduations', BODY),
+        line('throughout, supplied with individual work certificate', BODY),
+      ],
+    }),
+  ];
+  assert.deepStrictEqual(deriveHeadingScale(pages).levels, [{ level: 2, size: 14 }]);
+});
+
+test('pages without font information are left alone', () => {
+  const pages = [segmentPageText('VOLUMETRIC FLASKS\nCode | Capacity | Price\nVF-10 | 10 ml | 210', 1)];
+  assert.strictEqual(classifyHeadings(pages), null);
+  assert.ok(pages[0].textBlocks.every(block => !block.heading));
+});
+
+test('mixed-case headings open groups and captions stay inside them', async () => {
+  const pages = buildPages();
+  classifyHeadings(pages);
+  const labeled = await labelSegments(pages, { useLLM: false });
+  const { groups } = assembleGroupsFromSegments(pages, labeled);
+  assert.deepStrictEqual(
+    groups.map(group => [group.title, group.variants.length]),
+    [
+      ['Volumetric Flasks, Class A', 2],
+      ['Measuring Cylinders, Class B', 4],
+    ],
+  );
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} heading tests passed.`);
+  }
+})();
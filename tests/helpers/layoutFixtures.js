@@ -0,0 +1,38 @@
+/**
+ * pdf.js-style glyph runs and line items for the layout specs. Every glyph is
+ * CHAR_WIDTH wide and every line LINE_HEIGHT tall, so a run's box follows
+ * from its text and origin; y grows up the page, as in pdf.js.
+ */
+
+export const CHAR_WIDTH = 5;
+export const LINE_HEIGHT = 10;
+
+/** A text run at (x, y). */
+export function token(text, x, y) {
+  const bbox = { x, y, width: text.length * CHAR_WIDTH, height: LINE_HEIGHT };
+  return { text, bbox, centerX: x + bbox.width / 2, centerY: y + LINE_HEIGHT / 2 };
+}
+
+function lineItem(y, tokens) {
+  const text = tokens.map(entry => entry.text).join(' ');
+  const x0 = Math.min(...tokens.map(entry => entry.bbox.x));
+  const x1 = Math.max(...tokens.map(entry => entry.bbox.x + entry.bbox.width));
+  return { text, raw: text, bbox: { x: x0, y, width: x1 - x0, height: LINE_HEIGHT }, tokens };
+}
+
+/** A line item from [text, x] runs on one baseline. */
+export function line(y, ...runs) {
+  return lineItem(y, runs.map(([text, x]) => token(text, x, y)));
+}
+
+/** Groups tokens into line items by baseline, top of page first. */
+export function toLineItems(tokens) {
+  const byY = new Map();
+  for (const entry of tokens) {
+    if (!byY.has(entry.bbox.y)) byY.set(entry.bbox.y, []);
+    byY.get(entry.bbox.y).push(entry);
+  }
+  return [...byY.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([y, lineTokens]) => lineItem(y, lineTokens.sort((a, b) => a.bbox.x - b.bbox.x)));
+}
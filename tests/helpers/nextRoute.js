@@ -0,0 +1,25 @@
+/**
+ * Loads Next.js route handlers under plain node: `@/` resolves from the repo
+ * root, as jsconfig.json maps it, and `next/server` to its file, since Next
+ * 14 ships no exports map. The hooks run in node's loader thread once
+ * `importRoute` has registered this module.
+ */
+import { register } from 'node:module';
+
+const ROOT = new URL('../../', import.meta.url);
+let registered = false;
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('@/')) return nextResolve(new URL(specifier.slice(2), ROOT).href, context);
+  if (specifier === 'next/server') return nextResolve('next/server.js', context);
+  return nextResolve(specifier, context);
+}
+
+/** Imports a route module by its path from the repo root, e.g. 'app/api/ingest/parse/route.js'. */
+export async function importRoute(routePath) {
+  if (!registered) {
+    register(import.meta.url);
+    registered = true;
+  }
+  return import(new URL(routePath, ROOT).href);
+}
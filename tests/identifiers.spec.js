@@ -0,0 +1,125 @@
+import assert from 'node:assert';
+
+import { checkIdentifier, findIdentifier, isValidCas, isValidEc, isValidGtin } from '../lib/identifiers.js';
+import { segmentTextPages } from '../lib/pdfSegmenter.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { postProcess } from '../lib/postProcessor.js';
+import { normalizeGroupSpecs } from '../lib/specNormalizer.js';
+
+function auditFor(variant, rule) {
+  return (variant._audit || []).filter(entry => entry.rule === rule && entry.action === 'checksum');
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('check digits separate real identifiers from lookalikes', () => {
+  assert.ok(isValidCas('7647-14-5'));
+  assert.ok(isValidCas('67-64-1'));
+  assert.ok(!isValidCas('7647-14-6'));
+  assert.ok(isValidEc('231-598-3'));
+  assert.ok(!isValidEc('231-598-8'));
+  assert.ok(isValidGtin('4006381333931'));
+  assert.ok(isValidGtin('96385074'));
+  assert.ok(!isValidGtin('4006381333981'));
+  assert.ok(!isValidCas(null));
+  assert.deepStrictEqual(checkIdentifier('cas', 'sodium chloride'), {
+    kind: 'cas',
+    value: 'sodiumchloride',
+    shape: false,
+    valid: false,
+    suggestion: null,
+  });
+  assert.throws(() => checkIdentifier('isbn', '978-3-16-148410-0'), /Unknown identifier kind/);
+});
+
+test('a single OCR slip is offered as a fix only when it is the only one', () => {
+  // 8 read for 5 in the check digit; 3 read for 9; 6 read for 8.
+  assert.strictEqual(checkIdentifier('cas', '64-17-8').suggestion, '64-17-5');
+  assert.strictEqual(checkIdentifier('ec', '231-538-3').suggestion, '231-598-3');
+  // 1/7 and 6/8 each give a passing number, so neither is offered.
+  const ambiguous = checkIdentifier('cas', '7732-16-5');
+  assert.deepStrictEqual([ambiguous.shape, ambiguous.valid, ambiguous.suggestion], [true, false, null]);
+});
+
+test('common transpositions and typing slips get a fix; swaps never cross a hyphen', () => {
+  assert.deepStrictEqual(
+    ['46-17-5', '64-71-5', '7647-41-5', '64-17-6'].map(value => checkIdentifier('cas', value).suggestion),
+    ['64-17-5', '64-17-5', '7647-14-5', '64-17-5'],
+  );
+  // 4 and 1 sit either side of a hyphen, so 64-17-5 is not a candidate; 7 and 4 swap within their segment.
+  assert.strictEqual(checkIdentifier('cas', '61-47-5').suggestion, '61-74-5');
+});
+
+test('the first identifier with a valid check digit wins', () => {
+  assert.strictEqual(findIdentifier('cas', 'NaCl 7647-14-6, ref. 7647-14-5'), '7647-14-5');
+  assert.strictEqual(findIdentifier('cas', 'NaCl 7647-14-6'), '7647-14-6');
+  assert.strictEqual(findIdentifier('ec', 'no identifiers here'), null);
+});
+
+test('postProcess flags failed check digits and only rewards valid identifiers', async () => {
+  const [group] = await postProcess([
+    {
+      title: 'Ethanol and Sodium Chloride',
+      variants: [
+        { code: 'SC-1', cas: '7647-14-5', ec: '231-598-3', pack_size: '500 g', price_mrp: '350' },
+        { code: 'ET-2', cas: '64-17-8', ec: '231-538-3', pack_size: '1 kg', price_mrp: '600' },
+        { code: 'SC-3', ean: '4006381333981', pack_size: '5 kg', price_mrp: '2,400' },
+      ],
+    },
+  ]);
+  const [valid, mangled, barcode] = group.variants;
+  assert.strictEqual(valid._audit.filter(entry => entry.action === 'checksum').length, 0);
+  assert.deepStrictEqual(
+    [...auditFor(mangled, 'cas'), ...auditFor(mangled, 'ec')].map(entry => entry.notes),
+    [
+      'check digit fails for 64-17-8; did you mean 64-17-5?',
+      'check digit fails for 231-538-3; did you mean 231-598-3?',
+    ],
+  );
+  // The value stays for review; it just earns nothing.
+  assert.strictEqual(mangled.cas, '64-17-8');
+  assert.deepStrictEqual([valid._confidence, mangled._confidence].map(score => score.toFixed(2)), ['0.85', '0.65']);
+  assert.strictEqual(auditFor(barcode, 'ean').length, 1);
+  assert.strictEqual(barcode._confidence, mangled._confidence);
+
+  const result = await runCatalogPipeline({
+    docId: 'identifiers-test',
+    pages: segmentTextPages([['SODIUM CHLORIDE', 'Code | CAS | Pack | MRP', 'SC-1 | 7647-14-8 | 500 g | 350'].join('\n')]),
+    source: { filename: 'test.pdf', pages: 1 },
+    options: { useLLM: false, persistArtifacts: false },
+  });
+  assert.strictEqual(auditFor(result.groups[0].variants[0], 'cas').length, 1);
+  assert.deepStrictEqual(result.validation.errors, []);
+});
+
+test('spec normalisation prefers the identifier whose check digit holds', async () => {
+  const [group] = await normalizeGroupSpecs([
+    {
+      title: 'Acetone',
+      description: 'Acetone, CAS 67-46-1 (see 67-64-1)',
+      variants: [{ code: 'AC-1', pack_size: '500 ml', price_mrp: '300' }],
+    },
+  ]);
+  assert.strictEqual(group.variants[0].cas, '67-64-1');
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} identifier tests passed.`);
+  }
+})();
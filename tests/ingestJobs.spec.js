@@ -0,0 +1,153 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import { spawn } from 'node:child_process';
+import { randomUUID } from 'node:crypto';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import { getDataDir, writeJson } from '../lib/io.js';
+import { createJob, loadJob } from '../lib/jobs/jobStore.js';
+import { importRoute } from './helpers/nextRoute.js';
+
+process.env.DATA_BASE_DIR = await mkdtemp(path.join(os.tmpdir(), 'ingest-jobs-spec-'));
+process.env.INGEST_LLM_ENABLED = 'false';
+
+const parseRoute = await importRoute('app/api/ingest/parse/route.js');
+const jobRoute = await importRoute('app/api/ingest/jobs/[jobId]/route.js');
+
+const CATALOG = [
+  'LABORATORY REAGENTS',
+  'Code | Name | Pack | MRP',
+  'SC-1 | Sodium chloride AR | 500 g | 350',
+  'AC-1 | Acetone | 500 ml | 300',
+].join('\n');
+
+function startJob(docId, body = { pages: [CATALOG] }) {
+  return parseRoute.POST(
+    new Request(`http://localhost/api/ingest/parse?async=true&docId=${docId}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    }),
+  );
+}
+
+async function poll(jobId) {
+  const response = await jobRoute.GET(new Request(`http://localhost/api/ingest/jobs/${jobId}`), {
+    params: { jobId },
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function waitForJob(jobId, statuses = ['completed', 'failed', 'cancelled', 'interrupted']) {
+  for (let attempt = 0; attempt < 250; attempt += 1) {
+    const { body } = await poll(jobId);
+    if (statuses.includes(body.status)) return body;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`job ${jobId} never reached ${statuses.join('/')}`);
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('an async ingest answers 202 and the job can be polled to its result', async () => {
+  const response = await startJob('job-create');
+  assert.strictEqual(response.status, 202);
+  const accepted = await response.json();
+  assert.deepStrictEqual(
+    [accepted.docId, accepted.status, accepted.status_url],
+    ['job-create', 'queued', `/api/ingest/jobs/${accepted.jobId}`],
+  );
+  const done = await waitForJob(accepted.jobId);
+  assert.strictEqual(done.status, 'completed');
+  assert.strictEqual(done.progress.stage, 'done');
+  assert.strictEqual(done.result_path, undefined);
+  assert.deepStrictEqual(
+    done.result.groups[0].variants.map(variant => variant.code),
+    ['SC-1', 'AC-1'],
+  );
+  assert.strictEqual((await poll('no-such-job')).status, 404);
+  assert.strictEqual((await poll('../escape')).status, 400);
+});
+
+test('a cancelled job stops and stays cancelled', async () => {
+  const accepted = await (await startJob('job-cancel')).json();
+  const response = await jobRoute.DELETE(new Request(`http://localhost/api/ingest/jobs/${accepted.jobId}`), {
+    params: { jobId: accepted.jobId },
+  });
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).status, 'cancelled');
+  // Give the catalog run time to reach its next checkpoint; it must not complete the job.
+  await new Promise(resolve => setTimeout(resolve, 300));
+  const { body } = await poll(accepted.jobId);
+  assert.deepStrictEqual([body.status, body.result], ['cancelled', undefined]);
+  const again = await jobRoute.DELETE(new Request(`http://localhost/api/ingest/jobs/${accepted.jobId}`), {
+    params: { jobId: accepted.jobId },
+  });
+  assert.strictEqual(again.status, 409);
+});
+
+test('PDF extraction runs in the job, after the 202', async () => {
+  const form = new FormData();
+  form.append('file', new Blob([Buffer.from('not a pdf')], { type: 'application/pdf' }), 'broken.pdf');
+  const response = await parseRoute.POST(
+    new Request('http://localhost/api/ingest/parse?async=true&docId=job-upload', { method: 'POST', body: form }),
+  );
+  assert.strictEqual(response.status, 202);
+  const failed = await waitForJob((await response.json()).jobId);
+  assert.strictEqual(failed.status, 'failed');
+  assert.match(failed.error.message, /^PDF parsing failed/);
+});
+
+test('a job is interrupted only when no live process owns it', async () => {
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 60000)']);
+  const jobsDir = path.join(getDataDir('job-owner'), 'jobs');
+  const writeRunningJob = async owner => {
+    const jobId = randomUUID();
+    await writeJson(path.join(jobsDir, `${jobId}.json`), { jobId, docId: 'job-owner', status: 'running', owner });
+    return jobId;
+  };
+  try {
+    const ownedElsewhere = await writeRunningJob({ pid: child.pid, instance: 'another-process' });
+    // Same pid as this process but another instance: a restart that reused the pid.
+    const orphaned = await writeRunningJob({ pid: process.pid, instance: 'before-restart' });
+    const ownerless = await writeRunningJob(undefined);
+    assert.strictEqual((await loadJob(ownedElsewhere)).status, 'running');
+    assert.strictEqual((await loadJob(orphaned)).status, 'interrupted');
+    assert.strictEqual((await loadJob(ownerless)).status, 'interrupted');
+  } finally {
+    child.kill();
+  }
+});
+
+test('jobs created through one copy of the store are live in another', async () => {
+  // Next.js bundles each route on its own; a second module instance stands in for the jobs route.
+  const otherStore = await import(`../lib/jobs/jobStore.js?copy=${Date.now()}`);
+  const { job, signal } = await createJob({ docId: 'job-shared' });
+  assert.strictEqual((await otherStore.loadJob(job.jobId)).status, 'queued');
+  await otherStore.cancelJob(job);
+  assert.ok(signal.aborted);
+  assert.strictEqual((await loadJob(job.jobId)).status, 'cancelled');
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  await rm(process.env.DATA_BASE_DIR, { recursive: true, force: true });
+  if (passed === tests.length) {
+    console.log(`All ${passed} ingest job tests passed.`);
+  }
+})();
@@ -0,0 +1,159 @@
+import assert from 'node:assert';
+import path from 'node:path';
+
+import { assembleGroupsFromSegments } from '../lib/groupAssembler.js';
+import { interpretMatrixTable } from '../lib/matrixTable.js';
+import { loadPatternRegistry, PatternEngine } from '../lib/patterns/engine.js';
+import { segmentTextPages } from '../lib/pdfSegmenter.js';
+import { labelSegments } from '../lib/segmentLabeler.js';
+import { assembleVariants } from '../lib/variantAssembler.js';
+
+const BEAKERS = [
+  'GLASS BEAKERS',
+  'Grade | 50 ml | 100 ml | 250 ml',
+  'Borosilicate | 90 | 110 | 150',
+  'Polypropylene | 40 | 55 | -',
+].join('\n');
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('a size header row and a label column explode into one row per priced cell', () => {
+  const matrix = interpretMatrixTable(
+    ['Grade', '50 ml', '100 ml', '250 ml'],
+    [
+      ['Borosilicate', '90', '110', '150'],
+      ['Polypropylene', '40', '55', '-'],
+    ],
+  );
+  assert.strictEqual(matrix.layout, 'matrix');
+  assert.deepStrictEqual(matrix.header, ['Grade', 'Capacity', 'Price']);
+  assert.deepStrictEqual(matrix.axis, { name: 'Capacity', values: ['50 ml', '100 ml', '250 ml'] });
+  assert.deepStrictEqual(matrix.rows, [
+    ['Borosilicate', '50 ml', '90'],
+    ['Borosilicate', '100 ml', '110'],
+    ['Borosilicate', '250 ml', '150'],
+    ['Polypropylene', '50 ml', '40'],
+    ['Polypropylene', '100 ml', '55'],
+  ]);
+  // Bare sizes take the unit from the label header, which then names the axis.
+  const bare = interpretMatrixTable(['Capacity (ml)', '25', '50'], [['Tall form', '120', '135']]);
+  assert.deepStrictEqual(bare.header, ['Description', 'Capacity', 'Price']);
+  assert.deepStrictEqual(bare.rows, [
+    ['Tall form', '25 ml', '120'],
+    ['Tall form', '50 ml', '135'],
+  ]);
+});
+
+test('ordinary, headerless and sideways tables are told apart', () => {
+  assert.strictEqual(interpretMatrixTable(['Code', 'Capacity', 'Price'], [['VF-10', '10 ml', '210']]), null);
+  // The first data row of a headerless table is not a size header.
+  assert.strictEqual(interpretMatrixTable(['VF-50', '50', '260'], [['VF-100', '100', '290']]), null);
+  // Sizes in the body are not prices.
+  assert.strictEqual(interpretMatrixTable(['Joint', '50 ml', '100 ml'], [['14/23', '50 ml', '100 ml']]), null);
+  const sideways = interpretMatrixTable(
+    ['Capacity (ml)', '50', '100', '250'],
+    [
+      ['Cat No', 'BK-50', 'BK-100', 'BK-250'],
+      ['Price', '90', '110', 'on request'],
+    ],
+  );
+  assert.strictEqual(sideways.layout, 'transposed');
+  assert.deepStrictEqual(sideways.header, ['Capacity (ml)', 'Cat No', 'Price']);
+  assert.deepStrictEqual(sideways.rows, [
+    ['50', 'BK-50', '90'],
+    ['100', 'BK-100', '110'],
+  ]);
+});
+
+test('segment tables become one variant per cell with both axes as specs', async () => {
+  const pages = segmentTextPages([BEAKERS]);
+  const labeled = await labelSegments(pages, { useLLM: false });
+  const { groups, notes } = assembleGroupsFromSegments(pages, labeled);
+  assert.strictEqual(groups.length, 1);
+  assert.deepStrictEqual(groups[0].specs_headers, ['grade', 'capacity', 'price_inr']);
+  assert.deepStrictEqual(groups[0].variants, [
+    { grade: 'Borosilicate', capacity: '50 ml', price_inr: 90 },
+    { grade: 'Borosilicate', capacity: '100 ml', price_inr: 110 },
+    { grade: 'Borosilicate', capacity: '250 ml', price_inr: 150 },
+    { grade: 'Polypropylene', capacity: '50 ml', price_inr: 40 },
+    { grade: 'Polypropylene', capacity: '100 ml', price_inr: 55 },
+  ]);
+  assert.ok(notes.some(note => note.type === 'product_table' && note.hint === 'layout:matrix'));
+});
+
+test('assembleVariants explodes matrix and sideways blocks', () => {
+  const group = {
+    title: 'Beakers',
+    blocks: [
+      { type: 'text', text: 'Beakers, low form' },
+      { type: 'table_row', text: 'Material | 500 g | 1 kg' },
+      { type: 'table_row', text: 'Sodium chloride AR | 350 | 600' },
+      { type: 'table_row', text: 'Sodium chloride LR | 250 | 250' },
+    ],
+  };
+  assembleVariants(group);
+  // Two cells with the same price are still two variants.
+  assert.deepStrictEqual(
+    group.variants.map(variant => [variant.material, variant.pack_size, variant.pack_qty, variant.price_mrp_value]),
+    [
+      ['Sodium chloride AR', '500 g', 500, 350],
+      ['Sodium chloride AR', '1 kg', 1, 600],
+      ['Sodium chloride LR', '500 g', 500, 250],
+      ['Sodium chloride LR', '1 kg', 1, 250],
+    ],
+  );
+
+  const sideways = {
+    title: 'Beakers',
+    blocks: [
+      { type: 'table_row', text: 'Size | 50 ml | 100 ml' },
+      { type: 'table_row', text: 'Cat No | BK-50 | BK-100' },
+      { type: 'table_row', text: 'Price | 90 | 110' },
+    ],
+  };
+  assembleVariants(sideways);
+  assert.deepStrictEqual(
+    sideways.variants.map(variant => [variant.code, variant.pack_size, variant.price_mrp_value]),
+    [
+      ['BK-50', '50 ml', 90],
+      ['BK-100', '100 ml', 110],
+    ],
+  );
+});
+
+test('the pattern engine reads a matrix as name, pack and price rows', async () => {
+  const registry = await loadPatternRegistry(path.join(process.cwd(), 'patterns'));
+  const engine = new PatternEngine(registry.patterns);
+  const result = engine.matchPages(segmentTextPages([BEAKERS]), { docId: 'matrix-test' });
+  assert.deepStrictEqual(
+    result.groups[0].variants.map(variant => [variant.name, variant.pack, variant.price_value]),
+    [
+      ['Borosilicate', '50 ml', 90],
+      ['Borosilicate', '100 ml', 110],
+      ['Borosilicate', '250 ml', 150],
+      ['Polypropylene', '50 ml', 40],
+      ['Polypropylene', '100 ml', 55],
+    ],
+  );
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} matrix table tests passed.`);
+  }
+})();
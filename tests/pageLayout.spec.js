@@ -0,0 +1,131 @@
+import assert from 'node:assert';
+
+import { analysePageLayout } from '../lib/pageLayout.js';
+import { segmentPageText } from '../lib/pdfSegmenter.js';
+import { token, toLineItems } from './helpers/layoutFixtures.js';
+
+// Two product columns whose baselines drift apart, under a full-width banner.
+const BROCHURE = [
+  token('Laboratory Glassware and Plasticware Catalogue 2024', 40, 760),
+  ...[
+    'Beakers, low form',
+    'Borosilicate 3.3 glass',
+    'Graduated with spout',
+    '50 ml to 5000 ml',
+    'Autoclavable',
+    'Packed in cartons',
+  ].map((text, index) => token(text, 40, 720 - index * 14)),
+  ...[
+    'Measuring cylinders',
+    'Hexagonal base',
+    'Class A and B',
+    'Batch certified',
+    'Ground glass stopper',
+    'Packed in boxes',
+  ].map((text, index) => token(text, 320, 715 - index * 17)),
+];
+
+// One wide price table: every row shares a baseline across all columns.
+const WIDE_TABLE = [
+  ['Code', 'Description', 'Price'],
+  ['BR-101', 'Beaker Low Form 50 ml', '120.00'],
+  ['BR-102', 'Beaker Low Form 100 ml', '135.00'],
+  ['FL-201', 'Erlenmeyer Flask 250 ml', '340.00'],
+  ['FL-202', 'Erlenmeyer Flask 500 ml', '410.00'],
+  ['CY-301', 'Measuring Cylinder 1 L', '980.00'],
+].flatMap((cells, index) => {
+  const y = 700 - index * 12;
+  return [token(cells[0], 50, y), token(cells[1], 160, y), token(cells[2], 400, y)];
+});
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('misaligned columns split into reading-order regions', () => {
+  const layout = analysePageLayout(BROCHURE);
+  assert.strictEqual(layout.multiColumn, true);
+  assert.strictEqual(layout.columns.length, 2);
+  assert.strictEqual(layout.gutters.length, 1);
+  assert.ok(layout.gutters[0].x0 < 320 && layout.gutters[0].x1 <= 320);
+  assert.deepStrictEqual(
+    layout.regions.map(region => [region.id, region.kind, region.column]),
+    [
+      ['r1', 'full', null],
+      ['r2', 'column', 0],
+      ['r3', 'column', 1],
+    ],
+  );
+  assert.ok(layout.regions[2].tokens.every(entry => entry.bbox.x >= 320));
+});
+
+test('a wide table with aligned rows stays one column', () => {
+  const layout = analysePageLayout(WIDE_TABLE);
+  assert.strictEqual(layout.multiColumn, false);
+  assert.strictEqual(layout.regions.length, 1);
+  assert.strictEqual(layout.regions[0].tokens.length, WIDE_TABLE.length);
+});
+
+test('side-by-side tables with their own headers split despite aligned rows', () => {
+  const half = (x, prefix) =>
+    [
+      ['Code', 'Pack', 'Price'],
+      [`${prefix}-1`, '100 g', '120'],
+      [`${prefix}-2`, '500 g', '450'],
+      [`${prefix}-3`, '1 kg', '820'],
+      [`${prefix}-4`, '5 kg', '3900'],
+    ].flatMap((cells, index) => {
+      const y = 700 - index * 12;
+      return [token(cells[0], x, y), token(cells[1], x + 50, y), token(cells[2], x + 100, y)];
+    });
+  const layout = analysePageLayout([...half(40, 'AC'), ...half(300, 'NA')]);
+  assert.strictEqual(layout.multiColumn, true);
+  assert.strictEqual(layout.columns.length, 2);
+});
+
+test('segmentPageText segments each region and records its boundaries', () => {
+  const { regions: analysed, ...layout } = analysePageLayout(BROCHURE);
+  const regions = analysed.map(({ tokens, ...region }) => ({ ...region, lineItems: toLineItems(tokens) }));
+  const page = segmentPageText('', 3, { layout: { ...layout, regions } });
+
+  assert.strictEqual(page.layout.multiColumn, true);
+  assert.deepStrictEqual(
+    page.layout.regions.map(region => [region.id, region.lineCount]),
+    [
+      ['r1', 1],
+      ['r2', 6],
+      ['r3', 6],
+    ],
+  );
+  // Left and right column lines are never glued into one line.
+  assert.ok(page.lineItems.every(line => !(line.text.includes('Beakers') && line.text.includes('cylinders'))));
+  const rightBlocks = page.blocks.filter(block => block.region === 'r3');
+  assert.ok(rightBlocks.length > 0);
+  assert.ok(rightBlocks.some(block => /Measuring cylinders/.test(block.text)));
+  assert.deepStrictEqual(page.layout.regions[2].blockIds, rightBlocks.map(block => block.id));
+  assert.ok(page.blocks.every(block => block.region));
+});
+
+test('pages without layout keep a null layout', () => {
+  const page = segmentPageText('Beakers\nFlasks', 1);
+  assert.strictEqual(page.layout, null);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} page layout tests passed.`);
+  }
+})();
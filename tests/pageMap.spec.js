@@ -0,0 +1,158 @@
+import assert from 'node:assert';
+
+import { assembleGroupsFromSegments } from '../lib/groupAssembler.js';
+import { segmentPageText } from '../lib/pdfSegmenter.js';
+import { labelSegments } from '../lib/segmentLabeler.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { buildPageMap, parseBackOfBookIndex, parseTableOfContents } from '../lib/tocParser.js';
+
+function line(text, x, y) {
+  return { text, raw: text, bbox: { x, y, width: 300, height: 10 }, tokens: [] };
+}
+
+// Printed page numbers lag the PDF by two (cover and contents pages).
+function buildPages() {
+  return [
+    segmentPageText('XYZ Scientific Price List 2024', 1),
+    segmentPageText('', 2, {
+      lineItems: [
+        line('Contents', 50, 760),
+        line('GLASSWARE ........................ 1', 50, 730),
+        line('Volumetric Flasks ................ 1', 70, 716),
+        line('Measuring Cylinders .............. 2', 70, 702),
+        line('CHEMICALS ........................ 3', 50, 688),
+        line('Buffer Tablets ................... 3', 70, 674),
+      ],
+    }),
+    segmentPageText('Glassware\n\nCode | Capacity | Price\nVF-10 | 10 ml | 210\nVF-25 | 25 ml | 240', 3),
+    segmentPageText('Code | Capacity | Price\nMC-50 | 50 ml | 180\nMC-100 | 100 ml | 220', 4),
+    segmentPageText('Chemicals\n\nCode | Description | Price\nBT-4 | pH 4.0 buffer | 450\nBT-7 | pH 7.0 buffer | 450', 5),
+    segmentPageText('Index\nBuffer tablets 3\nMeasuring cylinders 2\nPipettes, graduated 4, 6-7\nVolumetric flasks 1', 6),
+  ];
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('index entries keep every page and reuse the contents offset', () => {
+  const map = buildPageMap(buildPages());
+  assert.strictEqual(map.toc.pageOffset, 2);
+  assert.deepStrictEqual(map.index.indexPages, [6]);
+  assert.deepStrictEqual(
+    map.index.entries.map(entry => [entry.title, entry.pages, entry.pdfPages]),
+    [
+      ['Buffer tablets', [3], [5]],
+      ['Measuring cylinders', [2], [4]],
+      ['Pipettes, graduated', [4, 6], [6, 8]],
+      ['Volumetric flasks', [1], [3]],
+    ],
+  );
+  // Section entries are not anchors; only the products below them are.
+  assert.deepStrictEqual(
+    map.anchors.map(anchor => [anchor.title, anchor.pdfPage, anchor.source]),
+    [
+      ['Volumetric Flasks', 3, 'toc'],
+      ['Measuring Cylinders', 4, 'toc'],
+      ['Buffer Tablets', 5, 'toc'],
+    ],
+  );
+});
+
+test('untitled alphabetical leader pages are an index, not contents', () => {
+  const pages = [
+    segmentPageText('Acetone\n\nCode | Pack | Price\nAC-1 | 500 ml | 300', 1),
+    segmentPageText('Beakers\n\nCode | Capacity | Price\nBK-50 | 50 ml | 90', 2),
+    segmentPageText(
+      [
+        'Acetone ........................ 1',
+        'Beakers ........................ 2',
+        'Burettes ....................... 9',
+        'Conical flasks ................. 5',
+        'Funnels ........................ 11',
+        'Pipettes ....................... 7',
+      ].join('\n'),
+      3,
+    ),
+  ];
+  assert.deepStrictEqual(parseTableOfContents(pages).entries, []);
+  const index = parseBackOfBookIndex(pages);
+  assert.deepStrictEqual(index.indexPages, [3]);
+  assert.strictEqual(index.pageOffset, 0);
+  assert.deepStrictEqual(
+    index.entries.map(entry => entry.title),
+    ['Acetone', 'Beakers', 'Burettes', 'Conical flasks', 'Funnels', 'Pipettes'],
+  );
+});
+
+test('contents entries name groups and end the product before them', async () => {
+  const pages = buildPages();
+  const labeled = await labelSegments(pages, { useLLM: false });
+  const without = assembleGroupsFromSegments(pages, labeled).groups;
+  assert.deepStrictEqual(
+    without.map(group => [group.title, group.variants.length]),
+    [['Glassware', 6]],
+  );
+  const { groups } = assembleGroupsFromSegments(pages, labeled, { pageMap: buildPageMap(pages) });
+  assert.deepStrictEqual(
+    groups.map(group => [group.title, group.title_source, group.pageStart, group.variants.length]),
+    [
+      ['Volumetric Flasks', 'toc', 3, 2],
+      ['Measuring Cylinders', 'toc', 4, 2],
+      ['Buffer Tablets', 'toc', 5, 2],
+    ],
+  );
+});
+
+test('index entries only name a group when they are alone on their page', () => {
+  const pages = [
+    segmentPageText('Code | Pack | Price\nAC-1 | 500 ml | 300', 1),
+    segmentPageText('Code | Capacity | Price\nBK-50 | 50 ml | 90', 2),
+    segmentPageText('Alphabetical Index\nAcetone 1\nBeakers, low form 2\nBeakers, tall form 2', 3),
+  ];
+  const map = buildPageMap(pages);
+  assert.deepStrictEqual(map.anchors, [{ title: 'Acetone', pdfPage: 1, source: 'index', bounds: false }]);
+});
+
+test('the pipeline reports indexed products that produced no variants', async () => {
+  const result = await runCatalogPipeline({
+    docId: 'page-map-test',
+    pages: buildPages(),
+    source: { filename: 'test.pdf', pages: 6 },
+    options: { useLLM: false, persistArtifacts: false },
+  });
+  assert.deepStrictEqual(
+    result.groups.map(group => group.title),
+    ['Volumetric Flasks', 'Measuring Cylinders', 'Buffer Tablets'],
+  );
+  const { page_map: pageMap } = result.diagnostics;
+  assert.strictEqual(pageMap.toc_entries, 5);
+  assert.strictEqual(pageMap.index_entries, 4);
+  assert.strictEqual(pageMap.titled_groups, 3);
+  assert.deepStrictEqual(pageMap.coverage, {
+    source: 'index',
+    indexed: 4,
+    covered: 3,
+    ratio: 0.75,
+    missing: [{ title: 'Pipettes, graduated', page: 4, pdfPage: 6 }],
+  });
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} page map tests passed.`);
+  }
+})();
@@ -0,0 +1,224 @@
+import assert from 'node:assert';
+import path from 'node:path';
+
+import { runPriceAnchoredRecovery } from '../lib/extractors/priceAnchoredExtractor.js';
+import { mergeChunkResponses } from '../lib/llmChunker/mergeChunks.js';
+import { loadPatternRegistry, PatternEngine } from '../lib/patterns/engine.js';
+import { segmentTextPages } from '../lib/pdfSegmenter.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { postProcess } from '../lib/postProcessor.js';
+import { parsePrice, priceModelIssues } from '../lib/priceModel.js';
+import { GroupSchema } from '../lib/validationSchemas.js';
+
+const TIERS = [
+  { min_qty: 1, max_qty: 9, price: 450 },
+  { min_qty: 10, max_qty: null, price: 410 },
+];
+
+const FLASKS = [
+  'VOLUMETRIC FLASKS',
+  'Code | Capacity | Price',
+  'VF-10 | 10 ml | 210',
+  'VF-25 | 25 ml | POR',
+  'VF-100 | 100 ml | 1,200–1,450',
+  'VF-250 | 250 ml | 1–9: ₹450 / 10+: ₹410',
+  'VF-500 | 500 ml | Discontinued',
+].join('\n');
+
+const SALTS = [
+  'Product    Pack    Price',
+  'Sodium chloride AR    500 g    POR',
+  'Sodium chloride LR    500 g    1,200–1,450',
+  'Potassium chloride AR    500 g    1–9: ₹450 / 10+: ₹410',
+  'Potassium iodide AR    100 g    650',
+].join('\n');
+
+function priceSummary(variant, valueKey) {
+  return [
+    variant[valueKey] ?? null,
+    variant.price_status ?? null,
+    variant.price_min ?? null,
+    variant.price_max ?? null,
+    variant.price_tiers ?? null,
+  ];
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('request, range and quantity-break prices parse into one model', () => {
+  assert.strictEqual(parsePrice('POR').status, 'on_request');
+  assert.strictEqual(parsePrice('Price on Request').status, 'on_request');
+  assert.strictEqual(parsePrice('Discontinued').status, 'discontinued');
+  assert.deepStrictEqual(parsePrice('₹1,200/-'), {
+    status: 'listed',
+    value: 1200,
+    min: null,
+    max: null,
+    tiers: null,
+    currency: 'INR',
+  });
+  assert.deepStrictEqual(parsePrice('1,200–1,450'), {
+    status: 'listed',
+    value: 1200,
+    min: 1200,
+    max: 1450,
+    tiers: null,
+    currency: null,
+  });
+  const tiered = parsePrice('1–9: ₹450 / 10+: ₹410');
+  assert.deepStrictEqual([tiered.value, tiered.min, tiered.max, tiered.currency], [450, 410, 450, 'INR']);
+  assert.deepStrictEqual(tiered.tiers, TIERS);
+  // Bare breaks run up to the next threshold.
+  assert.deepStrictEqual(parsePrice('Qty 1: 450; 10: 410; 50 & above: 390').tiers, [
+    { min_qty: 1, max_qty: 9, price: 450 },
+    { min_qty: 10, max_qty: 49, price: 410 },
+    { min_qty: 50, max_qty: null, price: 390 },
+  ]);
+  assert.strictEqual(parsePrice('500 ml'), null);
+  assert.deepStrictEqual(
+    priceModelIssues({
+      price_status: 'on_request',
+      price_min: 450,
+      price_max: 410,
+      price_tiers: [
+        { min_qty: 1, max_qty: null, price: 450 },
+        { min_qty: 10, max_qty: null, price: 410 },
+      ],
+    }),
+    ['price_max below price_min', 'tier 1 overlaps tier 2', 'price_status "on_request" cannot carry a range or tiers'],
+  );
+});
+
+test('segment tables carry the model through the pipeline and its validation', async () => {
+  const result = await runCatalogPipeline({
+    docId: 'price-model-test',
+    pages: segmentTextPages([FLASKS]),
+    source: { filename: 'test.pdf', pages: 1 },
+    options: { useLLM: false, persistArtifacts: false },
+  });
+  assert.deepStrictEqual(
+    result.groups[0].variants.map(variant => priceSummary(variant, 'price_inr')),
+    [
+      [210, null, null, null, null],
+      [null, 'on_request', null, null, null],
+      [1200, 'listed', 1200, 1450, null],
+      [450, 'listed', 410, 450, TIERS],
+      [null, 'discontinued', null, null, null],
+    ],
+  );
+  assert.deepStrictEqual(result.validation.errors, []);
+
+  const broken = GroupSchema.safeParse({
+    category: 'general',
+    title: 'Flasks',
+    variants: [{ code: 'VF-1', price_status: 'sold_out', price_min: 10 }],
+  });
+  assert.strictEqual(broken.success, false);
+});
+
+test('postProcess reads MRP text into the model and drops models that do not hold together', async () => {
+  const [group] = await postProcess([
+    {
+      title: 'Sulphuric Acid',
+      variants: [
+        { code: 'SA-1', pack_size: '500 ml', price_mrp: 'P.O.R.' },
+        { code: 'SA-2', pack_size: '2.5 L', price_mrp: 'Rs. 1,200 - 1,450' },
+        { code: 'SA-3', pack_size: '500 ml', price_mrp: '350', price_min: 400, price_max: 300 },
+      ],
+    },
+  ]);
+  const [onRequest, range, broken] = group.variants;
+  assert.deepStrictEqual(priceSummary(onRequest, 'price_mrp_value'), [null, 'on_request', null, null, null]);
+  assert.ok(onRequest._audit.some(entry => entry.rule === 'price' && entry.action === 'status'));
+  assert.deepStrictEqual(priceSummary(range, 'price_mrp_value'), [1200, 'listed', 1200, 1450, null]);
+  assert.strictEqual(range.price_currency, 'INR');
+  assert.strictEqual(broken.price_mrp_value, 350);
+  assert.strictEqual(broken.price_min, undefined);
+  assert.ok(broken._audit.some(entry => entry.rule === 'price_model' && entry.action === 'drop'));
+});
+
+test('pattern and price-anchored rows keep request, range and tier prices', async () => {
+  const registry = await loadPatternRegistry(path.join(process.cwd(), 'patterns'));
+  const engine = new PatternEngine(registry.patterns);
+  const matched = engine.matchPages(segmentTextPages([SALTS]), { docId: 'price-model-test' });
+  const recovered = runPriceAnchoredRecovery(segmentTextPages([SALTS]), { docId: 'price-model-test' });
+  for (const variants of [matched.groups[0].variants, recovered.groups[0].variants]) {
+    const byName = name => priceSummary(variants.find(variant => variant.name === name), 'price_value');
+    assert.deepStrictEqual(byName('Sodium chloride AR'), [null, 'on_request', null, null, null]);
+    assert.deepStrictEqual(byName('Sodium chloride LR'), [1200, 'listed', 1200, 1450, null]);
+    assert.deepStrictEqual(byName('Potassium chloride AR'), [450, 'listed', 410, 450, TIERS]);
+    assert.deepStrictEqual(byName('Potassium iodide AR'), [650, null, null, null, null]);
+  }
+});
+
+test('volume, mesh and pH spans are not read as price ranges', () => {
+  const labware = [
+    'LABWARE',
+    'Code | Description | Pack',
+    'MP-1 Micropipette variable volume 100-1000',
+    'SV-40 Sieve mesh 40-60',
+    'PH-7 buffer 4-9',
+    'BK-250 Beaker 250 ml ₹ 90-120',
+  ].join('\n');
+  const { groups } = runPriceAnchoredRecovery(segmentTextPages([labware]), { docId: 'spans', minimumConfidence: 0 });
+  const variants = groups.flatMap(group => group.variants);
+  for (const variant of variants.slice(0, -1)) {
+    assert.deepStrictEqual([variant.price_min ?? null, variant.price_max ?? null], [null, null], variant.name);
+  }
+  // With a currency on the line the span is a price range again.
+  assert.deepStrictEqual(priceSummary(variants.at(-1), 'price_value'), [90, 'listed', 90, 120, null]);
+});
+
+test('chunk merge parses text prices and keeps each price whole', () => {
+  const chunk = (chunkId, variants) => ({
+    chunkId,
+    pageStart: 1,
+    pageEnd: 1,
+    source: 'llm',
+    response: { groups: [{ title: 'Acetone', category: 'solvent', specs_headers: [], variants }] },
+  });
+  const merged = mergeChunkResponses([
+    chunk('chunk-001', [
+      { code: 'AC-100', name: 'Acetone LR', price_value: 'POR', confidence: 0.5 },
+      { code: 'AC-200', name: 'Acetone AR', price_value: 900, price_min: 900, price_max: 800, confidence: 0.5 },
+    ]),
+    chunk('chunk-002', [
+      {
+        code: 'AC-100',
+        name: 'Acetone LR',
+        price_value: 450,
+        price_status: 'listed',
+        price_min: 410,
+        price_max: 450,
+        price_tiers: TIERS,
+        confidence: 0.9,
+      },
+    ]),
+  ]);
+  const [tiered, dropped] = merged.groups[0].variants;
+  assert.deepStrictEqual(priceSummary(tiered, 'price_value'), [450, 'listed', 410, 450, TIERS]);
+  assert.deepStrictEqual(merged.priceConflicts[0].statuses, ['on_request', 'listed']);
+  assert.deepStrictEqual(priceSummary(dropped, 'price_value'), [900, null, null, null, null]);
+  assert.ok(merged.warnings.some(warning => warning.startsWith('price_model_dropped:AC-200')));
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} price model tests passed.`);
+  }
+})();
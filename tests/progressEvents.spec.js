@@ -0,0 +1,154 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import {
+  createProgressPublisher,
+  isTerminalProgressEvent,
+  publishProgress,
+  subscribeProgress,
+} from '../lib/progressEvents.js';
+import { importRoute } from './helpers/nextRoute.js';
+
+process.env.DATA_BASE_DIR = await mkdtemp(path.join(os.tmpdir(), 'progress-events-spec-'));
+process.env.INGEST_LLM_ENABLED = 'false';
+
+const CATALOG = ['LABORATORY REAGENTS', 'Code | Name | Pack | MRP', 'SC-1 | Sodium chloride | 500 g | 350'].join('\n');
+
+const parseRoute = await importRoute('app/api/ingest/parse/route.js');
+const streamRoute = await importRoute('app/api/ingest/parse/stream/route.js');
+
+function collect(docId, options) {
+  const events = [];
+  const unsubscribe = subscribeProgress(docId, event => events.push(event), options);
+  return { events, unsubscribe };
+}
+
+function openStream(docId) {
+  return streamRoute.GET(new Request(`http://localhost/api/ingest/parse/stream?docId=${docId}`));
+}
+
+// Reads the SSE body to its end; never returns if the route leaves the stream open.
+async function readEvents(response) {
+  const text = await response.text();
+  return text
+    .split('\n\n')
+    .map(chunk => chunk.match(/^event: (.+)\ndata: (.+)$/m))
+    .filter(Boolean)
+    .map(([, type, data]) => ({ type, ...JSON.parse(data) }));
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('published events are numbered, stamped and buffered up to a limit', () => {
+  const first = publishProgress('buffered', { type: 'stage', stage: 'extracting' });
+  assert.deepStrictEqual([first.docId, first.seq, first.stage], ['buffered', 1, 'extracting']);
+  assert.ok(!Number.isNaN(Date.parse(first.at)));
+  for (let page = 1; page <= 509; page += 1) publishProgress('buffered', { type: 'page_extracted', page });
+  const { events, unsubscribe } = collect('buffered');
+  unsubscribe();
+  assert.deepStrictEqual([events.length, events[0].seq, events.at(-1).seq], [500, 11, 510]);
+  assert.strictEqual(publishProgress('buffered', { stage: 'no type' }), null);
+  assert.strictEqual(publishProgress(null, { type: 'stage' }), null);
+});
+
+test('a late subscriber gets the buffered events, then live ones', () => {
+  publishProgress('late', { type: 'stage', stage: 'extracting' });
+  publishProgress('late', { type: 'window_started', window: 1 });
+  const replayed = collect('late');
+  const live = collect('late', { replay: false });
+  publishProgress('late', { type: 'window_done', window: 1 });
+  replayed.unsubscribe();
+  live.unsubscribe();
+  assert.deepStrictEqual(
+    replayed.events.map(event => event.type),
+    ['stage', 'window_started', 'window_done'],
+  );
+  assert.deepStrictEqual(live.events.map(event => event.seq), [3]);
+  // Publishers can fan the same event out to local listeners.
+  const local = [];
+  createProgressPublisher('late', event => local.push(event.type), null)({ type: 'chunk_done' });
+  assert.deepStrictEqual(local, ['chunk_done']);
+});
+
+test('a terminal event ends the run; the next run starts a fresh buffer', () => {
+  assert.deepStrictEqual(
+    [{ type: 'done' }, { type: 'error' }, { type: 'stage' }, null].map(isTerminalProgressEvent),
+    [true, true, false, false],
+  );
+  publishProgress('rerun', { type: 'stage', stage: 'extracting' });
+  publishProgress('rerun', { type: 'done', status: 'ok' });
+  publishProgress('rerun', { type: 'stage', stage: 'extracting' });
+  const { events, unsubscribe } = collect('rerun');
+  unsubscribe();
+  assert.deepStrictEqual(events.map(event => [event.type, event.seq]), [['stage', 3]]);
+});
+
+test('events published through one copy of the module reach another', async () => {
+  // Next.js bundles each route on its own; a second module instance stands in for the stream route.
+  const otherCopy = await import(`../lib/progressEvents.js?copy=${Date.now()}`);
+  const events = [];
+  const unsubscribe = otherCopy.subscribeProgress('shared', event => events.push(event.type));
+  publishProgress('shared', { type: 'stage', stage: 'labeling' });
+  unsubscribe();
+  assert.deepStrictEqual(events, ['stage']);
+});
+
+test('the stream replays a finished run and closes after its terminal event', async () => {
+  assert.strictEqual((await streamRoute.GET(new Request('http://localhost/api/ingest/parse/stream'))).status, 400);
+  publishProgress('finished', { type: 'stage', stage: 'labeling' });
+  publishProgress('finished', { type: 'error', message: 'pipeline_failed' });
+  const response = await openStream('finished');
+  assert.strictEqual(response.headers.get('content-type'), 'text/event-stream; charset=utf-8');
+  const events = await readEvents(response);
+  assert.deepStrictEqual(
+    events.map(event => [event.type, event.seq]),
+    [
+      ['stage', 1],
+      ['error', 2],
+    ],
+  );
+});
+
+test('a stream opened before a parse follows it to done', async () => {
+  const response = await openStream('live-parse');
+  const reading = readEvents(response);
+  const parsed = await parseRoute.POST(
+    new Request('http://localhost/api/ingest/parse?docId=live-parse&dryRun=true', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ pages: [CATALOG] }),
+    }),
+  );
+  assert.strictEqual(parsed.status, 200);
+  const events = await reading;
+  assert.deepStrictEqual(events.slice(0, 2).map(event => event.type), ['page_extracted', 'stage']);
+  assert.deepStrictEqual([events.at(-1).type, events.at(-1).groups], ['done', 1]);
+  assert.deepStrictEqual(
+    events.map(event => event.seq),
+    events.map((_, index) => index + 1),
+  );
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  await rm(process.env.DATA_BASE_DIR, { recursive: true, force: true });
+  if (passed === tests.length) {
+    console.log(`All ${passed} progress event tests passed.`);
+  }
+})();
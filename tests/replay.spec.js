@@ -0,0 +1,165 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, readFile, rm, stat } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+import { getDataDir, writeJson } from '../lib/io.js';
+import { cancelJob, createJob } from '../lib/jobs/jobStore.js';
+import { segmentTextPages } from '../lib/pdfSegmenter.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { ReplayError, replayDocument } from '../lib/pipeline/replay.js';
+import { findCachedIngest, recordIngest } from '../lib/uploadIndex.js';
+
+const DOC_ID = 'replay-test';
+const DICTIONARY = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'chemical-dictionary.csv');
+// The acetone row carries ethanol's CAS, so every dictionary pass adds an `_audit` entry to it.
+const CATALOG = [
+  'LABORATORY REAGENTS',
+  'Code | Name | CAS | Pack | MRP',
+  'SC-1 | Sodium chloride AR | 7647-14-5 | 500 g | 350',
+  'AC-1 | Acetone | 64-17-5 | 500 ml | 300',
+  'Prices are inclusive of GST.',
+].join('\n');
+const OPTIONS = { chemicalDictionaryPath: DICTIONARY };
+
+function artifact(name) {
+  return path.join(getDataDir(DOC_ID), 'artifacts', name);
+}
+
+async function snapshot(names) {
+  const files = {};
+  for (const name of names) files[name] = await readFile(artifact(name), 'utf8');
+  return files;
+}
+
+const dataDirs = [];
+
+// Each test starts from a fresh first run in its own data directory.
+async function ingest() {
+  process.env.DATA_BASE_DIR = await mkdtemp(path.join(os.tmpdir(), 'replay-spec-'));
+  dataDirs.push(process.env.DATA_BASE_DIR);
+  return runCatalogPipeline({
+    docId: DOC_ID,
+    pages: segmentTextPages([CATALOG]),
+    source: { filename: 'test.pdf', pages: 1 },
+    dataDir: getDataDir(DOC_ID),
+    options: { useLLM: false, ...OPTIONS },
+  });
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('a first run persists every stage output, including the post-processed groups', async () => {
+  const first = await ingest();
+  const keys = ['segments_labeled_path', 'groups_assembled_path', 'groups_postprocessed_path', 'groups_raw_path'];
+  for (const key of keys) assert.ok(first.artifacts[key], key);
+  const postProcessed = JSON.parse(await readFile(artifact('groups.postprocessed.json'), 'utf8'));
+  assert.strictEqual(postProcessed.groups.length, first.groups.length);
+  // Saved before the dictionary pass, so a replay does not apply it twice.
+  assert.strictEqual(first.groups[0].variants[0].chemical_name, 'Sodium chloride');
+  assert.strictEqual(postProcessed.groups[0].variants[0].chemical_name, undefined);
+  assert.ok(first.notes.length);
+  const assembled = JSON.parse(await readFile(artifact('groups.assembled.json'), 'utf8'));
+  assert.deepStrictEqual(postProcessed.notes, assembled.notes);
+});
+
+test('a universal replay leaves earlier artifacts alone and does not stack passes', async () => {
+  const first = await ingest();
+  const inputs = ['pages.raw.json', 'segments.labeled.json', 'groups.assembled.json', 'groups.postprocessed.json'];
+  const before = await snapshot(inputs);
+  const once = await replayDocument({ docId: DOC_ID, fromStage: 'universal', options: OPTIONS });
+  const twice = await replayDocument({ docId: DOC_ID, fromStage: 'universal', options: OPTIONS });
+  assert.deepStrictEqual(await snapshot(inputs), before);
+  assert.deepStrictEqual(once.groups, first.groups);
+  assert.deepStrictEqual(twice.groups, first.groups);
+  assert.deepStrictEqual(twice.notes, first.notes);
+  assert.deepStrictEqual(JSON.parse(await readFile(artifact('groups.raw.json'), 'utf8')), first.groups);
+});
+
+test('a postprocess replay keeps the labeled segments and rewrites only later stages', async () => {
+  const first = await ingest();
+  const labeled = await readFile(artifact('segments.labeled.json'), 'utf8');
+  const assembled = await readFile(artifact('groups.assembled.json'), 'utf8');
+  const { mtimeMs } = await stat(artifact('groups.postprocessed.json'));
+  await new Promise(resolve => setTimeout(resolve, 20));
+  const replayed = await replayDocument({ docId: DOC_ID, fromStage: 'postprocess', options: OPTIONS });
+  assert.strictEqual(await readFile(artifact('segments.labeled.json'), 'utf8'), labeled);
+  assert.strictEqual(await readFile(artifact('groups.assembled.json'), 'utf8'), assembled);
+  assert.ok((await stat(artifact('groups.postprocessed.json'))).mtimeMs > mtimeMs);
+  assert.deepStrictEqual(replayed.groups, first.groups);
+  assert.deepStrictEqual(replayed.notes, first.notes);
+  // The assembly input survives, so replaying from assembly still has segments to work with.
+  const fromAssembly = await replayDocument({ docId: DOC_ID, fromStage: 'assembly', options: OPTIONS });
+  assert.strictEqual(fromAssembly.groups.length, first.groups.length);
+});
+
+test('dry runs write nothing', async () => {
+  await ingest();
+  const names = ['segments.labeled.json', 'groups.postprocessed.json', 'groups.raw.json', 'catalog.json'];
+  const before = await snapshot(names);
+  const result = await replayDocument({ docId: DOC_ID, fromStage: 'labeling', dryRun: true });
+  assert.deepStrictEqual(result.artifacts, {});
+  assert.deepStrictEqual(await snapshot(names), before);
+});
+
+test('a universal replay needs the post-processed artifact', async () => {
+  await ingest();
+  await rm(artifact('groups.postprocessed.json'));
+  await assert.rejects(
+    () => replayDocument({ docId: DOC_ID, fromStage: 'universal', options: OPTIONS }),
+    error => error instanceof ReplayError && error.status === 409 && /groups\.postprocessed\.json/.test(error.message),
+  );
+});
+
+test('a replay keeps the ingest options, waits for running jobs and drops the cached upload', async () => {
+  const first = await ingest();
+  assert.strictEqual(first.diagnostics.universal, null);
+  const manifestPath = path.join(getDataDir(DOC_ID), 'manifest.json');
+  await writeJson(manifestPath, { docId: DOC_ID, options: { useLLM: false, forcePriceAnchored: true } });
+  const cacheKey = { hash: 'feed', extractionVersion: 'v2.1.0', options: { useLLM: false } };
+  await recordIngest({ ...cacheKey, docId: DOC_ID, result: first });
+
+  const { job } = await createJob({ docId: DOC_ID });
+  await assert.rejects(
+    () => replayDocument({ docId: DOC_ID, fromStage: 'postprocess', options: OPTIONS }),
+    error => error instanceof ReplayError && error.status === 409 && error.details.jobIds[0] === job.jobId,
+  );
+  await cancelJob(job);
+
+  const dryRun = await replayDocument({ docId: DOC_ID, fromStage: 'postprocess', dryRun: true, options: OPTIONS });
+  assert.ok(dryRun.diagnostics.universal, 'the price-anchored pass runs as it did at ingest');
+  assert.ok(await findCachedIngest(cacheKey), 'a dry run leaves the cache alone');
+  const overridden = await replayDocument({
+    docId: DOC_ID,
+    fromStage: 'postprocess',
+    dryRun: true,
+    options: { ...OPTIONS, forcePriceAnchored: false },
+  });
+  assert.strictEqual(overridden.diagnostics.universal, null);
+
+  await replayDocument({ docId: DOC_ID, fromStage: 'postprocess', options: OPTIONS });
+  assert.strictEqual(await findCachedIngest(cacheKey), null);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  for (const dir of dataDirs) await rm(dir, { recursive: true, force: true });
+  if (passed === tests.length) {
+    console.log(`All ${passed} replay tests passed.`);
+  }
+})();
@@ -0,0 +1,140 @@
+import assert from 'node:assert';
+
+import { buildChunkPrompt } from '../lib/llmChunker/prompt.js';
+import { segmentPageText, segmentTextPages } from '../lib/pdfSegmenter.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { detectRunningLines } from '../lib/runningHeaders.js';
+
+const HEADER = 'XYZ Scientific Price List 2024';
+const CONTACT = 'Tel +91 22 4000 1234 sales@xyz.example';
+
+function catalogPages() {
+  return [
+    `${HEADER}\nVOLUMETRIC FLASKS\nCode | Capacity | Price\nVF-10 | 10 ml | 210\nVF-25 | 25 ml | 240\n${CONTACT}\nPage 1`,
+    `${HEADER}\nCode | Capacity | Price\nVF-50 | 50 ml | 260\nVF-100 | 100 ml | 290\n${CONTACT}\nPage 2`,
+    `${HEADER}\nGLASS BEAKERS\nCode | Capacity | Price\nBK-50 | 50 ml | 90\nBK-100 | 100 ml | 110\n${CONTACT}\nPage 3`,
+  ];
+}
+
+function line(text, y) {
+  return { text, raw: text, bbox: { x: 50, y, width: 200, height: 10 }, tokens: [] };
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('repeated band lines are found regardless of page numbers', () => {
+  const profile = detectRunningLines(
+    catalogPages().map((text, index) => ({
+      pageNumber: index + 1,
+      lines: text.split('\n').map(entry => ({ text: entry, bbox: null })),
+    })),
+  );
+  assert.deepStrictEqual(
+    profile.map(entry => [entry.band, entry.text, entry.pages]),
+    [
+      ['header', HEADER, [1, 2, 3]],
+      ['footer', 'Page 1', [1, 2, 3]],
+      ['footer', CONTACT, [1, 2, 3]],
+    ],
+  );
+});
+
+test('the same text at another height is not a running line', () => {
+  const profile = detectRunningLines([
+    { pageNumber: 1, lines: [line('Borosilicate Glass', 800), line('Flasks', 700), line('Stock items', 40)] },
+    { pageNumber: 2, lines: [line('Borosilicate Glass', 650), line('Beakers', 600), line('Stock items', 41)] },
+  ]);
+  assert.deepStrictEqual(
+    profile.map(entry => [entry.band, entry.text, entry.y]),
+    [['footer', 'Stock items', 41]],
+  );
+});
+
+test('lines that differ in their product numbers are not running text', () => {
+  const page = (pageNumber, product, date) => ({
+    pageNumber,
+    lines: [product, 'Borosilicate glass, graduated', 'Autoclavable', `Printed ${date} - page ${pageNumber} of 2`].map(
+      text => ({ text, bbox: null }),
+    ),
+  });
+  const profile = detectRunningLines([
+    page(1, 'Cat 1001 Beaker 50 ml', '01/03/2024'),
+    page(2, 'Cat 1002 Beaker 100 ml', '02/03/2024'),
+  ]);
+  assert.deepStrictEqual(
+    profile.map(entry => [entry.band, entry.text]),
+    [
+      ['footer', 'Printed 01/03/2024 - page 1 of 2'],
+      ['header', 'Borosilicate glass, graduated'],
+      ['footer', 'Autoclavable'],
+    ],
+  );
+});
+
+test('running lines become audit blocks outside segments and body text', () => {
+  const pages = segmentTextPages(catalogPages());
+  const [first, second] = pages;
+  assert.deepStrictEqual(
+    first.blocks.filter(block => block.kind.startsWith('running_')).map(block => [block.id, block.kind, block.text]),
+    [
+      ['p1-run1', 'running_header', HEADER],
+      ['p1-run1', 'running_footer', CONTACT],
+      ['p1-run2', 'running_footer', 'Page 1'],
+    ],
+  );
+  assert.deepStrictEqual(
+    first.textBlocks.map(block => block.text),
+    ['VOLUMETRIC FLASKS'],
+  );
+  assert.ok(first.segments.every(segment => !String(segment.text || '').includes('Price List')));
+  assert.strictEqual(second.bodyText, 'Code | Capacity | Price\nVF-50 | 50 ml | 260\nVF-100 | 100 ml | 290');
+  assert.ok(second.rawText.startsWith(HEADER));
+  // Pages segmented on their own have nothing to compare against.
+  assert.strictEqual(segmentPageText(catalogPages()[0], 1).bodyText, undefined);
+});
+
+test('running headers never become group titles', async () => {
+  const result = await runCatalogPipeline({
+    docId: 'running-headers-test',
+    pages: segmentTextPages(catalogPages()),
+    source: { filename: 'test.pdf', pages: 3 },
+    options: { useLLM: false, persistArtifacts: false },
+  });
+  assert.deepStrictEqual(
+    result.groups.map(group => [group.title, group.variants.length]),
+    [
+      ['VOLUMETRIC FLASKS', 4],
+      ['GLASS BEAKERS', 2],
+    ],
+  );
+  assert.deepStrictEqual(result.diagnostics.noise.running, { header: 3, footer: 6 });
+});
+
+test('chunk prompts leave out running text', () => {
+  const pages = segmentTextPages(catalogPages());
+  const prompt = buildChunkPrompt({ docId: 'doc', chunkId: 'c1', pageStart: 1, pageEnd: 3, pages });
+  assert.ok(!prompt.user.includes(HEADER));
+  assert.ok(!prompt.user.includes(CONTACT));
+  assert.ok(prompt.user.includes('VF-100 | 100 ml | 290'));
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} running header tests passed.`);
+  }
+})();
@@ -0,0 +1,154 @@
+import assert from 'node:assert';
+
+import { assembleGroupsFromSegments } from '../lib/groupAssembler.js';
+import { canonicalizeHeaderList, composeHeaderName, composeStackedHeader } from '../lib/headerUtils.js';
+import { segmentPageText } from '../lib/pdfSegmenter.js';
+import { labelSegments } from '../lib/segmentLabeler.js';
+import { assembleVariants } from '../lib/variantAssembler.js';
+import { line } from './helpers/layoutFixtures.js';
+
+// "Dimensions (mm)" spans the OD and Length columns on the line below it.
+const TUBES = [
+  line(700, ['TEST TUBES', 50]),
+  line(680, ['Code', 50], ['Capacity', 100], ['Dimensions (mm)', 160], ['Price', 260]),
+  line(668, ['OD', 160], ['Length', 205]),
+  line(656, ['TT-10', 50], ['10 ml', 100], ['12', 160], ['75', 205], ['210', 260]),
+  line(644, ['TT-20', 50], ['20 ml', 100], ['16', 160], ['100', 205], ['240', 260]),
+  line(632, ['TT-50', 50], ['50 ml', 100], ['25', 160], ['150', 205], ['390', 260]),
+];
+
+const STACKED_KEYS = ['code', 'capacity', 'dimensions_od_mm', 'dimensions_length_mm', 'price_mrp'];
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('stacked parts compose into one name with the unit at the end', () => {
+  assert.strictEqual(composeHeaderName(['Dimensions (mm)', 'OD']), 'Dimensions OD (mm)');
+  assert.strictEqual(composeHeaderName(['Cat', 'No.']), 'Cat No.');
+  assert.strictEqual(composeHeaderName(['Price', '', 'Price']), 'Price');
+  const names = composeStackedHeader([
+    [
+      { text: 'Code', x0: 0, x1: 4 },
+      { text: 'Dimensions (mm)', x0: 10, x1: 25 },
+      { text: 'Price', x0: 30, x1: 35 },
+    ],
+    [
+      { text: 'OD', x0: 10, x1: 12 },
+      { text: 'Length', x0: 18, x1: 24 },
+    ],
+  ]);
+  assert.deepStrictEqual(canonicalizeHeaderList(names), [
+    'code',
+    'dimensions_od_mm',
+    'dimensions_length_mm',
+    'price_inr',
+  ]);
+});
+
+test('layout tables lay a spanning header over the body columns', () => {
+  const page = segmentPageText(TUBES.map(entry => entry.text).join('\n'), 4, { lineItems: TUBES });
+  assert.strictEqual(page.tables.length, 1);
+  const [table] = page.tables;
+  assert.deepStrictEqual(table.header, ['Code', 'Capacity', 'Dimensions OD (mm)', 'Dimensions Length (mm)', 'Price']);
+  assert.strictEqual(table.columns.length, 5);
+  assert.deepStrictEqual(table.rows, [
+    ['TT-10', '10 ml', '12', '75', '210'],
+    ['TT-20', '20 ml', '16', '100', '240'],
+    ['TT-50', '50 ml', '25', '150', '390'],
+  ]);
+});
+
+test('segment groups carry the compound keys', async () => {
+  const pages = [segmentPageText(TUBES.map(entry => entry.text).join('\n'), 4, { lineItems: TUBES })];
+  const labeled = await labelSegments(pages, { useLLM: false });
+  const { groups } = assembleGroupsFromSegments(pages, labeled);
+  assert.deepStrictEqual(groups[0].specs_headers, [
+    'code',
+    'capacity',
+    'dimensions_od_mm',
+    'dimensions_length_mm',
+    'price_inr',
+  ]);
+  assert.deepStrictEqual(groups[0].variants[1], {
+    code: 'TT-20',
+    capacity: '20 ml',
+    dimensions_od_mm: 16,
+    dimensions_length_mm: 100,
+    price_inr: 240,
+  });
+});
+
+test('assembleVariants composes indented sub-header lines by character position', () => {
+  const group = {
+    title: 'Test tubes',
+    blocks: [
+      { type: 'header', text: 'Cat No    Capacity    Dimensions (mm)    Price', pageIndex: 1 },
+      { type: 'spec_row', text: '                      OD        Length', pageIndex: 1 },
+      { type: 'table_row', text: 'TT-10     10 ml       12        75       210', pageIndex: 1 },
+      { type: 'header', text: 'Cat No    Capacity    Dimensions (mm)    Price', pageIndex: 2 },
+      { type: 'spec_row', text: '                      OD        Length', pageIndex: 2 },
+      { type: 'table_row', text: 'TT-20     20 ml       16        100      240', pageIndex: 2 },
+    ],
+  };
+  assembleVariants(group);
+  assert.deepStrictEqual(group.specs_headers, STACKED_KEYS);
+  assert.deepStrictEqual(
+    group.variants.map(variant => [
+      variant.code,
+      variant.dimensions_od_mm,
+      variant.dimensions_length_mm,
+      variant.price_mrp_value,
+    ]),
+    [
+      ['TT-10', '12', '75', 210],
+      ['TT-20', '16', '100', 240],
+    ],
+  );
+  assert.deepStrictEqual(group.table_continuations, [{ page: 2, continued_from_page: 1, header: 'repeated' }]);
+});
+
+test('token boxes place sub-headers; trimmed text lines are left alone', () => {
+  const [header, sub, ...rows] = TUBES.slice(1);
+  const boxed = {
+    title: 'Test tubes',
+    blocks: [header, sub, ...rows].map(entry => ({ type: 'table_row', text: entry.text, tokens: entry.tokens })),
+  };
+  boxed.blocks[2].text = 'TT-10  10 ml  12  75  210';
+  boxed.blocks[3].text = 'TT-20  20 ml  16  100  240';
+  boxed.blocks[4].text = 'TT-50  50 ml  25  150  390';
+  assembleVariants(boxed);
+  assert.deepStrictEqual(boxed.specs_headers, STACKED_KEYS);
+  assert.strictEqual(boxed.variants.length, 3);
+
+  // A trimmed "OD  Length" no longer shows which column it sits under.
+  const trimmed = {
+    title: 'Test tubes',
+    blocks: [
+      { type: 'header', text: 'Cat No    Capacity    Dimensions (mm)    Price' },
+      { type: 'spec_row', text: 'OD        Length' },
+      { type: 'table_row', text: 'TT-10     10 ml       12        75       210' },
+    ],
+  };
+  assembleVariants(trimmed);
+  assert.deepStrictEqual(trimmed.specs_headers, ['code', 'capacity', 'dimensions (mm)', 'price_mrp']);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} stacked header tests passed.`);
+  }
+})();
@@ -0,0 +1,152 @@
+import assert from 'node:assert';
+
+import { assembleGroupsFromSegments } from '../lib/groupAssembler.js';
+import { segmentPageText, segmentTextPages } from '../lib/pdfSegmenter.js';
+import { labelSegments } from '../lib/segmentLabeler.js';
+import { describeTable, detectContinuation } from '../lib/tableContinuation.js';
+import { assembleVariants } from '../lib/variantAssembler.js';
+
+const HEADERS = ['code', 'capacity', 'price_inr'];
+
+function table(pageNumber, header, rows, columns) {
+  return { kind: 'table', pageNumber, header, rows, ...(columns ? { columns } : {}) };
+}
+
+const BANDS = [
+  { index: 0, x0: 50, x1: 110 },
+  { index: 1, x0: 200, x1: 260 },
+  { index: 2, x0: 400, x1: 440 },
+];
+
+async function assemble(pages, options) {
+  const labeled = await labelSegments(pages, { useLLM: false });
+  return assembleGroupsFromSegments(pages, labeled, options).groups;
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('a repeated or missing header on the next page continues the table', () => {
+  const previous = describeTable(table(3, ['Code', 'Capacity', 'Price'], [['VF-10', '10 ml', '210']], BANDS), HEADERS);
+  const repeated = detectContinuation(previous, table(4, ['Code', 'Capacity', 'Price'], [['VF-50', '50 ml', '260']], BANDS));
+  assert.deepStrictEqual(repeated, {
+    continued_from_page: 3,
+    headers: HEADERS,
+    header: 'repeated',
+    rows: [['VF-50', '50 ml', '260']],
+  });
+  const missing = detectContinuation(previous, table(4, ['VF-50', '50 ml', '260'], [['VF-100', '100 ml', '290']]));
+  assert.strictEqual(missing.header, 'missing');
+  assert.deepStrictEqual(missing.rows, [
+    ['VF-50', '50 ml', '260'],
+    ['VF-100', '100 ml', '290'],
+  ]);
+});
+
+test('column count, x-bands, page distance and a new header rule a continuation out', () => {
+  const previous = describeTable(table(3, ['Code', 'Capacity', 'Price'], [['VF-10', '10 ml', '210']], BANDS), HEADERS);
+  const shifted = BANDS.map(band => ({ ...band, x0: band.x0 + 40, x1: band.x1 + 40 }));
+  assert.strictEqual(detectContinuation(previous, table(4, ['VF-50', '50 ml', '260'], [], shifted)), null);
+  assert.strictEqual(detectContinuation(previous, table(4, ['VF-50', '50 ml'], [['VF-100', '100 ml']])), null);
+  assert.strictEqual(detectContinuation(previous, table(5, ['VF-50', '50 ml', '260'], [])), null);
+  assert.strictEqual(
+    detectContinuation(previous, table(4, ['Joint', 'Stopper', 'Finish'], [['14/23', 'PP', 'Clear']])),
+    null,
+  );
+});
+
+test('headerless rows on the next page join the group under its header', async () => {
+  const pages = segmentTextPages([
+    'VOLUMETRIC FLASKS\nCode | Capacity | Price\nVF-10 | 10 ml | 210\nVF-25 | 25 ml | 240',
+    'VF-50 | 50 ml | 260\nVF-100 | 100 ml | 290',
+  ]);
+  const groups = await assemble(pages);
+  assert.strictEqual(groups.length, 1);
+  const [group] = groups;
+  assert.deepStrictEqual(
+    group.variants.map(variant => [variant.code, variant.capacity, variant.price_inr]),
+    [
+      ['VF-10', '10 ml', 210],
+      ['VF-25', '25 ml', 240],
+      ['VF-50', '50 ml', 260],
+      ['VF-100', '100 ml', 290],
+    ],
+  );
+  assert.deepStrictEqual(group.specs_headers, HEADERS);
+  assert.deepStrictEqual(group.table_continuations, [{ page: 2, continued_from_page: 1, header: 'missing' }]);
+  assert.strictEqual(pages[1].tables[0].continued_from_page, 1);
+});
+
+test('a contents boundary waits for headerless rows before closing the group', async () => {
+  const pages = [
+    segmentPageText('VOLUMETRIC FLASKS\nCode | Capacity | Price\nVF-10 | 10 ml | 210', 1),
+    segmentPageText('VF-50 | 50 ml | 260\nVF-100 | 100 ml | 290\n\nMEASURING CYLINDERS\nCode | Capacity | Price\nMC-50 | 50 ml | 180', 2),
+  ];
+  const pageMap = { anchors: [{ title: 'Measuring Cylinders', pdfPage: 2, source: 'toc', bounds: true }] };
+  const groups = await assemble(pages, { pageMap });
+  assert.deepStrictEqual(
+    groups.map(group => [group.title, group.variants.map(variant => variant.code)]),
+    [
+      ['VOLUMETRIC FLASKS', ['VF-10', 'VF-50', 'VF-100']],
+      ['Measuring Cylinders', ['MC-50']],
+    ],
+  );
+  assert.deepStrictEqual(groups[0].table_continuations, [{ page: 2, continued_from_page: 1, header: 'missing' }]);
+});
+
+test('assembleVariants keeps the first header across a page break', () => {
+  const group = {
+    title: 'Sulphuric Acid',
+    blocks: [
+      { type: 'table_row', text: 'Cat No | Grade | Pack | Price', pageIndex: 4 },
+      { type: 'table_row', text: 'SA789 | AR | 500 ml | 350', pageIndex: 4 },
+      { type: 'table_row', text: 'Cat No | Grade | Pack | Price', pageIndex: 5 },
+      { type: 'table_row', text: 'SA790 | LR | 2.5 L | 1200', pageIndex: 5 },
+    ],
+  };
+  assembleVariants(group);
+  assert.deepStrictEqual(
+    group.variants.map(variant => [variant.code, variant.grade, variant.pack_size, variant.price_mrp_value]),
+    [
+      ['SA789', 'AR', '500 ml', 350],
+      ['SA790', 'LR', '2.5 L', 1200],
+    ],
+  );
+  assert.deepStrictEqual(group.table_continuations, [{ page: 5, continued_from_page: 4, header: 'repeated' }]);
+
+  // A data row that happens to contain a header word ("grade") is still a row after the break.
+  const headerless = {
+    title: 'Sulphuric Acid',
+    blocks: [
+      { type: 'table_row', text: 'Cat No | Grade | Pack | Price', pageIndex: 4 },
+      { type: 'table_row', text: 'SA789 | AR | 500 ml | 350', pageIndex: 4 },
+      { type: 'spec_row', text: 'SA791 | ACS grade | 1 L | 900', pageIndex: 5 },
+    ],
+  };
+  assembleVariants(headerless);
+  assert.deepStrictEqual(
+    headerless.variants.map(variant => variant.code),
+    ['SA789', 'SA791'],
+  );
+  assert.deepStrictEqual(headerless.table_continuations, [{ page: 5, continued_from_page: 4, header: 'missing' }]);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} table continuation tests passed.`);
+  }
+})();
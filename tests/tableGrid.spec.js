@@ -0,0 +1,217 @@
+import assert from 'node:assert';
+
+import { segmentPageText } from '../lib/pdfSegmenter.js';
+import { collectRulings, detectRuledTables } from '../lib/tableGrid.js';
+import { token, toLineItems } from './helpers/layoutFixtures.js';
+
+// Operator codes as numbered by pdf.js 3.x (only the ones the walker reads).
+const OPS = {
+  save: 10,
+  restore: 11,
+  transform: 12,
+  moveTo: 13,
+  lineTo: 14,
+  curveTo: 15,
+  curveTo2: 16,
+  curveTo3: 17,
+  closePath: 18,
+  rectangle: 19,
+  stroke: 20,
+  closeStroke: 21,
+  fill: 22,
+  eoFill: 23,
+  fillStroke: 24,
+  eoFillStroke: 25,
+  closeFillStroke: 26,
+  closeEOFillStroke: 27,
+  endPath: 28,
+  paintFormXObjectBegin: 74,
+  paintFormXObjectEnd: 75,
+  constructPath: 91,
+};
+
+// Builds an operator list that strokes the given [x0, y0, x1, y1] lines in one path.
+function strokedLines(lines) {
+  const ops = [];
+  const args = [];
+  for (const [x0, y0, x1, y1] of lines) {
+    ops.push(OPS.moveTo, OPS.lineTo);
+    args.push(x0, y0, x1, y1);
+  }
+  return { fn: [OPS.constructPath, OPS.stroke], args: [[ops, args, null], null] };
+}
+
+/*
+ * Description      | Pack   | Price
+ * Beaker Low Form  | 50 ml  | 120.00
+ *   (spans 2 rows) | 100 ml | 135.00
+ * Funnel           | 75 mm  | 85.00
+ */
+const COLUMN_EDGES = [50, 150, 220, 300];
+const ROW_EDGES = [700, 680, 660, 640, 620];
+const GRID_LINES = [
+  ...[700, 680, 640, 620].map(y => [50, y, 300, y]),
+  // No rule under "Beaker Low Form": the first column is merged across two rows.
+  [150, 660, 300, 660],
+  ...COLUMN_EDGES.map(x => [x, 620, x, 700]),
+];
+
+const GRID_TOKENS = [
+  token('Description', 55, 685),
+  token('Pack', 155, 685),
+  token('Price', 225, 685),
+  token('Beaker Low', 55, 665),
+  token('Form', 55, 655),
+  token('50 ml', 155, 665),
+  token('120.00', 225, 665),
+  token('100 ml', 155, 645),
+  token('135.00', 225, 645),
+  token('Funnel', 55, 625),
+  token('75 mm', 155, 625),
+  token('85.00', 225, 625),
+];
+
+function gridOperatorList() {
+  const { fn, args } = strokedLines(GRID_LINES);
+  return { fnArray: fn, argsArray: args };
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('collectRulings keeps painted axis-aligned segments in page space', () => {
+  const operatorList = {
+    fnArray: [
+      OPS.save,
+      OPS.transform,
+      OPS.constructPath,
+      OPS.stroke,
+      OPS.restore,
+      // Clipping path: constructed but never painted.
+      OPS.constructPath,
+      OPS.endPath,
+      // Thin filled rectangle drawn as a rule; diagonal line is ignored.
+      OPS.constructPath,
+      OPS.fill,
+    ],
+    argsArray: [
+      null,
+      [1, 0, 0, 1, 10, 20],
+      [[OPS.moveTo, OPS.lineTo, OPS.moveTo, OPS.lineTo], [0, 0, 100, 0, 0, 0, 0, 50], null],
+      null,
+      null,
+      [[OPS.rectangle], [0, 0, 600, 800], null],
+      null,
+      [[OPS.rectangle, OPS.moveTo, OPS.lineTo], [40, 300, 200, 0.5, 0, 0, 30, 40], null],
+      null,
+    ],
+  };
+  const rulings = collectRulings(operatorList, OPS);
+  assert.deepStrictEqual(rulings.horizontals, [
+    { y: 20, x0: 10, x1: 110 },
+    { y: 300.25, x0: 40, x1: 240 },
+  ]);
+  assert.deepStrictEqual(rulings.verticals, [{ x: 10, y0: 20, y1: 70 }]);
+});
+
+test('detectRuledTables rebuilds the grid with merged cells', () => {
+  const tables = detectRuledTables(collectRulings(gridOperatorList(), OPS), GRID_TOKENS);
+  assert.strictEqual(tables.length, 1);
+  const [table] = tables;
+  assert.deepStrictEqual(table.columnEdges, COLUMN_EDGES);
+  assert.deepStrictEqual(table.rowEdges, ROW_EDGES);
+  assert.deepStrictEqual(table.grid, [
+    ['Description', 'Pack', 'Price'],
+    ['Beaker Low Form', '50 ml', '120.00'],
+    ['Beaker Low Form', '100 ml', '135.00'],
+    ['Funnel', '75 mm', '85.00'],
+  ]);
+  const merged = table.cells.find(cell => cell.text === 'Beaker Low Form');
+  assert.deepStrictEqual(
+    { row: merged.row, column: merged.column, rowSpan: merged.rowSpan, colSpan: merged.colSpan },
+    { row: 1, column: 0, rowSpan: 2, colSpan: 1 },
+  );
+  assert.deepStrictEqual(merged.bbox, { x: 50, y: 640, width: 100, height: 40 });
+  assert.strictEqual(table.cells.length, 11);
+});
+
+test('column-spanning cells keep their text in the first column', () => {
+  const lines = [
+    [50, 700, 300, 700],
+    [50, 680, 300, 680],
+    [50, 660, 300, 660],
+    [50, 640, 300, 640],
+    [50, 640, 50, 700],
+    [300, 640, 300, 700],
+    // The middle rule stops below the title row.
+    [150, 640, 150, 680],
+  ];
+  const { fn, args } = strokedLines(lines);
+  const tokens = [
+    token('Sodium Chloride AR', 55, 685),
+    token('500 g', 55, 665),
+    token('210.00', 155, 665),
+    token('1 kg', 55, 645),
+    token('390.00', 155, 645),
+  ];
+  const [table] = detectRuledTables(collectRulings({ fnArray: fn, argsArray: args }, OPS), tokens);
+  assert.deepStrictEqual(table.grid[0], ['Sodium Chloride AR', '']);
+  assert.strictEqual(table.cells[0].colSpan, 2);
+});
+
+test('a plain frame around text is not a table', () => {
+  const frame = {
+    fnArray: [OPS.constructPath, OPS.stroke],
+    argsArray: [[[OPS.rectangle], [40, 600, 500, 100], null], null],
+  };
+  const tables = detectRuledTables(collectRulings(frame, OPS), [token('Terms and conditions apply', 50, 650)]);
+  assert.deepStrictEqual(tables, []);
+});
+
+test('ruled tables take priority over text table heuristics', () => {
+  const besideGrid = token('Ask for bulk rates', 350, 665);
+  const tokens = [token('Borosilicate glassware', 50, 740), ...GRID_TOKENS, besideGrid];
+  const lineItems = toLineItems(tokens);
+
+  const heuristic = segmentPageText('', 2, { lineItems });
+  assert.ok(heuristic.tables.length > 0);
+  assert.ok(heuristic.tables.every(table => table.detection !== 'ruled'));
+
+  const ruledTables = detectRuledTables(collectRulings(gridOperatorList(), OPS), tokens);
+  const page = segmentPageText('', 2, { lineItems, ruledTables });
+  assert.strictEqual(page.tables.length, 1);
+  const [table] = page.tables;
+  assert.strictEqual(table.detection, 'ruled');
+  assert.deepStrictEqual(table.header, ['Description', 'Pack', 'Price']);
+  assert.deepStrictEqual(table.rows[1], ['Beaker Low Form', '100 ml', '135.00']);
+  assert.deepStrictEqual(table.columns.map(column => [column.x0, column.x1]), [
+    [50, 150],
+    [150, 220],
+    [220, 300],
+  ]);
+  assert.ok(table.gridCells.some(cell => cell.rowSpan === 2));
+  // Reading order: heading, table, then the note printed beside the grid.
+  assert.deepStrictEqual(page.blocks.map(block => block.kind), ['text', 'table', 'text']);
+  assert.strictEqual(page.blocks[2].text, 'Ask for bulk rates');
+  assert.ok(page.textBlocks.every(block => !/120\.00|Funnel/.test(block.text)));
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} ruled table tests passed.`);
+  }
+})();
@@ -0,0 +1,94 @@
+import assert from 'node:assert';
+
+import { segmentPageText } from '../lib/pdfSegmenter.js';
+import { computeColumnBands, detectLayoutTables } from '../lib/tableLayout.js';
+import { CHAR_WIDTH, line } from './helpers/layoutFixtures.js';
+
+// Columns sit one space (5pt) after the widest entry of the previous column.
+const PRICE_TABLE = [
+  line(700, ['Glassware price list', 50]),
+  line(680, ['Code', 50], ['Description', 90], ['Pack', 250], ['Price', 290]),
+  line(668, ['BR-101', 50], ['Beaker Low Form', 90], ['50 ml', 250], ['120.00', 290]),
+  line(656, ['BR-102', 50], ['Beaker Low Form', 90], ['100 ml', 250], ['135.00', 290]),
+  line(644, ['FL-201', 50], ['Erlenmeyer Flask Narrow Neck', 90], ['250 ml', 250], ['340.00', 290]),
+  line(632, ['FL-202', 50], ['Erlenmeyer Flask Narrow Neck', 90], ['500 ml', 250], ['410.00', 290]),
+  line(620, ['CY-301', 50], ['Measuring Cylinder Class A Spout', 90], ['1 L', 260], ['980.00', 290]),
+  line(608, ['CY-302', 50], ['Cylinder', 90], ['2 L', 250], ['1,450.00', 290]),
+  line(596, ['PI-401', 50], ['Pipette', 90], ['10 ml', 250], ['65.00', 290]),
+  line(560, ['All prices are exclusive of GST and subject to change without notice.', 50]),
+];
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('column bands split at gutters narrower than two spaces', () => {
+  const bands = computeColumnBands([
+    [{ x0: 0, x1: 30 }, { x0: 35, x1: 60 }],
+    [{ x0: 0, x1: 20 }, { x0: 35, x1: 55 }],
+    [{ x0: 0, x1: 28 }, { x0: 35, x1: 50 }],
+  ]);
+  assert.deepStrictEqual(bands, [
+    { index: 0, x0: 0, x1: 30 },
+    { index: 1, x0: 35, x1: 60 },
+  ]);
+});
+
+test('single-space separated columns become a layout table', () => {
+  const page = segmentPageText(PRICE_TABLE.map(entry => entry.text).join('\n'), 3, { lineItems: PRICE_TABLE });
+  assert.strictEqual(page.tables.length, 1);
+  const [table] = page.tables;
+  assert.strictEqual(table.detection, 'layout');
+  assert.deepStrictEqual(table.header, ['Code', 'Description', 'Pack', 'Price']);
+  assert.strictEqual(table.columns.length, 4);
+  assert.strictEqual(table.rows.length, 7);
+  assert.deepStrictEqual(table.rows[2], ['FL-201', 'Erlenmeyer Flask Narrow Neck', '250 ml', '340.00']);
+  assert.deepStrictEqual(table.rows[5], ['CY-302', 'Cylinder', '2 L', '1,450.00']);
+  const priceCell = table.cells[0][3];
+  assert.strictEqual(priceCell.column, 3);
+  assert.deepStrictEqual(priceCell.bbox, { x: 290, y: 668, width: 30, height: 10 });
+  assert.ok(page.textBlocks.some(block => block.text === 'Glassware price list'));
+  assert.ok(page.textBlocks.some(block => block.text.startsWith('All prices are exclusive')));
+});
+
+test('a run spilling across one gutter keeps its row in the table', () => {
+  const [table] = detectLayoutTables(PRICE_TABLE);
+  const spilled = table.rows.find(row => row.cells[0].text === 'CY-301');
+  assert.strictEqual(spilled.cells[1].text, 'Measuring Cylinder Class A Spout');
+  assert.strictEqual(spilled.cells[2].text, '1 L');
+});
+
+test('prose with per-word runs is not treated as a table', () => {
+  const words = ['Our', 'borosilicate', 'glassware', 'is', 'made', 'to', 'ISO', 'standards', 'and', 'tested'];
+  const prose = [0, 1, 2, 3].map(offset => {
+    let x = 50;
+    const runs = words.slice(offset).concat(words.slice(0, offset)).map(word => {
+      const run = [word, x];
+      x += (word.length + 1) * CHAR_WIDTH;
+      return run;
+    });
+    return line(500 - offset * 12, ...runs);
+  });
+  assert.deepStrictEqual(detectLayoutTables(prose), []);
+  const page = segmentPageText(prose.map(entry => entry.text).join('\n'), 1, { lineItems: prose });
+  assert.strictEqual(page.tables.length, 0);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} table layout tests passed.`);
+  }
+})();
@@ -0,0 +1,204 @@
+import assert from 'node:assert';
+
+import { toTallyXml } from '../lib/exporters/tally.js';
+import { segmentTextPages } from '../lib/pdfSegmenter.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { detectTaxBasis, hsnTaxRate, resolveGroupTax } from '../lib/taxModel.js';
+
+const TAX_FIELDS = ['tax_basis', 'tax_basis_source', 'tax_rate', 'tax_rate_source', 'price_excl_tax', 'price_incl_tax'];
+
+function taxOf(variant) {
+  return Object.fromEntries(TAX_FIELDS.filter(key => key in variant).map(key => [key, variant[key]]));
+}
+
+async function runPipeline(text) {
+  return runCatalogPipeline({
+    docId: 'tax-model-test',
+    pages: segmentTextPages([text]),
+    source: { filename: 'test.pdf', pages: 1 },
+    options: { useLLM: false, persistArtifacts: false },
+  });
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('basis phrases and HSN headings are recognised', () => {
+  assert.strictEqual(detectTaxBasis('MRP (incl. GST)'), 'inclusive');
+  assert.strictEqual(detectTaxBasis('mrp_inclusive_of_all_taxes'), 'inclusive');
+  assert.strictEqual(detectTaxBasis('Price + GST'), 'exclusive');
+  assert.strictEqual(detectTaxBasis('GST extra as applicable'), 'exclusive');
+  assert.strictEqual(detectTaxBasis('Prices are exclusive of taxes'), 'exclusive');
+  assert.strictEqual(detectTaxBasis('Price'), null);
+  // A text that says both settles nothing.
+  assert.strictEqual(detectTaxBasis('MRP incl. GST; dealer price + GST'), null);
+  assert.deepStrictEqual(hsnTaxRate('7017 90 90'), { rate: 12, prefix: '7017' });
+  assert.deepStrictEqual(hsnTaxRate(28332990), { rate: 18, prefix: '28' });
+  assert.strictEqual(hsnTaxRate('8471'), null);
+  assert.deepStrictEqual(hsnTaxRate('8471', { 8471: 18 }), { rate: 18, prefix: '8471' });
+});
+
+test('an inclusive MRP column takes its rate from the GST column, else the HSN table', async () => {
+  const result = await runPipeline(
+    [
+      'VOLUMETRIC FLASKS',
+      'Code | HSN | MRP (incl. GST) | GST %',
+      'VF-10 | 70179090 | 236 | 18%',
+      'VF-25 | 70179090 | 280 | ',
+    ].join('\n'),
+  );
+  const [stated, fromHsn] = result.groups[0].variants;
+  assert.deepStrictEqual(taxOf(stated), {
+    tax_basis: 'inclusive',
+    tax_basis_source: 'column:mrp_incl_gst',
+    tax_rate: 18,
+    tax_rate_source: 'column:gst',
+    price_excl_tax: 200,
+    price_incl_tax: 236,
+  });
+  assert.deepStrictEqual(taxOf(fromHsn), {
+    tax_basis: 'inclusive',
+    tax_basis_source: 'column:mrp_incl_gst',
+    tax_rate: 12,
+    tax_rate_source: 'hsn:7017',
+    price_excl_tax: 250,
+    price_incl_tax: 280,
+  });
+  assert.deepStrictEqual(result.validation.errors, []);
+});
+
+test('a footnote speaks for the prices it marks and group notes for the rest', async () => {
+  const result = await runPipeline(
+    [
+      'GLASS BEAKERS',
+      'Code | Capacity | Price',
+      'BK-50 | 50 ml | 90*',
+      'BK-100 | 100 ml | 110',
+      '',
+      '* Price exclusive of GST @ 12%',
+    ].join('\n'),
+  );
+  const [marked, unmarked] = result.groups[0].variants;
+  assert.deepStrictEqual(taxOf(marked), {
+    tax_basis: 'exclusive',
+    tax_basis_source: 'footnote:*',
+    tax_rate: 12,
+    tax_rate_source: 'footnote:*',
+    price_excl_tax: 90,
+    price_incl_tax: 100.8,
+  });
+  assert.deepStrictEqual(taxOf(unmarked), {});
+  assert.ok(result.groups[0]._warnings.includes('tax_rate_unknown:1'));
+
+  const group = resolveGroupTax({
+    title: 'Buffers',
+    notes: ['All prices are inclusive of GST. GST @ 18%.'],
+    variants: [{ code: 'BS-7', price_value: 590 }],
+  });
+  assert.deepStrictEqual(taxOf(group.variants[0]), {
+    tax_basis: 'inclusive',
+    tax_basis_source: 'notes',
+    tax_rate: 18,
+    tax_rate_source: 'notes',
+    price_excl_tax: 500,
+    price_incl_tax: 590,
+  });
+});
+
+test('an MRP column is tax-inclusive without any notes saying so', () => {
+  const group = resolveGroupTax(
+    { title: 'Alcohols', variants: [{ code: 'MT-1', price_mrp_value: 118, hsn: '2905' }] },
+    { texts: ['All prices are subject to GST extra as applicable'] },
+  );
+  assert.deepStrictEqual(taxOf(group.variants[0]), {
+    tax_basis: 'inclusive',
+    tax_basis_source: 'column:price_mrp_value',
+    tax_rate: 18,
+    tax_rate_source: 'hsn:29',
+    price_excl_tax: 100,
+    price_incl_tax: 118,
+  });
+  const bare = resolveGroupTax({ variants: [{ code: 'MT-1', price_mrp_value: 118, hsn: '2905' }] });
+  assert.strictEqual(bare.variants[0].tax_basis_source, 'column:price_mrp_value');
+  assert.strictEqual(bare.variants[0].price_incl_tax, 118);
+});
+
+test('page text, then the defaults, settle what the group does not; foreign prices are left alone', () => {
+  const fromPage = resolveGroupTax(
+    { title: 'Filters', variants: [{ code: 'FP-1', price_value: 100, hsn: '3926' }] },
+    { texts: ['PRICE LIST 2026\nAll prices are subject to GST extra as applicable'] },
+  );
+  assert.deepStrictEqual(taxOf(fromPage.variants[0]), {
+    tax_basis: 'exclusive',
+    tax_basis_source: 'page_text',
+    tax_rate: 18,
+    tax_rate_source: 'hsn:3926',
+    price_excl_tax: 100,
+    price_incl_tax: 118,
+  });
+  const defaults = resolveGroupTax(
+    {
+      title: 'Tips',
+      variants: [
+        { code: 'TIP-1', price_inr: 105 },
+        { code: 'TIP-2', price_value: 45.5, currency: 'EUR' },
+      ],
+    },
+    { defaultBasis: 'inclusive', defaultRate: 5 },
+  );
+  assert.deepStrictEqual(taxOf(defaults.variants[0]), {
+    tax_basis: 'inclusive',
+    tax_basis_source: 'default',
+    tax_rate: 5,
+    tax_rate_source: 'default',
+    price_excl_tax: 100,
+    price_incl_tax: 105,
+  });
+  assert.deepStrictEqual(taxOf(defaults.variants[1]), {});
+  assert.strictEqual(defaults._warnings, undefined);
+});
+
+test('tally rates use the taxable value and the resolved rate', () => {
+  const { xml, rejects } = toTallyXml({
+    groups: [
+      {
+        title: 'Buffer Solutions',
+        category: 'reagents',
+        variants: [
+          {
+            code: 'BS-7',
+            name: 'Buffer pH 7',
+            pack: '500ML',
+            hsn: '3822',
+            price_value: 560,
+            ...resolveGroupTax({ variants: [{ price_value: 560, hsn: '3822', notes: null }], notes: ['MRP incl. GST'] })
+              .variants[0],
+          },
+        ],
+      },
+    ],
+  });
+  assert.strictEqual(rejects.length, 0);
+  assert.ok(xml.includes('<RATE>1/ml</RATE>'));
+  assert.ok(xml.includes('<GSTRATE>12</GSTRATE>'));
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} tax model tests passed.`);
+  }
+})();
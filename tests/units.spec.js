@@ -0,0 +1,214 @@
+import assert from 'node:assert';
+
+import { flattenVariant } from '../lib/exporters/catalogRows.js';
+import { segmentTextPages } from '../lib/pdfSegmenter.js';
+import { runCatalogPipeline } from '../lib/pipeline/catalogPipeline.js';
+import { postProcess } from '../lib/postProcessor.js';
+import { normalizeGroupSpecs } from '../lib/specNormalizer.js';
+import {
+  convert,
+  convertQuantity,
+  fieldQuantity,
+  formatQuantity,
+  parseDimensions,
+  parseJoint,
+  parsePack,
+  parseQuantity,
+  specQuantities,
+} from '../lib/units.js';
+import { extractPack } from '../lib/utils/pack.js';
+import { assembleVariants } from '../lib/variantAssembler.js';
+
+const PACK_SPELLINGS = ['500 mL', '500ml', '0.5 Ltr', '0.5 L', '500 cc'];
+
+function packSummary(pack) {
+  return pack && [pack.multiplier, pack.kind, pack.base, pack.base_total];
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('one pack reads the same however it is spelled', () => {
+  for (const text of PACK_SPELLINGS) {
+    assert.deepStrictEqual(packSummary(parsePack(text)), [1, 'volume_ml', 500, 500], text);
+  }
+  const doubled = parsePack('2x500ML bottle');
+  assert.deepStrictEqual([doubled.multiplier, doubled.qty, doubled.unit, doubled.base_total], [2, 500, 'ml', 1000]);
+  assert.strictEqual(formatQuantity(doubled), '2 x 500 ml');
+  assert.deepStrictEqual(packSummary(parsePack('500 gm')), [1, 'mass_g', 500, 500]);
+  assert.deepStrictEqual(packSummary(parsePack('10/PK')), [1, 'count', 10, 10]);
+  assert.strictEqual(parsePack('12 bottles').unit, 'btl');
+  // Lengths are sizes, not packs; codes are not quantities.
+  assert.strictEqual(parsePack('100 mm'), null);
+  assert.strictEqual(parsePack('SC-500 Sodium chloride'), null);
+});
+
+test('quantities carry ranges, tolerances and SI values', () => {
+  const flask = parseQuantity('Volumetric flask 250 ± 0.15 mL, class A');
+  assert.deepStrictEqual(
+    [flask.value, flask.unit, flask.tolerance, flask.min, flask.max, flask.si_value, flask.si_unit],
+    [250, 'ml', 0.15, 249.85, 250.15, 0.00025, 'm3'],
+  );
+  const storage = parseQuantity('Store at 2–8 °C');
+  assert.deepStrictEqual(
+    [storage.value, storage.unit, storage.min, storage.max, storage.si_value],
+    [2, 'c', 2, 8, 275.15],
+  );
+  assert.deepStrictEqual(
+    ['0.45 µm', '6 bar', '3000 rpm', '12"', '0.1 M'].map(text => {
+      const found = parseQuantity(text, { concentration: true });
+      return [found.unit, found.dimension, found.si_value, found.si_unit];
+    }),
+    [
+      ['um', 'length', 4.5e-7, 'm'],
+      ['bar', 'pressure', 600000, 'Pa'],
+      ['rpm', 'rotation', 50, '1/s'],
+      ['in', 'length', 0.3048, 'm'],
+      ['M', 'concentration', 100, 'mol/m3'],
+    ],
+  );
+  // A bare "in" in a sentence is not an inch.
+  assert.strictEqual(parseQuantity('5 in stock'), null);
+  const freezer = parseQuantity('Ultra-low freezer, -20 to -80 °C');
+  assert.deepStrictEqual([freezer.value, freezer.min, freezer.max, freezer.si_value], [-80, -80, -20, 193.15]);
+  assert.deepStrictEqual([parseQuantity('10–5 ml').min, parseQuantity('10–5 ml').max], [5, 10]);
+  // "M" outside a concentration field needs chemistry beside it.
+  assert.strictEqual(parseQuantity('Bottle 5 M tubing'), null);
+  assert.deepStrictEqual(
+    ['0.1 M HCl', '0.5M H2SO4', '1 M solution', 'Silicone tubing 5 M ROLL'].map(text => {
+      const found = parseQuantity(text, { dimensions: ['concentration'] });
+      return found && found.value;
+    }),
+    [0.1, 0.5, 1, null],
+  );
+  assert.strictEqual(convert(1, 'l', 'ml'), 1000);
+  assert.strictEqual(convert(25, 'c', 'f'), 77);
+  assert.strictEqual(convert(1, 'bar', 'psi'), 14.503773773);
+  assert.strictEqual(convert(1, 'kg', 'ml'), null);
+  const litres = convertQuantity(flask, 'l');
+  assert.deepStrictEqual([litres.value, litres.tolerance, litres.min, litres.max], [0.25, 0.00015, 0.24985, 0.25015]);
+});
+
+test('dimensions and joint sizes have one reading', () => {
+  assert.deepStrictEqual(parseDimensions('Test tubes 12 x 75 mm').values, [12, 75]);
+  assert.deepStrictEqual(parseDimensions('10mm x 100mm').quantities.map(entry => entry.si_value), [0.01, 0.1]);
+  assert.strictEqual(parseDimensions('2 x 500 ml'), null);
+  assert.deepStrictEqual(
+    ['24/29', 'B24/29', 'NS 24 / 29'].map(text => parseJoint(text)?.text),
+    ['24/29', '24/29', '24/29'],
+  );
+  assert.strictEqual(parseJoint('29/24'), null);
+  assert.deepStrictEqual(
+    ['2/PK', '10 x 100 mm', '0.1M HCl', '2.5 Ltr', '500 gm'].map(text => extractPack(text).pack),
+    ['2/PK', '10X100MM', '0.1M', '2.5L', '500G'],
+  );
+});
+
+test('fractional inches read as one value', () => {
+  assert.deepStrictEqual(
+    ['1/2 inch', '3/8"', '1 1/2 inch', '1-1/2"'].map(text => {
+      const found = parseQuantity(text);
+      return [found.value, found.unit];
+    }),
+    [
+      [0.5, 'in'],
+      [0.375, 'in'],
+      [1.5, 'in'],
+      [1.5, 'in'],
+    ],
+  );
+  const span = parseQuantity('1/4 - 1/2 inch');
+  assert.deepStrictEqual([span.min, span.max], [0.25, 0.5]);
+  assert.deepStrictEqual(extractPack('Stopcock 1/2 inch'), { pack: '0.5IN', pack_raw: '1/2 inch' });
+  assert.strictEqual(fieldQuantity('tubing_od', '1/2 inch').si_value, 0.0127);
+  assert.deepStrictEqual(Object.keys(specQuantities({ code: 'SC-4', size: '1/2 inch', capacity: '500 ml' })), [
+    'size',
+    'capacity',
+  ]);
+  // The denominator of a joint or ratio is not a quantity of its own.
+  assert.strictEqual(parseQuantity('24/29 mm'), null);
+});
+
+test('every pipeline normalises the same pack text the same way', async () => {
+  const rows = PACK_SPELLINGS.map((pack, index) => ({ code: `BF-${index}`, pack_size: pack, price_mrp: '250' }));
+  const [processed] = await postProcess([{ title: 'Buffer', variants: rows.map(row => ({ ...row })) }]);
+  const [normalised] = await normalizeGroupSpecs([{ title: 'Buffer', variants: rows.map(row => ({ ...row })) }]);
+  const assembled = {
+    title: 'Buffer',
+    blocks: [
+      { type: 'table_row', text: 'Code | Pack | Price' },
+      ...rows.map(row => ({ type: 'table_row', text: `${row.code} | ${row.pack_size} | ${row.price_mrp}` })),
+    ],
+  };
+  assembleVariants(assembled);
+  const expected = PACK_SPELLINGS.map(() => 500);
+  assert.deepStrictEqual(processed.variants.map(variant => variant.pack.base_total), expected);
+  assert.deepStrictEqual(normalised.variants.map(variant => variant.pack.base_total), expected);
+  assert.deepStrictEqual(
+    assembled.variants.map(variant => convert(variant.pack_qty, variant.pack_unit, 'ml')),
+    expected,
+  );
+  assert.deepStrictEqual(
+    PACK_SPELLINGS.map(pack => packSummary(parsePack(extractPack(pack).pack))),
+    PACK_SPELLINGS.map(() => [1, 'volume_ml', 500, 500]),
+  );
+  const row = flattenVariant(
+    { code: 'BF-9', pack_size: '2 x 500 ml', pack_qty: 500, pack_unit: 'ml', pack_multiplier: 2 },
+    {},
+  );
+  assert.strictEqual(row.pack_multiplier, 2);
+});
+
+test('spec columns become quantities that pass validation', async () => {
+  const result = await runCatalogPipeline({
+    docId: 'units-test',
+    pages: segmentTextPages([
+      [
+        'SYRINGE FILTERS',
+        'Code | Pack | Pore Size | Max Pressure | Joint | Price',
+        'SF-45 | 100 pcs | 0.45 µm | 6 bar | B24/29 | 2,400',
+        'SF-22 | 2 x 50 pcs | 0.22 µm | 90 psi | NS 14/23 | 2,600',
+      ].join('\n'),
+    ]),
+    source: { filename: 'test.pdf', pages: 1 },
+    options: { useLLM: false, persistArtifacts: false },
+  });
+  const [first, second] = result.groups[0].variants;
+  assert.deepStrictEqual(
+    [first.pack.base_total, second.pack.base_total, first.joint, second.joint],
+    [100, 100, '24/29', '14/23'],
+  );
+  assert.deepStrictEqual(first.spec_quantities.pore_size, {
+    value: 0.45,
+    unit: 'um',
+    dimension: 'length',
+    si_value: 4.5e-7,
+    si_unit: 'm',
+  });
+  assert.strictEqual(second.spec_quantities.max_pressure.unit, 'psi');
+  assert.strictEqual(
+    convertQuantity(second.spec_quantities.max_pressure, 'bar').value,
+    convert(90, 'psi', 'bar'),
+  );
+  assert.deepStrictEqual(result.validation.errors, []);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  if (passed === tests.length) {
+    console.log(`All ${passed} units tests passed.`);
+  }
+})();
@@ -0,0 +1,134 @@
+import assert from 'node:assert';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdtemp, rm } from 'node:fs/promises';
+
+import { getDataDir, readJson } from '../lib/io.js';
+import { findCachedIngest, hashUpload, recordIngest, resultPath } from '../lib/uploadIndex.js';
+import { importRoute } from './helpers/nextRoute.js';
+
+process.env.DATA_BASE_DIR = await mkdtemp(path.join(os.tmpdir(), 'upload-index-spec-'));
+process.env.INGEST_LLM_ENABLED = 'false';
+
+const parseRoute = await importRoute('app/api/ingest/parse/route.js');
+
+const VERSION = 'v2.1.0';
+const CATALOG = ['LABORATORY REAGENTS', 'Code | Name | Pack | MRP', 'SC-1 | Sodium chloride AR | 500 g | 350'];
+
+// One page of Helvetica text, enough for pdf.js to extract.
+function minimalPdf(lines) {
+  const escape = text => text.replace(/[\\()]/g, char => `\\${char}`);
+  const stream = ['BT /F1 11 Tf 14 TL 50 780 Td', ...lines.map(text => `(${escape(text)}) '`), 'ET'].join('\n');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+  ];
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = body.length;
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = body.length;
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(body, 'latin1');
+}
+
+const PDF = minimalPdf(CATALOG);
+
+async function upload(docId, { query = '', fields = {} } = {}) {
+  const form = new FormData();
+  form.append('file', new Blob([PDF], { type: 'application/pdf' }), 'reagents.pdf');
+  for (const [key, value] of Object.entries(fields)) form.append(key, value);
+  const response = await parseRoute.POST(
+    new Request(`http://localhost/api/ingest/parse?docId=${docId}${query}`, { method: 'POST', body: form }),
+  );
+  assert.strictEqual(response.status, 200);
+  return response.json();
+}
+
+async function readIndex() {
+  return readJson(path.join(getDataDir(), 'upload-index.json'));
+}
+
+const tests = [];
+function test(name, fn) {
+  tests.push({ name, fn });
+}
+
+test('a recorded ingest is found only for the same version and options', async () => {
+  const options = { useLLM: false, windowSize: 10 };
+  await recordIngest({ hash: 'aa11', docId: 'unit-a', extractionVersion: VERSION, options, result: { groups: [1] } });
+  // Key order does not matter.
+  const reordered = { windowSize: 10, useLLM: false };
+  const hit = await findCachedIngest({ hash: 'aa11', extractionVersion: VERSION, options: reordered });
+  assert.deepStrictEqual([hit.entry.docId, hit.result], ['unit-a', { groups: [1] }]);
+  assert.strictEqual(await findCachedIngest({ hash: 'aa11', extractionVersion: 'v9', options }), null);
+  assert.strictEqual(await findCachedIngest({ hash: 'aa11', extractionVersion: VERSION, options: {} }), null);
+  assert.strictEqual(await findCachedIngest({ hash: 'bb22', extractionVersion: VERSION, options }), null);
+});
+
+test('an entry whose stored result was deleted is a miss and leaves the index', async () => {
+  const options = { useLLM: false };
+  await recordIngest({ hash: 'cc33', docId: 'unit-c', extractionVersion: VERSION, options, result: { groups: [] } });
+  await rm(resultPath('unit-c'));
+  assert.strictEqual(await findCachedIngest({ hash: 'cc33', extractionVersion: VERSION, options }), null);
+  assert.strictEqual((await readIndex()).cc33, undefined);
+});
+
+test('the same upload with the same options is served from the cache', async () => {
+  const first = await upload('route-first');
+  assert.deepStrictEqual(
+    [first.docId, first.cache_hit, first.source.sha256, first.groups[0].variants[0].code],
+    ['route-first', false, hashUpload(PDF), 'SC-1'],
+  );
+  const again = await upload('route-again');
+  assert.deepStrictEqual([again.docId, again.cache_hit], ['route-first', true]);
+  assert.deepStrictEqual(again.groups, first.groups);
+  // Other options are another ingest.
+  const resized = await upload('route-resized', { fields: { windowSize: '5' } });
+  assert.deepStrictEqual([resized.docId, resized.cache_hit], ['route-resized', false]);
+});
+
+test('force re-ingests and the index points at the new document', async () => {
+  const forced = await upload('route-forced', { query: '&force=true' });
+  assert.deepStrictEqual([forced.docId, forced.cache_hit], ['route-forced', false]);
+  const fromForm = await upload('route-form-forced', { fields: { force: 'true' } });
+  assert.strictEqual(fromForm.cache_hit, false);
+  const next = await upload('route-next');
+  assert.deepStrictEqual([next.docId, next.cache_hit], ['route-form-forced', true]);
+  const entries = (await readIndex())[hashUpload(PDF)];
+  assert.deepStrictEqual(entries.map(entry => entry.docId).sort(), ['route-form-forced', 'route-resized']);
+});
+
+test('an upload whose cached document was deleted is ingested again', async () => {
+  await rm(getDataDir('route-form-forced'), { recursive: true, force: true });
+  const fresh = await upload('route-fresh');
+  assert.deepStrictEqual([fresh.docId, fresh.cache_hit], ['route-fresh', false]);
+  const entries = (await readIndex())[hashUpload(PDF)];
+  assert.deepStrictEqual(entries.map(entry => entry.docId).sort(), ['route-fresh', 'route-resized']);
+});
+
+(async () => {
+  let passed = 0;
+  for (const entry of tests) {
+    try {
+      await entry.fn();
+      console.log(`✓ ${entry.name}`);
+      passed += 1;
+    } catch (error) {
+      console.error(`✗ ${entry.name}`);
+      console.error(error);
+      process.exitCode = 1;
+    }
+  }
+  await rm(process.env.DATA_BASE_DIR, { recursive: true, force: true });
+  if (passed === tests.length) {
+    console.log(`All ${passed} upload index tests passed.`);
+  }
+})();